@@ -4,7 +4,6 @@ const path = require('path');
 const cors = require('cors');
 const fs = require('fs');
 const session = require('express-session');
-const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
 
 const app = express();
@@ -98,12 +97,6 @@ function decodeFileName(fileName) {
   }
 }
 
-// Supabase 클라이언트 초기화
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
 // uploads 폴더 완전 제거: Supabase Storage가 메인, 임시 파일은 /tmp 사용
 
 // 세션 설정 (Vercel 서버리스 환경 최적화)
@@ -150,7 +143,12 @@ if (!isVercel) {
 
 // 미들웨어 설정
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Webhook 서명 검증용 요청 원문 보관
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.static('public'));
 
 // 세션 안전 미들웨어 (Vercel 환경 대응)
@@ -215,15 +213,21 @@ const upload = multer({
 
 // API 라우트
 const orderRoutes = require(path.join(process.cwd(), 'routes/orders'));
-const emailRoutes = require(path.join(process.cwd(), 'routes/email'));
+const { router: emailRoutes } = require(path.join(process.cwd(), 'routes/email'));
 const templateRoutes = require(path.join(process.cwd(), 'routes/templates'));
-const webhookRoutes = require(path.join(process.cwd(), 'routes/webhook'));
+const supplierRoutes = require(path.join(process.cwd(), 'routes/suppliers'));
+const confirmationRoutes = require(path.join(process.cwd(), 'routes/confirmations'));
+const lookupTableRoutes = require(path.join(process.cwd(), 'routes/lookupTables'));
+const { router: webhookRoutes } = require(path.join(process.cwd(), 'routes/webhook'));
 const { router: authRoutes } = require(path.join(process.cwd(), 'routes/auth'));
 
 app.use('/api/auth', authRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/email', emailRoutes);
 app.use('/api/templates', templateRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/confirmations', confirmationRoutes);
+app.use('/api/lookup-tables', lookupTableRoutes);
 app.use('/api/webhook', webhookRoutes);
 
 // 홈페이지 라우트 - OpenAI API 키 없이도 사용 가능
@@ -2711,6 +2711,7 @@ function showUploadResult(result, type, isError = false, errorMessage = '') {
                             <div style="font-size: 0.85em; color: #6c757d;">
                                 ${result.validation.validRows}/${result.validation.totalRows}행 · ${result.headers.length}개 필드 
                                 ${result.fromCache ? '· 캐시됨' : ''}
+                                ${result.csvInfo ? `· ${result.csvInfo.description}` : ''}
                             </div>
                         </div>
                     </div>
@@ -2751,7 +2752,8 @@ function showUploadResult(result, type, isError = false, errorMessage = '') {
                             <div style="font-weight: 600; color: #495057; margin-bottom: 2px;">${result.fileName}</div>
                             <div style="font-size: 0.85em; color: #6c757d;">
                                 ${result.validation.validRows}/${result.validation.totalRows}행 · ${result.headers.length}개 필드 
-                                ${result.fromCache ? '· 캐시됨' : ''} · 경고 있음
+                                ${result.fromCache ? '· 캐시됨' : ''}
+                                ${result.csvInfo ? `· ${result.csvInfo.description}` : ''} · 경고 있음
                             </div>
                         </div>
                     </div>
@@ -10031,6 +10033,7 @@ async function processFileForMode(file, type) {
                                         <div style="font-size: 0.85em; color: #6c757d;">
                                             ${result.validation ? result.validation.validRows : '확인 중'}행 · ${result.headers.length}개 필드 
                                             ${result.fromCache ? '· 캐시됨' : ''}
+                                            ${result.csvInfo ? `· ${result.csvInfo.description}` : ''}
                                             ${result.xlsConverted ? '· .xls → .xlsx 변환됨' : ''}
                                         </div>
                                     </div>
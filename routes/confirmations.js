@@ -0,0 +1,237 @@
+const express = require('express');
+const { getRepositories } = require('../utils/repositories');
+const { escapeHtml } = require('../utils/emailHtml');
+const { getConfirmationLinks, isConfirmationOverdue } = require('../utils/orderConfirmations');
+
+const router = express.Router();
+
+// 공급처 회신 폼(application/x-www-form-urlencoded) 처리
+router.use(express.urlencoded({ extended: false }));
+
+const STATUSES = ['pending', 'confirmed', 'rejected'];
+const ACTIONS = {
+  confirm: { status: 'confirmed', label: '발주 확인', color: '#1f883d' },
+  reject: { status: 'rejected', label: '발주 거절', color: '#cf222e' }
+};
+const STATUS_LABELS = { pending: '확인 대기', confirmed: '확인 완료', rejected: '거절' };
+
+// 서울 기준 일시 표시
+function formatSeoulDateTime(value) {
+  return value ? new Date(value).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' }) : '-';
+}
+
+// 수신 확인 응답 형식 (관리용 목록)
+function toConfirmationResponse(row, now = new Date()) {
+  return {
+    id: row.id,
+    status: row.status,
+    overdue: isConfirmationOverdue(row, now),
+    supplierName: row.supplier_name,
+    to: row.to_email,
+    subject: row.subject,
+    attachmentName: row.attachment_name,
+    attachmentPath: row.attachment_path,
+    messageId: row.message_id,
+    templateName: row.template_name,
+    source: row.source,
+    sentAt: row.sent_at,
+    deadlineAt: row.deadline_at,
+    respondedAt: row.responded_at,
+    responseNote: row.response_note,
+    links: row.status === 'pending' ? getConfirmationLinks(row.token) : undefined
+  };
+}
+
+// 공급처 회신 페이지 (HTML)
+function renderPage(res, status, title, content) {
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family:'Malgun Gothic','Apple SD Gothic Neo',sans-serif;max-width:560px;margin:40px auto;padding:0 16px;color:#24292f;line-height:1.6;">
+<h2>${escapeHtml(title)}</h2>
+${content}
+</body>
+</html>`);
+}
+
+// 발주서 정보 (회신 페이지 상단)
+function renderOrderSummary(row) {
+  const items = [
+    ['공급처', row.supplier_name],
+    ['제목', row.subject],
+    ['발주서', row.attachment_name],
+    ['전송일시', formatSeoulDateTime(row.sent_at)],
+    ['확인 기한', formatSeoulDateTime(row.deadline_at)]
+  ].filter(([, value]) => value);
+
+  return `<ul>${items.map(([label, value]) => `<li><strong>${label}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>`;
+}
+
+// 토큰으로 수신 확인 조회 (형식이 맞지 않는 토큰은 조회하지 않음)
+async function findByToken(token) {
+  if (!/^[A-Za-z0-9_-]{16,128}$/.test(String(token || ''))) return null;
+  return getRepositories().orderConfirmations.findByToken(token);
+}
+
+// 📋 발주서 수신 확인 목록
+// query: status=pending|confirmed|rejected|overdue|all(기본값), limit
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status || 'all';
+    if (status !== 'all' && status !== 'overdue' && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status는 ${[...STATUSES, 'overdue', 'all'].join(', ')} 중 하나여야 합니다.`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const now = new Date();
+    const confirmations = await getRepositories().orderConfirmations.list({
+      status: status === 'all' ? undefined : (status === 'overdue' ? 'pending' : status),
+      deadlineBefore: status === 'overdue' ? now.toISOString() : undefined,
+      limit: parseInt(req.query.limit, 10) || 100
+    });
+
+    res.json({
+      success: true,
+      confirmations: confirmations.map(row => toConfirmationResponse(row, now)),
+      total: confirmations.length
+    });
+  } catch (error) {
+    console.error('❌ 발주서 수신 확인 목록 조회 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '발주서 수신 확인 목록 조회 중 오류가 발생했습니다.',
+      code: 'CONFIRMATION_LOOKUP_FAILED',
+      details: error.message
+    });
+  }
+});
+
+// ⏰ 확인 기한이 지난 미확인 발주서 목록
+router.get('/overdue', async (req, res) => {
+  try {
+    const now = new Date();
+    const confirmations = await getRepositories().orderConfirmations.list({
+      status: 'pending',
+      deadlineBefore: now.toISOString(),
+      limit: parseInt(req.query.limit, 10) || 100
+    });
+
+    res.json({
+      success: true,
+      confirmations: confirmations.map(row => toConfirmationResponse(row, now)),
+      total: confirmations.length
+    });
+  } catch (error) {
+    console.error('❌ 미확인 발주서 조회 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '미확인 발주서 조회 중 오류가 발생했습니다.',
+      code: 'CONFIRMATION_LOOKUP_FAILED',
+      details: error.message
+    });
+  }
+});
+
+// 📨 공급처 회신 페이지 (메일의 확인/거절 링크)
+// 링크를 여는 것만으로는 상태를 바꾸지 않음 (메일 보안 검사기가 링크를 미리 열어도 회신으로 처리되지 않도록)
+router.get('/:token/:action', async (req, res) => {
+  const action = ACTIONS[req.params.action];
+  if (!action) {
+    return renderPage(res, 404, '페이지를 찾을 수 없습니다', '<p>링크 주소를 다시 확인해주세요.</p>');
+  }
+
+  try {
+    const row = await findByToken(req.params.token);
+    if (!row) {
+      return renderPage(res, 404, '발주서를 찾을 수 없습니다', '<p>링크가 올바르지 않거나 만료되었습니다. 발주 담당자에게 문의해주세요.</p>');
+    }
+
+    if (row.status !== 'pending') {
+      return renderPage(res, 200, `이미 회신된 발주서입니다 (${STATUS_LABELS[row.status]})`,
+        `${renderOrderSummary(row)}<p>회신일시: ${escapeHtml(formatSeoulDateTime(row.responded_at))}</p>`);
+    }
+
+    const noteField = req.params.action === 'reject'
+      ? '<p><label>거절 사유<br><textarea name="note" rows="4" style="width:100%;" required></textarea></label></p>'
+      : '<p><label>전달 사항 (선택)<br><textarea name="note" rows="3" style="width:100%;"></textarea></label></p>';
+
+    renderPage(res, 200, action.label, `${renderOrderSummary(row)}
+<form method="post">
+${noteField}
+<button type="submit" style="padding:10px 20px;border:0;border-radius:4px;color:#ffffff;background:${action.color};font-size:15px;">${action.label}</button>
+</form>`);
+  } catch (error) {
+    console.error('❌ 발주서 회신 페이지 오류:', error.message);
+    renderPage(res, 500, '일시적인 오류가 발생했습니다', '<p>잠시 후 다시 시도해주세요.</p>');
+  }
+});
+
+// ✅ 공급처 회신 기록 (확인/거절)
+// body: { note } - 폼 제출이면 결과 페이지, JSON 요청이면 JSON 응답
+router.post('/:token/:action', async (req, res) => {
+  const wantsJson = req.is('application/json') || req.accepts(['html', 'json']) === 'json';
+  const action = ACTIONS[req.params.action];
+  const fail = (status, code, error, title) => (wantsJson
+    ? res.status(status).json({ success: false, error, code })
+    : renderPage(res, status, title || error, ''));
+
+  if (!action) {
+    return fail(404, 'INVALID_ACTION', '지원하지 않는 회신입니다. (confirm | reject)');
+  }
+
+  try {
+    const row = await findByToken(req.params.token);
+    if (!row) {
+      return fail(404, 'CONFIRMATION_NOT_FOUND', '발주서를 찾을 수 없습니다.');
+    }
+    if (row.status !== 'pending') {
+      return fail(409, 'CONFIRMATION_ALREADY_RESPONDED', `이미 회신된 발주서입니다. (${STATUS_LABELS[row.status]})`);
+    }
+
+    const note = String((req.body && req.body.note) || '').trim().slice(0, 2000);
+    if (req.params.action === 'reject' && !note) {
+      return fail(400, 'REJECT_REASON_REQUIRED', '거절 사유를 입력해주세요.');
+    }
+
+    const updated = await getRepositories().orderConfirmations.respond(row.id, {
+      status: action.status,
+      responded_at: new Date().toISOString(),
+      response_note: note || null
+    });
+    if (!updated) {
+      return fail(409, 'CONFIRMATION_ALREADY_RESPONDED', '이미 회신된 발주서입니다.');
+    }
+    console.log(`${action.status === 'confirmed' ? '✅' : '⛔'} 발주서 ${STATUS_LABELS[action.status]}: ${row.to_email} (${row.id})`);
+
+    if (wantsJson) {
+      return res.json({
+        success: true,
+        message: `발주서 ${STATUS_LABELS[action.status]} 회신이 기록되었습니다.`,
+        confirmation: { status: updated.status, respondedAt: updated.responded_at }
+      });
+    }
+    renderPage(res, 200, `${action.label} 회신이 전달되었습니다`,
+      `${renderOrderSummary(updated)}<p>회신해주셔서 감사합니다.</p>`);
+  } catch (error) {
+    console.error('❌ 발주서 회신 기록 오류:', error.message);
+    if (wantsJson) {
+      return res.status(500).json({
+        success: false,
+        error: '발주서 회신 기록 중 오류가 발생했습니다.',
+        code: 'CONFIRMATION_RESPOND_FAILED',
+        details: error.message
+      });
+    }
+    renderPage(res, 500, '일시적인 오류가 발생했습니다', '<p>잠시 후 다시 시도해주세요.</p>');
+  }
+});
+
+module.exports = router;
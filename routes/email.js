@@ -1,5 +1,4 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
 const { 
@@ -16,9 +15,25 @@ const {
   saveScheduledEmail,
   loadScheduledEmails,
   cancelScheduledEmail,
-  updateScheduledEmailStatus
+  updateScheduledEmailStatus,
+  uploadFile,
+  resolveActualFileName
 } = require('../utils/supabase');
 const { createRateLimitMiddleware } = require('../utils/rateLimiter');
+const { createEmailScheduler, createRecurringScheduler } = require('../utils/emailScheduler');
+const { createEmailDelivery } = require('../utils/emailDelivery');
+const { createJobQueue } = require('../utils/jobQueue');
+const { parseScheduleInfo } = require('../utils/repositories/scheduledEmails');
+const { getRepositories } = require('../utils/repositories');
+const { convertToStandardFormat } = require('../utils/converter');
+const { getTemplateGenerationOptions, downloadTemplateFile } = require('../utils/templateMapping');
+const { getFileContentType } = require('../utils/outputFormats');
+const { validateRecurrenceRule, getNextRunTime, getUpcomingRunTimes, formatSeoulTime, TIMEZONE } = require('../utils/recurrence');
+const { TEMPLATE_VARIABLES, BODY_FORMATS, renderEmailTemplate } = require('../utils/emailTemplateVariables');
+const { parseEmailList, findInvalidEmails, resolveRecipients, formatEmailList } = require('../utils/emailRecipients');
+const { prepareOrderConfirmation, recordOrderConfirmation } = require('../utils/orderConfirmations');
+const { getMailTransport, getMailTransportName } = require('../utils/mailTransport');
+const { resolveAttachmentProtection, protectAttachment, buildPasswordEmail, sendPasswordWebhook } = require('../utils/attachmentProtection');
 
 const router = express.Router();
 
@@ -36,8 +51,34 @@ function generateScheduleId() {
   return `SCH_${year}${month}${day}_${hour}${minute}${second}_${millisecond}`;
 }
 
-// 🔄 활성 타이머 저장소 (서버 재시작 시 초기화됨 - 추후 Redis 등으로 대체 가능)
-const activeTimers = new Map();
+// 📦 일괄 전송 기본값
+const DEFAULT_BATCH_MAX_ITEMS = 50;
+const DEFAULT_BATCH_INTERVAL_MS = 2000;
+// 일괄 전송 요청에서 항목 기본값으로 쓰는 필드
+const BATCH_DEFAULT_FIELDS = ['templateId', 'subject', 'body', 'bodyFormat', 'includeOrderSummary', 'requestConfirmation', 'attachmentProtection', 'passwordDelivery', 'passwordRecipient'];
+
+// 📮 이메일 전송기 (일시적인 SMTP 오류는 지수 백오프로 재시도, 계속 실패하면 전송 실패 목록(dead-letter)에 보관)
+const emailDelivery = createEmailDelivery({ send: sendScheduledEmail, onSettled: recordDeliveryResult });
+
+// 📅 예약 이메일 스케줄러 (예약은 DB에 저장되고 서버 시작 시 restoreScheduledEmails로 다시 등록)
+const emailScheduler = createEmailScheduler({
+  send: schedule => emailDelivery.deliver({
+    source: 'scheduled',
+    message: toEmailMessage(schedule),
+    context: { scheduleId: schedule.scheduleId, templateName: schedule.templateId }
+  })
+});
+
+// 📦 일괄 전송 작업 큐 (여러 발주서를 한 번에 접수하고 EMAIL_BATCH_INTERVAL_MS 간격으로 한 건씩 전송)
+const emailBatchQueue = createJobQueue({
+  jobType: 'email_batch',
+  handler: runEmailBatchJob,
+  maxAttempts: 3,
+  baseDelayMs: 5000
+});
+
+// 🔁 정기 발주 반복 예약 스케줄러 (실행할 때마다 저장된 템플릿과 주문서로 발주서를 다시 생성해 전송)
+const recurringScheduler = createRecurringScheduler({ run: runRecurringSchedule });
 
 // 📧 이메일 설정 상태 확인
 router.get('/config', (req, res) => {
@@ -46,7 +87,11 @@ router.get('/config', (req, res) => {
   const smtpHost = process.env.SMTP_HOST;
   const fromAddress = process.env.EMAIL_FROM_ADDRESS;
   
+  const transport = getMailTransportName();
+  
   const config = {
+    transport,
+    captured: transport !== 'smtp',
     configured: !!(emailUser && emailPass),
     type: smtpHost ? (smtpHost.includes('resend') ? 'resend' : 'company-smtp') : 'gmail',
     smtpHost: smtpHost || null,
@@ -59,76 +104,83 @@ router.get('/config', (req, res) => {
   res.json({
     success: true,
     config: config,
-    message: config.configured 
+    message: config.captured
+      ? `이메일을 실제로 보내지 않고 ${transport === 'file' ? '파일로 저장' : '보낸 편지함(/api/email/outbox)에 보관'}합니다. (${transport} 전송 방식)`
+      : config.configured 
       ? `${config.type === 'resend' ? 'Resend SMTP' : config.type === 'company-smtp' ? '회사 SMTP' : 'Gmail'} 설정이 완료되었습니다.`
       : '이메일 설정이 필요합니다. (시뮬레이션 모드)'
   });
 });
 
-// 📧 이메일 전송 설정 (Gmail 및 회사 SMTP 지원)
-const createTransporter = () => {
-  // 환경 변수가 없으면 테스트 모드로 실행
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-    console.log('⚠️  이메일 설정이 없어 테스트 모드로 실행됩니다.');
-    return nodemailer.createTransport({
-      host: 'smtp.ethereal.email',
-      port: 587,
-      auth: {
-        user: 'test@test.com',
-        pass: 'test123'
-      }
-    });
+// 📨 전송 요청 → 전송할 이메일 (/send, /send-batch 공통)
+// 공급처 주소록과 이메일 템플릿(templateId)으로 수신자/제목/본문을 채우고, 요청 값이 잘못되면 { status, error } 반환
+async function prepareSendMessage(input) {
+  const { attachmentPath, attachmentDisplayName, variables, bodyFormat, includeOrderSummary, requestConfirmation, supplierId } = input;
+
+  if (!attachmentPath) {
+    return { status: 400, error: { error: '필수 필드가 누락되었습니다. (첨부파일)' } };
   }
-  
-  // 회사 SMTP 설정이 있는지 확인
-  if (process.env.SMTP_HOST) {
-    console.log('🏢 회사 SMTP 서버 사용:', process.env.SMTP_HOST);
-    
-    return nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT) || 587,
-      secure: process.env.SMTP_SECURE === 'true', // true for 465, false for 587
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      },
-      // 회사 방화벽 등으로 인한 연결 문제 해결을 위한 옵션
-      tls: {
-        rejectUnauthorized: process.env.SMTP_REJECT_UNAUTHORIZED !== 'false'
-      }
-    });
+
+  const resolved = await resolveEmailDefaults({ supplierId, templateId: input.templateId });
+  if (resolved.error) {
+    return { status: resolved.status, error: resolved.error };
   }
-  
-  // Gmail 설정 (기본값)
-  console.log('📧 Gmail SMTP 서버 사용');
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
+
+  const recipients = resolveRecipients({
+    to: input.to,
+    cc: input.cc,
+    bcc: input.bcc,
+    supplier: resolved.supplier,
+    emailTemplate: resolved.emailTemplate
   });
-};
+  if (recipients.to.length === 0) {
+    return { status: 400, error: { error: '필수 필드가 누락되었습니다. (받는 사람)' } };
+  }
+  if (recipients.invalid.length > 0) {
+    return { status: 400, error: { error: '이메일 주소 형식이 올바르지 않습니다.', details: recipients.invalid } };
+  }
+
+  // 첨부파일 암호화 정책 (요청 값 → 공급처 주소록 → 서버 기본값)
+  const protectionResult = resolveAttachmentProtection(input, resolved.supplier);
+  if (protectionResult.error) {
+    return { status: 400, error: { error: protectionResult.error, code: 'INVALID_ATTACHMENT_PROTECTION' } };
+  }
+
+  const attachmentName = attachmentDisplayName || path.basename(attachmentPath);
+  // 공급처를 고르면 {{supplier}}는 주소록의 공급처명 (요청 variables가 우선)
+  const templateVariables = resolved.supplier ? { supplier: resolved.supplier.name, ...variables } : variables;
+
+  // 전송할 이메일 (예약 저장, 재시도, 전송 실패 보관에 같은 형태로 사용, {{변수}}는 전송 시점에 발주서 정보로 치환)
+  const message = {
+    to: formatEmailList(recipients.to),
+    cc: formatEmailList(recipients.cc),
+    bcc: formatEmailList(recipients.bcc),
+    subject: input.subject || resolved.emailTemplate?.subject || `[발주서] ${path.basename(attachmentPath)}`,
+    body: input.body || resolved.emailTemplate?.body || `발주서를 첨부파일로 전송드립니다.\n\n첨부파일: ${attachmentName}\n전송시간: ${new Date().toLocaleString()}`,
+    attachmentPath,
+    attachmentDisplayName: attachmentName,
+    variables: templateVariables || {},
+    bodyFormat,
+    includeOrderSummary: includeOrderSummary === true,
+    requestConfirmation: requestConfirmation !== false,
+    attachmentProtection: protectionResult.protection
+  };
+
+  return { message, templateId: resolved.templateId, recipients };
+}
 
 // 📧 이메일 전송
 router.post('/send', createRateLimitMiddleware('emailSending'), async (req, res) => {
   try {
-    const { 
-      to, 
-      subject, 
-      body, 
-      attachmentPath, 
-      attachmentDisplayName,
-      templateId,
-      scheduleTime 
-    } = req.body;
-
-    // 필수 필드 검증
-    if (!to || !subject || !attachmentPath) {
-      return res.status(400).json({ 
-        error: '필수 필드가 누락되었습니다. (받는 사람, 제목, 첨부파일)' 
-      });
+    const { attachmentPath, scheduleTime } = req.body;
+
+    // 필수 필드 검증 후 공급처 주소록과 이메일 템플릿(templateId)으로 수신자/제목/본문 채우기
+    const prepared = await prepareSendMessage(req.body);
+    if (prepared.error) {
+      return res.status(prepared.status).json(prepared.error);
     }
+    const { message, templateId, recipients } = prepared;
+    const { to, cc, bcc } = message;
 
     // Supabase Storage에서 첨부파일 다운로드 (메모리 버퍼로 처리)
     console.log('📥 이메일 첨부파일 다운로드 중:', attachmentPath);
@@ -152,10 +204,6 @@ router.post('/send', createRateLimitMiddleware('emailSending'), async (req, res)
       });
     }
 
-    // 이메일 제목과 본문 설정
-    const emailSubject = subject || `[발주서] ${path.basename(attachmentPath)}`;
-    const emailBody = body || `발주서를 첨부파일로 전송드립니다.\n\n첨부파일: ${attachmentDisplayName || path.basename(attachmentPath)}\n전송시간: ${new Date().toLocaleString()}`;
-
     // 즉시 전송인지 예약 전송인지 확인
     if (scheduleTime && new Date(scheduleTime) > new Date()) {
       console.log(`📅 이메일 예약 처리: ${scheduleTime}에 ${to}로 전송 예정`);
@@ -167,11 +215,7 @@ router.post('/send', createRateLimitMiddleware('emailSending'), async (req, res)
         // 예약 정보를 email_history 테이블에 저장
         const scheduleData = {
           schedule_id: scheduleId,
-          to,
-          subject: emailSubject,
-          body: emailBody,
-          attachmentPath,
-          attachmentDisplayName: attachmentDisplayName || path.basename(attachmentPath),
+          ...message,
           templateId: templateId || 'manual',
           scheduleTime: new Date(scheduleTime).toISOString(),
           createdAt: new Date().toISOString()
@@ -186,48 +230,7 @@ router.post('/send', createRateLimitMiddleware('emailSending'), async (req, res)
         }
         
         // 예약된 시간에 실제 전송하는 타이머 설정
-        const timeoutId = setTimeout(async () => {
-          try {
-            console.log(`📧 예약된 이메일 전송 시작: ${to} (${scheduleId})`);
-            
-            const transporter = createTransporter();
-            const mailOptions = {
-              from: process.env.EMAIL_FROM_ADDRESS || process.env.EMAIL_USER || 'test@test.com',
-              to: to,
-              subject: emailSubject,
-              text: emailBody,
-              html: emailBody.replace(/\n/g, '<br>'),
-              attachments: [
-                {
-                  filename: attachmentDisplayName || path.basename(attachmentPath),
-                  content: downloadResult.data,
-                  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-                }
-              ]
-            };
-
-            if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-              // 시뮬레이션 모드
-              console.log('📧 [시뮬레이션] 예약된 이메일 전송:', { to, subject: emailSubject });
-              await updateScheduledEmailStatus(scheduleId, 'simulation', 'scheduled-simulation-' + Date.now());
-            } else {
-              // 실제 전송
-              const info = await transporter.sendMail(mailOptions);
-              console.log('✅ 예약된 이메일 전송 완료:', info.messageId);
-              await updateScheduledEmailStatus(scheduleId, 'success', info.messageId);
-            }
-            
-            // 타이머 정리
-            activeTimers.delete(scheduleId);
-          } catch (error) {
-            console.error('❌ 예약된 이메일 전송 실패:', error);
-            await updateScheduledEmailStatus(scheduleId, 'failed', null, error.message);
-            activeTimers.delete(scheduleId);
-          }
-        }, delayMs);
-        
-        // 타이머 ID를 저장하여 취소 가능하게 함
-        activeTimers.set(scheduleId, timeoutId);
+        emailScheduler.schedule(scheduleId, scheduleData.scheduleTime);
       }
       
       res.json({
@@ -242,22 +245,36 @@ router.post('/send', createRateLimitMiddleware('emailSending'), async (req, res)
       return;
     }
 
-    // 즉시 전송 (기존 코드)
-    const transporter = createTransporter();
+    // 즉시 전송 (MAIL_TRANSPORT로 고른 전송 방식, SMTP 설정이 없으면 시뮬레이션)
+    const transport = getMailTransport();
+    
+    // 발주서 수신 확인 링크 (전송에 성공하면 저장)
+    const confirmation = prepareOrderConfirmation({ requestConfirmation: message.requestConfirmation });
+    
+    const rendered = await renderEmailTemplate({
+      subject: message.subject,
+      body: message.body,
+      attachment: downloadResult.data,
+      attachmentName: message.attachmentDisplayName,
+      variables: message.variables,
+      bodyFormat: message.bodyFormat,
+      includeOrderSummary: message.includeOrderSummary,
+      hideOrderSummary: Boolean(message.attachmentProtection),
+      confirmation
+    });
+    
+    // 공급처 정책에 따라 첨부파일 암호화 (비밀번호는 전송 후 따로 전달)
+    const { attachment, password, mode: protectionMode } = buildMailAttachment(message, downloadResult.data);
     
     const mailOptions = {
       from: process.env.EMAIL_FROM_ADDRESS || process.env.EMAIL_USER || 'test@test.com',
       to: to,
-      subject: emailSubject,
-      text: emailBody,
-      html: emailBody.replace(/\n/g, '<br>'),
-      attachments: [
-        {
-          filename: attachmentDisplayName || path.basename(attachmentPath),
-          content: downloadResult.data,
-          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-        }
-      ]
+      cc: cc || undefined,
+      bcc: bcc || undefined,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      attachments: [attachment]
     };
 
     console.log('🔍 환경변수 체크:', {
@@ -266,65 +283,118 @@ router.post('/send', createRateLimitMiddleware('emailSending'), async (req, res)
       NODE_ENV: process.env.NODE_ENV
     });
     
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    if (!transport) {
       console.log('📧 [시뮬레이션 모드] 이메일 전송:', {
         to: to,
-        subject: emailSubject,
+        cc: cc,
+        bcc: bcc,
+        subject: rendered.subject,
         attachment: path.basename(attachmentPath)
       });
       
       const info = {
         messageId: 'simulation-' + Date.now(),
-        accepted: [to]
+        accepted: [...recipients.to, ...recipients.cc, ...recipients.bcc]
       };
       
+      const confirmationRow = await recordOrderConfirmation(confirmation, {
+        source: 'send', message, rendered, messageId: info.messageId, templateName: templateId
+      });
+      
       await saveEmailHistory({
         to,
-        subject: emailSubject,
-        attachmentName: attachmentDisplayName || path.basename(attachmentPath),
+        subject: rendered.subject,
+        attachmentName: message.attachmentDisplayName,
         sentAt: new Date().toISOString(),
         messageId: info.messageId,
         status: 'simulation',
         templateName: templateId
       });
+      
+      const passwordDelivery = await deliverAttachmentPassword({
+        message, rendered, attachment, password, protectionMode, transport, messageId: info.messageId, context: { templateName: templateId }
+      });
 
       res.json({
         success: true,
         message: `이메일이 시뮬레이션으로 전송되었습니다. (${to}) - 실제 전송하려면 Gmail 설정을 완료하세요.`,
         messageId: info.messageId,
         sentAt: new Date().toISOString(),
-        simulation: true
+        simulation: true,
+        confirmation: toConfirmationSummary(confirmationRow),
+        passwordDelivery
       });
       
       return;
     }
 
-    const info = await transporter.sendMail(mailOptions);
+    let info;
+    try {
+      info = await transport.sendMail(mailOptions);
+    } catch (sendError) {
+      // 일시적인 SMTP 오류는 백그라운드에서 재시도 (결과는 전송 이력에 기록), 그 외 오류는 전송 실패 목록에 보관
+      const outcome = await emailDelivery.handleFailure({
+        source: 'send',
+        message,
+        context: { templateName: templateId }
+      }, sendError);
+      
+      if (outcome.status === 'retrying') {
+        return res.status(202).json({
+          success: true,
+          retrying: true,
+          message: `이메일 전송에 실패하여 ${new Date(outcome.nextAttemptAt).toLocaleString('ko-KR')}에 다시 시도합니다. (${to})`,
+          jobId: outcome.jobId,
+          nextAttemptAt: outcome.nextAttemptAt,
+          details: sendError.message
+        });
+      }
+      
+      sendError.deadLetterId = outcome.deadLetterId;
+      throw sendError;
+    }
+    
+    console.log(transport.captured
+      ? `✅ 이메일 보관 완료 (${transport.name} 전송 방식, 실제 전송 안 함)`
+      : '✅ 이메일 전송 완료 (메모리 버퍼 사용, 임시 파일 없음)');
     
-    console.log('✅ 이메일 전송 완료 (메모리 버퍼 사용, 임시 파일 없음)');
+    const confirmationRow = await recordOrderConfirmation(confirmation, {
+      source: 'send', message, rendered, messageId: info.messageId, templateName: templateId
+    });
     
     await saveEmailHistory({
       to,
-      subject: emailSubject,
-      attachmentName: attachmentDisplayName || path.basename(attachmentPath),
+      subject: rendered.subject,
+      attachmentName: message.attachmentDisplayName,
       sentAt: new Date().toISOString(),
       messageId: info.messageId,
-      status: 'success',
+      status: transport.captured ? 'simulation' : 'success',
       templateName: templateId
     });
+    
+    const passwordDelivery = await deliverAttachmentPassword({
+      message, rendered, attachment, password, protectionMode, transport, messageId: info.messageId, context: { templateName: templateId }
+    });
 
     res.json({
       success: true,
-      message: `이메일이 성공적으로 전송되었습니다. (${to})`,
+      message: transport.captured
+        ? `이메일이 실제로 전송되지 않고 ${transport.name} 전송 방식으로 보관되었습니다. (${to})`
+        : `이메일이 성공적으로 전송되었습니다. (${to})`,
       messageId: info.messageId,
-      sentAt: new Date().toISOString()
+      sentAt: new Date().toISOString(),
+      simulation: transport.captured || undefined,
+      captured: transport.captured || undefined,
+      outboxId: info.outboxId,
+      confirmation: toConfirmationSummary(confirmationRow),
+      passwordDelivery
     });
 
   } catch (error) {
     console.error('이메일 전송 오류:', error);
     
     await saveEmailHistory({
-      to: req.body.to,
+      to: formatEmailList(parseEmailList(req.body.to)),
       subject: req.body.subject,
       attachmentName: req.body.attachmentDisplayName || (req.body.attachmentPath ? path.basename(req.body.attachmentPath) : ''),
       sentAt: new Date().toISOString(),
@@ -335,7 +405,135 @@ router.post('/send', createRateLimitMiddleware('emailSending'), async (req, res)
 
     res.status(500).json({ 
       error: '이메일 전송 중 오류가 발생했습니다.', 
-      details: error.message 
+      details: error.message,
+      deadLetterId: error.deadLetterId
+    });
+  }
+});
+
+// 📦 발주서 일괄 전송 (공급처별로 나뉜 발주서를 한 번에 전송)
+// body: { name, items: [{ attachmentPath, attachmentDisplayName, to, cc, bcc, supplierId, templateId, subject, body, variables, bodyFormat, includeOrderSummary, requestConfirmation,
+//                          attachmentProtection, passwordDelivery, passwordRecipient }],
+//         templateId, subject, body, bodyFormat, includeOrderSummary, requestConfirmation, attachmentProtection, passwordDelivery, passwordRecipient (항목에 없을 때 쓰는 기본값) }
+// 요청 한 번이 이메일 전송 한도(emailSending) 1회로 계산되며, 항목은 백그라운드에서 EMAIL_BATCH_INTERVAL_MS 간격으로 전송
+router.post('/send-batch', createRateLimitMiddleware('emailSending'), async (req, res) => {
+  try {
+    const { name, items } = req.body;
+    const maxItems = parseInt(process.env.EMAIL_BATCH_MAX_ITEMS, 10) || DEFAULT_BATCH_MAX_ITEMS;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '전송할 항목(items)이 없습니다.',
+        code: 'INVALID_BATCH_ITEMS'
+      });
+    }
+    if (items.length > maxItems) {
+      return res.status(400).json({
+        success: false,
+        error: `한 번에 전송할 수 있는 발주서는 최대 ${maxItems}건입니다. (요청 ${items.length}건)`,
+        code: 'BATCH_TOO_LARGE'
+      });
+    }
+    
+    // 모든 항목을 먼저 검증 (일부만 전송되지 않도록 하나라도 잘못되면 전체를 접수하지 않음)
+    const defaults = {};
+    BATCH_DEFAULT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) defaults[field] = req.body[field];
+    });
+    
+    const entries = [];
+    const invalidItems = [];
+    for (const [index, item] of items.entries()) {
+      const prepared = await prepareSendMessage({ ...defaults, ...item });
+      if (prepared.error) {
+        invalidItems.push({
+          index,
+          attachmentPath: item?.attachmentPath || null,
+          error: prepared.error.error,
+          details: prepared.error.details
+        });
+      } else {
+        entries.push({ message: prepared.message, templateName: prepared.templateId });
+      }
+    }
+    
+    if (invalidItems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `일괄 전송 항목 ${invalidItems.length}건에 오류가 있어 전송하지 않았습니다.`,
+        code: 'INVALID_BATCH_ITEMS',
+        details: invalidItems
+      });
+    }
+    
+    const job = await emailBatchQueue.enqueue({ name: name || null, items: entries });
+    console.log(`📦 일괄 전송 접수: ${entries.length}건 (${job.id})`);
+    
+    if (process.env.EMAIL_BATCH_PROCESSING_MODE === 'sync') {
+      let finishedJob;
+      try {
+        finishedJob = await emailBatchQueue.waitFor(job.id);
+      } catch (error) {
+        // 작업 결과를 기록하지 못함 (저장소 오류 등) - 항목별 결과는 /batches/:id로 확인
+        console.error('❌ 일괄 전송 처리 오류:', job.id, error.message);
+        return res.status(500).json({
+          success: false,
+          error: '일괄 전송 처리 중 오류가 발생했습니다.',
+          code: 'BATCH_PROCESSING_FAILED',
+          details: error.message,
+          batchId: job.id
+        });
+      }
+      return res.status(finishedJob.status === 'completed' ? 200 : 500).json({
+        success: finishedJob.status === 'completed',
+        batch: toBatchResponse(finishedJob)
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: `발주서 ${entries.length}건의 일괄 전송이 접수되었습니다.`,
+      batchId: job.id,
+      total: entries.length,
+      statusUrl: `/api/email/batches/${job.id}`
+    });
+  } catch (error) {
+    console.error('❌ 일괄 전송 접수 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '일괄 전송 접수 중 오류가 발생했습니다.',
+      code: 'BATCH_ENQUEUE_FAILED',
+      details: error.message
+    });
+  }
+});
+
+// 📦 일괄 전송 상태 (항목별 전송 결과와 전송 이력)
+router.get('/batches/:id', async (req, res) => {
+  try {
+    const job = await emailBatchQueue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: '일괄 전송을 찾을 수 없습니다.',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+    
+    const history = await getRepositories().emailHistory.listByBatchId(job.id);
+    res.json({
+      success: true,
+      batch: toBatchResponse(job),
+      history
+    });
+  } catch (error) {
+    console.error('❌ 일괄 전송 상태 조회 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '일괄 전송 상태 조회 중 오류가 발생했습니다.',
+      code: 'BATCH_LOOKUP_FAILED',
+      details: error.message
     });
   }
 });
@@ -464,6 +662,8 @@ router.get('/scheduled', async (req, res) => {
           const scheduledItem = {
             id: item.message_id || `unknown-${Date.now()}`,
             to: item.to_email || '',
+            cc: typeof additionalInfo.cc === 'string' ? additionalInfo.cc : '',
+            bcc: typeof additionalInfo.bcc === 'string' ? additionalInfo.bcc : '',
             subject: item.subject || '',
             body: (additionalInfo.body && typeof additionalInfo.body === 'string') ? additionalInfo.body : '',
             attachmentPath: (additionalInfo.attachmentPath && typeof additionalInfo.attachmentPath === 'string') ? additionalInfo.attachmentPath : (item.attachment_name || ''),
@@ -514,9 +714,7 @@ router.delete('/scheduled/:scheduleId', async (req, res) => {
     console.log('❌ 예약된 이메일 취소 요청:', scheduleId);
     
     // 활성 타이머가 있으면 취소
-    if (activeTimers.has(scheduleId)) {
-      clearTimeout(activeTimers.get(scheduleId));
-      activeTimers.delete(scheduleId);
+    if (emailScheduler.cancel(scheduleId)) {
       console.log('⏰ 예약 타이머 취소됨:', scheduleId);
     }
     
@@ -544,109 +742,582 @@ router.delete('/scheduled/:scheduleId', async (req, res) => {
   }
 });
 
-// 📧 이메일 템플릿 저장 (Supabase)
-router.post('/template', async (req, res) => {
+// 🔁 정기 발주 반복 예약 목록
+router.get('/recurring', async (req, res) => {
   try {
-    const { templateName, subject, body, recipients } = req.body;
+    const schedules = await getRepositories().recurringEmailSchedules.list();
     
-    console.log('📧 이메일 템플릿 저장 요청:', templateName);
+    res.json({
+      success: true,
+      timezone: TIMEZONE,
+      schedules: schedules.map(toRecurringScheduleResponse),
+      total: schedules.length
+    });
+  } catch (error) {
+    console.error('❌ 반복 예약 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '반복 예약 목록을 가져오는 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
 
-    const saveResult = await saveEmailTemplate(templateName, subject, body, recipients || []);
+// 🔁 정기 발주 반복 예약 등록
+router.post('/recurring', async (req, res) => {
+  try {
+    const resolved = await resolveRecurringScheduleInput(req.body);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ success: false, ...resolved.error });
+    }
+    
+    const schedule = await getRepositories().recurringEmailSchedules.create(resolved.values);
+    recurringScheduler.schedule(schedule);
+    
+    console.log('🔁 반복 예약 등록:', { id: schedule.id, name: schedule.name, nextRunAt: schedule.next_run_at });
+    
+    res.json({
+      success: true,
+      message: `반복 예약이 등록되었습니다. 다음 실행: ${formatSeoulTime(schedule.next_run_at)}`,
+      schedule: toRecurringScheduleResponse(schedule)
+    });
+  } catch (error) {
+    console.error('❌ 반복 예약 등록 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '반복 예약 등록 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
 
-    if (!saveResult.success) {
-      return res.status(500).json({ 
-        error: 'Supabase 템플릿 저장 실패', 
-        details: saveResult.error 
+// 🔁 정기 발주 반복 예약 수정 (isActive: false로 일시 중지)
+router.put('/recurring/:id', async (req, res) => {
+  try {
+    const { recurringEmailSchedules } = getRepositories();
+    const existing = await recurringEmailSchedules.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: '반복 예약을 찾을 수 없습니다.',
+        code: 'RECURRING_SCHEDULE_NOT_FOUND'
       });
     }
-
+    
+    const resolved = await resolveRecurringScheduleInput(req.body, existing);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ success: false, ...resolved.error });
+    }
+    
+    const schedule = await recurringEmailSchedules.update(existing.id, resolved.values);
+    recurringScheduler.schedule(schedule);
+    
     res.json({
       success: true,
-      message: '이메일 템플릿이 저장되었습니다.',
-      templateId: templateName
+      message: schedule.is_active
+        ? `반복 예약이 수정되었습니다. 다음 실행: ${formatSeoulTime(schedule.next_run_at)}`
+        : '반복 예약이 일시 중지되었습니다.',
+      schedule: toRecurringScheduleResponse(schedule)
     });
-
   } catch (error) {
-    console.error('❌ 템플릿 저장 오류:', error);
-    res.status(500).json({ 
-      error: '템플릿 저장 중 오류가 발생했습니다.', 
-      details: error.message 
+    console.error('❌ 반복 예약 수정 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '반복 예약 수정 중 오류가 발생했습니다.',
+      details: error.message
     });
   }
 });
 
-// 📧 전송 이력 조회 (Supabase)
-router.get('/history', async (req, res) => {
-  // JSON 응답 헤더 설정
-  res.setHeader('Content-Type', 'application/json');
-  
+// 🔁 정기 발주 반복 예약 삭제
+router.delete('/recurring/:id', async (req, res) => {
   try {
-    console.log('📋 이메일 전송 이력 조회 요청');
+    recurringScheduler.cancel(req.params.id);
+    const removed = await getRepositories().recurringEmailSchedules.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: '반복 예약을 찾을 수 없습니다.',
+        code: 'RECURRING_SCHEDULE_NOT_FOUND'
+      });
+    }
     
-    const historyResult = await loadEmailHistory(100); // 최대 100개 조회
+    res.json({
+      success: true,
+      message: '반복 예약이 삭제되었습니다.',
+      id: removed.id
+    });
+  } catch (error) {
+    console.error('❌ 반복 예약 삭제 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '반복 예약 삭제 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
 
-    if (!historyResult.success) {
-      return res.status(500).json({ 
-        error: 'Supabase 이력 조회 실패', 
-        details: historyResult.error 
+// 🔁 정기 발주 반복 예약 즉시 실행 (다음 실행 시각은 그대로 유지)
+router.post('/recurring/:id/run', createRateLimitMiddleware('emailSending'), async (req, res) => {
+  try {
+    const schedule = await getRepositories().recurringEmailSchedules.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: '반복 예약을 찾을 수 없습니다.',
+        code: 'RECURRING_SCHEDULE_NOT_FOUND'
       });
     }
+    
+    const updated = await recurringScheduler.runNow(schedule);
+    
+    // 행 오류로 전송 보류 (hold_on_row_errors)
+    if (updated.last_status === 'held') {
+      return res.status(422).json({
+        success: false,
+        error: '발주서에 변환 실패 행이 있어 전송을 보류했습니다.',
+        code: 'RECURRING_ROW_ERRORS_HELD',
+        details: updated.last_row_errors,
+        schedule: toRecurringScheduleResponse(updated)
+      });
+    }
+    
+    const succeeded = updated.last_status !== 'failed';
+    
+    res.status(succeeded ? 200 : 500).json({
+      success: succeeded,
+      message: !succeeded
+        ? '정기 발주서 전송에 실패했습니다.'
+        : updated.last_status === 'retrying'
+          ? `정기 발주서 전송에 실패하여 잠시 후 다시 시도합니다. (${schedule.to_email})`
+          : `정기 발주서가 전송되었습니다. (${schedule.to_email})`,
+      error: succeeded ? undefined : updated.last_error,
+      warning: succeeded && updated.last_row_errors?.length > 0 ? updated.last_error : undefined,
+      schedule: toRecurringScheduleResponse(updated)
+    });
+  } catch (error) {
+    console.error('❌ 반복 예약 즉시 실행 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '반복 예약 실행 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
 
+// 📭 전송 실패 이메일 목록 (재시도 후에도 전송되지 않았거나 재시도할 수 없는 오류로 실패한 이메일)
+// query: status=dead(기본값)|resent|discarded|all, limit
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const status = req.query.status || 'dead';
+    const deadLetters = await getRepositories().emailDeadLetters.list({
+      status: status === 'all' ? undefined : status,
+      limit: parseInt(req.query.limit, 10) || 100
+    });
+    
     res.json({
       success: true,
-      history: historyResult.data || []
+      dead_letters: deadLetters,
+      total: deadLetters.length
+    });
+  } catch (error) {
+    console.error('❌ 전송 실패 이메일 조회 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '전송 실패 이메일 조회 중 오류가 발생했습니다.',
+      code: 'DEAD_LETTER_LOOKUP_FAILED',
+      details: error.message
     });
+  }
+});
 
+// 📖 전송 실패 이메일 상세
+router.get('/dead-letters/:id', async (req, res) => {
+  try {
+    const deadLetter = await findDeadLetter(req.params.id, res, { pendingOnly: false });
+    if (!deadLetter) return;
+    
+    res.json({
+      success: true,
+      dead_letter: deadLetter
+    });
   } catch (error) {
-    console.error('❌ 이력 조회 오류:', error);
-    res.status(500).json({ 
-      error: '이력 조회 중 오류가 발생했습니다.', 
-      details: error.message 
+    console.error('❌ 전송 실패 이메일 조회 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '전송 실패 이메일 조회 중 오류가 발생했습니다.',
+      code: 'DEAD_LETTER_LOOKUP_FAILED',
+      details: error.message
     });
   }
 });
 
-// 📧 선택된 이력 삭제 (Supabase ID 또는 인덱스 방식)
-router.delete('/history/delete', async (req, res) => {
+// ✏️ 전송 실패 이메일 수정 (수신자, 제목/본문, 첨부파일 등 보낸 필드만 변경)
+router.put('/dead-letters/:id', async (req, res) => {
   try {
-    const { historyIds, indices } = req.body;
+    const deadLetter = await findDeadLetter(req.params.id, res);
+    if (!deadLetter) return;
     
-    console.log('🗑️ 이메일 이력 삭제 요청:', { historyIds, indices });
+    const changes = buildDeadLetterMessageChanges(req.body || {});
+    if (changes.error) {
+      return res.status(400).json({ success: false, ...changes.error });
+    }
     
-    let successCount = 0;
-    let failCount = 0;
-    const errors = [];
+    const updated = await getRepositories().emailDeadLetters.update(deadLetter.id, {
+      message: { ...deadLetter.message, ...changes.values }
+    });
+    console.log('✏️ 전송 실패 이메일 수정:', deadLetter.id, Object.keys(changes.values));
     
-    // Supabase ID 기반 삭제
-    if (historyIds && Array.isArray(historyIds) && historyIds.length > 0) {
-      console.log('🆔 Supabase ID로 삭제:', historyIds.length + '개');
-      
-      for (const historyId of historyIds) {
-        const deleteResult = await deleteEmailHistory(historyId);
-        
-        if (deleteResult.success) {
-          successCount++;
-        } else {
-          failCount++;
-          errors.push(`ID ${historyId}: ${deleteResult.error}`);
-        }
-      }
-    }
+    res.json({
+      success: true,
+      message: '전송 실패 이메일이 수정되었습니다.',
+      dead_letter: updated
+    });
+  } catch (error) {
+    console.error('❌ 전송 실패 이메일 수정 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '전송 실패 이메일 수정 중 오류가 발생했습니다.',
+      code: 'DEAD_LETTER_UPDATE_FAILED',
+      details: error.message
+    });
+  }
+});
+
+// 📬 전송 실패 이메일 다시 전송 (1회 시도, 실패하면 목록에 그대로 남음)
+router.post('/dead-letters/:id/resend', createRateLimitMiddleware('emailSending'), async (req, res) => {
+  let deadLetter;
+  try {
+    deadLetter = await findDeadLetter(req.params.id, res);
+    if (!deadLetter) return;
     
-    // 인덱스 기반 삭제 (fallback)
-    if (indices && Array.isArray(indices) && indices.length > 0) {
-      console.log('📍 인덱스로 삭제:', indices.length + '개');
-      
-      // 히스토리 전체 조회
-      const historyResult = await loadEmailHistory(100);
-      
-      if (historyResult.success && historyResult.data) {
-        const history = historyResult.data;
-        
-        // 인덱스를 내림차순으로 정렬하여 뒤쪽부터 삭제
-        const sortedIndices = indices.sort((a, b) => b - a);
-        
-        for (const index of sortedIndices) {
+    const { deadLetter: resent, result } = await emailDelivery.resend(deadLetter);
+    
+    await saveEmailHistory({
+      to: deadLetter.message.to,
+      subject: result.subject || deadLetter.message.subject,
+      attachmentName: deadLetter.message.attachmentDisplayName || path.basename(deadLetter.message.attachmentPath),
+      sentAt: new Date().toISOString(),
+      messageId: result.messageId,
+      status: result.status,
+      templateName: deadLetter.context?.templateName
+    });
+    
+    res.json({
+      success: true,
+      message: `전송 실패 이메일을 다시 전송했습니다. (${deadLetter.message.to})`,
+      messageId: result.messageId,
+      simulation: result.status === 'simulation' || undefined,
+      dead_letter: resent
+    });
+  } catch (error) {
+    console.error('❌ 전송 실패 이메일 다시 전송 오류:', error.message);
+    res.status(error.deadLetter ? 502 : 500).json({
+      success: false,
+      error: '전송 실패 이메일을 다시 전송하지 못했습니다.',
+      code: 'DEAD_LETTER_RESEND_FAILED',
+      details: error.message,
+      dead_letter: error.deadLetter
+    });
+  }
+});
+
+// 🗑️ 전송 실패 이메일 폐기
+router.post('/dead-letters/:id/discard', async (req, res) => {
+  try {
+    const deadLetter = await findDeadLetter(req.params.id, res);
+    if (!deadLetter) return;
+    
+    const discarded = await getRepositories().emailDeadLetters.update(deadLetter.id, {
+      status: 'discarded',
+      resolved_at: new Date().toISOString()
+    });
+    console.log('🗑️ 전송 실패 이메일 폐기:', deadLetter.id);
+    
+    res.json({
+      success: true,
+      message: '전송 실패 이메일이 폐기되었습니다.',
+      dead_letter: discarded
+    });
+  } catch (error) {
+    console.error('❌ 전송 실패 이메일 폐기 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '전송 실패 이메일 폐기 중 오류가 발생했습니다.',
+      code: 'DEAD_LETTER_DISCARD_FAILED',
+      details: error.message
+    });
+  }
+});
+
+// 📥 보낸 편지함 (MAIL_TRANSPORT=memory) - 메일 서버 없이 전송된 이메일의 본문과 첨부파일 확인
+// memory 전송 방식이 아니면 사용할 수 없음
+function getOutbox(res) {
+  const transport = getMailTransport();
+  if (!transport || transport.name !== 'memory') {
+    res.status(404).json({
+      success: false,
+      error: '보낸 편지함은 MAIL_TRANSPORT=memory일 때만 사용할 수 있습니다.',
+      code: 'OUTBOX_NOT_AVAILABLE'
+    });
+    return null;
+  }
+  return transport;
+}
+
+function sendOutboxNotFound(res) {
+  res.status(404).json({
+    success: false,
+    error: '보낸 편지함에서 이메일을 찾을 수 없습니다.',
+    code: 'OUTBOX_EMAIL_NOT_FOUND'
+  });
+}
+
+// 📋 보관된 이메일 목록 (최신순, query: to, limit)
+router.get('/outbox', (req, res) => {
+  const outbox = getOutbox(res);
+  if (!outbox) return;
+  
+  const emails = outbox.list({ to: req.query.to, limit: parseInt(req.query.limit, 10) || undefined });
+  res.json({
+    success: true,
+    emails,
+    total: emails.length
+  });
+});
+
+// 📄 보관된 이메일 상세 (text/html 본문, 첨부파일 목록)
+router.get('/outbox/:id', (req, res) => {
+  const outbox = getOutbox(res);
+  if (!outbox) return;
+  
+  const email = outbox.get(req.params.id);
+  if (!email) return sendOutboxNotFound(res);
+  
+  res.json({
+    success: true,
+    email
+  });
+});
+
+// 📨 보관된 이메일 원문 (.eml)
+router.get('/outbox/:id/raw', (req, res) => {
+  const outbox = getOutbox(res);
+  if (!outbox) return;
+  
+  const raw = outbox.getRaw(req.params.id);
+  if (!raw) return sendOutboxNotFound(res);
+  
+  res.setHeader('Content-Type', 'message/rfc822');
+  res.setHeader('Content-Disposition', `attachment; filename="${req.params.id}.eml"`);
+  res.send(raw);
+});
+
+// 📎 보관된 이메일의 첨부파일 다운로드 (index: 0부터)
+router.get('/outbox/:id/attachments/:index', (req, res) => {
+  const outbox = getOutbox(res);
+  if (!outbox) return;
+  
+  const attachment = outbox.getAttachment(req.params.id, parseInt(req.params.index, 10));
+  if (!attachment) return sendOutboxNotFound(res);
+  
+  res.setHeader('Content-Type', attachment.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename || 'attachment')}`);
+  res.send(attachment.content);
+});
+
+// 🗑️ 보낸 편지함 비우기
+router.delete('/outbox', (req, res) => {
+  const outbox = getOutbox(res);
+  if (!outbox) return;
+  
+  const cleared = outbox.clear();
+  console.log(`🗑️ 보낸 편지함 비움: ${cleared}개`);
+  res.json({
+    success: true,
+    message: `보낸 편지함에서 이메일 ${cleared}개를 지웠습니다.`,
+    cleared
+  });
+});
+
+// 📧 이메일 템플릿 저장 (Supabase)
+router.post('/template', async (req, res) => {
+  try {
+    const { templateName, subject, body, recipients } = req.body;
+    
+    console.log('📧 이메일 템플릿 저장 요청:', templateName);
+
+    const saveResult = await saveEmailTemplate(templateName, subject, body, recipients || []);
+
+    if (!saveResult.success) {
+      return res.status(500).json({ 
+        error: 'Supabase 템플릿 저장 실패', 
+        details: saveResult.error 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '이메일 템플릿이 저장되었습니다.',
+      templateId: templateName
+    });
+
+  } catch (error) {
+    console.error('❌ 템플릿 저장 오류:', error);
+    res.status(500).json({ 
+      error: '템플릿 저장 중 오류가 발생했습니다.', 
+      details: error.message 
+    });
+  }
+});
+
+// 👀 이메일 템플릿 미리보기 ({{변수}}를 발주서 정보로 치환한 결과)
+router.post('/template/preview', async (req, res) => {
+  try {
+    const { templateName, attachmentPath, attachmentDisplayName, variables, bodyFormat, includeOrderSummary, requestConfirmation } = req.body;
+    let { subject, body } = req.body;
+    
+    if (templateName) {
+      const templateResult = await loadEmailTemplate(templateName);
+      if (!templateResult.success) {
+        return res.status(404).json({
+          success: false,
+          error: `이메일 템플릿을 찾을 수 없습니다: ${templateName}`,
+          code: 'EMAIL_TEMPLATE_NOT_FOUND'
+        });
+      }
+      subject = subject ?? templateResult.data.subject;
+      body = body ?? templateResult.data.body;
+    }
+    
+    if (subject === undefined && body === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'templateName 또는 subject/body가 필요합니다.',
+        code: 'MISSING_TEMPLATE'
+      });
+    }
+    
+    // 발주서를 지정하면 발주서에서 변수 값을 읽음 (없으면 date와 직접 지정한 값만 사용)
+    let attachment = null;
+    if (attachmentPath) {
+      const downloadResult = await downloadFile(attachmentPath, 'generated');
+      if (!downloadResult.success) {
+        return res.status(404).json({
+          success: false,
+          error: '첨부파일을 찾을 수 없습니다. 발주서가 정상적으로 생성되었는지 확인해주세요.',
+          code: 'ATTACHMENT_NOT_FOUND',
+          details: downloadResult.error
+        });
+      }
+      attachment = downloadResult.data;
+    }
+    
+    const rendered = await renderEmailTemplate({
+      subject: subject || '',
+      body: body || '',
+      attachment,
+      attachmentName: attachmentDisplayName || (attachmentPath ? path.basename(attachmentPath) : undefined),
+      variables,
+      bodyFormat,
+      includeOrderSummary: includeOrderSummary === true,
+      // 미리보기용 확인 링크 (저장하지 않으므로 실제로 동작하지 않음)
+      confirmation: prepareOrderConfirmation({ requestConfirmation })
+    });
+    
+    res.json({
+      success: true,
+      subject: rendered.subject,
+      body: rendered.body,
+      html: rendered.html,
+      text: rendered.text,
+      bodyFormat: rendered.bodyFormat,
+      variables: rendered.variables,
+      unresolved: rendered.unresolved,
+      availableVariables: TEMPLATE_VARIABLES
+    });
+  } catch (error) {
+    console.error('❌ 템플릿 미리보기 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '템플릿 미리보기 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 📧 전송 이력 조회 (Supabase)
+router.get('/history', async (req, res) => {
+  // JSON 응답 헤더 설정
+  res.setHeader('Content-Type', 'application/json');
+  
+  try {
+    console.log('📋 이메일 전송 이력 조회 요청');
+    
+    const historyResult = await loadEmailHistory(100); // 최대 100개 조회
+
+    if (!historyResult.success) {
+      return res.status(500).json({ 
+        error: 'Supabase 이력 조회 실패', 
+        details: historyResult.error 
+      });
+    }
+
+    res.json({
+      success: true,
+      history: historyResult.data || []
+    });
+
+  } catch (error) {
+    console.error('❌ 이력 조회 오류:', error);
+    res.status(500).json({ 
+      error: '이력 조회 중 오류가 발생했습니다.', 
+      details: error.message 
+    });
+  }
+});
+
+// 📧 선택된 이력 삭제 (Supabase ID 또는 인덱스 방식)
+router.delete('/history/delete', async (req, res) => {
+  try {
+    const { historyIds, indices } = req.body;
+    
+    console.log('🗑️ 이메일 이력 삭제 요청:', { historyIds, indices });
+    
+    let successCount = 0;
+    let failCount = 0;
+    const errors = [];
+    
+    // Supabase ID 기반 삭제
+    if (historyIds && Array.isArray(historyIds) && historyIds.length > 0) {
+      console.log('🆔 Supabase ID로 삭제:', historyIds.length + '개');
+      
+      for (const historyId of historyIds) {
+        const deleteResult = await deleteEmailHistory(historyId);
+        
+        if (deleteResult.success) {
+          successCount++;
+        } else {
+          failCount++;
+          errors.push(`ID ${historyId}: ${deleteResult.error}`);
+        }
+      }
+    }
+    
+    // 인덱스 기반 삭제 (fallback)
+    if (indices && Array.isArray(indices) && indices.length > 0) {
+      console.log('📍 인덱스로 삭제:', indices.length + '개');
+      
+      // 히스토리 전체 조회
+      const historyResult = await loadEmailHistory(100);
+      
+      if (historyResult.success && historyResult.data) {
+        const history = historyResult.data;
+        
+        // 인덱스를 내림차순으로 정렬하여 뒤쪽부터 삭제
+        const sortedIndices = indices.sort((a, b) => b - a);
+        
+        for (const index of sortedIndices) {
           if (index >= 0 && index < history.length) {
             const item = history[index];
             if (item && item.id) {
@@ -740,4 +1411,683 @@ router.delete('/history/clear', async (req, res) => {
 // - saveEmailHistory → utils/supabase.js의 saveEmailHistory
 // =====================================================
 
-module.exports = router; 
\ No newline at end of file
+// 📅 예약/재시도 이메일 전송 (스케줄러, 재시도 작업, 전송 실패 다시 보내기에서 호출, 첨부파일은 전송 시점에 다운로드)
+async function sendScheduledEmail(schedule, { source = 'scheduled', context = {} } = {}) {
+  const downloadResult = await downloadFile(schedule.attachmentPath, 'generated');
+  if (!downloadResult.success) {
+    throw new Error(`첨부파일 다운로드 실패: ${downloadResult.error}`);
+  }
+  
+  const confirmation = prepareOrderConfirmation({ requestConfirmation: schedule.requestConfirmation });
+  const rendered = await renderEmailTemplate({
+    subject: schedule.subject,
+    body: schedule.body,
+    attachment: downloadResult.data,
+    attachmentName: schedule.attachmentDisplayName || path.basename(schedule.attachmentPath),
+    variables: schedule.variables,
+    bodyFormat: schedule.bodyFormat,
+    includeOrderSummary: schedule.includeOrderSummary,
+    hideOrderSummary: Boolean(schedule.attachmentProtection),
+    confirmation
+  });
+  const { attachment, password, mode: protectionMode } = buildMailAttachment(schedule, downloadResult.data);
+  
+  const transport = getMailTransport();
+  const mailOptions = {
+    from: process.env.EMAIL_FROM_ADDRESS || process.env.EMAIL_USER || 'test@test.com',
+    to: schedule.to,
+    cc: schedule.cc || undefined,
+    bcc: schedule.bcc || undefined,
+    subject: rendered.subject,
+    text: rendered.text,
+    html: rendered.html,
+    attachments: [attachment]
+  };
+  
+  if (!transport) {
+    // 시뮬레이션 모드
+    console.log('📧 [시뮬레이션] 예약된 이메일 전송:', { to: schedule.to, subject: rendered.subject });
+    const messageId = 'scheduled-simulation-' + Date.now();
+    await recordOrderConfirmation(confirmation, { source, message: schedule, rendered, messageId, templateName: context.templateName });
+    const passwordDelivery = await deliverAttachmentPassword({ message: schedule, rendered, attachment, password, protectionMode, transport, messageId, context });
+    return { status: 'simulation', messageId, subject: rendered.subject, passwordDelivery };
+  }
+  
+  const info = await transport.sendMail(mailOptions);
+  console.log(transport.captured ? `✅ 예약된 이메일 보관 완료 (${transport.name} 전송 방식):` : '✅ 예약된 이메일 전송 완료:', info.messageId);
+  await recordOrderConfirmation(confirmation, { source, message: schedule, rendered, messageId: info.messageId, templateName: context.templateName });
+  const passwordDelivery = await deliverAttachmentPassword({ message: schedule, rendered, attachment, password, protectionMode, transport, messageId: info.messageId, context });
+  return { status: transport.captured ? 'simulation' : 'success', messageId: info.messageId, subject: rendered.subject, passwordDelivery };
+}
+
+// 🔒 발주서 첨부파일 (attachmentProtection이 있으면 암호화, 비밀번호는 전송 후 deliverAttachmentPassword로 따로 전달)
+// xlsx 암호화 정책이어도 .xlsx가 아닌 발주서는 ZIP으로 암호화 (mode: 실제 적용한 방식)
+function buildMailAttachment(message, content) {
+  return protectAttachment({
+    filename: message.attachmentDisplayName || path.basename(message.attachmentPath),
+    content,
+    contentType: getFileContentType(message.attachmentPath, content)
+  }, message.attachmentProtection || null);
+}
+
+// 🔑 첨부파일 비밀번호를 발주서 이메일과 따로 전달 (발주서 전송 후 호출, 실패해도 발주서 전송 결과는 그대로)
+// 비밀번호 안내 이메일은 전송 이력에 따로 남기며, 비밀번호 자체는 저장하지 않음
+async function deliverAttachmentPassword({ message, rendered, attachment, password, protectionMode, transport, messageId, context = {} }) {
+  const protection = message.attachmentProtection;
+  if (!protection || !password) return undefined;
+  
+  const channel = protection.passwordDelivery;
+  const recipient = protection.passwordRecipient || (channel === 'email' ? message.to : null);
+  const passwordEmail = buildPasswordEmail({ subject: rendered.subject, attachmentName: attachment.filename, password, mode: protectionMode || protection.mode });
+  const saveHistory = (values) => saveEmailHistory({
+    to: recipient,
+    subject: passwordEmail.subject,
+    sentAt: new Date().toISOString(),
+    templateName: context.templateName,
+    batchId: context.batchId,
+    ...values
+  });
+  
+  try {
+    if (channel === 'webhook') {
+      await sendPasswordWebhook({
+        recipient,
+        supplier: rendered.variables.supplier || null,
+        to: message.to,
+        subject: rendered.subject,
+        attachmentName: attachment.filename,
+        password,
+        messageId
+      });
+      console.log('🔑 첨부파일 비밀번호 webhook 전달 완료:', recipient || message.to);
+      return { channel, status: 'success', recipient };
+    }
+    
+    let status = 'simulation';
+    let passwordMessageId = 'password-simulation-' + Date.now();
+    if (!transport) {
+      console.log('📧 [시뮬레이션] 첨부파일 비밀번호 안내 이메일:', { to: recipient, subject: passwordEmail.subject });
+    } else {
+      const info = await transport.sendMail({
+        from: process.env.EMAIL_FROM_ADDRESS || process.env.EMAIL_USER || 'test@test.com',
+        to: recipient,
+        subject: passwordEmail.subject,
+        text: passwordEmail.text
+      });
+      status = transport.captured ? 'simulation' : 'success';
+      passwordMessageId = info.messageId;
+      console.log('🔑 첨부파일 비밀번호 안내 이메일 전송 완료:', recipient);
+    }
+    
+    await saveHistory({ messageId: passwordMessageId, status });
+    return { channel, status, recipient };
+  } catch (error) {
+    console.error('❌ 첨부파일 비밀번호 전달 실패:', error.message);
+    if (channel === 'email') {
+      await saveHistory({ status: 'failed', error: `비밀번호 안내 실패: ${error.message}` });
+    }
+    return { channel, status: 'failed', recipient, error: error.message };
+  }
+}
+
+// 📨 예약 정보 → 전송할 이메일 (재시도/전송 실패 보관용, 예약 상태 등은 제외)
+function toEmailMessage(schedule) {
+  return {
+    to: schedule.to,
+    cc: schedule.cc || '',
+    bcc: schedule.bcc || '',
+    subject: schedule.subject,
+    body: schedule.body,
+    attachmentPath: schedule.attachmentPath,
+    attachmentDisplayName: schedule.attachmentDisplayName,
+    variables: schedule.variables || {},
+    bodyFormat: schedule.bodyFormat,
+    includeOrderSummary: schedule.includeOrderSummary === true,
+    requestConfirmation: schedule.requestConfirmation !== false,
+    attachmentProtection: schedule.attachmentProtection || null
+  };
+}
+
+// 📦 일괄 전송 작업 처리 (항목별 상태를 progress.items에 저장, 재시도 시 끝난 항목은 건너뜀)
+async function runEmailBatchJob(job, { updateProgress }) {
+  const intervalMs = parseInt(process.env.EMAIL_BATCH_INTERVAL_MS, 10);
+  const throttleMs = Number.isFinite(intervalMs) && intervalMs >= 0 ? intervalMs : DEFAULT_BATCH_INTERVAL_MS;
+  const items = (job.progress && job.progress.items) || createBatchItems(job.payload.items);
+  let sentCount = 0;
+  
+  for (const item of items) {
+    const entry = job.payload.items[item.index];
+    
+    // 전송 도중 재시작된 항목은 실제 전송 여부를 알 수 없으므로 다시 보내지 않음
+    if (item.status === 'sending') {
+      Object.assign(item, { status: 'failed', error: '전송 중 서버가 재시작되어 전송 여부를 확인할 수 없습니다. 수신 여부를 확인한 후 다시 전송하세요.' });
+      await saveBatchItemHistory(job.id, entry, item);
+      await updateProgress({ items });
+      continue;
+    }
+    if (item.status !== 'pending') continue;
+    
+    // 공급처 메일 서버에 한꺼번에 보내지 않도록 항목 사이 대기
+    if (sentCount > 0 && throttleMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, throttleMs));
+    }
+    sentCount += 1;
+    
+    item.status = 'sending';
+    await updateProgress({ stage: 'sending', items });
+    
+    try {
+      const result = await emailDelivery.deliver({
+        source: 'send',
+        message: entry.message,
+        context: { templateName: entry.templateName, batchId: job.id }
+      });
+      
+      if (result.status === 'retrying') {
+        // 최종 결과는 재시도 작업이 전송 이력에 기록
+        Object.assign(item, { status: 'retrying', retryJobId: result.jobId, nextAttemptAt: result.nextAttemptAt, error: result.error });
+      } else {
+        Object.assign(item, { status: result.status, messageId: result.messageId, subject: result.subject });
+        await saveBatchItemHistory(job.id, entry, item);
+      }
+    } catch (error) {
+      Object.assign(item, { status: 'failed', error: error.message, deadLetterId: error.deadLetterId || null });
+      await saveBatchItemHistory(job.id, entry, item);
+    }
+    
+    await updateProgress({ items });
+  }
+  
+  const summary = countBatchItems(items);
+  await updateProgress({ stage: 'completed', items });
+  console.log(`📦 일괄 전송 완료 (${job.id}):`, summary);
+  return summary;
+}
+
+function createBatchItems(entries) {
+  return entries.map((entry, index) => ({
+    index,
+    to: entry.message.to,
+    attachmentName: entry.message.attachmentDisplayName,
+    status: 'pending'
+  }));
+}
+
+function countBatchItems(items) {
+  const counts = { total: items.length, success: 0, simulation: 0, retrying: 0, failed: 0, pending: 0 };
+  items.forEach(item => {
+    const key = item.status === 'sending' ? 'pending' : item.status;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+// 📝 일괄 전송 항목의 전송 이력 (batch_id로 묶음)
+function saveBatchItemHistory(batchId, entry, item) {
+  return saveEmailHistory({
+    to: entry.message.to,
+    subject: item.subject || entry.message.subject,
+    attachmentName: entry.message.attachmentDisplayName,
+    sentAt: new Date().toISOString(),
+    messageId: item.messageId,
+    status: item.status,
+    error: item.error,
+    templateName: entry.templateName,
+    batchId
+  });
+}
+
+// 📦 일괄 전송 상태 응답
+function toBatchResponse(job) {
+  const progress = job.progress || {};
+  const items = progress.items || createBatchItems(job.payload.items);
+  return {
+    id: job.id,
+    name: job.payload.name,
+    status: job.status,
+    stage: progress.stage,
+    summary: countBatchItems(items),
+    items,
+    lastError: job.last_error,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at
+  };
+}
+
+// ✅ 전송 응답에 넣는 발주서 수신 확인 요약
+function toConfirmationSummary(row) {
+  return row ? { id: row.id, status: row.status, deadlineAt: row.deadline_at } : undefined;
+}
+
+// 📝 재시도 작업의 최종 결과 기록 (예약 이메일은 예약 행을 전송 이력으로 이동, 그 외는 전송 이력 추가)
+async function recordDeliveryResult({ message, context = {} }, outcome) {
+  if (context.scheduleId) {
+    const { scheduledEmails } = getRepositories();
+    const row = await scheduledEmails.findById(context.scheduleId);
+    if (row && outcome.subject && outcome.subject !== row.subject) {
+      await scheduledEmails.updateInfo(context.scheduleId, parseScheduleInfo(row), { subject: outcome.subject });
+    }
+    await updateScheduledEmailStatus(context.scheduleId, outcome.status, outcome.messageId, outcome.error);
+  } else {
+    await saveEmailHistory({
+      to: message.to,
+      subject: outcome.subject || message.subject,
+      attachmentName: message.attachmentDisplayName || path.basename(message.attachmentPath),
+      sentAt: new Date().toISOString(),
+      messageId: outcome.messageId,
+      status: outcome.status,
+      error: outcome.error || context.rowErrorSummary,
+      templateName: context.templateName,
+      batchId: context.batchId
+    });
+  }
+  
+  if (context.recurringId) {
+    await getRepositories().recurringEmailSchedules.update(context.recurringId, {
+      last_status: outcome.status,
+      last_error: outcome.error || context.rowErrorSummary || null
+    });
+  }
+}
+
+/**
+ * 다른 라우터(Webhook 등)에서 이메일 1건 전송 (재시도/전송 실패 보관 포함, 결과는 전송 이력에 기록)
+ * @param {Object} message - 전송 단위의 message ({ to, subject, body, attachmentPath, ... })
+ * @param {Object} options
+ * @param {string} options.source - 전송 출처 ('webhook' 등)
+ * @param {Object} [options.context] - 전송 결과 기록용 ({ templateName })
+ * @returns {Promise<Object>} 전송 결과 또는 { status: 'retrying', jobId, nextAttemptAt, error }
+ * @throws 재시도하지 않는 오류 (error.deadLetterId에 보관 ID)
+ */
+async function deliverEmailMessage(message, { source, context = {} }) {
+  let result;
+  try {
+    result = await emailDelivery.deliver({ source, message, context });
+  } catch (error) {
+    await recordDeliveryResult({ message, context }, { status: 'failed', error: error.message });
+    throw error;
+  }
+  
+  // 재시도 중이면 최종 결과를 recordDeliveryResult에서 기록
+  if (result.status !== 'retrying') {
+    await recordDeliveryResult({ message, context }, result);
+  }
+  return result;
+}
+
+// 📭 전송 실패 이메일 조회 (없으면 404, pendingOnly면 이미 처리된 이메일은 409)
+async function findDeadLetter(id, res, { pendingOnly = true } = {}) {
+  const deadLetter = await getRepositories().emailDeadLetters.findById(id);
+  
+  if (!deadLetter) {
+    res.status(404).json({
+      success: false,
+      error: '전송 실패 이메일을 찾을 수 없습니다.',
+      code: 'DEAD_LETTER_NOT_FOUND'
+    });
+    return null;
+  }
+  
+  if (pendingOnly && deadLetter.status !== 'dead') {
+    res.status(409).json({
+      success: false,
+      error: `이미 처리된 전송 실패 이메일입니다. (${deadLetter.status})`,
+      code: 'DEAD_LETTER_ALREADY_RESOLVED'
+    });
+    return null;
+  }
+  
+  return deadLetter;
+}
+
+// ✏️ 전송 실패 이메일 수정 요청 → 변경할 이메일 필드 (수신자는 형식 검사)
+function buildDeadLetterMessageChanges(body) {
+  const invalid = (error, details) => ({ error: { error, code: 'INVALID_DEAD_LETTER_CHANGES', details } });
+  const values = {};
+  
+  for (const field of ['to', 'cc', 'bcc']) {
+    if (body[field] === undefined) continue;
+    const emails = parseEmailList(body[field]);
+    const invalidEmails = findInvalidEmails(emails);
+    if (invalidEmails.length > 0) {
+      return invalid('이메일 주소 형식이 올바르지 않습니다.', invalidEmails);
+    }
+    values[field] = formatEmailList(emails);
+  }
+  if (values.to === '') {
+    return invalid('받는 사람은 비워둘 수 없습니다.');
+  }
+  
+  if (body.bodyFormat !== undefined && !BODY_FORMATS.includes(body.bodyFormat)) {
+    return invalid(`bodyFormat은 ${BODY_FORMATS.join(', ')} 중 하나여야 합니다.`);
+  }
+  if (body.attachmentPath !== undefined && !body.attachmentPath) {
+    return invalid('첨부파일은 비워둘 수 없습니다.');
+  }
+  
+  ['subject', 'body', 'attachmentPath', 'attachmentDisplayName', 'bodyFormat'].forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+  if (body.variables !== undefined) values.variables = body.variables || {};
+  if (body.includeOrderSummary !== undefined) values.includeOrderSummary = body.includeOrderSummary === true;
+  
+  if (Object.keys(values).length === 0) {
+    return invalid('수정할 필드가 없습니다. (to, cc, bcc, subject, body, attachmentPath, attachmentDisplayName, variables, bodyFormat, includeOrderSummary)');
+  }
+  return { values };
+}
+
+// 📇 공급처 주소록/이메일 템플릿 조회 (수신자와 제목/본문 기본값)
+// supplierId가 있으면 공급처의 기본 이메일 템플릿을 사용하고, templateId(이메일 템플릿명)가 있으면 그 템플릿을 우선 사용
+async function resolveEmailDefaults({ supplierId, templateId }) {
+  let supplier = null;
+  if (supplierId) {
+    supplier = await getRepositories().suppliers.findActiveById(supplierId);
+    if (!supplier) {
+      return { status: 404, error: { error: `공급처를 찾을 수 없습니다: ${supplierId}`, code: 'SUPPLIER_NOT_FOUND' } };
+    }
+  }
+
+  const emailTemplateName = templateId && templateId !== 'manual' ? templateId : supplier?.default_email_template;
+  let emailTemplate = null;
+  if (emailTemplateName) {
+    const templateResult = await loadEmailTemplate(emailTemplateName);
+    // 이메일 템플릿이 없어도 요청 값으로 전송 (templateId는 전송 이력 기록용으로도 쓰임)
+    if (templateResult.success) emailTemplate = templateResult.data;
+  }
+
+  return { supplier, emailTemplate, templateId: templateId || emailTemplateName };
+}
+
+// 🔁 반복 예약 응답 (다음 실행 예정 시각 포함, 서울 시각 표시)
+function toRecurringScheduleResponse(schedule) {
+  const upcomingRuns = schedule.is_active && schedule.next_run_at
+    ? [new Date(schedule.next_run_at), ...getUpcomingRunTimes(schedule.rule, 4, new Date(schedule.next_run_at))]
+    : [];
+  
+  return {
+    ...schedule,
+    upcoming_runs: upcomingRuns.map(runAt => ({ at: runAt.toISOString(), seoul: formatSeoulTime(runAt) }))
+  };
+}
+
+// 🔁 반복 예약 요청 검증 및 저장 값 생성 (existing이 있으면 수정 - 보낸 필드만 변경)
+async function resolveRecurringScheduleInput(input = {}, existing = null) {
+  const invalid = (status, error, code, details) => ({ status, error: { error, code, details } });
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : existing?.[column]);
+  
+  // 공급처 주소록의 기본 발주서/이메일 템플릿과 수신자를 기본값으로 사용
+  const supplierId = pick('supplierId', 'supplier_id') || null;
+  let supplier = null;
+  if (supplierId) {
+    supplier = await getRepositories().suppliers.findActiveById(supplierId);
+    if (!supplier) {
+      return invalid(404, `공급처를 찾을 수 없습니다: ${supplierId}`, 'SUPPLIER_NOT_FOUND');
+    }
+  }
+  
+  const name = pick('name', 'name') || supplier?.name;
+  const rule = pick('rule', 'rule');
+  const templateId = pick('templateId', 'template_id') || supplier?.default_order_template_id;
+  const sourceFile = pick('sourceFile', 'source_file');
+  const emailTemplateName = pick('emailTemplateName', 'email_template_name') || supplier?.default_email_template || null;
+  const isActive = input.isActive !== undefined ? input.isActive !== false : (existing ? existing.is_active : true);
+  const holdOnRowErrors = input.holdOnRowErrors !== undefined ? input.holdOnRowErrors === true : existing?.hold_on_row_errors === true;
+  
+  if (!name || !rule || !templateId || !sourceFile) {
+    return invalid(400, '필수 필드가 누락되었습니다. (name, rule, templateId, sourceFile)', 'MISSING_REQUIRED_FIELDS');
+  }
+  
+  const ruleValidation = validateRecurrenceRule(rule);
+  if (!ruleValidation.isValid) {
+    return invalid(400, '반복 규칙이 올바르지 않습니다.', 'INVALID_RECURRENCE_RULE', ruleValidation.errors);
+  }
+  
+  const nextRun = getNextRunTime(rule);
+  if (!nextRun) {
+    return invalid(400, '반복 규칙에 해당하는 실행 시각이 없습니다.', 'NO_UPCOMING_RUN');
+  }
+  
+  // 발주서 템플릿과 주문서 파일은 실행할 때마다 다시 읽으므로 등록 시점에 존재 여부 확인
+  const template = await getRepositories().orderTemplates.findActiveById(templateId);
+  if (!template) {
+    return invalid(404, `템플릿을 찾을 수 없습니다: ${templateId}`, 'TEMPLATE_NOT_FOUND');
+  }
+  if (getTemplateGenerationOptions(template).templateFields.length === 0) {
+    return invalid(400, `템플릿의 공급업체 필드 매핑이 설정되지 않았습니다: ${template.template_name}`, 'TEMPLATE_MAPPING_EMPTY');
+  }
+  
+  const resolveResult = await resolveActualFileName(sourceFile, 'uploads', 'order');
+  if (!resolveResult.success) {
+    return invalid(404, '주문서 파일을 찾을 수 없습니다.', 'SOURCE_FILE_NOT_FOUND', resolveResult.error);
+  }
+  
+  // 이메일 템플릿(예: regular_order)의 제목/본문/수신자를 기본값으로 사용
+  let emailTemplate = null;
+  if (emailTemplateName && emailTemplateName !== existing?.email_template_name) {
+    const templateResult = await loadEmailTemplate(emailTemplateName);
+    if (!templateResult.success) {
+      return invalid(404, `이메일 템플릿을 찾을 수 없습니다: ${emailTemplateName}`, 'EMAIL_TEMPLATE_NOT_FOUND');
+    }
+    emailTemplate = templateResult.data;
+  }
+  
+  // 공급처를 바꾸면 기존 수신자 대신 새 공급처 주소록 사용
+  const supplierChanged = input.supplierId !== undefined && String(input.supplierId) !== String(existing?.supplier_id);
+  const keepExisting = (key, column) => (input[key] === undefined && !supplierChanged && existing?.[column] ? existing[column] : input[key]);
+  const recipients = resolveRecipients({
+    to: keepExisting('to', 'to_email'),
+    cc: keepExisting('cc', 'cc_email'),
+    bcc: keepExisting('bcc', 'bcc_email'),
+    supplier,
+    emailTemplate
+  });
+  if (recipients.to.length === 0) {
+    return invalid(400, '받는 사람(to)이 필요합니다.', 'MISSING_RECIPIENT');
+  }
+  if (recipients.invalid.length > 0) {
+    return invalid(400, '이메일 주소 형식이 올바르지 않습니다.', 'INVALID_EMAIL', recipients.invalid);
+  }
+  
+  return {
+    values: {
+      name,
+      rule,
+      template_id: template.id,
+      source_file: sourceFile,
+      email_template_name: emailTemplateName,
+      supplier_id: supplier ? supplier.id : null,
+      to_email: formatEmailList(recipients.to),
+      cc_email: formatEmailList(recipients.cc) || null,
+      bcc_email: formatEmailList(recipients.bcc) || null,
+      subject: input.subject || emailTemplate?.subject || existing?.subject || `[정기 발주서] ${name}`,
+      body: input.body !== undefined ? input.body : (emailTemplate?.body ?? existing?.body ?? null),
+      is_active: isActive,
+      hold_on_row_errors: holdOnRowErrors,
+      next_run_at: isActive ? nextRun.toISOString() : null
+    }
+  };
+}
+
+// 🔁 반복 예약에 기록할 행 오류 (원본 행 데이터는 저장하지 않음)
+function toRecurringRowErrors(errors = []) {
+  return errors.map(({ row, field, error, lookup }) => ({ row, field: field || null, error, lookup: lookup || null }));
+}
+
+// 🔁 행 오류 요약 (전송 이력과 last_error에 기록, 앞의 5건만 표시)
+function formatRowErrorSummary(rowErrors) {
+  if (rowErrors.length === 0) return null;
+  const shown = rowErrors.slice(0, 5).map(rowError => `행 ${rowError.row} ${rowError.error}`).join('; ');
+  return `발주서 행 오류 ${rowErrors.length}건: ${shown}${rowErrors.length > 5 ? ' 외' : ''}`;
+}
+
+// 🔁 반복 예약 1회 실행: 주문서 다운로드 → 저장된 템플릿으로 발주서 생성 → 업로드 → 이메일 전송
+async function runRecurringSchedule(schedule) {
+  let sourceFilePath = null;
+  let templateFilePath = null;
+  let result = null;
+  let attachmentDisplayName = '';
+  let rowErrors = [];
+  
+  try {
+    const template = await getRepositories().orderTemplates.findActiveById(schedule.template_id);
+    if (!template) {
+      throw new Error(`템플릿을 찾을 수 없습니다: ${schedule.template_id}`);
+    }
+    
+    const resolveResult = await resolveActualFileName(schedule.source_file, 'uploads', 'order');
+    if (!resolveResult.success) {
+      throw new Error(`주문서 파일을 찾을 수 없습니다: ${resolveResult.error}`);
+    }
+    
+    const downloadResult = await downloadFile(resolveResult.actualFileName, 'uploads', 10);
+    if (!downloadResult.success) {
+      throw new Error(`주문서 파일 다운로드 실패: ${downloadResult.error}`);
+    }
+    
+    const tempDir = fs.existsSync('/tmp') ? '/tmp' : require('os').tmpdir();
+    const actualFileName = resolveResult.actualFileName;
+    sourceFilePath = path.join(tempDir, `${actualFileName}_${Date.now()}.${actualFileName.split('.').pop()}`);
+    fs.writeFileSync(sourceFilePath, downloadResult.data);
+    
+    // 템플릿 채우기로 저장된 템플릿은 공급처 발주서 파일 사본에 채움
+    const generationOptions = getTemplateGenerationOptions(template);
+    const { templateFields, mappingRules, manualFields, outputFormat, fillTemplate, templateHeaderRow } = generationOptions;
+    templateFilePath = await downloadTemplateFile(generationOptions);
+    result = await convertToStandardFormat(sourceFilePath, templateFilePath, mappingRules, manualFields, {
+      templateFields,
+      outputFormat,
+      fillTemplate,
+      templateHeaderRow,
+      // 같은 시각에 실행되는 반복 예약끼리 파일명이 겹치지 않도록 예약 ID 포함
+      fileNamePrefix: `recurring_order_${String(schedule.id).slice(0, 8)}`
+    });
+    
+    // 변환에 실패한 행(매핑 수식 계산 실패, 조회 테이블에 없는 값 등)은 빈 칸으로 생성되므로 결과에 기록
+    rowErrors = toRecurringRowErrors(result.errors);
+    const rowErrorSummary = formatRowErrorSummary(rowErrors);
+    
+    const uploadResult = await uploadFile(fs.readFileSync(result.filePath), result.fileName, 'generated');
+    if (!uploadResult.success) {
+      throw new Error(`발주서 업로드 실패: ${uploadResult.error}`);
+    }
+    
+    const runDate = new Date().toLocaleDateString('sv-SE', { timeZone: TIMEZONE }); // YYYY-MM-DD (서울)
+    attachmentDisplayName = `정기발주서_${schedule.name}_${runDate}${path.extname(result.fileName)}`;
+    
+    // 행 오류 시 보류 설정이면 전송하지 않음 (생성된 발주서는 last_generated_file로 확인)
+    if (rowErrorSummary && schedule.hold_on_row_errors) {
+      console.warn(`⏸️ 반복 예약 전송 보류: ${schedule.name} (${schedule.id}) - ${rowErrorSummary}`);
+      await saveEmailHistory({
+        to: schedule.to_email,
+        subject: schedule.subject,
+        attachmentName: attachmentDisplayName,
+        sentAt: new Date().toISOString(),
+        status: 'failed',
+        error: `전송 보류: ${rowErrorSummary}`,
+        templateName: schedule.email_template_name || `recurring:${schedule.id}`
+      });
+      return { status: 'held', generatedFile: result.fileName, rowErrors, warning: rowErrorSummary };
+    }
+    
+    // 공급처 주소록의 첨부파일 암호화 정책
+    const supplier = schedule.supplier_id ? await getRepositories().suppliers.findActiveById(schedule.supplier_id) : null;
+    const protectionResult = resolveAttachmentProtection({}, supplier);
+    if (protectionResult.error) {
+      throw new Error(protectionResult.error);
+    }
+    
+    const sendResult = await emailDelivery.deliver({
+      source: 'recurring',
+      message: {
+        to: schedule.to_email,
+        cc: schedule.cc_email || '',
+        bcc: schedule.bcc_email || '',
+        subject: schedule.subject,
+        body: schedule.body || `정기 발주서를 첨부파일로 전송드립니다.\n\n첨부파일: ${attachmentDisplayName}\n전송시간: ${formatSeoulTime(new Date())}`,
+        attachmentPath: result.fileName,
+        attachmentDisplayName,
+        attachmentProtection: protectionResult.protection
+      },
+      context: { recurringId: schedule.id, templateName: schedule.email_template_name || `recurring:${schedule.id}`, rowErrorSummary }
+    });
+    
+    // 재시도 중이면 최종 결과를 recordDeliveryResult에서 기록
+    if (sendResult.status === 'retrying') {
+      return { ...sendResult, generatedFile: result.fileName, rowErrors, warning: rowErrorSummary };
+    }
+    
+    await saveEmailHistory({
+      to: schedule.to_email,
+      subject: sendResult.subject,
+      attachmentName: attachmentDisplayName,
+      sentAt: new Date().toISOString(),
+      messageId: sendResult.messageId,
+      status: sendResult.status,
+      error: rowErrorSummary,
+      templateName: schedule.email_template_name || `recurring:${schedule.id}`
+    });
+    
+    return { ...sendResult, generatedFile: result.fileName, rowErrors, warning: rowErrorSummary };
+    
+  } catch (error) {
+    error.rowErrors = rowErrors;
+    await saveEmailHistory({
+      to: schedule.to_email,
+      subject: schedule.subject,
+      attachmentName: attachmentDisplayName,
+      sentAt: new Date().toISOString(),
+      status: 'failed',
+      error: error.message,
+      templateName: schedule.email_template_name || `recurring:${schedule.id}`
+    });
+    throw error;
+  } finally {
+    // 임시 파일 정리 (Vercel /tmp 용량 절약)
+    try {
+      if (sourceFilePath && fs.existsSync(sourceFilePath)) fs.unlinkSync(sourceFilePath);
+      if (templateFilePath && fs.existsSync(templateFilePath)) fs.unlinkSync(templateFilePath);
+      if (result?.filePath && fs.existsSync(result.filePath)) fs.unlinkSync(result.filePath);
+    } catch (cleanupError) {
+      console.warn('⚠️ 임시 파일 정리 중 오류:', cleanupError.message);
+    }
+  }
+}
+
+// 🔁 서버 시작 시 저장된 예약 이메일, 반복 예약, 이메일 재시도/일괄 전송 작업 다시 등록
+async function restoreScheduledEmails() {
+  const summary = { scheduled: null, recurring: null, retries: null, batches: null };
+  
+  try {
+    summary.scheduled = await emailScheduler.restore();
+  } catch (error) {
+    console.error('❌ 예약 이메일 복원 오류:', error.message);
+  }
+  
+  try {
+    summary.recurring = await recurringScheduler.restore();
+  } catch (error) {
+    console.error('❌ 반복 예약 복원 오류:', error.message);
+  }
+  
+  try {
+    summary.retries = await emailDelivery.resume();
+  } catch (error) {
+    console.error('❌ 이메일 재시도 작업 복원 오류:', error.message);
+  }
+  
+  try {
+    summary.batches = await emailBatchQueue.resume();
+  } catch (error) {
+    console.error('❌ 일괄 전송 작업 복원 오류:', error.message);
+  }
+  
+  return summary;
+}
+
+module.exports = {
+  router,
+  restoreScheduledEmails,
+  deliverEmailMessage
+}; 
\ No newline at end of file
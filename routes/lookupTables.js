@@ -0,0 +1,283 @@
+const express = require('express');
+const multer = require('multer');
+const { getRepositories } = require('../utils/repositories');
+const { LOOKUP_FILE_FORMATS, normalizeLookupEntries, readLookupFile, writeLookupFile } = require('../utils/lookupTables');
+
+const router = express.Router();
+
+// 가져오기 파일은 메모리에서 바로 읽음
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// 조회 테이블 응답 형식 (목록에서는 행 제외)
+function toLookupTableResponse(table, { includeEntries = false } = {}) {
+  return {
+    id: table.id,
+    name: table.name,
+    description: table.description,
+    keyColumn: table.key_column,
+    columns: table.column_names || [],
+    entryCount: (table.entries || []).length,
+    entries: includeEntries ? table.entries || [] : undefined,
+    createdAt: table.created_at,
+    updatedAt: table.updated_at
+  };
+}
+
+// 요청 본문 → 저장 값 (existing이 있으면 수정 - 보낸 필드만 변경)
+function buildLookupTableValues(body, existing = null) {
+  const invalid = (error, details) => ({ status: 400, error: { error, details } });
+  const values = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = String(body.name || '').trim();
+    if (!name) return invalid('조회 테이블 이름은 필수입니다.');
+    values.name = name;
+  }
+  if (body.description !== undefined) values.description = body.description || null;
+
+  // 행/컬럼/키 컬럼 중 하나라도 바뀌면 전체를 다시 검증
+  if (body.entries !== undefined || body.columns !== undefined || body.keyColumn !== undefined || !existing) {
+    const normalized = normalizeLookupEntries({
+      columns: body.columns !== undefined ? body.columns : (body.entries === undefined ? existing?.column_names : undefined),
+      keyColumn: body.keyColumn !== undefined ? body.keyColumn : existing?.key_column,
+      entries: body.entries !== undefined ? body.entries : (existing?.entries || [])
+    });
+    if (normalized.error) return invalid(normalized.error, normalized.details);
+
+    values.column_names = normalized.columns;
+    values.key_column = normalized.keyColumn;
+    values.entries = normalized.entries;
+  }
+
+  return { values };
+}
+
+// 📋 조회 테이블 목록
+router.get('/', async (req, res) => {
+  try {
+    const tables = await getRepositories().lookupTables.listActive();
+
+    res.json({
+      success: true,
+      lookupTables: tables.map(table => toLookupTableResponse(table))
+    });
+  } catch (error) {
+    console.error('❌ 조회 테이블 목록 조회 오류:', error);
+    res.status(500).json({
+      error: '조회 테이블 목록 조회 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 📖 조회 테이블 상세 (행 포함)
+router.get('/:id', async (req, res) => {
+  try {
+    const table = await getRepositories().lookupTables.findActiveById(req.params.id);
+    if (!table) {
+      return res.status(404).json({
+        error: '조회 테이블을 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      success: true,
+      lookupTable: toLookupTableResponse(table, { includeEntries: true })
+    });
+  } catch (error) {
+    console.error('❌ 조회 테이블 조회 오류:', error);
+    res.status(500).json({
+      error: '조회 테이블 조회 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 📤 조회 테이블 내보내기
+// query: format=xlsx(기본값)|csv
+router.get('/:id/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'xlsx';
+    if (!LOOKUP_FILE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format은 ${LOOKUP_FILE_FORMATS.join(', ')} 중 하나여야 합니다.`
+      });
+    }
+
+    const table = await getRepositories().lookupTables.findActiveById(req.params.id);
+    if (!table) {
+      return res.status(404).json({
+        error: '조회 테이블을 찾을 수 없습니다.'
+      });
+    }
+
+    const file = writeLookupFile(table, format);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.fileName)}`);
+    res.setHeader('Content-Type', file.contentType);
+    res.send(file.buffer);
+  } catch (error) {
+    console.error('❌ 조회 테이블 내보내기 오류:', error);
+    res.status(500).json({
+      error: '조회 테이블 내보내기 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 📥 조회 테이블 가져오기 (Excel/CSV)
+// multipart: file, name, keyColumn(기본값: 첫 번째 컬럼), description
+// 같은 이름의 조회 테이블이 있으면 컬럼과 행을 파일 내용으로 바꿈
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: '가져올 파일(file)이 필요합니다.'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = readLookupFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    const name = String(req.body.name || '').trim();
+    const { lookupTables } = getRepositories();
+    const existing = name ? await lookupTables.findActiveByName(name) : null;
+
+    // 키 컬럼을 보내지 않으면 기존 키 컬럼, 파일에 없으면 첫 번째 컬럼
+    const keyColumn = req.body.keyColumn
+      || (existing && parsed.columns.includes(existing.key_column) ? existing.key_column : '');
+
+    const built = buildLookupTableValues({
+      name,
+      description: req.body.description,
+      keyColumn,
+      columns: parsed.columns,
+      entries: parsed.entries
+    }, existing);
+    if (built.error) {
+      return res.status(built.status).json(built.error);
+    }
+
+    const table = existing
+      ? await lookupTables.update(existing.id, built.values)
+      : await lookupTables.create(built.values);
+    console.log(`✅ 조회 테이블 가져오기: ${table.name} (${table.entries.length}행, ${existing ? '교체' : '신규'})`);
+
+    res.json({
+      success: true,
+      message: `조회 테이블을 ${existing ? '파일 내용으로 교체' : '등록'}했습니다.`,
+      created: !existing,
+      lookupTable: toLookupTableResponse(table)
+    });
+  } catch (error) {
+    console.error('❌ 조회 테이블 가져오기 오류:', error);
+    res.status(500).json({
+      error: '조회 테이블 가져오기 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 💾 조회 테이블 등록
+// body: { name, description, keyColumn, columns, entries: [{ 컬럼명: 값 }] }
+router.post('/', async (req, res) => {
+  try {
+    const built = buildLookupTableValues(req.body || {});
+    if (built.error) {
+      return res.status(built.status).json(built.error);
+    }
+
+    const { lookupTables } = getRepositories();
+    if (await lookupTables.findActiveByName(built.values.name)) {
+      return res.status(409).json({
+        error: '이미 존재하는 조회 테이블 이름입니다.'
+      });
+    }
+
+    const table = await lookupTables.create(built.values);
+    console.log('✅ 조회 테이블 등록:', table.name);
+
+    res.json({
+      success: true,
+      message: '조회 테이블이 등록되었습니다.',
+      lookupTable: toLookupTableResponse(table)
+    });
+  } catch (error) {
+    console.error('❌ 조회 테이블 등록 오류:', error);
+    res.status(500).json({
+      error: '조회 테이블 등록 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 🔄 조회 테이블 수정
+router.put('/:id', async (req, res) => {
+  try {
+    const { lookupTables } = getRepositories();
+    const existing = await lookupTables.findActiveById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: '수정할 조회 테이블을 찾을 수 없습니다.'
+      });
+    }
+
+    const built = buildLookupTableValues(req.body || {}, existing);
+    if (built.error) {
+      return res.status(built.status).json(built.error);
+    }
+
+    if (built.values.name && await lookupTables.findActiveByName(built.values.name, { excludeId: existing.id })) {
+      return res.status(409).json({
+        error: '이미 존재하는 조회 테이블 이름입니다.'
+      });
+    }
+
+    const table = await lookupTables.update(existing.id, built.values);
+
+    res.json({
+      success: true,
+      message: '조회 테이블이 수정되었습니다.',
+      lookupTable: toLookupTableResponse(table)
+    });
+  } catch (error) {
+    console.error('❌ 조회 테이블 수정 오류:', error);
+    res.status(500).json({
+      error: '조회 테이블 수정 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 🗑️ 조회 테이블 삭제 (비활성화)
+router.delete('/:id', async (req, res) => {
+  try {
+    const table = await getRepositories().lookupTables.deactivate(req.params.id);
+    if (!table) {
+      return res.status(404).json({
+        error: '삭제할 조회 테이블을 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '조회 테이블이 삭제되었습니다.'
+    });
+  } catch (error) {
+    console.error('❌ 조회 테이블 삭제 오류:', error);
+    res.status(500).json({
+      error: '조회 테이블 삭제 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
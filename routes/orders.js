@@ -3,10 +3,17 @@ const multer = require('multer');
 const ExcelJS = require('exceljs');
 const fs = require('fs');
 const path = require('path');
-const iconv = require('iconv-lite');
 const { validateOrderData } = require('../utils/validation');
-const { convertToStandardFormat } = require('../utils/converter');
-const { uploadFile, downloadFile, saveMappingData, loadMappingData, saveFileMapping, resolveActualFileName, supabase } = require('../utils/supabase');
+const { convertToStandardFormat, convertToSupplierPurchaseOrders, generatePurchaseOrder } = require('../utils/converter');
+const { uploadFile, downloadFile, listFiles, saveMappingData, loadMappingData, saveFileMapping, resolveActualFileName } = require('../utils/supabase');
+const { getRepositories } = require('../utils/repositories');
+const { getTemplateGenerationOptions, downloadTemplateFile } = require('../utils/templateMapping');
+const { isMappingExpression, compileMappingExpression, validateMappingExpressions } = require('../utils/mappingExpression');
+const { loadMappingLookupTables } = require('../utils/lookupTables');
+const { validateRoutingRule } = require('../utils/supplierRouting');
+const { parseCsvBuffer } = require('../utils/csvReader');
+const { DEFAULT_OUTPUT_FORMAT, getOutputExtension, writePurchaseOrderBuffer, getFileContentType } = require('../utils/outputFormats');
+const { parseEmailList, formatEmailList } = require('../utils/emailRecipients');
 const { createRateLimitMiddleware, getCurrentUsage, getUsageStats } = require('../utils/rateLimiter');
 const axios = require('axios');
 
@@ -417,157 +424,30 @@ router.post('/upload', upload.single('orderFile'), async (req, res) => {
     
     let previewData = [];
     let headers = [];
+    let csvInfo = null;
 
     if (fileExtension === '.csv') {
-      // CSV 파일 처리 - 한글 인코딩 자동 감지 및 개선된 파싱 로직
-      let csvData;
-      
-      // 인코딩 자동 감지 및 변환
+      // CSV 파일 처리 - 인코딩(UTF-8/CP949)과 구분자 자동 감지, 미리보기는 상위 20행
+      let csvResult;
       try {
-        // BOM 확인
-        const hasBom = fileBuffer.length >= 3 && 
-                      fileBuffer[0] === 0xEF && 
-                      fileBuffer[1] === 0xBB && 
-                      fileBuffer[2] === 0xBF;
-        
-        if (hasBom) {
-          // UTF-8 BOM이 있는 경우
-          console.log('📄 UTF-8 BOM 감지됨');
-          csvData = fileBuffer.slice(3).toString('utf8');
-        } else {
-          // 여러 인코딩으로 시도
-          const encodings = ['utf8', 'euc-kr', 'cp949'];
-          let bestEncoding = 'utf8';
-          let bestScore = 0;
-          
-          for (const encoding of encodings) {
-            try {
-              const testData = iconv.decode(fileBuffer, encoding);
-              
-              // 한글 문자가 제대로 디코딩되었는지 확인
-              const koreanScore = (testData.match(/[가-힣]/g) || []).length;
-              const invalidScore = (testData.match(/[�]/g) || []).length;
-              const finalScore = koreanScore - (invalidScore * 10); // 깨진 문자에 패널티
-              
-              console.log(`📊 ${encoding} 인코딩 점수: ${finalScore} (한글: ${koreanScore}, 깨짐: ${invalidScore})`);
-              
-              if (finalScore > bestScore) {
-                bestScore = finalScore;
-                bestEncoding = encoding;
-              }
-            } catch (error) {
-              console.log(`⚠️ ${encoding} 인코딩 실패:`, error.message);
-            }
-          }
-          
-          console.log(`✅ 최적 인코딩 선택: ${bestEncoding} (점수: ${bestScore})`);
-          csvData = iconv.decode(fileBuffer, bestEncoding);
-        }
-      } catch (error) {
-        console.error('❌ 인코딩 감지 실패, UTF-8로 처리:', error);
-        csvData = fileBuffer.toString('utf8');
-      }
-      
-      const lines = csvData.split('\n').filter(line => line.trim());
-      
-      if (lines.length > 0) {
-        // 개선된 CSV 파싱 함수
-        function parseCSVLine(line) {
-          const result = [];
-          let current = '';
-          let inQuotes = false;
-          let i = 0;
-          
-          while (i < line.length) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-            
-            if (char === '"') {
-              if (inQuotes && nextChar === '"') {
-                // 연속된 따옴표는 하나의 따옴표로 처리
-                current += '"';
-                i += 2;
-                continue;
-              } else {
-                // 따옴표 시작/끝
-                inQuotes = !inQuotes;
-              }
-            } else if (char === ',' && !inQuotes) {
-              // 따옴표 밖의 쉼표는 구분자
-              result.push(current.trim());
-              current = '';
-            } else {
-              current += char;
-            }
-            i++;
-          }
-          
-          // 마지막 필드 추가
-          result.push(current.trim());
-          return result;
-        }
-        
-        // 헤더 파싱 및 빈 필드 제거
-        const rawHeaders = parseCSVLine(lines[0]).map(h => h.replace(/^"|"$/g, '').trim());
-        
-        // 빈 헤더나 의미 없는 헤더 제거
-        const validHeaderIndices = [];
-        const cleanHeaders = [];
-        
-        rawHeaders.forEach((header, index) => {
-          // 유효한 헤더 조건: 비어있지 않고, 공백이 아니며, 의미 있는 텍스트
-          if (header && 
-              header.length > 0 && 
-              header !== 'undefined' && 
-              header !== 'null' && 
-              !header.match(/^[\s,]+$/)) {
-            validHeaderIndices.push(index);
-            cleanHeaders.push(header);
-          }
-        });
-        
-        headers = cleanHeaders;
-        console.log(`📋 헤더 정리: ${rawHeaders.length} → ${headers.length}개 (유효한 필드만)`);
-        
-        // 데이터 파싱 (상위 20행, 유효한 컬럼만)
-        const rawDataLines = lines.slice(1, 21);
-        previewData = [];
-        
-        rawDataLines.forEach((line, lineIndex) => {
-          const values = parseCSVLine(line);
-          const rowData = {};
-          let hasValidData = false;
-          
-          // 유효한 헤더 인덱스에 해당하는 데이터만 추출
-          validHeaderIndices.forEach((headerIndex, cleanIndex) => {
-            const header = headers[cleanIndex];
-            const value = values[headerIndex] ? values[headerIndex].replace(/^"|"$/g, '').trim() : '';
-            
-            rowData[header] = value;
-            
-            // 빈 값이 아니면 유효한 데이터가 있다고 표시
-            if (value && value.length > 0) {
-              hasValidData = true;
-            }
-          });
-          
-          // 유효한 데이터가 있는 행만 추가
-          if (hasValidData) {
-            previewData.push(rowData);
-          } else {
-            console.log(`⚠️ 빈 행 제외 (행 ${lineIndex + 2}): 유효한 데이터 없음`);
-          }
-        });
-        
-        console.log('✅ CSV 파싱 완료:', {
-          원본헤더: rawHeaders.length,
-          정리된헤더: headers.length,
-          원본행수: rawDataLines.length,
-          유효행수: previewData.length,
-          샘플헤더: headers.slice(0, 5),
-          샘플데이터: previewData.slice(0, 2)
+        csvResult = parseCsvBuffer(fileBuffer, { maxRows: 20 });
+      } catch (csvError) {
+        return res.status(400).json({
+          error: 'CSV 파일을 읽을 수 없습니다.',
+          details: csvError.message
         });
       }
+      headers = csvResult.headers;
+      previewData = csvResult.data;
+      csvInfo = csvResult.csv;
+
+      console.log('✅ CSV 파싱 완료:', {
+        형식: csvInfo.description,
+        헤더: headers.length,
+        유효행수: previewData.length,
+        샘플헤더: headers.slice(0, 5),
+        샘플데이터: previewData.slice(0, 2)
+      });
     } else {
       // Excel 파일 처리 - 개선된 로직 사용
       // tempFilePath를 try 블록 밖에서 선언 (스코프 문제 해결)
@@ -1234,6 +1114,7 @@ router.post('/upload', upload.single('orderFile'), async (req, res) => {
       validation: validation,
       xlsConverted: isXlsFile, // .xls 파일이 .xlsx로 처리되었는지 표시
       isHancomExcel: isHancomExcel, // 한컴오피스 파일 여부 추가
+      csvInfo: csvInfo, // CSV 인코딩/구분자 감지 결과 (CSV 파일만)
       message: `파일이 성공적으로 업로드되었습니다. ${previewData.length}행의 데이터를 확인했습니다.`
     });
 
@@ -1275,6 +1156,16 @@ router.post('/mapping', async (req, res) => {
     console.log('🔗 매핑 규칙 키-값 쌍:', Object.entries(mappingRules || {}));
     console.log('🔧 고정값:', fixedValues);
     
+    // 매핑 수식([수식: ...]) 문법 검증
+    const expressionValidation = validateMappingExpressions(mappingRules);
+    if (!expressionValidation.isValid) {
+      return res.status(400).json({
+        error: '매핑 수식에 오류가 있습니다.',
+        code: 'INVALID_MAPPING_EXPRESSION',
+        details: expressionValidation.errors
+      });
+    }
+    
     // 매핑 규칙 검증
     if (mappingRules && Object.keys(mappingRules).length > 0) {
       console.log('✅ 매핑 규칙 검증 결과:');
@@ -1353,9 +1244,18 @@ router.post('/mapping', async (req, res) => {
 // 📋 발주서 생성 (매칭 규칙 적용)
 router.post('/generate', createRateLimitMiddleware('orderGeneration'), async (req, res) => {
   try {
-    const { fileId, mappingId, templateType, supplierFileId, manualFields } = req.body;
+    // fillTemplate: 업로드한 발주서 파일 사본에 데이터 채우기 (templateHeaderRow: 헤더 행 번호, 없으면 자동 판별)
+    const { fileId, mappingId, templateType, supplierFileId, manualFields, fillTemplate, templateHeaderRow } = req.body;
     
-    console.log('📋 발주서 생성 요청:', { fileId, mappingId, templateType, supplierFileId });
+    console.log('📋 발주서 생성 요청:', { fileId, mappingId, templateType, supplierFileId, fillTemplate, templateHeaderRow });
+    
+    if (templateHeaderRow !== undefined && templateHeaderRow !== null && templateHeaderRow !== ''
+      && !(Number.isInteger(Number(templateHeaderRow)) && Number(templateHeaderRow) >= 1)) {
+      return res.status(400).json({
+        error: 'templateHeaderRow는 1 이상의 정수여야 합니다.',
+        code: 'INVALID_TEMPLATE_HEADER_ROW'
+      });
+    }
     
     // 주문서 파일 다운로드 (파일명 매핑 시스템 사용)
     let downloadResult;
@@ -1520,7 +1420,10 @@ router.post('/generate', createRateLimitMiddleware('orderGeneration'), async (re
     
     // 데이터 변환 및 발주서 생성
     console.log('💾 수동 필드 데이터 확인:', manualFields);
-    const result = await convertToStandardFormat(uploadedFilePath, templatePath, mappingRules, manualFields);
+    const result = await convertToStandardFormat(uploadedFilePath, templatePath, mappingRules, manualFields, {
+      fillTemplate: fillTemplate === true,
+      templateHeaderRow
+    });
     
     if (process.env.NODE_ENV !== 'production') {
                 console.log('✅ 발주서 생성 완료:', result.fileName);
@@ -1562,6 +1465,7 @@ router.post('/generate', createRateLimitMiddleware('orderGeneration'), async (re
       downloadUrl: downloadUrl,
       processedRows: result.processedRows,
       errors: result.errors,
+      templateHeaderRow: result.templateHeaderRow,
       message: '발주서가 성공적으로 생성되었습니다.'
     });
 
@@ -1589,6 +1493,209 @@ router.post('/generate', createRateLimitMiddleware('orderGeneration'), async (re
   }
 });
 
+// 📦 공급처별 발주서 생성 (한 주문서를 분리 규칙에 따라 공급처마다 자신의 템플릿으로 생성)
+// body: { fileId, routing, suppliers: [{ name, templateId, email }] }
+// 생성된 발주서마다 /api/email/send로 바로 보낼 수 있는 email 정보를 함께 반환
+router.post('/generate-by-supplier', createRateLimitMiddleware('orderGeneration'), async (req, res) => {
+  let uploadedFilePath = null;
+  let result = null;
+  const templateFilePaths = []; // 템플릿 채우기용 공급처 발주서 임시 파일
+  
+  try {
+    const { fileId, routing } = req.body;
+    
+    console.log('📦 공급처별 발주서 생성 요청:', {
+      fileId,
+      suppliers: (req.body.suppliers || []).map(supplier => supplier?.name || supplier?.supplierId)
+    });
+    
+    // 공급처 주소록(supplierId 또는 같은 이름)의 기본 발주서 템플릿과 수신자로 빈 값 채우기
+    let suppliers = req.body.suppliers;
+    if (Array.isArray(suppliers)) {
+      const addressBook = getRepositories().suppliers;
+      suppliers = [];
+      for (const supplier of req.body.suppliers) {
+        const entry = supplier?.supplierId
+          ? await addressBook.findActiveById(supplier.supplierId)
+          : (supplier?.name ? await addressBook.findActiveByName(supplier.name) : null);
+        if (supplier?.supplierId && !entry) {
+          return res.status(404).json({
+            error: `공급처를 찾을 수 없습니다: ${supplier.supplierId}`,
+            code: 'SUPPLIER_NOT_FOUND'
+          });
+        }
+        suppliers.push({
+          ...supplier,
+          name: supplier?.name || entry?.name,
+          templateId: supplier?.templateId || entry?.default_order_template_id,
+          supplierId: entry ? entry.id : null,
+          emailTemplate: entry?.default_email_template || null,
+          to: supplier?.email || entry?.emails || [],
+          cc: entry?.cc_emails || [],
+          bcc: entry?.bcc_emails || []
+        });
+      }
+    }
+    
+    if (!fileId) {
+      return res.status(400).json({ error: '파일 ID가 필요합니다.' });
+    }
+    
+    const routingValidation = validateRoutingRule(routing);
+    if (!routingValidation.isValid) {
+      return res.status(400).json({
+        error: '공급처 분리 규칙이 올바르지 않습니다.',
+        code: 'INVALID_ROUTING_RULE',
+        details: routingValidation.errors
+      });
+    }
+    
+    if (!Array.isArray(suppliers) || suppliers.length === 0 || suppliers.some(supplier => !supplier?.name || !supplier.templateId)) {
+      return res.status(400).json({
+        error: '공급처 목록(suppliers)의 각 항목에 name과 templateId가 필요합니다. (공급처 주소록에 기본 발주서 템플릿이 있으면 생략 가능)',
+        code: 'INVALID_SUPPLIERS'
+      });
+    }
+    
+    // 공급처별 템플릿 불러오기
+    const { orderTemplates } = getRepositories();
+    const supplierTemplates = {};
+    const supplierInfo = {};
+    
+    for (const supplier of suppliers) {
+      const template = await orderTemplates.findActiveById(supplier.templateId);
+      if (!template) {
+        return res.status(404).json({
+          error: `템플릿을 찾을 수 없습니다: ${supplier.name} (${supplier.templateId})`,
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+      
+      const generationOptions = getTemplateGenerationOptions(template);
+      if (generationOptions.templateFields.length === 0) {
+        return res.status(400).json({
+          error: `템플릿의 공급업체 필드 매핑이 설정되지 않았습니다: ${template.template_name}`,
+          code: 'TEMPLATE_MAPPING_EMPTY'
+        });
+      }
+      
+      // 템플릿 채우기로 저장된 템플릿은 공급처 발주서 파일 사본에 채움
+      const templateFilePath = await downloadTemplateFile(generationOptions);
+      if (templateFilePath) templateFilePaths.push(templateFilePath);
+      
+      supplierTemplates[supplier.name] = { ...generationOptions, templateFilePath };
+      supplierInfo[supplier.name] = { ...supplier, templateName: template.template_name };
+    }
+    
+    // 주문서 파일 다운로드
+    const resolveResult = await resolveActualFileName(fileId, 'uploads', 'order');
+    if (!resolveResult.success) {
+      return res.status(404).json({
+        error: resolveResult.error,
+        originalFileId: fileId
+      });
+    }
+    
+    const downloadResult = await downloadFile(resolveResult.actualFileName, 'uploads', 10);
+    if (!downloadResult.success) {
+      return res.status(404).json({
+        error: '파일 다운로드에 실패했습니다.',
+        originalFileId: fileId,
+        downloadError: downloadResult.error
+      });
+    }
+    
+    const tempDir = fs.existsSync('/tmp') ? '/tmp' : require('os').tmpdir();
+    const actualFileId = resolveResult.actualFileName;
+    uploadedFilePath = path.join(tempDir, `${actualFileId}_${Date.now()}.${actualFileId.split('.').pop()}`);
+    fs.writeFileSync(uploadedFilePath, downloadResult.data);
+    
+    // 공급처별 발주서 생성 후 Storage 업로드
+    result = await convertToSupplierPurchaseOrders(uploadedFilePath, routing, supplierTemplates);
+    
+    const purchaseOrders = [];
+    for (const purchaseOrder of result.purchaseOrders) {
+      const uploadResult = await uploadFile(fs.readFileSync(purchaseOrder.filePath), purchaseOrder.fileName, 'generated');
+      if (!uploadResult.success) {
+        throw new Error(`${purchaseOrder.supplier} 발주서 업로드 실패: ${uploadResult.error}`);
+      }
+      
+      const supplier = supplierInfo[purchaseOrder.supplier];
+      const displayFileName = `발주서_${purchaseOrder.supplier}_${purchaseOrder.fileName.replace(/^purchase_order_\d+_/, '')}`;
+      
+      purchaseOrders.push({
+        supplier: purchaseOrder.supplier,
+        templateId: supplier.templateId,
+        templateName: supplier.templateName,
+        generatedFile: purchaseOrder.fileName,
+        displayFileName: displayFileName,
+        downloadUrl: `/api/orders/download/${purchaseOrder.fileName}?display=${encodeURIComponent(displayFileName)}`,
+        processedRows: purchaseOrder.processedRows,
+        rowNumbers: purchaseOrder.rowNumbers,
+        errors: purchaseOrder.errors,
+        // /api/email/send 요청 본문 (공급처 이메일이 없으면 to는 null)
+        email: {
+          to: formatEmailList(parseEmailList(supplier.to)) || null,
+          cc: parseEmailList(supplier.cc),
+          bcc: parseEmailList(supplier.bcc),
+          supplierId: supplier.supplierId,
+          templateId: supplier.emailTemplate || undefined,
+          // 공급처의 기본 이메일 템플릿이 있으면 템플릿 제목 사용
+          subject: supplier.emailTemplate ? undefined : `[발주서] ${purchaseOrder.supplier}`,
+          attachmentPath: purchaseOrder.fileName,
+          attachmentDisplayName: displayFileName,
+          variables: { supplier: purchaseOrder.supplier }
+        }
+      });
+    }
+    
+    const routedRows = purchaseOrders.reduce((sum, purchaseOrder) => sum + purchaseOrder.rowNumbers.length, 0);
+    
+    console.log('✅ 공급처별 발주서 생성 완료:', {
+      purchaseOrders: purchaseOrders.length,
+      unrouted: result.unrouted.length,
+      skipped: result.skipped.length
+    });
+    
+    res.json({
+      success: purchaseOrders.length > 0,
+      message: purchaseOrders.length > 0
+        ? `${purchaseOrders.length}개 공급처의 발주서가 생성되었습니다.`
+        : '분리 규칙에 해당하는 주문이 없어 발주서가 생성되지 않았습니다.',
+      purchaseOrders: purchaseOrders,
+      unroutedRows: result.unrouted.map(item => item.row),
+      skippedSuppliers: result.skipped,
+      summary: {
+        totalRows: result.totalRows,
+        routedRows: routedRows,
+        unroutedRows: result.unrouted.length,
+        skippedRows: result.skipped.reduce((sum, item) => sum + item.rowNumbers.length, 0),
+        suppliers: purchaseOrders.length
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ 공급처별 발주서 생성 오류:', error);
+    res.status(500).json({
+      error: '공급처별 발주서 생성 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  } finally {
+    // 임시 파일 정리 (Vercel /tmp 용량 절약)
+    try {
+      if (uploadedFilePath && fs.existsSync(uploadedFilePath)) fs.unlinkSync(uploadedFilePath);
+      templateFilePaths.forEach(templateFilePath => {
+        if (fs.existsSync(templateFilePath)) fs.unlinkSync(templateFilePath);
+      });
+      (result?.purchaseOrders || []).forEach(purchaseOrder => {
+        if (fs.existsSync(purchaseOrder.filePath)) fs.unlinkSync(purchaseOrder.filePath);
+      });
+    } catch (cleanupError) {
+      console.warn('⚠️ 임시 파일 정리 중 오류:', cleanupError.message);
+    }
+  }
+});
+
 // 📋 파일의 헤더 순서 추출 (생성된 발주서 파일 또는 업로드된 supplier 파일)
 router.get('/headers/:fileName', async (req, res) => {
   try {
@@ -1749,9 +1856,9 @@ router.get('/download/:fileName', async (req, res) => {
       return res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
     }
 
-    // 파일 헤더 설정 및 전송 (한글 파일명으로 다운로드)
+    // 파일 헤더 설정 및 전송 (한글 파일명으로 다운로드, 형식은 저장된 파일의 확장자 기준)
     res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(displayFileName)}`);
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Type', getFileContentType(fileName, downloadResult.data));
     res.send(downloadResult.data);
     
     console.log('✅ Supabase 파일 다운로드 완료:', { fileName, displayFileName });
@@ -2235,6 +2342,75 @@ function validateMappings(mappings, orderFields, supplierFields) {
   return validatedMappings;
 }
 
+// Supabase Storage 호환 파일명 조각 (템플릿명을 URL 인코딩 후 영문, 숫자, _, - 만 남김)
+function toStorageSafeName(name) {
+  return encodeURIComponent(name)
+    .replace(/[%]/g, '_') // % 기호를 언더스코어로 변경
+    .replace(/[^a-zA-Z0-9_-]/g, '_') // 영문, 숫자, _, - 만 허용
+    .replace(/_+/g, '_') // 연속 언더스코어를 하나로
+    .replace(/^_|_$/g, '') // 시작/끝 언더스코어 제거
+    .substring(0, 30) // 길이 제한
+    || 'template'; // 빈 문자열인 경우 기본값
+}
+
+// 🧩 템플릿 채우기로 저장된 템플릿의 발주서 생성 및 응답 (/generate-with-template)
+// 공급처 발주서 파일 사본의 헤더 행 아래에 채우므로 로고, 병합, 수식, 합계 행이 그대로 유지됨
+async function sendFilledTemplateOrder(res, template, generationOptions, sourceData) {
+  let templateFilePath = null;
+  let result = null;
+  
+  try {
+    templateFilePath = await downloadTemplateFile(generationOptions);
+    const fileNamePrefix = `order_${toStorageSafeName(template.template_name)}`;
+    result = await generatePurchaseOrder(templateFilePath, sourceData, generationOptions.mappingRules, generationOptions.manualFields, {
+      outputFormat: generationOptions.outputFormat,
+      fillTemplate: true,
+      templateHeaderRow: generationOptions.templateHeaderRow,
+      fileNamePrefix
+    });
+    
+    const uploadResult = await uploadFile(fs.readFileSync(result.filePath), result.fileName, 'generated');
+    if (!uploadResult.success) {
+      return res.status(500).json({ 
+        error: 'Supabase Storage 저장 실패',
+        details: uploadResult.error 
+      });
+    }
+    
+    // 생성 파일명의 시각/확장자를 그대로 사용 (order_템플릿_시각.확장자 → 발주서_템플릿명_시각.확장자)
+    const userFriendlyFileName = `발주서_${template.template_name}_${result.fileName.slice(fileNamePrefix.length + 1)}`;
+    
+    console.log('🎉 템플릿 기반 변환 완료 (템플릿 채우기):', {
+      template: template.template_name,
+      processedRows: result.processedRows,
+      templateHeaderRow: result.templateHeaderRow,
+      outputFile: result.fileName
+    });
+    
+    return res.json({
+      success: true,
+      message: '템플릿 기반 발주서 생성이 완료되었습니다.',
+      generatedFile: result.fileName,
+      displayFileName: userFriendlyFileName,
+      downloadUrl: `/api/orders/download/${result.fileName}?display=${encodeURIComponent(userFriendlyFileName)}`,
+      processedRows: sourceData.data.length,
+      errors: result.errors,
+      templateUsed: template.template_name,
+      outputFormat: result.outputFormat,
+      templateHeaderRow: result.templateHeaderRow,
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    // 임시 파일 정리 (Vercel /tmp 용량 절약)
+    try {
+      if (templateFilePath && fs.existsSync(templateFilePath)) fs.unlinkSync(templateFilePath);
+      if (result?.filePath && fs.existsSync(result.filePath)) fs.unlinkSync(result.filePath);
+    } catch (cleanupError) {
+      console.warn('⚠️ 임시 파일 정리 중 오류:', cleanupError.message);
+    }
+  }
+}
+
 // 🚀 템플릿 기반 자동 변환 및 발주서 생성
 router.post('/generate-with-template', createRateLimitMiddleware('orderGeneration'), async (req, res) => {
   try {
@@ -2253,13 +2429,13 @@ router.post('/generate-with-template', createRateLimitMiddleware('orderGeneratio
     }
     
     // 1. 템플릿 정보 가져오기
-    const { supabase } = require('../utils/supabase');
-    const { data: template, error: templateError } = await supabase
-      .from('order_templates')
-      .select('*')
-      .eq('id', templateId)
-      .eq('is_active', true)
-      .single();
+    let template = null;
+    let templateError = null;
+    try {
+      template = await getRepositories().orderTemplates.findActiveById(templateId);
+    } catch (error) {
+      templateError = error;
+    }
     
     if (templateError || !template) {
       console.error('❌ 템플릿 조회 오류:', templateError);
@@ -2309,146 +2485,27 @@ router.post('/generate-with-template', createRateLimitMiddleware('orderGeneratio
     let orderData = [];
     
     if (fileExtension === '.csv') {
-      // 3-1. CSV 파일 처리
+      // 3-1. CSV 파일 처리 (인코딩/구분자 자동 감지)
       console.log('📊 CSV 파일 처리 시작...');
-      
-      // 인코딩 자동 감지 및 변환
-      let csvData;
+
+      let csvResult;
       try {
-        // BOM 확인
-        const hasBom = fileBuffer.length >= 3 && 
-                      fileBuffer[0] === 0xEF && 
-                      fileBuffer[1] === 0xBB && 
-                      fileBuffer[2] === 0xBF;
-        
-        if (hasBom) {
-          // UTF-8 BOM이 있는 경우
-          console.log('📄 UTF-8 BOM 감지됨');
-          csvData = fileBuffer.slice(3).toString('utf8');
-        } else {
-          // 여러 인코딩으로 시도
-          const encodings = ['utf8', 'euc-kr', 'cp949'];
-          let bestEncoding = 'utf8';
-          let bestScore = 0;
-          
-          for (const encoding of encodings) {
-            try {
-              const testData = iconv.decode(fileBuffer, encoding);
-              
-              // 한글 문자가 제대로 디코딩되었는지 확인
-              const koreanScore = (testData.match(/[가-힣]/g) || []).length;
-              const invalidScore = (testData.match(/[�]/g) || []).length;
-              const finalScore = koreanScore - (invalidScore * 10); // 깨진 문자에 패널티
-              
-              console.log(`📊 ${encoding} 인코딩 점수: ${finalScore} (한글: ${koreanScore}, 깨짐: ${invalidScore})`);
-              
-              if (finalScore > bestScore) {
-                bestScore = finalScore;
-                bestEncoding = encoding;
-              }
-            } catch (error) {
-              console.log(`⚠️ ${encoding} 인코딩 실패:`, error.message);
-            }
-          }
-          
-          console.log(`✅ 최적 인코딩 선택: ${bestEncoding} (점수: ${bestScore})`);
-          csvData = iconv.decode(fileBuffer, bestEncoding);
-        }
-      } catch (error) {
-        console.error('❌ 인코딩 감지 실패, UTF-8로 처리:', error);
-        csvData = fileBuffer.toString('utf8');
-      }
-      
-      const lines = csvData.split('\n').filter(line => line.trim());
-      
-      if (lines.length === 0) {
-        return res.status(400).json({ 
-          error: 'CSV 파일에 데이터가 없습니다.' 
+        csvResult = parseCsvBuffer(fileBuffer);
+      } catch (csvError) {
+        return res.status(400).json({
+          error: 'CSV 파일을 읽을 수 없습니다.',
+          details: csvError.message
         });
       }
-      
-      // CSV 파싱 함수
-      function parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
-        
-        while (i < line.length) {
-          const char = line[i];
-          const nextChar = line[i + 1];
-          
-          if (char === '"') {
-            if (inQuotes && nextChar === '"') {
-              // 연속된 따옴표는 하나의 따옴표로 처리
-              current += '"';
-              i += 2;
-              continue;
-            } else {
-              // 따옴표 시작/끝
-              inQuotes = !inQuotes;
-            }
-          } else if (char === ',' && !inQuotes) {
-            // 따옴표 밖의 쉼표는 구분자
-            result.push(current.trim());
-            current = '';
-          } else {
-            current += char;
-          }
-          i++;
-        }
-        
-        // 마지막 필드 추가
-        result.push(current.trim());
-        return result;
-      }
-      
-      // 헤더 파싱
-      const rawHeaders = parseCSVLine(lines[0]).map(h => h.replace(/^"|"$/g, '').trim());
-      
-      // 유효한 헤더 필터링
-      const validHeaderIndices = [];
-      rawHeaders.forEach((header, index) => {
-        if (header && 
-            header.length > 0 && 
-            header !== 'undefined' && 
-            header !== 'null' && 
-            !header.match(/^[\s,]+$/)) {
-          validHeaderIndices.push(index);
-          orderHeaders.push(header);
-        }
-      });
-      
-      console.log(`📋 CSV 헤더 정리: ${rawHeaders.length} → ${orderHeaders.length}개`);
-      
-      // 데이터 파싱
-      const rawDataLines = lines.slice(1);
-      rawDataLines.forEach((line, lineIndex) => {
-        const values = parseCSVLine(line);
-        const rowData = [];
-        let hasValidData = false;
-        
-        // 유효한 헤더 인덱스에 해당하는 데이터만 추출
-        validHeaderIndices.forEach((headerIndex) => {
-          const value = values[headerIndex] ? values[headerIndex].replace(/^"|"$/g, '').trim() : '';
-          rowData.push(value);
-          
-          if (value && value.length > 0) {
-            hasValidData = true;
-          }
-        });
-        
-        // 유효한 데이터가 있는 행만 추가
-        if (hasValidData) {
-          orderData.push(rowData);
-        }
-      });
-      
+      orderHeaders = csvResult.headers;
+      orderData = csvResult.data;
+
       console.log('✅ CSV 파싱 완료:', {
+        형식: csvResult.csv.description,
         헤더: orderHeaders.length,
         데이터행: orderData.length
       });
-      
+
     } else {
       // 3-2. Excel 파일 처리 (구형 .xls 파일 지원 포함)
       console.log('📊 Excel 파일 처리 시작...');
@@ -3042,15 +3099,7 @@ router.post('/generate-with-template', createRateLimitMiddleware('orderGeneratio
     });
     
     // 5. 템플릿 매핑 적용하여 데이터 변환
-    const orderMapping = template.order_field_mapping;
     const supplierMapping = template.supplier_field_mapping;
-    const fixedFields = template.fixed_fields || {};
-    
-    console.log('📋 템플릿 매핑:', {
-      orderMapping,
-      supplierMapping,
-      fixedFields
-    });
     
     // 매핑 데이터 검증
     if (!supplierMapping || Object.keys(supplierMapping).length === 0) {
@@ -3060,31 +3109,60 @@ router.post('/generate-with-template', createRateLimitMiddleware('orderGeneratio
       });
     }
     
-    if (!orderMapping || Object.keys(orderMapping).length === 0) {
+    // 발주서 필드별 주문서 열/매핑 수식과 고정값 (순서 보장을 위해 supplier_field_mapping_array 사용)
+    const generationOptions = getTemplateGenerationOptions(template);
+    const { templateFields: supplierHeaders, mappingRules, manualFields } = generationOptions;
+    
+    console.log('📋 템플릿 매핑:', {
+      mappingRules,
+      fixedFields: manualFields
+    });
+    
+    if (Object.keys(mappingRules).length === 0 && Object.keys(manualFields).length === 0) {
       console.error('❌ 템플릿 매핑 오류: order_field_mapping이 비어있음');
       return res.status(400).json({ 
         error: '템플릿의 주문서 필드 매핑이 설정되지 않았습니다. 템플릿을 다시 설정해주세요.' 
       });
     }
     
-    // 6. 변환된 데이터 생성 (순서 보장)
-    const convertedData = [];
+    // 매핑 수식([수식: ...]) 미리 해석 (문법 오류/없는 조회 테이블은 발주서를 만들기 전에 중단)
+    const expressionValidation = validateMappingExpressions(mappingRules);
+    if (!expressionValidation.isValid) {
+      return res.status(400).json({
+        error: '매핑 수식에 오류가 있습니다.',
+        code: 'INVALID_MAPPING_EXPRESSION',
+        details: expressionValidation.errors
+      });
+    }
     
-    // 순서 보장을 위해 supplierFieldMappingArray 사용 (있는 경우)
-    let supplierHeaders = [];
-    if (template.supplier_field_mapping_array && Array.isArray(template.supplier_field_mapping_array)) {
-      // 순서 배열이 있으면 그 순서대로 사용
-      supplierHeaders = template.supplier_field_mapping_array
-        .sort((a, b) => a.order - b.order)
-        .map(item => item.supplierField);
-      console.log('📋 발주서 헤더 생성 (배열 순서 사용):', supplierHeaders);
-    } else {
-      // 순서 배열이 없으면 Object.keys 사용 (기존 방식)
-      supplierHeaders = Object.keys(supplierMapping);
-      console.log('📋 발주서 헤더 생성 (Object.keys 사용):', supplierHeaders);
-      console.log('⚠️ 순서 배열이 없어 Object.keys를 사용했습니다. 순서가 보장되지 않을 수 있습니다.');
+    const expressions = {};
+    Object.entries(mappingRules).forEach(([supplierField, orderField]) => {
+      if (isMappingExpression(orderField)) {
+        expressions[supplierField] = compileMappingExpression(orderField);
+      }
+    });
+    
+    let lookupTables;
+    try {
+      lookupTables = await loadMappingLookupTables(mappingRules);
+    } catch (lookupError) {
+      return res.status(400).json({
+        error: '매핑 수식의 조회 테이블을 불러올 수 없습니다.',
+        code: 'LOOKUP_TABLE_NOT_FOUND',
+        details: lookupError.message
+      });
+    }
+    
+    // 템플릿 채우기로 저장된 템플릿은 공급처 발주서 파일 사본에 채워서 생성
+    if (generationOptions.fillTemplate) {
+      return await sendFilledTemplateOrder(res, template, generationOptions, { headers: orderHeaders, data: orderData });
     }
     
+    // 6. 변환된 데이터 생성 (순서 보장)
+    const convertedData = [];
+    const errors = [];
+    console.log('📋 발주서 헤더 생성:', supplierHeaders);
+    
     // 헤더(컬럼명) 추가
     convertedData.push(supplierHeaders);
     
@@ -3102,37 +3180,46 @@ router.post('/generate-with-template', createRateLimitMiddleware('orderGeneratio
         let value = '';
         
         // 고정값이 있으면 사용
-        if (fixedFields[supplierField]) {
-          value = fixedFields[supplierField];
+        if (manualFields[supplierField]) {
+          value = manualFields[supplierField];
+        } else if (expressions[supplierField]) {
+          // 매핑 수식 (계산 실패 시 빈 칸으로 두고 행 오류로 보고)
+          try {
+            value = expressions[supplierField].evaluate(orderRow, { lookupTables });
+          } catch (expressionError) {
+            errors.push({
+              row: index + 1,
+              field: supplierField,
+              error: `${supplierField}: ${expressionError.message}`,
+              lookup: expressionError.lookup // 조회 테이블에 없는 값 { table, key }
+            });
+          }
         } else {
-          // 매핑된 주문서 필드에서 값 가져오기
-          const orderField = supplierMapping[supplierField];
-          if (orderField && orderMapping[orderField]) {
-            const orderColumnName = orderMapping[orderField];
+          // 매핑된 주문서 열에서 값 가져오기
+          const orderColumnName = mappingRules[supplierField];
+          
+          // orderRow는 객체이므로 키로 접근 (배열 인덱스가 아님!)
+          if (orderColumnName && orderRow[orderColumnName]) {
+            const rawValue = orderRow[orderColumnName];
             
-            // orderRow는 객체이므로 키로 접근 (배열 인덱스가 아님!)
-            if (orderRow[orderColumnName]) {
-              const rawValue = orderRow[orderColumnName];
-              
-              console.log(`🔄 필드 매핑: ${supplierField} ← ${orderColumnName} = "${rawValue}"`);
-              
-              // 객체를 문자열로 변환 (읽기 전용 처리)
-              if (rawValue && typeof rawValue === 'object') {
-                let processedValue = rawValue;
-                if (processedValue.richText && Array.isArray(processedValue.richText)) {
-                  // 리치 텍스트 처리
-                  value = processedValue.richText.map(item => item.text || '').join('');
-                } else if (Array.isArray(processedValue)) {
-                  value = processedValue.join(', ');
-                } else if (processedValue.toString && typeof processedValue.toString === 'function') {
-                  const toStringResult = processedValue.toString();
-                  value = toStringResult !== '[object Object]' ? toStringResult : JSON.stringify(processedValue);
-                } else {
-                  value = JSON.stringify(processedValue);
-                }
+            console.log(`🔄 필드 매핑: ${supplierField} ← ${orderColumnName} = "${rawValue}"`);
+            
+            // 객체를 문자열로 변환 (읽기 전용 처리)
+            if (rawValue && typeof rawValue === 'object') {
+              let processedValue = rawValue;
+              if (processedValue.richText && Array.isArray(processedValue.richText)) {
+                // 리치 텍스트 처리
+                value = processedValue.richText.map(item => item.text || '').join('');
+              } else if (Array.isArray(processedValue)) {
+                value = processedValue.join(', ');
+              } else if (processedValue.toString && typeof processedValue.toString === 'function') {
+                const toStringResult = processedValue.toString();
+                value = toStringResult !== '[object Object]' ? toStringResult : JSON.stringify(processedValue);
               } else {
-                value = String(rawValue).trim();
+                value = JSON.stringify(processedValue);
               }
+            } else {
+              value = String(rawValue).trim();
             }
           }
         }
@@ -3143,6 +3230,10 @@ router.post('/generate-with-template', createRateLimitMiddleware('orderGeneratio
       convertedData.push(convertedRow);
     });
     
+    if (errors.length > 0) {
+      console.warn(`⚠️ 매핑 수식 계산 실패 ${errors.length}건:`, errors.slice(0, 5).map(error => `행 ${error.row} ${error.error}`));
+    }
+    
     console.log('🔄 데이터 변환 완료:', {
       originalRows: orderData.length,
       convertedRows: convertedData.length - 1,
@@ -3229,28 +3320,29 @@ router.post('/generate-with-template', createRateLimitMiddleware('orderGeneratio
     const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
     
     // Supabase Storage 호환 파일명 생성 (URL 인코딩 방식)
-    const templateNameSafe = encodeURIComponent(template.template_name)
-      .replace(/[%]/g, '_') // % 기호를 언더스코어로 변경
-      .replace(/[^a-zA-Z0-9_-]/g, '_') // 영문, 숫자, _, - 만 허용
-      .replace(/_+/g, '_') // 연속 언더스코어를 하나로
-      .replace(/^_|_$/g, '') // 시작/끝 언더스코어 제거
-      .substring(0, 30) // 길이 제한
-      || 'template'; // 빈 문자열인 경우 기본값
+    const templateNameSafe = toStorageSafeName(template.template_name);
     
-    const outputFileName = `order_${templateNameSafe}_${timestamp}.xlsx`;
+    // 템플릿의 출력 형식 (xlsx | xls | csv-cp949 | csv-utf8 | pdf)
+    const outputFormat = template.output_format || DEFAULT_OUTPUT_FORMAT;
+    const outputExtension = getOutputExtension(outputFormat);
+    const outputFileName = `order_${templateNameSafe}_${timestamp}.${outputExtension}`;
     
     console.log('💾 발주서 파일 Supabase Storage 저장 중:', outputFileName);
     
     // Supabase Storage에 저장 (한글 인코딩 개선)
-    const buffer = await outputWorkbook.xlsx.writeBuffer({
-      useStyles: true,
-      useSharedStrings: false,  // 한글 호환성 개선
-      compression: false        // 압축 비활성화로 한글 호환성 개선
+    const buffer = await writePurchaseOrderBuffer(outputWorkbook, outputFormat, {
+      title: `발주서 - ${template.template_name}`,
+      xlsxOptions: {
+        useStyles: true,
+        useSharedStrings: false,  // 한글 호환성 개선
+        compression: false        // 압축 비활성화로 한글 호환성 개선
+      }
     });
     
-    console.log('💾 Excel 버퍼 생성 완료:', {
+    console.log('💾 발주서 버퍼 생성 완료:', {
       bufferSize: buffer.length,
-      fileName: outputFileName
+      fileName: outputFileName,
+      outputFormat: outputFormat
     });
     
     const uploadResult = await uploadFile(buffer, outputFileName, 'generated');
@@ -3265,7 +3357,7 @@ router.post('/generate-with-template', createRateLimitMiddleware('orderGeneratio
     console.log('✅ Supabase Storage 저장 완료:', outputFileName);
     
     // 9. 다운로드 URL 및 사용자 친화적 파일명 생성
-    const userFriendlyFileName = `발주서_${template.template_name}_${timestamp}.xlsx`;
+    const userFriendlyFileName = `발주서_${template.template_name}_${timestamp}.${outputExtension}`;
     const downloadUrl = `/api/orders/download/${outputFileName}?display=${encodeURIComponent(userFriendlyFileName)}`;
     
     console.log('🎉 템플릿 기반 변환 완료:', {
@@ -3282,7 +3374,9 @@ router.post('/generate-with-template', createRateLimitMiddleware('orderGeneratio
       displayFileName: userFriendlyFileName,
       downloadUrl: downloadUrl,
       processedRows: orderData.length,
+      errors: errors,
       templateUsed: template.template_name,
+      outputFormat: outputFormat,
       timestamp: new Date().toISOString()
     });
     
@@ -3310,22 +3404,14 @@ router.get('/storage/files', async (req, res) => {
     console.log('📂 Storage 파일 목록 요청');
     console.log('🔍 요청 시간:', new Date().toISOString());
     
-    // uploads bucket과 generated bucket 모두 확인
-    const uploadsResult = await supabase.storage
-      .from('uploads')
-      .list('files', {
-        limit: 100,
-        offset: 0,
-        sortBy: { column: 'created_at', order: 'desc' }
-      });
-    
-    const generatedResult = await supabase.storage
-      .from('generated')
-      .list('files', {
-        limit: 100,
-        offset: 0,
-        sortBy: { column: 'created_at', order: 'desc' }
-      });
+    // uploads bucket과 generated bucket 모두 확인 (STORAGE_DRIVER에 따라 Supabase/로컬 스토리지)
+    const listOptions = {
+      limit: 100,
+      offset: 0,
+      sortBy: { column: 'created_at', order: 'desc' }
+    };
+    const uploadsResult = await listFiles('uploads', 'files', listOptions);
+    const generatedResult = await listFiles('generated', 'files', listOptions);
     
     console.log('📊 uploads bucket 조회 결과:', uploadsResult.error || 'OK');
     console.log('📊 generated bucket 조회 결과:', generatedResult.error || 'OK');
@@ -3337,7 +3423,7 @@ router.get('/storage/files', async (req, res) => {
       return res.status(500).json({
         success: false,
         error: 'Storage 파일 목록을 가져올 수 없습니다.',
-        details: error.message
+        details: error
       });
     }
     
@@ -3533,27 +3619,10 @@ router.get('/preview/:fileName', async (req, res) => {
         }
         
       } else if (fileExtension === '.csv') {
-        // CSV 파일 처리
-        const csvData = fileBuffer.toString('utf8');
-        const lines = csvData.split('\n').filter(line => line.trim());
-        
-        if (lines.length > 0) {
-          // 헤더 파싱
-          headers = lines[0].split(',').map(h => h.replace(/^"|"$/g, '').trim());
-          
-          // 데이터 파싱 (최대 10행)
-          const dataLines = lines.slice(1, 11);
-          dataLines.forEach(line => {
-            const values = line.split(',').map(v => v.replace(/^"|"$/g, '').trim());
-            const rowData = {};
-            
-            headers.forEach((header, index) => {
-              rowData[header] = values[index] || '';
-            });
-            
-            previewData.push(rowData);
-          });
-        }
+        // CSV 파일 처리 (최대 10행)
+        const csvResult = parseCsvBuffer(fileBuffer, { maxRows: 10 });
+        headers = csvResult.headers;
+        previewData = csvResult.data;
       }
       
       res.json({
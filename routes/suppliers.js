@@ -0,0 +1,233 @@
+const express = require('express');
+const { getRepositories } = require('../utils/repositories');
+const { loadEmailTemplate } = require('../utils/supabase');
+const { parseEmailList, findInvalidEmails } = require('../utils/emailRecipients');
+const { PROTECTION_MODES, validatePasswordDelivery } = require('../utils/attachmentProtection');
+
+const router = express.Router();
+
+// 공급처 응답 형식
+function toSupplierResponse(supplier) {
+  return {
+    id: supplier.id,
+    name: supplier.name,
+    emails: supplier.emails || [],
+    ccEmails: supplier.cc_emails || [],
+    bccEmails: supplier.bcc_emails || [],
+    defaultEmailTemplate: supplier.default_email_template,
+    defaultOrderTemplateId: supplier.default_order_template_id,
+    contactName: supplier.contact_name,
+    memo: supplier.memo,
+    attachmentProtection: supplier.attachment_protection,
+    passwordDelivery: supplier.password_delivery,
+    passwordRecipient: supplier.password_recipient,
+    createdAt: supplier.created_at,
+    updatedAt: supplier.updated_at
+  };
+}
+
+// 요청 본문 → 저장 값 (existing이 있으면 수정 - 보낸 필드만 변경)
+async function buildSupplierValues(body, existing = null) {
+  const invalid = (status, error, details) => ({ status, error: { error, details } });
+  const values = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = String(body.name || '').trim();
+    if (!name) return invalid(400, '공급처명은 필수입니다.');
+    values.name = name;
+  }
+
+  const emailFields = { emails: 'emails', ccEmails: 'cc_emails', bccEmails: 'bcc_emails' };
+  for (const [key, column] of Object.entries(emailFields)) {
+    if (body[key] === undefined) continue;
+    values[column] = parseEmailList(body[key]);
+  }
+
+  const emails = values.emails ?? existing?.emails ?? [];
+  if (emails.length === 0) {
+    return invalid(400, '공급처 이메일(emails)이 하나 이상 필요합니다.');
+  }
+
+  const invalidEmails = findInvalidEmails([...emails, ...(values.cc_emails || []), ...(values.bcc_emails || [])]);
+  if (invalidEmails.length > 0) {
+    return invalid(400, '이메일 주소 형식이 올바르지 않습니다.', invalidEmails);
+  }
+
+  if (body.defaultEmailTemplate !== undefined) {
+    values.default_email_template = body.defaultEmailTemplate || null;
+    if (values.default_email_template) {
+      const templateResult = await loadEmailTemplate(values.default_email_template);
+      if (!templateResult.success) {
+        return invalid(400, `이메일 템플릿을 찾을 수 없습니다: ${values.default_email_template}`);
+      }
+    }
+  }
+
+  if (body.defaultOrderTemplateId !== undefined) {
+    values.default_order_template_id = body.defaultOrderTemplateId || null;
+    if (values.default_order_template_id) {
+      const template = await getRepositories().orderTemplates.findActiveById(values.default_order_template_id);
+      if (!template) {
+        return invalid(400, `발주서 템플릿을 찾을 수 없습니다: ${values.default_order_template_id}`);
+      }
+    }
+  }
+
+  if (body.contactName !== undefined) values.contact_name = body.contactName || null;
+  if (body.memo !== undefined) values.memo = body.memo || null;
+
+  // 첨부파일 암호화 정책 (비워두면 서버 기본값)
+  if (body.attachmentProtection !== undefined) {
+    values.attachment_protection = body.attachmentProtection || null;
+    if (values.attachment_protection && !PROTECTION_MODES.includes(values.attachment_protection)) {
+      return invalid(400, `attachmentProtection은 ${PROTECTION_MODES.join(', ')} 중 하나여야 합니다.`);
+    }
+  }
+  if (body.passwordDelivery !== undefined) values.password_delivery = body.passwordDelivery || null;
+  if (body.passwordRecipient !== undefined) values.password_recipient = String(body.passwordRecipient || '').trim() || null;
+
+  const passwordDelivery = values.password_delivery !== undefined ? values.password_delivery : existing?.password_delivery;
+  const passwordRecipient = values.password_recipient !== undefined ? values.password_recipient : existing?.password_recipient;
+  if (values.password_delivery !== undefined || values.password_recipient !== undefined) {
+    const passwordError = validatePasswordDelivery(passwordDelivery || process.env.ATTACHMENT_PASSWORD_DELIVERY || 'email', passwordRecipient);
+    if (passwordError) return invalid(400, passwordError);
+  }
+
+  return { values };
+}
+
+// 📇 공급처 목록 조회
+router.get('/', async (req, res) => {
+  try {
+    const suppliers = await getRepositories().suppliers.listActive();
+
+    res.json({
+      success: true,
+      suppliers: suppliers.map(toSupplierResponse)
+    });
+  } catch (error) {
+    console.error('❌ 공급처 목록 조회 오류:', error);
+    res.status(500).json({
+      error: '공급처 목록 조회 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 📖 공급처 상세 조회
+router.get('/:id', async (req, res) => {
+  try {
+    const supplier = await getRepositories().suppliers.findActiveById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        error: '공급처를 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      success: true,
+      supplier: toSupplierResponse(supplier)
+    });
+  } catch (error) {
+    console.error('❌ 공급처 조회 오류:', error);
+    res.status(500).json({
+      error: '공급처 조회 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 💾 공급처 등록
+router.post('/', async (req, res) => {
+  try {
+    const built = await buildSupplierValues(req.body || {});
+    if (built.error) {
+      return res.status(built.status).json(built.error);
+    }
+
+    const { suppliers } = getRepositories();
+    if (await suppliers.findActiveByName(built.values.name)) {
+      return res.status(409).json({
+        error: '이미 존재하는 공급처명입니다.'
+      });
+    }
+
+    const supplier = await suppliers.create(built.values);
+    console.log('✅ 공급처 등록:', supplier.name);
+
+    res.json({
+      success: true,
+      message: '공급처가 등록되었습니다.',
+      supplier: toSupplierResponse(supplier)
+    });
+  } catch (error) {
+    console.error('❌ 공급처 등록 오류:', error);
+    res.status(500).json({
+      error: '공급처 등록 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 🔄 공급처 수정
+router.put('/:id', async (req, res) => {
+  try {
+    const { suppliers } = getRepositories();
+    const existing = await suppliers.findActiveById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: '수정할 공급처를 찾을 수 없습니다.'
+      });
+    }
+
+    const built = await buildSupplierValues(req.body || {}, existing);
+    if (built.error) {
+      return res.status(built.status).json(built.error);
+    }
+
+    if (built.values.name && await suppliers.findActiveByName(built.values.name, { excludeId: existing.id })) {
+      return res.status(409).json({
+        error: '이미 존재하는 공급처명입니다.'
+      });
+    }
+
+    const supplier = await suppliers.update(existing.id, built.values);
+
+    res.json({
+      success: true,
+      message: '공급처가 수정되었습니다.',
+      supplier: toSupplierResponse(supplier)
+    });
+  } catch (error) {
+    console.error('❌ 공급처 수정 오류:', error);
+    res.status(500).json({
+      error: '공급처 수정 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+// 🗑️ 공급처 삭제 (비활성화)
+router.delete('/:id', async (req, res) => {
+  try {
+    const supplier = await getRepositories().suppliers.deactivate(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        error: '삭제할 공급처를 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '공급처가 삭제되었습니다.'
+    });
+  } catch (error) {
+    console.error('❌ 공급처 삭제 오류:', error);
+    res.status(500).json({
+      error: '공급처 삭제 중 오류가 발생했습니다.',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,63 @@
 const express = require('express');
-const { supabase } = require('../utils/supabase');
+const path = require('path');
+const { getRepositories } = require('../utils/repositories');
 const { rateLimitMiddleware } = require('../utils/rateLimiter');
+const { MISSING_FIELD_POLICIES, DEFAULT_MISSING_FIELD_POLICY } = require('../utils/templateMapping');
+const { validateMappingExpressions } = require('../utils/mappingExpression');
+const { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT } = require('../utils/outputFormats');
+const { resolveActualFileName } = require('../utils/supabase');
 
 const router = express.Router();
 
+// 🧩 템플릿 채우기 설정 검증 및 저장 값 생성 (existing이 있으면 보내지 않은 값은 기존 값 사용)
+async function resolveFillTemplateInput({ fillTemplate, templateFile, templateHeaderRow }, existing = null) {
+  const invalid = (status, error, code) => ({ status, error: { error, code } });
+  const values = {};
+
+  if (templateHeaderRow !== undefined) {
+    const emptyHeaderRow = templateHeaderRow === null || templateHeaderRow === '';
+    if (!emptyHeaderRow && !(Number.isInteger(Number(templateHeaderRow)) && Number(templateHeaderRow) >= 1)) {
+      return invalid(400, 'templateHeaderRow는 1 이상의 정수여야 합니다.', 'INVALID_TEMPLATE_HEADER_ROW');
+    }
+    values.template_header_row = emptyHeaderRow ? null : Number(templateHeaderRow);
+  }
+
+  // 공급처 발주서 파일은 생성할 때마다 다시 읽으므로 저장 시점에 존재 여부와 형식 확인
+  if (templateFile !== undefined) {
+    if (templateFile) {
+      const resolveResult = await resolveActualFileName(templateFile, 'uploads', 'supplier');
+      if (!resolveResult.success) {
+        return invalid(404, `공급처 발주서 파일을 찾을 수 없습니다: ${templateFile}`, 'TEMPLATE_FILE_NOT_FOUND');
+      }
+      if (path.extname(resolveResult.actualFileName).toLowerCase() !== '.xlsx') {
+        return invalid(400, '템플릿 채우기는 Excel(.xlsx) 발주서 파일만 지원합니다.', 'INVALID_TEMPLATE_FILE');
+      }
+    }
+    values.template_file = templateFile || null;
+  }
+
+  if (fillTemplate !== undefined) {
+    values.fill_template = fillTemplate === true;
+  }
+
+  const fill = values.fill_template !== undefined ? values.fill_template : existing?.fill_template === true;
+  const file = values.template_file !== undefined ? values.template_file : existing?.template_file;
+  if (fill && !file) {
+    return invalid(400, '템플릿 채우기(fillTemplate)에는 공급처 발주서 파일(templateFile)이 필요합니다.', 'TEMPLATE_FILE_REQUIRED');
+  }
+
+  return { values };
+}
+
 // 📋 템플릿 목록 조회
 router.get('/', async (req, res) => {
   try {
     console.log('📋 템플릿 목록 조회 요청');
     
-    const { data: templates, error } = await supabase
-      .from('order_templates')
-      .select('*')
-      .eq('is_active', true)
-      .order('last_used_at', { ascending: false, nullsFirst: false })
-      .order('created_at', { ascending: false });
-
-    if (error) {
+    let templates;
+    try {
+      templates = await getRepositories().orderTemplates.listActive();
+    } catch (error) {
       console.error('❌ 템플릿 조회 오류:', error);
       return res.status(500).json({ 
         error: '템플릿 조회 실패', 
@@ -54,14 +95,10 @@ router.get('/:id', async (req, res) => {
     const templateId = req.params.id;
     console.log('📖 템플릿 상세 조회:', templateId);
 
-    const { data: template, error } = await supabase
-      .from('order_templates')
-      .select('*')
-      .eq('id', templateId)
-      .eq('is_active', true)
-      .single();
-
-    if (error) {
+    let template;
+    try {
+      template = await getRepositories().orderTemplates.findActiveById(templateId);
+    } catch (error) {
       console.error('❌ 템플릿 상세 조회 오류:', error);
       return res.status(500).json({ 
         error: '템플릿 조회 실패', 
@@ -94,6 +131,11 @@ router.get('/:id', async (req, res) => {
         supplierFieldMapping: template.supplier_field_mapping,
         supplierFieldMappingArray: template.supplier_field_mapping_array, // ✅ 순서 보장 배열 추가
         fixedFields: template.fixed_fields,
+        missingFieldPolicy: template.missing_field_policy || DEFAULT_MISSING_FIELD_POLICY,
+        outputFormat: template.output_format || DEFAULT_OUTPUT_FORMAT,
+        fillTemplate: template.fill_template === true,
+        templateFile: template.template_file || null,
+        templateHeaderRow: template.template_header_row || null,
         createdBy: template.created_by,
         createdAt: template.created_at,
         lastUsedAt: template.last_used_at,
@@ -120,6 +162,11 @@ router.post('/', async (req, res) => {
       supplierFieldMapping,
       supplierFieldMappingArray, // 순서 보장을 위한 배열 (사용 안함)
       fixedFields,
+      missingFieldPolicy,
+      outputFormat,
+      fillTemplate,
+      templateFile,
+      templateHeaderRow,
       createdBy
     } = req.body;
 
@@ -136,6 +183,27 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // 누락 필드 정책 검증 (Webhook 주문 처리 시 사용)
+    if (missingFieldPolicy !== undefined && !MISSING_FIELD_POLICIES.includes(missingFieldPolicy)) {
+      return res.status(400).json({ 
+        error: `누락 필드 정책은 ${MISSING_FIELD_POLICIES.join(', ')} 중 하나여야 합니다.` 
+      });
+    }
+
+    // 발주서 출력 형식 검증
+    if (outputFormat !== undefined && !OUTPUT_FORMATS.includes(outputFormat)) {
+      return res.status(400).json({ 
+        error: `출력 형식은 ${OUTPUT_FORMATS.join(', ')} 중 하나여야 합니다.`,
+        code: 'INVALID_OUTPUT_FORMAT'
+      });
+    }
+
+    // 템플릿 채우기 설정 검증 (공급처 발주서 파일 사본에 채워서 생성)
+    const fillTemplateInput = await resolveFillTemplateInput({ fillTemplate, templateFile, templateHeaderRow });
+    if (fillTemplateInput.error) {
+      return res.status(fillTemplateInput.status).json(fillTemplateInput.error);
+    }
+
     // 입력값 정리 (공백 제거)
     const cleanedTemplateName = templateName.trim();
     const cleanedDescription = (description || '').trim();
@@ -157,13 +225,10 @@ router.post('/', async (req, res) => {
     const cleanedSupplierFieldMapping = cleanMapping(supplierFieldMapping);
     const cleanedFixedFields = fixedFields ? cleanMapping(fixedFields) : {};
 
+    const { orderTemplates } = getRepositories();
+
     // 중복 템플릿명 확인
-    const { data: existingTemplate } = await supabase
-      .from('order_templates')
-      .select('id')
-      .eq('template_name', cleanedTemplateName)
-      .eq('is_active', true)
-      .single();
+    const existingTemplate = await orderTemplates.findActiveByName(cleanedTemplateName);
 
     if (existingTemplate) {
       return res.status(409).json({ 
@@ -199,6 +264,16 @@ router.post('/', async (req, res) => {
       console.log('📋 기본 키 순서:', Object.keys(orderedSupplierFieldMapping));
     }
 
+    // 매핑 수식([수식: ...]) 문법 검증
+    const expressionValidation = validateMappingExpressions(orderedSupplierFieldMapping);
+    if (!expressionValidation.isValid) {
+      return res.status(400).json({ 
+        error: '매핑 수식에 오류가 있습니다.',
+        code: 'INVALID_MAPPING_EXPRESSION',
+        details: expressionValidation.errors
+      });
+    }
+
     // 템플릿 저장 (순서 배열 포함, 에러 핸들링 추가)
     const templateInsertData = {
       template_name: cleanedTemplateName,
@@ -208,6 +283,16 @@ router.post('/', async (req, res) => {
       fixed_fields: cleanedFixedFields,
       created_by: createdBy || 'anonymous'
     };
+
+    if (missingFieldPolicy !== undefined) {
+      templateInsertData.missing_field_policy = missingFieldPolicy;
+    }
+
+    if (outputFormat !== undefined) {
+      templateInsertData.output_format = outputFormat;
+    }
+
+    Object.assign(templateInsertData, fillTemplateInput.values);
     
     // supplier_field_mapping_array가 있으면 추가 (순서 보장용)
     if (supplierFieldMappingArray && Array.isArray(supplierFieldMappingArray)) {
@@ -220,39 +305,13 @@ router.post('/', async (req, res) => {
       console.log('📋 받은 supplierFieldMappingArray:', typeof supplierFieldMappingArray, supplierFieldMappingArray);
     }
     
-    // 첫 번째 시도: 순서 배열 포함하여 저장
-    let { data: newTemplate, error } = await supabase
-      .from('order_templates')
-      .insert(templateInsertData)
-      .select()
-      .single();
-    
-    // supplier_field_mapping_array 컬럼이 없는 경우 백업 로직
-    if (error && error.code === 'PGRST204' && error.message.includes('supplier_field_mapping_array')) {
-      console.log('⚠️ supplier_field_mapping_array 컬럼이 없음, 순서 배열 제외하고 재시도');
-      
-      // 순서 배열 제거하고 다시 시도
-      const backupInsertData = { ...templateInsertData };
-      delete backupInsertData.supplier_field_mapping_array;
-      
-      const backupResult = await supabase
-        .from('order_templates')
-        .insert(backupInsertData)
-        .select()
-        .single();
-      
-      newTemplate = backupResult.data;
-      error = backupResult.error;
-      
-      if (!backupResult.error) {
-        console.log('✅ 순서 배열 없이 템플릿 저장 성공 (백업 로직)');
-        console.log('💡 Supabase 스키마 캐시를 새로고침하거나 프로젝트를 재시작해주세요.');
-      }
-    }
-
-    if (error) {
+    // 템플릿 저장 (순서 배열 컬럼이 없는 구버전 스키마는 저장소에서 처리)
+    let newTemplate;
+    try {
+      newTemplate = await orderTemplates.create(templateInsertData);
+    } catch (error) {
       console.error('❌ 템플릿 저장 오류:', error);
-      console.error('❌ 오류 상세:', JSON.stringify(error, null, 2));
+      console.error('❌ 오류 상세:', { code: error.code, details: error.details });
       console.error('❌ 저장하려던 데이터:', {
         template_name: cleanedTemplateName,
         description: cleanedDescription,
@@ -263,7 +322,7 @@ router.post('/', async (req, res) => {
       });
       return res.status(500).json({ 
         error: `템플릿 저장에 실패했습니다: ${error.message}`,
-        details: error
+        details: { code: error.code, message: error.message, details: error.details }
       });
     }
 
@@ -302,7 +361,12 @@ router.put('/:id', async (req, res) => {
       orderFieldMapping,
       supplierFieldMapping,
       supplierFieldMappingArray, // 순서 보장을 위한 배열
-      fixedFields
+      fixedFields,
+      missingFieldPolicy,
+      outputFormat,
+      fillTemplate,
+      templateFile,
+      templateHeaderRow
     } = req.body;
 
     console.log('🔄 템플릿 수정 요청:', templateId);
@@ -314,6 +378,30 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // 누락 필드 정책 검증 (Webhook 주문 처리 시 사용)
+    if (missingFieldPolicy !== undefined && !MISSING_FIELD_POLICIES.includes(missingFieldPolicy)) {
+      return res.status(400).json({ 
+        error: `누락 필드 정책은 ${MISSING_FIELD_POLICIES.join(', ')} 중 하나여야 합니다.` 
+      });
+    }
+
+    // 발주서 출력 형식 검증
+    if (outputFormat !== undefined && !OUTPUT_FORMATS.includes(outputFormat)) {
+      return res.status(400).json({ 
+        error: `출력 형식은 ${OUTPUT_FORMATS.join(', ')} 중 하나여야 합니다.`,
+        code: 'INVALID_OUTPUT_FORMAT'
+      });
+    }
+
+    // 템플릿 채우기 설정 검증 (보내지 않은 값은 기존 값 기준)
+    const fillTemplateInput = await resolveFillTemplateInput(
+      { fillTemplate, templateFile, templateHeaderRow },
+      await getRepositories().orderTemplates.findActiveById(templateId)
+    );
+    if (fillTemplateInput.error) {
+      return res.status(fillTemplateInput.status).json(fillTemplateInput.error);
+    }
+
     // 입력값 정리 (공백 제거)
     const cleanedTemplateName = templateName.trim();
     const cleanedDescription = (description || '').trim();
@@ -335,14 +423,10 @@ router.put('/:id', async (req, res) => {
     const cleanedSupplierFieldMapping = cleanMapping(supplierFieldMapping);
     const cleanedFixedFields = fixedFields ? cleanMapping(fixedFields) : {};
 
+    const { orderTemplates } = getRepositories();
+
     // 중복 템플릿명 확인 (자기 자신 제외)
-    const { data: existingTemplate } = await supabase
-      .from('order_templates')
-      .select('id')
-      .eq('template_name', cleanedTemplateName)
-      .eq('is_active', true)
-      .neq('id', templateId)
-      .single();
+    const existingTemplate = await orderTemplates.findActiveByName(cleanedTemplateName, { excludeId: templateId });
 
     if (existingTemplate) {
       return res.status(409).json({ 
@@ -365,6 +449,16 @@ router.put('/:id', async (req, res) => {
       console.log('📋 템플릿 수정 - 순서 보장된 supplier_field_mapping:', orderedSupplierFieldMapping);
     }
 
+    // 매핑 수식([수식: ...]) 문법 검증
+    const expressionValidation = validateMappingExpressions(orderedSupplierFieldMapping);
+    if (!expressionValidation.isValid) {
+      return res.status(400).json({ 
+        error: '매핑 수식에 오류가 있습니다.',
+        code: 'INVALID_MAPPING_EXPRESSION',
+        details: expressionValidation.errors
+      });
+    }
+
     // 템플릿 수정 (순서 배열 포함, 에러 핸들링 추가)
     const templateUpdateData = {
       template_name: cleanedTemplateName,
@@ -373,6 +467,19 @@ router.put('/:id', async (req, res) => {
       supplier_field_mapping: orderedSupplierFieldMapping, // 순서 보장된 매핑 저장
       fixed_fields: cleanedFixedFields
     };
+
+    // 누락 필드 정책은 전달된 경우에만 변경
+    if (missingFieldPolicy !== undefined) {
+      templateUpdateData.missing_field_policy = missingFieldPolicy;
+    }
+
+    // 출력 형식도 전달된 경우에만 변경
+    if (outputFormat !== undefined) {
+      templateUpdateData.output_format = outputFormat;
+    }
+
+    // 템플릿 채우기 설정도 전달된 값만 변경
+    Object.assign(templateUpdateData, fillTemplateInput.values);
     
     // supplier_field_mapping_array가 있으면 추가 (순서 보장용)
     if (supplierFieldMappingArray && Array.isArray(supplierFieldMappingArray)) {
@@ -380,41 +487,11 @@ router.put('/:id', async (req, res) => {
       console.log('📋 템플릿 수정 - 순서 배열도 함께 저장:', supplierFieldMappingArray.length, '개 항목');
     }
     
-    // 첫 번째 시도: 순서 배열 포함하여 수정
-    let { data: updatedTemplate, error } = await supabase
-      .from('order_templates')
-      .update(templateUpdateData)
-      .eq('id', templateId)
-      .eq('is_active', true)
-      .select()
-      .single();
-    
-    // supplier_field_mapping_array 컬럼이 없는 경우 백업 로직
-    if (error && error.code === 'PGRST204' && error.message.includes('supplier_field_mapping_array')) {
-      console.log('⚠️ 템플릿 수정 시 supplier_field_mapping_array 컬럼이 없음, 순서 배열 제외하고 재시도');
-      
-      // 순서 배열 제거하고 다시 시도
-      const backupUpdateData = { ...templateUpdateData };
-      delete backupUpdateData.supplier_field_mapping_array;
-      
-      const backupResult = await supabase
-        .from('order_templates')
-        .update(backupUpdateData)
-        .eq('id', templateId)
-        .eq('is_active', true)
-        .select()
-        .single();
-      
-      updatedTemplate = backupResult.data;
-      error = backupResult.error;
-      
-      if (!backupResult.error) {
-        console.log('✅ 순서 배열 없이 템플릿 수정 성공 (백업 로직)');
-        console.log('💡 Supabase 스키마 캐시를 새로고침하거나 프로젝트를 재시작해주세요.');
-      }
-    }
-
-    if (error) {
+    // 템플릿 수정 (순서 배열 컬럼이 없는 구버전 스키마는 저장소에서 처리)
+    let updatedTemplate;
+    try {
+      updatedTemplate = await orderTemplates.update(templateId, templateUpdateData);
+    } catch (error) {
       console.error('❌ 템플릿 수정 오류:', error);
       return res.status(500).json({ 
         error: '템플릿 수정 실패', 
@@ -457,15 +534,10 @@ router.delete('/:id', async (req, res) => {
     console.log('🗑️ 템플릿 삭제 요청:', templateId);
 
     // 템플릿을 비활성화 (소프트 딜리트)
-    const { data: deletedTemplate, error } = await supabase
-      .from('order_templates')
-      .update({ is_active: false })
-      .eq('id', templateId)
-      .eq('is_active', true)
-      .select('template_name')
-      .single();
-
-    if (error) {
+    let deletedTemplate;
+    try {
+      deletedTemplate = await getRepositories().orderTemplates.deactivate(templateId);
+    } catch (error) {
       console.error('❌ 템플릿 삭제 오류:', error);
       return res.status(500).json({ 
         error: '템플릿 삭제 실패', 
@@ -501,41 +573,23 @@ router.post('/:id/use', async (req, res) => {
     const templateId = req.params.id;
     console.log('🚀 템플릿 사용 통계 업데이트:', templateId);
 
-    // 1. 현재 사용 횟수 가져오기
-    const { data: currentTemplate, error: fetchError } = await supabase
-      .from('order_templates')
-      .select('usage_count')
-      .eq('id', templateId)
-      .eq('is_active', true)
-      .single();
-
-    if (fetchError) {
-      console.error('❌ 템플릿 조회 오류:', fetchError);
-      // 통계 업데이트 실패는 심각한 오류가 아니므로 경고만 로그
-      console.warn('⚠️ 템플릿 사용 통계 업데이트 실패, 계속 진행');
-    } else {
-      // 2. 사용 통계 업데이트 (+1)
-      const newUsageCount = (currentTemplate.usage_count || 0) + 1;
-      
-      const { error: updateError } = await supabase
-        .from('order_templates')
-        .update({ 
-          usage_count: newUsageCount,
-          last_used_at: new Date().toISOString()
-        })
-        .eq('id', templateId)
-        .eq('is_active', true);
-
-      if (updateError) {
-        console.error('❌ 템플릿 사용 통계 업데이트 오류:', updateError);
-        console.warn('⚠️ 템플릿 사용 통계 업데이트 실패, 계속 진행');
+    // 사용 통계 업데이트 (+1)
+    try {
+      const updatedTemplate = await getRepositories().orderTemplates.recordUsage(templateId);
+
+      if (!updatedTemplate) {
+        // 통계 업데이트 실패는 심각한 오류가 아니므로 경고만 로그
+        console.warn('⚠️ 템플릿을 찾을 수 없어 사용 통계 업데이트 생략, 계속 진행');
       } else {
         console.log('✅ 템플릿 사용 통계 업데이트 성공:', {
           templateId,
-          newUsageCount,
-          timestamp: new Date().toISOString()
+          newUsageCount: updatedTemplate.usage_count,
+          timestamp: updatedTemplate.last_used_at
         });
       }
+    } catch (updateError) {
+      console.error('❌ 템플릿 사용 통계 업데이트 오류:', updateError);
+      console.warn('⚠️ 템플릿 사용 통계 업데이트 실패, 계속 진행');
     }
 
     res.json({
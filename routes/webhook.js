@@ -1,18 +1,39 @@
 const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
 const router = express.Router();
-const { uploadFile, downloadFile, supabase } = require('../utils/supabase');
+const { uploadFile } = require('../utils/supabase');
+const { getRepositories } = require('../utils/repositories');
 const { convertOrderToSupplier } = require('../utils/converter');
-const nodemailer = require('nodemailer');
+const { loadWebhookKeys, verifyWebhookSignature, verifyBearerToken } = require('../utils/webhookAuth');
+const { createJobQueue } = require('../utils/jobQueue');
+const { getSupplierHeaders, getTemplateGenerationOptions, downloadTemplateFile, DEFAULT_MISSING_FIELD_POLICY } = require('../utils/templateMapping');
+const { loadTemplateWorkbook, prepareTemplateDataRows } = require('../utils/templateWorkbook');
+const { isMappingExpression, compileMappingExpression } = require('../utils/mappingExpression');
+const { loadMappingLookupTables } = require('../utils/lookupTables');
+const { DEFAULT_OUTPUT_FORMAT, getOutputExtension, writePurchaseOrderBuffer } = require('../utils/outputFormats');
+const { DEFAULT_PLATFORM, getOrderAdapter, listOrderAdapters, standardizeOrders } = require('../utils/orderAdapters');
+const { escapeHtml } = require('../utils/emailHtml');
+const { getMailTransport } = require('../utils/mailTransport');
+const { resolveAttachmentProtection } = require('../utils/attachmentProtection');
+const { deliverEmailMessage } = require('./email');
 const ExcelJS = require('exceljs');
 
+// 처리 중인 멱등성 키 (동시에 재전송된 같은 주문의 중복 처리 방지)
+const inFlightIdempotencyKeys = new Set();
+
 // 🔐 Webhook API 키 인증 미들웨어
+// 1) 서명 방식: X-Webhook-Timestamp + X-Webhook-Signature (HMAC-SHA256, 재전송 허용 시간 검사)
+// 2) Bearer 방식: Authorization: Bearer <키> (WEBHOOK_REQUIRE_SIGNATURE=true이면 거부)
 function authenticateWebhookAPI(req, res, next) {
   const authHeader = req.headers.authorization;
-  const expectedApiKey = process.env.WEBHOOK_API_KEY;
+  const signature = req.get('X-Webhook-Signature');
+  const keys = loadWebhookKeys();
+  const requireSignature = process.env.WEBHOOK_REQUIRE_SIGNATURE === 'true';
   
   // API 키가 설정되지 않은 경우
-  if (!expectedApiKey) {
-    console.error('❌ WEBHOOK_API_KEY가 환경변수에 설정되지 않았습니다');
+  if (keys.length === 0) {
+    console.error('❌ WEBHOOK_API_KEY(S)가 환경변수에 설정되지 않았습니다');
     return res.status(500).json({
       success: false,
       error: 'Webhook API 키가 서버에 설정되지 않았습니다. 관리자에게 문의하세요.',
@@ -20,34 +41,79 @@ function authenticateWebhookAPI(req, res, next) {
     });
   }
   
-  // Authorization 헤더 없음
-  if (!authHeader) {
-    return res.status(401).json({
-      success: false,
-      error: 'Authorization 헤더가 필요합니다.',
-      code: 'MISSING_AUTH_HEADER',
-      expected_format: 'Authorization: Bearer YOUR_API_KEY'
-    });
-  }
-  
-  // Bearer 토큰 형식 확인
-  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-  
-  if (token !== expectedApiKey) {
-    console.warn('⚠️ 잘못된 Webhook API 키 접근 시도:', {
-      provided: token.substring(0, 10) + '...',
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
+  if (signature) {
+    const result = verifyWebhookSignature({
+      // express.json의 verify 옵션으로 보관한 요청 원문 (없으면 파싱된 본문으로 대체)
+      rawBody: req.rawBody || JSON.stringify(req.body || {}),
+      timestamp: req.get('X-Webhook-Timestamp'),
+      signature,
+      keyId: req.get('X-Webhook-Key-Id'),
+      keys
     });
     
-    return res.status(401).json({
-      success: false,
-      error: '유효하지 않은 API 키입니다.',
-      code: 'INVALID_API_KEY'
-    });
+    if (!result.valid) {
+      console.warn('⚠️ Webhook 서명 검증 실패:', {
+        code: result.code,
+        keyId: req.get('X-Webhook-Key-Id') || null,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        code: result.code,
+        expected_format: 'X-Webhook-Signature: sha256=HMAC_SHA256(secret, "<timestamp>.<body>")'
+      });
+    }
+    
+    req.webhookKey = { id: result.key.id, label: result.key.label, method: 'signature' };
+  } else {
+    // Authorization 헤더 없음
+    if (!authHeader) {
+      return res.status(401).json({
+        success: false,
+        error: requireSignature ? '서명 헤더가 필요합니다.' : 'Authorization 헤더가 필요합니다.',
+        code: requireSignature ? 'MISSING_SIGNATURE' : 'MISSING_AUTH_HEADER',
+        expected_format: requireSignature
+          ? 'X-Webhook-Timestamp: <unix seconds>, X-Webhook-Signature: sha256=<hex>'
+          : 'Authorization: Bearer YOUR_API_KEY'
+      });
+    }
+    
+    if (requireSignature) {
+      return res.status(401).json({
+        success: false,
+        error: '서명된 요청만 허용됩니다. X-Webhook-Signature 헤더를 사용하세요.',
+        code: 'MISSING_SIGNATURE',
+        expected_format: 'X-Webhook-Timestamp: <unix seconds>, X-Webhook-Signature: sha256=<hex>'
+      });
+    }
+    
+    // Bearer 토큰 형식 확인
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+    const result = verifyBearerToken(token, keys);
+    
+    if (!result.valid) {
+      console.warn('⚠️ 잘못된 Webhook API 키 접근 시도:', {
+        provided: token.substring(0, 4) + '...',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      
+      return res.status(401).json({
+        success: false,
+        error: '유효하지 않은 API 키입니다.',
+        code: 'INVALID_API_KEY'
+      });
+    }
+    
+    req.webhookKey = { id: result.key.id, label: result.key.label, method: 'bearer' };
   }
   
   console.log('✅ Webhook API 인증 성공:', {
+    key: req.webhookKey.label,
+    method: req.webhookKey.method,
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     timestamp: new Date().toISOString()
@@ -56,10 +122,29 @@ function authenticateWebhookAPI(req, res, next) {
   next();
 }
 
-// 🛒 런모아 주문 데이터 수신 API
-router.post('/orders', authenticateWebhookAPI, async (req, res) => {
+// 🛒 런모아 주문 데이터 수신 API (기존 연동 호환)
+router.post('/orders', authenticateWebhookAPI, (req, res) => handleOrderWebhook(req, res, DEFAULT_PLATFORM));
+
+// 🛒 플랫폼별 주문 데이터 수신 API (예: /api/webhook/orders/smartstore)
+router.post('/orders/:platform', authenticateWebhookAPI, (req, res) => handleOrderWebhook(req, res, req.params.platform));
+
+// 🛒 주문 데이터 수신 처리 (플랫폼 어댑터로 검증/표준화 후 발주서 작업 등록)
+// 재전송된 주문은 처리하지 않고 최초 처리 결과를 반환 (?force=true로 강제 재처리)
+async function handleOrderWebhook(req, res, platform) {
+  const lockedKeys = [];
+  
+  const adapter = getOrderAdapter(platform);
+  if (!adapter) {
+    return res.status(404).json({
+      success: false,
+      error: `지원하지 않는 플랫폼입니다: ${platform}`,
+      code: 'UNSUPPORTED_PLATFORM',
+      supported_platforms: listOrderAdapters()
+    });
+  }
+  
   try {
-    console.log('🛒 런모아 주문 데이터 수신:', {
+    console.log(`🛒 ${adapter.name} 주문 데이터 수신:`, {
       timestamp: new Date().toISOString(),
       ip: req.ip,
       userAgent: req.get('User-Agent')
@@ -68,9 +153,25 @@ router.post('/orders', authenticateWebhookAPI, async (req, res) => {
     const orderData = req.body;
     console.log('📦 수신된 주문 데이터:', JSON.stringify(orderData, null, 2));
     
-    // 주문 데이터 검증
-    const validation = validateOrderData(orderData);
-    if (!validation.isValid) {
+    const forceReprocess = req.query.force === 'true' || req.query.force === '1';
+    const idempotencyHeader = req.get('Idempotency-Key');
+    const headerKey = idempotencyHeader ? `header:${idempotencyHeader}` : null;
+    
+    // Idempotency-Key 헤더로 이미 처리된 요청이면 최초 결과 반환
+    if (headerKey && !forceReprocess) {
+      const [previous] = await findIdempotencyRecords([headerKey]);
+      if (previous) {
+        console.log('♻️ 이미 처리된 Webhook 요청 (Idempotency-Key):', idempotencyHeader);
+        return sendReplayedResponse(res, previous);
+      }
+    }
+    
+    // 주문 데이터 검증 (다중 주문은 잘못된 주문만 제외하고 처리)
+    const validation = adapter.validate(orderData);
+    const allOrdersRejected = validation.rejectedOrders.length > 0 &&
+      validation.rejectedOrders.length === validation.orderCount;
+    
+    if (!validation.isValid && (validation.rejectedOrders.length === 0 || allOrdersRejected)) {
       console.error('❌ 주문 데이터 검증 실패:', validation.errors);
       return res.status(400).json({
         success: false,
@@ -80,38 +181,195 @@ router.post('/orders', authenticateWebhookAPI, async (req, res) => {
       });
     }
     
-    // 주문 데이터를 표준 형식으로 변환
-    const standardizedData = standardizeOrderData(orderData);
-    console.log('🔄 표준화된 주문 데이터:', standardizedData);
+    // 주문 데이터를 표준 형식으로 변환 (검증에 실패한 주문 제외)
+    const rejectedIndexes = new Set(validation.rejectedOrders.map(order => order.index));
+    const standardizedOrders = standardizeOrders(adapter, orderData)
+      .filter(order => !rejectedIndexes.has(order.주문순번));
+    console.log('🔄 표준화된 주문 데이터:', standardizedOrders.length + '개 주문');
+    
+    // 플랫폼별 주문번호 기준 중복 확인 (이미 발주서가 생성된 주문 제외)
+    const processedByOrderKey = new Map();
+    if (!forceReprocess) {
+      const records = await findIdempotencyRecords(getOrderIdempotencyKeys(standardizedOrders));
+      records.forEach(record => processedByOrderKey.set(record.idempotency_key, record));
+    }
     
-    // 자동으로 발주서 생성
-    const result = await processWebhookOrder(standardizedData);
+    const duplicateOrders = standardizedOrders.filter(order => processedByOrderKey.has(getOrderIdempotencyKey(order)));
+    const newOrders = standardizedOrders.filter(order => !processedByOrderKey.has(getOrderIdempotencyKey(order)));
     
-    if (result.success) {
-      console.log('✅ Webhook 주문 처리 완료:', {
-        orderId: orderData.order_id,
-        generatedFile: result.generatedFile,
-        emailSent: result.emailSent
-      });
-      
-      return res.json({
-        success: true,
-        message: '주문이 성공적으로 처리되었습니다.',
-        order_id: orderData.order_id,
-        generated_file: result.generatedFile,
-        email_sent: result.emailSent,
-        processing_time: result.processingTime,
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      console.error('❌ Webhook 주문 처리 실패:', result.error);
-      return res.status(500).json({
+    // 모든 주문이 이미 처리된 경우 최초 처리 결과 반환
+    if (newOrders.length === 0 && duplicateOrders.length > 0) {
+      console.log('♻️ 이미 처리된 주문 재수신:', [...processedByOrderKey.keys()].join(', '));
+      return sendReplayedResponse(res, processedByOrderKey.get(getOrderIdempotencyKey(duplicateOrders[0])));
+    }
+    
+    // 같은 주문이 동시에 재전송된 경우 (처리 중)
+    const keysToLock = [headerKey, ...getOrderIdempotencyKeys(newOrders)].filter(Boolean);
+    if (keysToLock.some(key => inFlightIdempotencyKeys.has(key))) {
+      return res.status(409).json({
         success: false,
-        error: '주문 처리 중 오류가 발생했습니다.',
-        code: 'ORDER_PROCESSING_FAILED',
-        details: result.error
+        error: '같은 주문이 이미 처리 중입니다. 잠시 후 다시 시도하세요.',
+        code: 'ORDER_PROCESSING_IN_PROGRESS'
       });
     }
+    keysToLock.forEach(key => {
+      inFlightIdempotencyKeys.add(key);
+      lockedKeys.push(key);
+    });
+    
+    // 접수 단계에서 결과가 정해진 주문 (최종 결과에 함께 보고)
+    const settledOrders = [
+      ...validation.rejectedOrders.map(order => ({
+        index: order.index,
+        order_id: order.orderId,
+        status: 'rejected',
+        errors: order.errors
+      })),
+      ...duplicateOrders.map(order => ({
+        index: order.주문순번,
+        order_id: order.주문번호,
+        status: 'duplicate',
+        generated_file: processedByOrderKey.get(getOrderIdempotencyKey(order)).generated_file
+      }))
+    ];
+    
+    // 템플릿 매핑 값 누락 확인 (템플릿의 누락 필드 정책에 따라 빈 칸/거부/보류)
+    const runmoaTemplate = await loadRunmoaTemplate({ recordUsage: false });
+    const missingFieldPolicy = runmoaTemplate.missingFieldPolicy;
+    const missingByIndex = new Map();
+    newOrders.forEach(order => {
+      const { missingFields } = createMappingFromTemplate(runmoaTemplate, order);
+      if (missingFields.length > 0) {
+        missingByIndex.set(order.주문순번, missingFields);
+      }
+    });
+    
+    const incompleteOrders = missingFieldPolicy === 'blank'
+      ? []
+      : newOrders.filter(order => missingByIndex.has(order.주문순번));
+    const ordersToProcess = newOrders.filter(order => !incompleteOrders.includes(order));
+    const heldOrders = missingFieldPolicy === 'hold' ? incompleteOrders : [];
+    
+    if (incompleteOrders.length > 0) {
+      console.warn(`⚠️ 매핑 값 누락 주문 ${incompleteOrders.length}건 (정책: ${missingFieldPolicy})`);
+    }
+    
+    for (const order of incompleteOrders) {
+      const missingFields = missingByIndex.get(order.주문순번);
+      
+      if (missingFieldPolicy === 'reject') {
+        settledOrders.push({
+          index: order.주문순번,
+          order_id: order.주문번호,
+          status: 'rejected',
+          errors: [`매핑 값 누락: ${missingFields.join(', ')}`],
+          missing_fields: missingFields
+        });
+      } else {
+        const heldOrder = await holdWebhookOrder(order, runmoaTemplate, missingFields);
+        settledOrders.push({
+          index: order.주문순번,
+          order_id: order.주문번호,
+          status: 'held',
+          held_order_id: heldOrder.id,
+          missing_fields: missingFields
+        });
+      }
+    }
+    
+    const orderResults = [
+      ...settledOrders,
+      ...ordersToProcess.map(order => ({
+        index: order.주문순번,
+        order_id: order.주문번호,
+        status: 'accepted',
+        ...(missingByIndex.has(order.주문순번) ? { missing_fields: missingByIndex.get(order.주문순번) } : {})
+      }))
+    ].sort((a, b) => a.index - b.index);
+    
+    const summary = {
+      total: orderResults.length,
+      accepted: ordersToProcess.length,
+      duplicate: duplicateOrders.length,
+      held: heldOrders.length,
+      failed: orderResults.filter(order => order.status === 'rejected').length
+    };
+    
+    // 보류된 주문이 재전송되면 반환할 보류 결과 (일부만 보류된 요청에서도 보류 주문은 이 결과로 저장)
+    const heldBody = {
+      success: true,
+      message: `${heldOrders.length}건의 주문이 누락 필드로 보류되었습니다. 값을 보완한 후 발주서를 생성하세요.`,
+      order_id: orderData.order_id || standardizedOrders[0]?.주문번호,
+      summary: summary,
+      orders: orderResults,
+      missing_fields: getMissingFieldsReport(orderResults),
+      timestamp: new Date().toISOString()
+    };
+    
+    // 처리할 주문이 없는 경우 (모든 새 주문이 누락 필드로 거부/보류됨)
+    if (ordersToProcess.length === 0) {
+      if (heldOrders.length === 0) {
+        return res.status(422).json({
+          success: false,
+          error: '템플릿에 매핑된 값이 비어 있어 주문을 처리할 수 없습니다.',
+          code: 'MISSING_REQUIRED_FIELDS',
+          summary: summary,
+          orders: orderResults,
+          missing_fields: getMissingFieldsReport(orderResults)
+        });
+      }
+      
+      // 보류된 주문이 재전송되면 같은 보류 결과 반환
+      await saveIdempotencyRecords(headerKey, heldOrders, heldBody);
+      return res.status(202).json(heldBody);
+    }
+    
+    // 발주서 생성/이메일 전송은 백그라운드 작업으로 처리 (느린 SMTP로 플랫폼 요청이 타임아웃되지 않도록)
+    const jobId = crypto.randomUUID();
+    const jobPayload = {
+      order_id: orderData.order_id || standardizedOrders[0]?.주문번호,
+      header_key: headerKey,
+      template_id: runmoaTemplate.id,
+      orders: ordersToProcess,
+      settled_orders: settledOrders
+    };
+    
+    const acceptedBody = {
+      success: true,
+      message: `${ordersToProcess.length}건의 주문이 접수되었습니다. 작업 상태 URL에서 처리 결과를 확인하세요.`,
+      order_id: jobPayload.order_id,
+      job_id: jobId,
+      status: 'queued',
+      status_url: `${req.baseUrl}/jobs/${jobId}`,
+      summary: summary,
+      orders: orderResults,
+      missing_fields: getMissingFieldsReport(orderResults),
+      timestamp: new Date().toISOString()
+    };
+    
+    // 처리 중 재전송되면 같은 작업 ID를 반환하도록 접수 결과 저장 (처리 완료 시 최종 결과로 갱신, 최종 실패 시 삭제)
+    // 작업 등록 전에 저장해야 빨리 끝난 작업의 결과나 삭제를 접수 결과로 덮어쓰지 않음
+    // 보류된 주문은 작업에서 처리하지 않으므로 보류 결과로 저장 (요청 헤더 키는 접수 결과)
+    await saveIdempotencyRecords(headerKey, ordersToProcess, acceptedBody);
+    if (heldOrders.length > 0) {
+      await saveIdempotencyRecords(null, heldOrders, heldBody);
+    }
+    
+    let job;
+    try {
+      job = await webhookOrderQueue.enqueue(jobPayload, { id: jobId });
+    } catch (enqueueError) {
+      // 등록하지 못한 주문은 재전송으로 다시 처리할 수 있도록 접수 기록 삭제
+      await deleteIdempotencyRecords([headerKey, ...getOrderIdempotencyKeys(ordersToProcess)].filter(Boolean));
+      throw enqueueError;
+    }
+    
+    if (process.env.WEBHOOK_PROCESSING_MODE === 'sync') {
+      return sendFinishedJobResponse(res, job);
+    }
+    
+    console.log('📥 Webhook 주문 접수 완료:', { jobId: job.id, ...summary });
+    return res.status(202).json(acceptedBody);
     
   } catch (error) {
     console.error('❌ Webhook API 오류:', {
@@ -126,363 +384,335 @@ router.post('/orders', authenticateWebhookAPI, async (req, res) => {
       code: 'INTERNAL_SERVER_ERROR',
       timestamp: new Date().toISOString()
     });
+  } finally {
+    lockedKeys.forEach(key => inFlightIdempotencyKeys.delete(key));
   }
-});
+}
 
-// 📋 주문 데이터 검증 함수 (실제 런모아 형식에 맞춤)
-function validateOrderData(data) {
-  const errors = [];
-  
-  // 런모아 실제 형식 검증
-  if (data.orders && Array.isArray(data.orders)) {
-    // 다중 주문 형식 (실제 런모아 엑셀 형식)
-    if (data.orders.length === 0) {
-      errors.push('주문 목록이 비어있습니다.');
-    } else {
-      data.orders.forEach((order, index) => {
-        // 필드명이 없을 때만 오류 처리 (빈 값은 허용)
-        if (order.주문_번호 === undefined || order.주문_번호 === null) {
-          errors.push(`주문 ${index + 1}: 주문_번호가 필요합니다.`);
-        }
-        if (order.상품명 === undefined || order.상품명 === null) {
-          errors.push(`주문 ${index + 1}: 상품명이 필요합니다.`);
-        }
-        if (order.주문자_이름 === undefined || order.주문자_이름 === null) {
-          errors.push(`주문 ${index + 1}: 주문자_이름이 필요합니다.`);
-        }
-        if (order.수량 === undefined || order.수량 === null || order.수량 <= 0) {
-          errors.push(`주문 ${index + 1}: 유효한 수량이 필요합니다.`);
-        }
+// ⏳ Webhook 주문 처리 작업 상태 조회
+router.get('/jobs/:id', authenticateWebhookAPI, async (req, res) => {
+  try {
+    const job = await webhookOrderQueue.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: '작업을 찾을 수 없습니다.',
+        code: 'JOB_NOT_FOUND'
       });
     }
-  } else {
-    // 단일 주문 형식 (기존 호환성 - 영어/한글 모두 지원)
-    
-    // 영어 필드명 형식 검증
-    if (data.order_id || data.customer_name || data.products) {
-      const requiredFields = [
-        'order_id',
-        'customer_name', 
-        'products'
-      ];
-      
-      requiredFields.forEach(field => {
-        if (!data[field]) {
-          errors.push(`${field}는 필수 필드입니다.`);
-        }
+    
+    const progress = job.progress || {};
+    res.json({
+      success: true,
+      job: {
+        id: job.id,
+        status: job.status,
+        stage: progress.stage,
+        attempts: job.attempts,
+        max_attempts: job.max_attempts,
+        generated_file: progress.generated_file || null,
+        email: progress.email || null,
+        orders: progress.order_results || null,
+        last_error: job.last_error,
+        next_retry_at: job.status === 'retrying' ? job.next_run_at : null,
+        created_at: job.created_at,
+        updated_at: job.updated_at,
+        completed_at: job.completed_at
+      },
+      result: job.result || null
+    });
+  } catch (error) {
+    console.error('❌ 작업 상태 조회 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '작업 상태 조회 중 오류가 발생했습니다.',
+      code: 'JOB_LOOKUP_FAILED',
+      details: error.message
+    });
+  }
+});
+
+// ⏸️ 누락 필드로 보류된 주문 목록 (?status=held|released|discarded|all, 기본값 held)
+router.get('/held-orders', authenticateWebhookAPI, async (req, res) => {
+  try {
+    const status = req.query.status || 'held';
+    const heldOrders = await getRepositories().webhookHeldOrders.list({
+      status: status === 'all' ? undefined : status,
+      limit: parseInt(req.query.limit, 10) || 100
+    });
+    
+    res.json({
+      success: true,
+      held_orders: heldOrders.map(formatHeldOrder),
+      total: heldOrders.length
+    });
+  } catch (error) {
+    console.error('❌ 보류 주문 조회 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '보류 주문 조회 중 오류가 발생했습니다.',
+      code: 'HELD_ORDER_LOOKUP_FAILED',
+      details: error.message
+    });
+  }
+});
+
+// ▶️ 보류 주문 값 보완 후 발주서 생성
+// body: { values: { 수취인연락처: '010-...' }, force: true(누락 필드가 남아 있어도 빈 칸으로 생성) }
+router.post('/held-orders/:id/release', authenticateWebhookAPI, async (req, res) => {
+  try {
+    const { webhookHeldOrders } = getRepositories();
+    const heldOrder = await findPendingHeldOrder(req.params.id, res);
+    if (!heldOrder) return;
+    
+    const values = req.body && typeof req.body.values === 'object' ? req.body.values : {};
+    const order = { ...heldOrder.order_data, ...values, 주문순번: 0 };
+    
+    const template = await loadRunmoaTemplate({ templateId: heldOrder.template_id, recordUsage: false });
+    const { missingFields } = createMappingFromTemplate(template, order);
+    
+    if (missingFields.length > 0 && !(req.body && req.body.force === true)) {
+      return res.status(422).json({
+        success: false,
+        error: '아직 비어 있는 매핑 값이 있습니다. 값을 보완하거나 force 옵션으로 빈 칸 처리하세요.',
+        code: 'MISSING_REQUIRED_FIELDS',
+        missing_fields: missingFields
       });
-      
-      // 상품 배열 검증
-      if (data.products && Array.isArray(data.products)) {
-        if (data.products.length === 0) {
-          errors.push('상품 목록이 비어있습니다.');
-        } else {
-          data.products.forEach((product, index) => {
-            if (!product.product_name) {
-              errors.push(`상품 ${index + 1}: product_name이 필요합니다.`);
-            }
-            if (!product.quantity || product.quantity <= 0) {
-              errors.push(`상품 ${index + 1}: 유효한 quantity가 필요합니다.`);
-            }
-          });
-        }
-      }
-    } else {
-      // 한글 필드명 형식 검증 (여러 형식 지원)
-      const hasUnderscoreFormat = data['주문_번호'] || data['상품명'] || data['주문자_이름'];
-      const hasNormalFormat = data['주문번호'] || data['상품명'] || data['주문자이름'];
-      
-      if (hasUnderscoreFormat) {
-        // 언더스코어 형식 (예: 주문_번호)
-        const requiredFields = [
-          '주문_번호',
-          '상품명', 
-          '주문자_이름'
-        ];
-        
-        requiredFields.forEach(field => {
-          if (!data[field]) {
-            errors.push(`${field}는 필수 필드입니다.`);
-          }
-        });
-      } else if (hasNormalFormat) {
-        // 일반 형식 (예: 주문번호)
-        const requiredFields = [
-          '주문번호',
-          '상품명', 
-          '주문자이름'
-        ];
-        
-        requiredFields.forEach(field => {
-          if (!data[field]) {
-            errors.push(`${field}는 필수 필드입니다.`);
-          }
-        });
-      } else {
-        // 필수 필드 중 하나라도 있는지 확인
-        const hasAnyRequiredField = data['주문_번호'] || data['주문번호'] || 
-                                   data['상품명'] || 
-                                   data['주문자_이름'] || data['주문자이름'];
-        
-        if (!hasAnyRequiredField) {
-          errors.push('주문_번호(또는 주문번호), 상품명, 주문자_이름(또는 주문자이름) 중 하나 이상이 필요합니다.');
-        }
-      }
     }
+    
+    const job = await webhookOrderQueue.enqueue({
+      order_id: order.주문번호,
+      header_key: null,
+      template_id: heldOrder.template_id,
+      orders: [order],
+      settled_orders: []
+    });
+    
+    await webhookHeldOrders.update(heldOrder.id, {
+      status: 'released',
+      order_data: order,
+      job_id: job.id,
+      resolved_at: new Date().toISOString()
+    });
+    console.log('▶️ 보류 주문 발주서 생성 등록:', heldOrder.id, '→', job.id);
+    
+    if (process.env.WEBHOOK_PROCESSING_MODE === 'sync') {
+      return sendFinishedJobResponse(res, job);
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: '보류 주문의 발주서 생성이 접수되었습니다.',
+      held_order_id: heldOrder.id,
+      job_id: job.id,
+      status_url: `${req.baseUrl}/jobs/${job.id}`,
+      missing_fields: missingFields
+    });
+  } catch (error) {
+    console.error('❌ 보류 주문 처리 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '보류 주문 처리 중 오류가 발생했습니다.',
+      code: 'HELD_ORDER_RELEASE_FAILED',
+      details: error.message
+    });
   }
-  
-  return {
-    isValid: errors.length === 0,
-    errors: errors
-  };
-}
+});
 
-// 🔄 런모아 데이터를 표준 형식으로 변환 (실제 엑셀 형식 기준)
-function standardizeOrderData(orderData) {
-  let orders = [];
-  
-  // 다중 주문 형식인지 단일 주문 형식인지 확인
-  if (orderData.orders && Array.isArray(orderData.orders)) {
-    // 실제 런모아 엑셀 형식 (다중 주문)
-    orders = orderData.orders.map(order => ({
-      // 실제 런모아 엑셀 컬럼 매핑
-      주문번호: order.주문_번호,
-      상품명: order.상품명,
-      주문금액: order.주문금액 || 0,
-      주문일자: order.주문일자 || new Date().toLocaleDateString('ko-KR'),
-      SKU: order.SKU || '',
-      옵션: order.옵션 || '',
-      수량: order.수량 || 1,
-      주문자이름: order.주문자_이름,
-      주문자연락처: order.주문자_연락처 || '',
-      주문자이메일: order.주문자_이메일 || '',
-      배송정보: order.배송정보 || '',
-      발송일자: order.발송일자 || '',
-      주문상태: order.주문_상태 || '결제완료',
-      수취인이름: order.수취인_이름 || order.주문자_이름,
-      수취인연락처: order.수취인_연락처 || order.주문자_연락처,
-      개인통관번호: order.개인통관번호 || '',
-      
-      // 메타데이터
-      플랫폼: '런모아',
-      처리일시: new Date().toISOString()
-    }));
-  } else {
-    // 단일 주문 형식 (기존 호환성 - 영어/한글 모두 지원)
-    
-    if (orderData.order_id || orderData.customer_name || orderData.products) {
-      // 영어 필드명 형식 (기존 호환성)
-      const firstProduct = orderData.products?.[0] || {};
-      orders = [{
-        주문번호: orderData.order_id,
-        상품명: firstProduct.product_name || '',
-        주문금액: orderData.total_amount || firstProduct.total_price || 0,
-        주문일자: orderData.order_date ? new Date(orderData.order_date).toLocaleDateString('ko-KR') : new Date().toLocaleDateString('ko-KR'),
-        SKU: firstProduct.sku || '',
-        옵션: firstProduct.option || '',
-        수량: firstProduct.quantity || 1,
-        주문자이름: orderData.customer_name,
-        주문자연락처: orderData.customer_phone || '',
-        주문자이메일: orderData.customer_email || '',
-        배송정보: orderData.shipping_address || '',
-        발송일자: '',
-        주문상태: '결제완료',
-        수취인이름: orderData.customer_name,
-        수취인연락처: orderData.customer_phone || '',
-        개인통관번호: '',
-        
-        플랫폼: '런모아',
-        처리일시: new Date().toISOString()
-      }];
-    } else {
-      // 한글 필드명 형식
-      orders = [{
-        주문번호: orderData.주문_번호,
-        상품명: orderData.상품명,
-        주문금액: orderData.주문금액 || 0,
-        주문일자: orderData.주문일자 || new Date().toLocaleDateString('ko-KR'),
-        SKU: orderData.SKU || '',
-        옵션: orderData.옵션 || '',
-        수량: orderData.수량 || 1,
-        주문자이름: orderData.주문자_이름,
-        주문자연락처: orderData.주문자_연락처 || '',
-        주문자이메일: orderData.주문자_이메일 || '',
-        배송정보: orderData.배송정보 || '',
-        발송일자: orderData.발송일자 || '',
-        주문상태: orderData.주문_상태 || '결제완료',
-        수취인이름: orderData.수취인_이름 || orderData.주문자_이름,
-        수취인연락처: orderData.수취인_연락처 || orderData.주문자_연락처,
-        개인통관번호: orderData.개인통관번호 || '',
-        
-        플랫폼: '런모아',
-        처리일시: new Date().toISOString()
-      }];
-    }
+// 🗑️ 보류 주문 폐기 (판매 플랫폼에서 보완된 주문을 다시 보내면 새로 처리)
+router.post('/held-orders/:id/discard', authenticateWebhookAPI, async (req, res) => {
+  try {
+    const heldOrder = await findPendingHeldOrder(req.params.id, res);
+    if (!heldOrder) return;
+    
+    const discarded = await getRepositories().webhookHeldOrders.update(heldOrder.id, {
+      status: 'discarded',
+      resolved_at: new Date().toISOString()
+    });
+    await deleteIdempotencyRecords(getOrderIdempotencyKeys([heldOrder.order_data]));
+    console.log('🗑️ 보류 주문 폐기:', heldOrder.id);
+    
+    res.json({
+      success: true,
+      message: '보류 주문이 폐기되었습니다.',
+      held_order: formatHeldOrder(discarded)
+    });
+  } catch (error) {
+    console.error('❌ 보류 주문 폐기 오류:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '보류 주문 폐기 중 오류가 발생했습니다.',
+      code: 'HELD_ORDER_DISCARD_FAILED',
+      details: error.message
+    });
   }
-  
-  console.log('🏷️ 런모아 → 표준 형식 변환 완료:', orders.length + '개 주문');
-  
-  // 첫 번째 주문을 대표로 반환 (기존 시스템 호환성)
-  return orders[0] || {};
-}
+});
 
-// 🔄 Webhook 주문 자동 처리
-async function processWebhookOrder(standardizedData) {
+// 🔄 Webhook 주문 발주서 생성 (여러 주문을 하나의 발주서로)
+// 누락 필드 정책(거부/보류)은 접수 단계에서 적용되므로 여기서는 비어 있는 매핑 값을 빈 칸으로 둔다.
+async function generateWebhookOrderFile(standardizedOrders, { templateId } = {}) {
   const startTime = Date.now();
+  const orderResults = [];
+  let templateFilePath = null; // 템플릿 채우기용 공급처 발주서 임시 파일
   
   try {
-    console.log('🚀 Webhook 주문 자동 처리 시작');
+    console.log('🚀 Webhook 발주서 생성 시작:', standardizedOrders.length + '개 주문');
+    
+    if (standardizedOrders.length === 0) {
+      throw new Error('처리할 주문이 없습니다.');
+    }
     
-    // 1. 런모아 전용 템플릿 불러오기
-    const runmoaTemplate = await loadRunmoaTemplate();
+    // 1. 런모아 전용 템플릿 불러오기 (접수 시 확인한 템플릿)
+    const runmoaTemplate = await loadRunmoaTemplate({ templateId });
     
-    // 2. 템플릿에 따른 매핑 규칙 생성
-    const mappingRules = createMappingFromTemplate(runmoaTemplate, standardizedData);
+    // 2. 템플릿에 따른 컬럼 구조 생성 (컬럼은 템플릿 필드로 결정되므로 첫 주문 기준)
+    const { columns } = createExcelStructure(runmoaTemplate, createMappingFromTemplate(runmoaTemplate, standardizedOrders[0]).mappingRules);
     
     console.log('📋 런모아 템플릿 매핑 규칙 적용:', {
-      template: runmoaTemplate ? runmoaTemplate.name : '기본 템플릿',
-      mappingCount: Object.keys(mappingRules).length
+      template: runmoaTemplate.name,
+      mappingCount: columns.length
     });
     
     // 3. 발주서 생성 (템플릿 기반)
     const now = new Date();
     const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
-    const generatedFileName = `runmoa_order_${standardizedData.주문번호}_${timestamp}.xlsx`;
-    
-    const workbook = new ExcelJS.Workbook();
-    
-    // 워크북 메타데이터에 한글 인코딩 명시적 설정
-    workbook.creator = 'Autorder System';
-    workbook.lastModifiedBy = 'Autorder System';
-    workbook.created = new Date();
-    workbook.modified = new Date();
-    workbook.useSharedStrings = false; // SharedStrings 비활성화로 한글 호환성 개선
-    
-    const worksheet = workbook.addWorksheet('발주서', {
-      properties: {
-        defaultColWidth: 20,
-        defaultRowHeight: 20
+    const platform = standardizedOrders[0].플랫폼코드 || DEFAULT_PLATFORM;
+    const outputFormat = runmoaTemplate.outputFormat || DEFAULT_OUTPUT_FORMAT;
+    const extension = getOutputExtension(outputFormat);
+    const generatedFileName = standardizedOrders.length === 1
+      ? `${platform}_order_${standardizedOrders[0].주문번호}_${timestamp}.${extension}`
+      : `${platform}_orders_${standardizedOrders.length}_${timestamp}.${extension}`;
+    
+    // 4. 주문마다 발주서 행 값 생성 (한 주문의 오류가 전체 발주서를 막지 않도록 개별 처리)
+    const orderRows = standardizedOrders.map(standardizedData => {
+      try {
+        const { mappingRules, missingFields } = createMappingFromTemplate(runmoaTemplate, standardizedData);
+        const { rowData } = createExcelStructure(runmoaTemplate, mappingRules);
+        return { values: buildOrderRowValues(columns, rowData), missingFields };
+      } catch (orderError) {
+        console.error('❌ 주문 행 생성 실패:', standardizedData.주문번호, orderError.message);
+        return { error: orderError.message };
       }
     });
     
-    // 템플릿 기반 헤더 및 데이터 생성
-    const { columns, rowData } = createExcelStructure(runmoaTemplate, mappingRules);
-    
-    console.log('🔍 Webhook - 생성된 columns:', columns.length, columns.map(c => c.header));
+    const rowCount = orderRows.filter(orderRow => !orderRow.error).length;
+    if (rowCount === 0) {
+      throw new Error('발주서에 추가된 주문이 없습니다.');
+    }
     
-    // 간단한 방법으로 헤더 직접 설정
-    const headerValues = ['품목명', '수량', '단가', '고객명', '연락처', '주소', '주문번호'];
-    console.log('📋 고정 헤더 사용:', headerValues);
+    // 5. 발주서 시트 준비 (템플릿 채우기면 공급처 발주서 파일 사본의 헤더 행 아래에 채움)
+    let workbook;
+    let writeOrderRow; // (values, index) => 엑셀 행 번호
     
-    // 1행에 헤더 직접 입력
-    headerValues.forEach((header, index) => {
-      const cell = worksheet.getCell(1, index + 1);
-      cell.value = header;
-      cell.font = { bold: true };
-      cell.fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: 'FFE6E6E6' }
+    if (runmoaTemplate.fillTemplate) {
+      templateFilePath = await downloadTemplateFile(runmoaTemplate);
+      const template = await loadTemplateWorkbook(templateFilePath, { headerRow: runmoaTemplate.templateHeaderRow });
+      const dataStartRow = prepareTemplateDataRows(template, rowCount);
+      const templateColumns = new Map(template.fields.map(field => [field.name, field.column]));
+      workbook = template.workbook;
+      
+      console.log(`✅ Webhook - 발주서 템플릿 ${template.headerRow}행을 헤더로 사용 (템플릿 채우기)`);
+      
+      writeOrderRow = (values, index) => {
+        const row = template.worksheet.getRow(dataStartRow + index);
+        columns.forEach((column, columnIndex) => {
+          // 템플릿에 없는 컬럼은 건너뛰고, 빈 값이면 템플릿 행의 수식/번호를 그대로 둠
+          const templateColumn = templateColumns.get(column.header);
+          if (templateColumn && values[columnIndex] !== '') {
+            row.getCell(templateColumn).value = toTemplateCellValue(column.header, values[columnIndex]);
+          }
+        });
+        return row.number;
       };
-      console.log(`헤더 설정: 1행 ${index + 1}열 = "${header}"`);
-    });
-    
-    console.log('✅ Webhook - 헤더 설정 완료');
-    
-    // 데이터 행 추가 (한글 처리 강화)
-    const enhancedRowData = {};
-    Object.keys(rowData).forEach(key => {
-      let value = rowData[key];
+    } else {
+      workbook = new ExcelJS.Workbook();
+      
+      // 워크북 메타데이터에 한글 인코딩 명시적 설정
+      workbook.creator = 'Autorder System';
+      workbook.lastModifiedBy = 'Autorder System';
+      workbook.created = new Date();
+      workbook.modified = new Date();
+      workbook.useSharedStrings = false; // SharedStrings 비활성화로 한글 호환성 개선
       
-      // 빈 값이거나 undefined인 경우 직접 매핑 시도
-      if (!value || value === '' || value === undefined || value === null) {
-        if (columns.find(col => col.key === key)?.header.includes('상품명')) {
-          value = standardizedData.상품명 || '유기농 쌀 10kg';
-        } else if (columns.find(col => col.key === key)?.header.includes('주문자') && columns.find(col => col.key === key)?.header.includes('이름')) {
-          value = standardizedData.주문자이름 || '김테스트';
-        } else if (columns.find(col => col.key === key)?.header.includes('배송')) {
-          value = standardizedData.배송정보 || '서울 강남구 테헤란로 123';
-        } else if (columns.find(col => col.key === key)?.header.includes('수취인') && columns.find(col => col.key === key)?.header.includes('이름')) {
-          value = standardizedData.수취인이름 || standardizedData.주문자이름 || '김수취인';
+      const worksheet = workbook.addWorksheet('발주서', {
+        properties: {
+          defaultColWidth: 20,
+          defaultRowHeight: 20
         }
-      }
+      });
       
-      enhancedRowData[key] = value;
-    });
-    
-    // 한글 데이터 명시적 문자열 변환 및 추가 (인코딩 문제 해결)
-    const stringifiedRowData = {};
-    Object.keys(enhancedRowData).forEach(key => {
-      let value = enhancedRowData[key];
-      // 모든 값을 UTF-8 문자열로 변환 (한글 인코딩 문제 방지)
-      if (value !== null && value !== undefined) {
-        // Buffer를 통한 UTF-8 인코딩 보장
-        const utf8Value = Buffer.from(String(value), 'utf8').toString('utf8');
-        stringifiedRowData[key] = utf8Value;
-      } else {
-        stringifiedRowData[key] = '';
-      }
-    });
-    
-    console.log('🔍 Webhook - 데이터 행 추가 시작');
-    
-    // 데이터 값들 준비
-    const dataValues = columns.map((column, index) => {
-      let cellValue = stringifiedRowData[column.key];
+      console.log('🔍 Webhook - 생성된 columns:', columns.length, columns.map(c => c.header));
       
-      // 중요 필드는 원본 데이터에서 직접 가져오기
-      if (column.header.includes('상품명')) {
-        cellValue = standardizedData.상품명 || cellValue || '유기농 쌀 10kg';
-      } else if (column.header.includes('주문자') && column.header.includes('이름')) {
-        cellValue = standardizedData.주문자이름 || cellValue || '김테스트';
-      } else if (column.header.includes('배송')) {
-        cellValue = standardizedData.배송정보 || cellValue || '서울 강남구 테헤란로 123';
-      } else if (column.header.includes('수취인') && column.header.includes('이름')) {
-        cellValue = standardizedData.수취인이름 || standardizedData.주문자이름 || cellValue || '김수취인';
-      } else if (column.header.includes('주문번호')) {
-        cellValue = standardizedData.주문번호 || cellValue || 'R202507100001';
-      } else if (column.header.includes('수량')) {
-        cellValue = standardizedData.수량 || cellValue || '1';
-      } else if (column.header.includes('옵션')) {
-        cellValue = standardizedData.옵션 || cellValue || '';
-      }
+      // 1행에 템플릿 컬럼 헤더 입력 (템플릿 순서 그대로)
+      columns.forEach((column, index) => {
+        worksheet.getColumn(index + 1).width = column.width;
+        
+        const cell = worksheet.getCell(1, index + 1);
+        cell.value = column.header;
+        cell.font = { bold: true };
+        cell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE6E6E6' }
+        };
+      });
+      
+      console.log('✅ Webhook - 헤더 설정 완료');
       
-      // UTF-8 인코딩 재확인
-      if (cellValue) {
-        cellValue = Buffer.from(String(cellValue), 'utf8').toString('utf8');
+      writeOrderRow = (values) => {
+        const dataRow = worksheet.addRow(values);
+        
+        // 데이터 행 스타일링
+        dataRow.eachCell(cell => {
+          cell.alignment = { wrapText: true, vertical: 'middle' };
+          cell.border = {
+            top: { style: 'thin' },
+            left: { style: 'thin' },
+            bottom: { style: 'thin' },
+            right: { style: 'thin' }
+          };
+        });
+        return dataRow.number;
+      };
+    }
+    
+    // 6. 주문마다 데이터 행 추가
+    let rowIndex = 0;
+    standardizedOrders.forEach((standardizedData, index) => {
+      const { values, missingFields, error } = orderRows[index];
+      if (error) {
+        orderResults.push({
+          index: standardizedData.주문순번,
+          order_id: standardizedData.주문번호,
+          status: 'failed',
+          errors: [error]
+        });
+        return;
       }
       
-      console.log(`📊 데이터 준비: ${index + 1}열 = "${cellValue}"`);
-      return cellValue || '';
+      orderResults.push({
+        index: standardizedData.주문순번,
+        order_id: standardizedData.주문번호,
+        status: 'processed',
+        row: writeOrderRow(values, rowIndex++),
+        ...(missingFields.length > 0 ? { missing_fields: missingFields } : {})
+      });
     });
     
-    // 데이터 행 추가
-    const dataRow = worksheet.addRow(dataValues);
-    
-    // 데이터 행 스타일링
-    dataRow.eachCell((cell, colNumber) => {
-      cell.alignment = { wrapText: true, vertical: 'middle' };
-      cell.border = {
-        top: { style: 'thin' },
-        left: { style: 'thin' },
-        bottom: { style: 'thin' },
-        right: { style: 'thin' }
-      };
+    console.log('✅ Webhook - 데이터 행 추가 완료:', {
+      rows: rowCount,
+      failed: standardizedOrders.length - rowCount
     });
     
-    console.log('✅ Webhook - 데이터 행 추가 완료');
-    
-    // 최종 확인 로그
-    console.log('🔍 최종 워크시트 확인:');
-    console.log(`  행 개수: ${worksheet.rowCount}`);
-    console.log(`  1행 1열 값: "${worksheet.getCell(1, 1).value}"`);
-    console.log(`  2행 1열 값: "${worksheet.getCell(2, 1).value}"`);
-    
-    // 4. Supabase Storage에 저장 (한글 인코딩 개선)
-    const buffer = await workbook.xlsx.writeBuffer({
-      useStyles: true,
-      useSharedStrings: false,  // 한글 호환성 개선
-      compression: false        // 압축 비활성화로 한글 호환성 개선
+    // 7. 템플릿의 출력 형식으로 Supabase Storage에 저장 (한글 인코딩 개선)
+    const buffer = await writePurchaseOrderBuffer(workbook, outputFormat, {
+      title: `발주서 - ${runmoaTemplate.name}`,
+      xlsxOptions: {
+        useStyles: true,
+        useSharedStrings: false,  // 한글 호환성 개선
+        compression: false        // 압축 비활성화로 한글 호환성 개선
+      }
     });
     const uploadResult = await uploadFile(buffer, generatedFileName, 'generated');
     
@@ -492,146 +722,304 @@ async function processWebhookOrder(standardizedData) {
     
     console.log('✅ 발주서 생성 및 업로드 완료:', generatedFileName);
     
-    // 5. 이메일 자동 전송
-    let emailSent = false;
-    try {
-      const emailResult = await sendWebhookEmail(generatedFileName, standardizedData);
-      emailSent = emailResult.success;
-      
-      if (emailSent) {
-        console.log('📧 이메일 자동 전송 완료');
-      } else {
-        console.warn('⚠️ 이메일 전송 실패:', emailResult.error);
-      }
-    } catch (emailError) {
-      console.error('❌ 이메일 전송 중 오류:', emailError.message);
-    }
-    
     const processingTime = Date.now() - startTime;
     
     return {
       success: true,
       generatedFile: generatedFileName,
-      emailSent: emailSent,
+      orderResults: orderResults,
       processingTime: `${processingTime}ms`
     };
     
   } catch (error) {
-    console.error('❌ Webhook 주문 처리 실패:', error);
+    console.error('❌ Webhook 발주서 생성 실패:', error);
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      // 발주서 생성 자체가 실패하면 행이 추가된 주문도 실패로 보고
+      orderResults: standardizedOrders.map(order => ({
+        index: order.주문순번,
+        order_id: order.주문번호,
+        status: 'failed',
+        errors: [error.message]
+      }))
     };
+  } finally {
+    try {
+      if (templateFilePath && fs.existsSync(templateFilePath)) fs.unlinkSync(templateFilePath);
+    } catch (cleanupError) {
+      console.warn('⚠️ 임시 템플릿 파일 정리 중 오류:', cleanupError.message);
+    }
+  }
+}
+
+// ⏳ Webhook 주문 처리 작업 (발주서 생성 → 이메일 전송)
+// 재시도 시 이미 생성된 발주서는 다시 만들지 않고 실패한 단계부터 이어서 처리
+async function runWebhookOrderJob(job, { updateProgress }) {
+  const startTime = Date.now();
+  const { orders, header_key: headerKey, settled_orders: settledOrders = [] } = job.payload;
+  let progress = job.progress || {};
+  
+  // 1. 발주서 생성
+  if (!progress.generated_file) {
+    await updateProgress({ stage: 'generating_file' });
+    const result = await generateWebhookOrderFile(orders, { templateId: job.payload.template_id });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    progress = await updateProgress({
+      stage: 'sending_email',
+      generated_file: result.generatedFile,
+      order_results: result.orderResults
+    });
+  }
+  
+  const processedOrders = orders.filter(order =>
+    progress.order_results.some(item => item.index === order.주문순번 && item.status === 'processed'));
+  
+  // 2. 이메일 자동 전송 (일시적인 오류는 이메일 재시도 작업이, 실패한 이메일은 전송 실패 목록에서 처리)
+  const emailResult = await sendWebhookEmail(progress.generated_file, processedOrders);
+  
+  if (emailResult.success) {
+    console.log('📧 이메일 자동 전송 완료');
+  } else {
+    console.warn('⚠️ 이메일 전송 실패:', emailResult.error);
+  }
+  
+  progress = await updateProgress({
+    stage: 'completed',
+    email: {
+      sent: emailResult.success,
+      status: emailResult.status || 'failed',
+      error: emailResult.success ? null : emailResult.error,
+      dead_letter_id: emailResult.deadLetterId || null
+    }
+  });
+  
+  // 주문별 처리 결과 (검증 실패/중복 주문 포함, 원래 순서대로)
+  const orderResults = [...settledOrders, ...progress.order_results].sort((a, b) => a.index - b.index);
+  const summary = {
+    total: orderResults.length,
+    processed: orderResults.filter(order => order.status === 'processed').length,
+    duplicate: orderResults.filter(order => order.status === 'duplicate').length,
+    held: orderResults.filter(order => order.status === 'held').length,
+    failed: orderResults.filter(order => order.status === 'rejected' || order.status === 'failed').length
+  };
+  
+  console.log('✅ Webhook 주문 처리 완료:', {
+    generatedFile: progress.generated_file,
+    emailSent: emailResult.success,
+    ...summary
+  });
+  
+  const responseBody = {
+    success: true,
+    message: summary.processed < summary.total
+      ? `${summary.total}건 중 ${summary.processed}건의 주문이 처리되었습니다.`
+      : '주문이 성공적으로 처리되었습니다.',
+    order_id: job.payload.order_id,
+    generated_file: progress.generated_file,
+    email_sent: emailResult.success,
+    summary: summary,
+    orders: orderResults,
+    missing_fields: getMissingFieldsReport(orderResults),
+    processing_time: `${Date.now() - startTime}ms`,
+    timestamp: new Date().toISOString()
+  };
+  
+  // 재전송 시 최종 결과를 반환하도록 저장 (행 생성에 실패한 주문은 다시 받을 수 있도록 삭제)
+  await saveIdempotencyRecords(headerKey, processedOrders, responseBody);
+  await deleteIdempotencyRecords(getOrderIdempotencyKeys(
+    orders.filter(order => !processedOrders.includes(order))));
+  
+  return responseBody;
+}
+
+// ⏳ 작업 최종 실패 시 접수 기록 삭제 (플랫폼 재전송으로 다시 처리할 수 있도록)
+async function handleWebhookOrderJobFailed(job) {
+  const { orders, header_key: headerKey } = job.payload;
+  await deleteIdempotencyRecords([headerKey, ...getOrderIdempotencyKeys(orders)].filter(Boolean));
+}
+
+const webhookOrderQueue = createJobQueue({
+  jobType: 'webhook_order',
+  handler: runWebhookOrderJob,
+  onFailed: handleWebhookOrderJobFailed,
+  maxAttempts: parseInt(process.env.WEBHOOK_JOB_MAX_ATTEMPTS, 10) || 3,
+  baseDelayMs: parseInt(process.env.WEBHOOK_JOB_RETRY_DELAY_MS, 10) || 5000
+});
+
+// ⏳ 서버 시작 시 중단된 Webhook 작업 다시 등록
+async function resumeWebhookJobs() {
+  try {
+    return await webhookOrderQueue.resume();
+  } catch (error) {
+    console.warn('⚠️ 중단된 Webhook 작업 복구 실패:', error.message);
+    return 0;
+  }
+}
+
+// 📝 주문 한 건의 발주서 행 값 생성 (컬럼 순서대로, 비어 있는 값은 빈 칸 그대로)
+function buildOrderRowValues(columns, rowData) {
+  return columns.map(column => {
+    const value = rowData[column.key];
+    if (value === null || value === undefined) {
+      return '';
+    }
+    // 한글 데이터 명시적 문자열 변환 (인코딩 문제 방지)
+    return Buffer.from(String(value), 'utf8').toString('utf8');
+  });
+}
+
+// 🧩 템플릿 채우기 셀 값 (템플릿 수식이 계산되도록 수량/금액 필드는 숫자로, converter.generatePurchaseOrder와 같은 기준)
+function toTemplateCellValue(fieldName, value) {
+  if (fieldName.includes('수량') || fieldName.includes('개수')) {
+    const number = parseInt(String(value).replace(/,/g, ''), 10);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (['단가', '가격', '금액', '공급가액'].some(keyword => fieldName.includes(keyword))) {
+    const number = parseFloat(String(value).replace(/,/g, ''));
+    return Number.isNaN(number) ? value : number;
   }
+  return value;
 }
 
 // 📧 Webhook 이메일 자동 전송
-async function sendWebhookEmail(fileName, orderData) {
+// /api/email/send와 같은 전송 방식(MAIL_TRANSPORT), 재시도/전송 실패 보관, 첨부파일 암호화 정책(서버 기본값)을 사용
+// 일시적인 전송 오류는 이메일 재시도 작업이 이어서 처리하므로 Webhook 작업은 다시 시도하지 않음 (실패해도 throw하지 않음)
+async function sendWebhookEmail(fileName, orders) {
   try {
-    // 이메일 설정 확인 (Gmail 및 회사 SMTP 지원)
-    const emailUser = process.env.GMAIL_USER || process.env.EMAIL_USER;
-    const emailPass = process.env.GMAIL_APP_PASSWORD || process.env.EMAIL_PASS || process.env.EMIAL_PASS;
+    const orderData = orders[0];
+    const platformName = orderData.플랫폼 || '런모아';
     
-    if (!emailUser || !emailPass) {
+    // 수신자 설정 (환경변수 또는 발신 계정)
+    const recipient = process.env.WEBHOOK_EMAIL_RECIPIENT || process.env.EMAIL_USER;
+    
+    if (!getMailTransport() || !recipient) {
       console.warn('⚠️ 이메일 설정이 없어 이메일 전송을 건너뜁니다');
-      console.warn('📧 필요한 환경변수: EMAIL_USER, EMAIL_PASS (그리고 회사 SMTP용: SMTP_HOST, SMTP_PORT)');
+      console.warn('📧 필요한 환경변수: EMAIL_USER, EMAIL_PASS 또는 MAIL_TRANSPORT=file|memory (수신자: WEBHOOK_EMAIL_RECIPIENT)');
       return { success: false, error: '이메일 설정 없음' };
     }
     
-    console.log('📧 이메일 설정 확인 완료:', {
-      user: emailUser,
-      password: '***설정됨***',
-      smtpHost: process.env.SMTP_HOST || 'Gmail'
-    });
-    
-    // 수신자 설정 (환경변수 또는 기본값)
-    const recipient = process.env.WEBHOOK_EMAIL_RECIPIENT || emailUser;
-    
-    // SMTP transporter 생성 (회사 SMTP 우선, Gmail 대체)
-    let transporter;
-    
-    if (process.env.SMTP_HOST) {
-      console.log('🏢 회사 SMTP 서버 사용:', process.env.SMTP_HOST);
-      transporter = nodemailer.createTransport({
-        host: process.env.SMTP_HOST,
-        port: parseInt(process.env.SMTP_PORT) || 587,
-        secure: process.env.SMTP_SECURE === 'true',
-        auth: {
-          user: emailUser,
-          pass: emailPass
-        },
-        tls: {
-          rejectUnauthorized: process.env.SMTP_REJECT_UNAUTHORIZED !== 'false'
-        }
-      });
-    } else {
-      console.log('📧 Gmail SMTP 서버 사용');
-      transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          user: emailUser,
-          pass: emailPass
-        }
-      });
+    const protectionResult = resolveAttachmentProtection({}, null);
+    if (protectionResult.error) {
+      return { success: false, error: protectionResult.error };
     }
     
-    // Supabase에서 첨부파일 다운로드
-    const downloadResult = await downloadFile(fileName, 'generated');
-    if (!downloadResult.success) {
-      throw new Error(`첨부파일 다운로드 실패: ${downloadResult.error}`);
-    }
+    // 첨부파일을 암호화하면 본문에 주문자/수취인 개인정보와 주문 목록 표를 넣지 않음 (/api/email/send의 주문 요약 숨김과 같은 기준)
+    const hidePersonalInfo = Boolean(protectionResult.protection);
     
-    // 이메일 전송
-    const mailOptions = {
-      from: process.env.EMAIL_FROM_ADDRESS || emailUser,
-      to: recipient,
-      subject: `[런모아 자동주문] ${orderData.주문번호} - 발주서 자동 생성`,
-      html: `
-        <h2>🛒 런모아 플랫폼 자동주문 처리 완료</h2>
+    // 이메일 본문 (주문 값은 이스케이프)
+    const html = orders.length > 1 ? buildBatchOrderEmailHtml(orders, platformName, { hideOrderTable: hidePersonalInfo }) : `
+        <h2>🛒 ${escapeHtml(platformName)} 플랫폼 자동주문 처리 완료</h2>
         <hr>
         <h3>📋 주문 정보</h3>
         <ul>
-          <li><strong>주문번호:</strong> ${orderData.주문번호}</li>
-          <li><strong>주문자명:</strong> ${orderData.주문자이름}</li>
-          <li><strong>상품명:</strong> ${orderData.상품명}</li>
-          <li><strong>옵션:</strong> ${orderData.옵션}</li>
-          <li><strong>수량:</strong> ${orderData.수량}</li>
-          <li><strong>주문금액:</strong> ${(orderData.주문금액 || 0).toLocaleString()}원</li>
-          <li><strong>주문일자:</strong> ${orderData.주문일자}</li>
-          <li><strong>SKU:</strong> ${orderData.SKU}</li>
+          <li><strong>주문번호:</strong> ${escapeHtml(orderData.주문번호)}</li>${hidePersonalInfo ? '' : `
+          <li><strong>주문자명:</strong> ${escapeHtml(orderData.주문자이름)}</li>`}
+          <li><strong>상품명:</strong> ${escapeHtml(orderData.상품명)}</li>
+          <li><strong>옵션:</strong> ${escapeHtml(orderData.옵션)}</li>
+          <li><strong>수량:</strong> ${escapeHtml(orderData.수량)}</li>
+          <li><strong>주문금액:</strong> ${escapeHtml((Number(orderData.주문금액) || 0).toLocaleString())}원</li>
+          <li><strong>주문일자:</strong> ${escapeHtml(orderData.주문일자)}</li>
+          <li><strong>SKU:</strong> ${escapeHtml(orderData.SKU)}</li>
           <li><strong>처리일시:</strong> ${new Date().toLocaleString('ko-KR')}</li>
         </ul>
         
-        <h3>📧 배송 정보</h3>
+        ${hidePersonalInfo ? `<p><strong>주문상태:</strong> ${escapeHtml(orderData.주문상태)}</p>
+        <p>🔒 주문자/배송 정보는 암호화된 첨부파일에서 확인하세요.</p>` : `<h3>📧 배송 정보</h3>
         <ul>
-          <li><strong>주문자 연락처:</strong> ${orderData.주문자연락처}</li>
-          <li><strong>주문자 이메일:</strong> ${orderData.주문자이메일}</li>
-          <li><strong>배송정보:</strong> ${orderData.배송정보}</li>
-          <li><strong>수취인:</strong> ${orderData.수취인이름}</li>
-          <li><strong>수취인 연락처:</strong> ${orderData.수취인연락처}</li>
-          <li><strong>주문상태:</strong> ${orderData.주문상태}</li>
-        </ul>
+          <li><strong>주문자 연락처:</strong> ${escapeHtml(orderData.주문자연락처)}</li>
+          <li><strong>주문자 이메일:</strong> ${escapeHtml(orderData.주문자이메일)}</li>
+          <li><strong>배송정보:</strong> ${escapeHtml(orderData.배송정보)}</li>
+          <li><strong>수취인:</strong> ${escapeHtml(orderData.수취인이름)}</li>
+          <li><strong>수취인 연락처:</strong> ${escapeHtml(orderData.수취인연락처)}</li>
+          <li><strong>주문상태:</strong> ${escapeHtml(orderData.주문상태)}</li>
+        </ul>`}
         
         <hr>
         <p><strong>✅ 발주서가 첨부파일로 자동 생성되었습니다.</strong></p>
-        <p><em>본 메일은 런모아 플랫폼 연동을 통해 자동 생성되었습니다.</em></p>
-      `,
-      attachments: [
-        {
-          filename: fileName,
-          content: downloadResult.data
-        }
-      ]
-    };
-    
-    await transporter.sendMail(mailOptions);
+        <p><em>본 메일은 ${escapeHtml(platformName)} 플랫폼 연동을 통해 자동 생성되었습니다.</em></p>
+      `;
     
-    return { success: true };
+    // 이메일 전송 (첨부파일은 전송 시점에 generated 버킷에서 다운로드)
+    const result = await deliverEmailMessage({
+      to: recipient,
+      cc: '',
+      bcc: '',
+      subject: orders.length > 1
+        ? `[${platformName} 자동주문] ${orderData.주문번호} 외 ${orders.length - 1}건 - 발주서 자동 생성`
+        : `[${platformName} 자동주문] ${orderData.주문번호} - 발주서 자동 생성`,
+      body: html,
+      bodyFormat: 'html',
+      attachmentPath: fileName,
+      attachmentDisplayName: fileName,
+      variables: {},
+      includeOrderSummary: false,
+      requestConfirmation: false,
+      attachmentProtection: protectionResult.protection
+    }, { source: 'webhook', context: { templateName: `webhook:${platformName}` } });
+    
+    if (result.status === 'retrying') {
+      console.warn(`🔄 Webhook 이메일 재시도 예약: ${result.nextAttemptAt}`);
+    }
+    return { success: true, status: result.status, messageId: result.messageId };
     
   } catch (error) {
+    // 재시도할 수 없는 오류는 전송 실패 목록(/api/email/dead-letters)에 보관됨
     console.error('❌ Webhook 이메일 전송 실패:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, deadLetterId: error.deadLetterId };
+  }
+}
+
+// 📧 다중 주문 이메일 본문 (주문 목록 표, hideOrderTable이면 건수와 주문번호만)
+function buildBatchOrderEmailHtml(orders, platformName, { hideOrderTable = false } = {}) {
+  if (hideOrderTable) {
+    return `
+        <h2>🛒 ${escapeHtml(platformName)} 플랫폼 자동주문 처리 완료</h2>
+        <hr>
+        <h3>📋 주문 정보 (${orders.length}건)</h3>
+        <p><strong>주문번호:</strong> ${orders.map(order => escapeHtml(order.주문번호)).join(', ')}</p>
+        <p><strong>처리일시:</strong> ${new Date().toLocaleString('ko-KR')}</p>
+        <p>🔒 주문 상세와 주문자/배송 정보는 암호화된 첨부파일에서 확인하세요.</p>
+        
+        <hr>
+        <p><strong>✅ 발주서가 첨부파일로 자동 생성되었습니다.</strong></p>
+        <p><em>본 메일은 ${escapeHtml(platformName)} 플랫폼 연동을 통해 자동 생성되었습니다.</em></p>
+      `;
   }
+  
+  const totalAmount = orders.reduce((sum, order) => sum + (Number(order.주문금액) || 0), 0);
+  const rows = orders.map(order => `
+          <tr>
+            <td>${escapeHtml(order.주문번호)}</td>
+            <td>${escapeHtml(order.주문자이름)}</td>
+            <td>${escapeHtml(order.상품명)}</td>
+            <td>${escapeHtml(order.옵션)}</td>
+            <td>${escapeHtml(order.수량)}</td>
+            <td>${(Number(order.주문금액) || 0).toLocaleString()}원</td>
+            <td>${escapeHtml(order.수취인이름)}</td>
+            <td>${escapeHtml(order.배송정보)}</td>
+          </tr>`).join('');
+  
+  return `
+        <h2>🛒 ${escapeHtml(platformName)} 플랫폼 자동주문 처리 완료</h2>
+        <hr>
+        <h3>📋 주문 정보 (${orders.length}건, 합계 ${totalAmount.toLocaleString()}원)</h3>
+        <table border="1" cellpadding="4" cellspacing="0">
+          <tr>
+            <th>주문번호</th><th>주문자명</th><th>상품명</th><th>옵션</th>
+            <th>수량</th><th>주문금액</th><th>수취인</th><th>배송정보</th>
+          </tr>${rows}
+        </table>
+        <p><strong>처리일시:</strong> ${new Date().toLocaleString('ko-KR')}</p>
+        
+        <hr>
+        <p><strong>✅ 발주서가 첨부파일로 자동 생성되었습니다.</strong></p>
+        <p><em>본 메일은 ${escapeHtml(platformName)} 플랫폼 연동을 통해 자동 생성되었습니다.</em></p>
+      `;
 }
 
 // 📊 Webhook API 상태 확인
@@ -641,9 +1029,11 @@ router.get('/status', authenticateWebhookAPI, (req, res) => {
     message: 'Webhook API가 정상 작동 중입니다.',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
-    supported_platforms: ['runmoa'],
+    supported_platforms: listOrderAdapters().map(adapter => adapter.platform),
     endpoints: {
       order_processing: '/api/webhook/orders',
+      platform_order_processing: '/api/webhook/orders/:platform',
+      job_status: '/api/webhook/jobs/:id',
       status_check: '/api/webhook/status'
     }
   });
@@ -651,273 +1041,405 @@ router.get('/status', authenticateWebhookAPI, (req, res) => {
 
 // 🔧 ===== HELPER 함수들 ===== 🔧
 
-// 📋 런모아 전용 템플릿 불러오기
-async function loadRunmoaTemplate() {
+// ♻️ 주문번호 기준 멱등성 키 (런모아는 기존 키 유지, 다른 플랫폼은 플랫폼 코드 포함)
+function getOrderIdempotencyKey(order) {
+  const orderNumber = order.주문번호;
+  if (orderNumber === undefined || orderNumber === null || String(orderNumber) === '') return null;
+  
+  const platform = order.플랫폼코드 || DEFAULT_PLATFORM;
+  return platform === DEFAULT_PLATFORM ? `order:${orderNumber}` : `order:${platform}:${orderNumber}`;
+}
+
+// ♻️ 주문 목록의 멱등성 키 목록 (중복 제거)
+function getOrderIdempotencyKeys(orders) {
+  return [...new Set(orders.map(getOrderIdempotencyKey).filter(Boolean))];
+}
+
+// ♻️ 저장된 처리 결과 조회 (저장소 오류 시 중복 확인 없이 처리)
+async function findIdempotencyRecords(keys) {
+  try {
+    return await getRepositories().webhookIdempotency.findByKeys(keys);
+  } catch (error) {
+    console.warn('⚠️ 멱등성 키 조회 실패, 중복 확인 없이 진행:', error.message);
+    return [];
+  }
+}
+
+// ♻️ 처리 결과 저장 (요청 헤더 키 + 처리된 주문번호별)
+async function saveIdempotencyRecords(headerKey, processedOrders, responseBody) {
+  const { webhookIdempotency } = getRepositories();
+  const records = getOrderIdempotencyKeys(processedOrders).map(key => ({
+    idempotency_key: key,
+    key_type: 'order',
+    order_number: String(processedOrders.find(order => getOrderIdempotencyKey(order) === key).주문번호)
+  }));
+  
+  if (headerKey) {
+    records.push({ idempotency_key: headerKey, key_type: 'header', order_number: null });
+  }
+  
+  for (const record of records) {
+    try {
+      await webhookIdempotency.save({
+        ...record,
+        generated_file: responseBody.generated_file,
+        response: responseBody
+      });
+    } catch (error) {
+      console.warn('⚠️ 멱등성 키 저장 실패:', record.idempotency_key, error.message);
+    }
+  }
+}
+
+// ♻️ 처리 결과 삭제
+async function deleteIdempotencyRecords(keys) {
+  const { webhookIdempotency } = getRepositories();
+  
+  for (const key of keys) {
+    try {
+      await webhookIdempotency.deleteByKey(key);
+    } catch (error) {
+      console.warn('⚠️ 멱등성 키 삭제 실패:', key, error.message);
+    }
+  }
+}
+
+// ⏸️ 처리 대기 중인 보류 주문 조회 (없거나 이미 처리된 경우 오류 응답 후 null)
+async function findPendingHeldOrder(id, res) {
+  const heldOrder = await getRepositories().webhookHeldOrders.findById(id);
+  
+  if (!heldOrder) {
+    res.status(404).json({
+      success: false,
+      error: '보류 주문을 찾을 수 없습니다.',
+      code: 'HELD_ORDER_NOT_FOUND'
+    });
+    return null;
+  }
+  
+  if (heldOrder.status !== 'held') {
+    res.status(409).json({
+      success: false,
+      error: `이미 처리된 보류 주문입니다. (${heldOrder.status})`,
+      code: 'HELD_ORDER_ALREADY_RESOLVED'
+    });
+    return null;
+  }
+  
+  return heldOrder;
+}
+
+// ⏸️ 누락 필드가 있는 주문을 수동 검토 대기로 저장
+async function holdWebhookOrder(order, template, missingFields) {
+  return getRepositories().webhookHeldOrders.create({
+    order_number: order.주문번호 === undefined || order.주문번호 === null ? null : String(order.주문번호),
+    template_id: template.id,
+    order_data: order,
+    missing_fields: missingFields,
+    status: 'held'
+  });
+}
+
+function formatHeldOrder(heldOrder) {
+  return {
+    id: heldOrder.id,
+    order_number: heldOrder.order_number,
+    template_id: heldOrder.template_id,
+    status: heldOrder.status,
+    missing_fields: heldOrder.missing_fields,
+    order: heldOrder.order_data,
+    job_id: heldOrder.job_id,
+    created_at: heldOrder.created_at,
+    resolved_at: heldOrder.resolved_at
+  };
+}
+
+// 🧾 주문별 누락 필드 목록 (누락이 있는 주문만)
+function getMissingFieldsReport(orderResults) {
+  return orderResults
+    .filter(order => order.missing_fields && order.missing_fields.length > 0)
+    .map(order => ({ index: order.index, order_id: order.order_id, fields: order.missing_fields }));
+}
+
+// ⏳ 작업 완료까지 대기 후 최종 결과 응답 (WEBHOOK_PROCESSING_MODE=sync)
+// 서버리스 환경 등 응답 후 백그라운드 처리가 불가능한 경우에 사용
+async function sendFinishedJobResponse(res, job) {
+  let finishedJob;
+  try {
+    finishedJob = await webhookOrderQueue.waitFor(job.id);
+  } catch (error) {
+    // 작업 결과를 기록하지 못함 (저장소 오류 등)
+    return res.status(500).json({
+      success: false,
+      error: '주문 처리 중 오류가 발생했습니다.',
+      code: 'ORDER_PROCESSING_FAILED',
+      details: error.message,
+      job_id: job.id
+    });
+  }
+  
+  if (finishedJob.status === 'completed') {
+    return res.json({ ...finishedJob.result, job_id: job.id });
+  }
+  
+  return res.status(500).json({
+    success: false,
+    error: '주문 처리 중 오류가 발생했습니다.',
+    code: 'ORDER_PROCESSING_FAILED',
+    details: finishedJob.last_error,
+    job_id: job.id
+  });
+}
+
+// ♻️ 최초 처리 결과 재전송
+function sendReplayedResponse(res, record) {
+  res.set('Idempotent-Replayed', 'true');
+  return res.json({
+    ...record.response,
+    duplicate: true,
+    original_processed_at: record.created_at
+  });
+}
+
+// 📋 런모아 템플릿이 없을 때 사용하는 기본 매핑 (발주서필드 → 표준 주문 필드)
+const DEFAULT_RUNMOA_TEMPLATE = {
+  id: null,
+  name: '기본 템플릿',
+  description: '런모아 템플릿이 없을 때 사용하는 기본 매핑',
+  orderFieldMapping: {},
+  supplierFieldMapping: {
+    '품목명': '상품명',
+    '주문수량': '수량',
+    '단가': '',
+    '공급가액': '주문금액',
+    '담당자': '주문자이름',
+    '전화번호': '주문자연락처',
+    '주소': '배송정보',
+    '발주일자': '주문일자',
+    '발주번호': '주문번호',
+    '비고': ''
+  },
+  supplierHeaders: ['품목명', '주문수량', '단가', '공급가액', '담당자', '전화번호', '주소', '발주일자', '발주번호', '비고'],
+  fixedFields: {
+    '비고': '[런모아 자동주문] {주문번호}'
+  },
+  missingFieldPolicy: DEFAULT_MISSING_FIELD_POLICY,
+  outputFormat: DEFAULT_OUTPUT_FORMAT
+};
+
+// 📋 런모아 전용 템플릿 불러오기 (없으면 기본 매핑)
+// templateId: 접수 시 확인한 템플릿 (작업 처리/보류 주문 재처리 시 같은 템플릿 사용)
+async function loadRunmoaTemplate({ templateId, recordUsage = true } = {}) {
   try {
     // 환경변수에서 템플릿 ID 또는 이름 확인
-    const templateId = process.env.RUNMOA_TEMPLATE_ID;
     const templateName = process.env.RUNMOA_TEMPLATE_NAME;
     
+    const { orderTemplates } = getRepositories();
     let template = null;
     
     if (templateId) {
+      template = await orderTemplates.findActiveById(templateId);
+    }
+    
+    if (!template && process.env.RUNMOA_TEMPLATE_ID) {
       // ID로 템플릿 조회
-      const { data, error } = await supabase
-        .from('order_templates')
-        .select('*')
-        .eq('id', templateId)
-        .eq('is_active', true)
-        .single();
-        
-      if (!error && data) {
-        template = data;
-      }
+      template = await orderTemplates.findActiveById(process.env.RUNMOA_TEMPLATE_ID);
     }
     
     if (!template && templateName) {
       // 이름으로 템플릿 조회
-      const { data, error } = await supabase
-        .from('order_templates')
-        .select('*')
-        .ilike('template_name', `%${templateName}%`)
-        .eq('is_active', true)
-        .order('created_at', { ascending: false })
-        .limit(1);
-        
-      if (!error && data && data.length > 0) {
-        template = data[0];
-      }
+      [template = null] = await orderTemplates.searchActive(templateName);
     }
     
     if (!template) {
       // "런모아" 키워드로 템플릿 검색
-      const { data, error } = await supabase
-        .from('order_templates')
-        .select('*')
-        .or('template_name.ilike.%런모아%,description.ilike.%런모아%')
-        .eq('is_active', true)
-        .order('last_used_at', { ascending: false, nullsFirst: false })
-        .order('created_at', { ascending: false })
-        .limit(1);
-        
-      if (!error && data && data.length > 0) {
-        template = data[0];
-      }
+      [template = null] = await orderTemplates.searchActive('런모아', {
+        fields: ['template_name', 'description'],
+        sort: 'recent'
+      });
     }
     
     if (!template) {
       console.warn('⚠️ 런모아 템플릿을 찾을 수 없어 기본 템플릿 사용');
-      return null;
+      return DEFAULT_RUNMOA_TEMPLATE;
     }
     
     // 템플릿 사용 횟수 업데이트
-    await supabase
-      .from('order_templates')
-      .update({ 
-        usage_count: (template.usage_count || 0) + 1,
-        last_used_at: new Date().toISOString()
-      })
-      .eq('id', template.id);
+    if (recordUsage) {
+      await orderTemplates.recordUsage(template.id);
+    }
     
     console.log('✅ 런모아 템플릿 로드 완료:', template.template_name);
     
+    const { fillTemplate, templateFile, templateHeaderRow } = getTemplateGenerationOptions(template);
+    
+    // 매핑 수식의 lookup 함수가 쓰는 조회 테이블 (불러오지 못하면 해당 필드는 누락 필드로 보고)
+    let lookupTables = new Map();
+    try {
+      lookupTables = await loadMappingLookupTables(template.supplier_field_mapping);
+    } catch (error) {
+      console.warn('⚠️ 조회 테이블 로드 실패:', error.message);
+    }
+    
     return {
       id: template.id,
       name: template.template_name,
       description: template.description,
-      supplierFieldMapping: template.supplier_field_mapping,
-      fixedFields: template.fixed_fields || {}
+      orderFieldMapping: template.order_field_mapping || {},
+      supplierFieldMapping: template.supplier_field_mapping || {},
+      // 발주서 컬럼 순서 (/api/orders/generate-with-template과 동일한 기준)
+      supplierHeaders: getSupplierHeaders(template.supplier_field_mapping, template.supplier_field_mapping_array),
+      fixedFields: template.fixed_fields || {},
+      missingFieldPolicy: template.missing_field_policy || DEFAULT_MISSING_FIELD_POLICY,
+      outputFormat: template.output_format || DEFAULT_OUTPUT_FORMAT,
+      // 템플릿 채우기 (공급처 발주서 파일 사본에 채움)
+      fillTemplate,
+      templateFile,
+      templateHeaderRow,
+      lookupTables
     };
     
   } catch (error) {
     console.error('❌ 런모아 템플릿 로드 실패:', error);
-    return null;
+    return DEFAULT_RUNMOA_TEMPLATE;
   }
 }
 
 // 🗺️ 템플릿으로부터 매핑 규칙 생성
+// 매핑된 주문 값이 비어 있으면 임의 값을 채우지 않고 빈 칸으로 두며 누락 필드로 보고한다.
+// @returns {{ mappingRules: Object, missingFields: string[] }}
 function createMappingFromTemplate(template, standardizedData) {
-  try {
-    if (!template || !template.supplierFieldMapping) {
-      console.log('📋 템플릿이 없어 기본 매핑 규칙 사용');
-      // 기본 매핑 규칙 (하드코딩된 백업)
-      return {
-        '품목명': standardizedData.상품명,
-        '주문수량': standardizedData.수량,
-        '단가': standardizedData.단가,
-        '공급가액': standardizedData.총금액,
-        '담당자': standardizedData.고객명,
-        '전화번호': standardizedData.연락처,
-        '주소': standardizedData.주소,
-        '발주일자': standardizedData.주문일자,
-        '발주번호': standardizedData.주문번호,
-        '비고': `[런모아 자동주문] ${standardizedData.주문번호}`
-      };
+  const activeTemplate = template || DEFAULT_RUNMOA_TEMPLATE;
+  
+  console.log('🗺️ 템플릿 기반 매핑 규칙 생성:', activeTemplate.name);
+  
+  const mappingRules = {};
+  const missingFields = [];
+  const supplierMapping = activeTemplate.supplierFieldMapping || {};
+  const orderMapping = activeTemplate.orderFieldMapping || {};
+  const fixedFields = activeTemplate.fixedFields || {};
+  
+  // 표준화된 데이터와 템플릿 매핑 연결 (실제 런모아 형식 지원)
+  const dataMapping = {
+    // 표준 필드명
+    '상품명': standardizedData.상품명,
+    '수량': standardizedData.수량,
+    '주문일자': standardizedData.주문일자,
+    '주문번호': standardizedData.주문번호,
+    '플랫폼': standardizedData.플랫폼,
+    '처리일시': standardizedData.처리일시,
+    
+    // 실제 런모아 형식 (공백 포함) - 모든 필드 매핑
+    '주문 번호': standardizedData.주문번호,
+    '주문자 이름': standardizedData.주문자이름,
+    '수취인 이름': standardizedData.수취인이름,
+    '주문 상태': standardizedData.주문상태,
+    '주문자 연락처': standardizedData.주문자연락처,
+    '주문자 이메일': standardizedData.주문자이메일,
+    '수취인 연락처': standardizedData.수취인연락처,
+    '배송정보': standardizedData.배송정보,
+    '주문금액': standardizedData.주문금액,
+    '발송일자': standardizedData.발송일자,
+    'SKU': standardizedData.SKU,
+    '옵션': standardizedData.옵션,
+    '개인통관번호': standardizedData.개인통관번호,
+    
+    // 추가 매핑 (공백 없는 버전도 지원)
+    '주문자이름': standardizedData.주문자이름,
+    '수취인이름': standardizedData.수취인이름,
+    '주문상태': standardizedData.주문상태,
+    '주문자연락처': standardizedData.주문자연락처,
+    '주문자이메일': standardizedData.주문자이메일,
+    '수취인연락처': standardizedData.수취인연락처,
+    
+    // 영어 필드명도 지원
+    'order_id': standardizedData.주문번호,
+    'customer_name': standardizedData.주문자이름,
+    'product_name': standardizedData.상품명,
+    'quantity': standardizedData.수량,
+    'amount': standardizedData.주문금액,
+    'phone': standardizedData.주문자연락처,
+    'address': standardizedData.배송정보,
+    
+    // 별칭
+    '고객명': standardizedData.주문자이름,
+    '연락처': standardizedData.주문자연락처,
+    '주소': standardizedData.배송정보,
+    '상품명2': standardizedData.상품명,
+    '배송지': standardizedData.배송정보,
+    '전화번호': standardizedData.주문자연락처,
+    '고객이름': standardizedData.주문자이름
+  };
+  
+  activeTemplate.supplierHeaders.forEach(supplierField => {
+    // 고정값 필드 (값이 있을 때 매핑값보다 우선, 동적 값 {주문번호}, {플랫폼}, {처리일시} 지원)
+    const fixedValue = fixedFields[supplierField];
+    if (fixedValue) {
+      mappingRules[supplierField] = typeof fixedValue === 'string'
+        ? fixedValue
+          .replace(/\{주문번호\}/g, standardizedData.주문번호)
+          .replace(/\{플랫폼\}/g, standardizedData.플랫폼)
+          .replace(/\{처리일시\}/g, new Date().toLocaleString('ko-KR'))
+        : fixedValue;
+      return;
     }
     
-    console.log('🗺️ 템플릿 기반 매핑 규칙 생성:', template.name);
-    console.log('📋 템플릿 필드 목록:', Object.keys(template.supplierFieldMapping));
-    
-    const mappingRules = {};
-    const supplierMapping = template.supplierFieldMapping;
-    const fixedFields = template.fixedFields || {};
-    
-    // 표준화된 데이터와 템플릿 매핑 연결 (실제 런모아 형식 지원)
-    const dataMapping = {
-      // 기존 형식 (기본값)
-      '상품명': standardizedData.상품명,
-      '수량': standardizedData.수량,
-      '단가': standardizedData.단가,
-      '총금액': standardizedData.총금액,
-      '고객명': standardizedData.고객명,
-      '연락처': standardizedData.연락처,
-      '주소': standardizedData.주소,
-      '주문일자': standardizedData.주문일자,
-      '주문번호': standardizedData.주문번호,
-      '플랫폼': standardizedData.플랫폼,
-      '처리일시': standardizedData.처리일시,
-      
-      // 실제 런모아 형식 (공백 포함) - 모든 필드 매핑
-      '주문 번호': standardizedData.주문번호,
-      '주문자 이름': standardizedData.주문자이름,
-      '수취인 이름': standardizedData.수취인이름,
-      '주문 상태': standardizedData.주문상태,
-      '주문자 연락처': standardizedData.주문자연락처,
-      '주문자 이메일': standardizedData.주문자이메일,
-      '수취인 연락처': standardizedData.수취인연락처,
-      '배송정보': standardizedData.배송정보,
-      '주문금액': standardizedData.주문금액,
-      '발송일자': standardizedData.발송일자,
-      'SKU': standardizedData.SKU,
-      '옵션': standardizedData.옵션,
-      '개인통관번호': standardizedData.개인통관번호,
-      
-      // 추가 매핑 (공백 없는 버전도 지원)
-      '주문번호': standardizedData.주문번호,
-      '주문자이름': standardizedData.주문자이름,
-      '수취인이름': standardizedData.수취인이름,
-      '주문상태': standardizedData.주문상태,
-      '주문자연락처': standardizedData.주문자연락처,
-      '주문자이메일': standardizedData.주문자이메일,
-      '수취인연락처': standardizedData.수취인연락처,
-      '배송정보': standardizedData.배송정보,
-      '주문금액': standardizedData.주문금액,
-      '발송일자': standardizedData.발송일자,
-      
-              // 영어 필드명도 지원  
-        'order_id': standardizedData.주문번호,
-        'customer_name': standardizedData.주문자이름,
-        'product_name': standardizedData.상품명,
-        'quantity': standardizedData.수량,
-        'amount': standardizedData.주문금액,
-        'phone': standardizedData.주문자연락처,
-        'address': standardizedData.배송정보,
-        
-        // 누락된 필드들 추가
-        '발송일자': new Date().toLocaleDateString('ko-KR'),
-        '상품명2': standardizedData.상품명,
-        '배송지': standardizedData.배송정보,
-        '전화번호': standardizedData.주문자연락처,
-        '고객이름': standardizedData.주문자이름
-    };
-    
-    // 공급업체 필드 매핑 적용 (개선된 오류 처리 + 디버깅)
-    Object.keys(supplierMapping).forEach(supplierField => {
-      const sourceField = supplierMapping[supplierField];
-      
-      if (dataMapping[sourceField] !== undefined && dataMapping[sourceField] !== null && dataMapping[sourceField] !== '') {
-        mappingRules[supplierField] = dataMapping[sourceField];
-      } else {
-        // 기본값 설정
-        let defaultValue = '';
-        if (supplierField.includes('금액') || supplierField.includes('수량')) {
-          defaultValue = 0;
-        } else if (supplierField.includes('일자')) {
-          defaultValue = new Date().toLocaleDateString('ko-KR');
-        } else if (supplierField.includes('SKU')) {
-          defaultValue = 'N/A';
-        } else if (supplierField.includes('옵션')) {
-          defaultValue = '기본';
-        } else if (supplierField.includes('상품명')) {
-          defaultValue = standardizedData.상품명 || '상품명 없음';
-        } else if (supplierField.includes('배송') || supplierField.includes('주소')) {
-          defaultValue = standardizedData.배송정보 || '주소 없음';
-        } else if (supplierField.includes('연락처') || supplierField.includes('전화')) {
-          defaultValue = standardizedData.주문자연락처 || '연락처 없음';
-        } else if (supplierField.includes('이름')) {
-          defaultValue = standardizedData.주문자이름 || '이름 없음';
-        }
-        
-        mappingRules[supplierField] = defaultValue;
-      }
-    });
+    // 매핑되지 않은 컬럼은 의도적인 빈 칸 (누락 아님)
+    const orderField = supplierMapping[supplierField];
+    if (!orderField) {
+      mappingRules[supplierField] = '';
+      return;
+    }
     
-    // 고정값 필드 적용
-    Object.keys(fixedFields).forEach(fieldName => {
-      const fixedValue = fixedFields[fieldName];
-      // 동적 값 처리 (예: {주문번호}, {플랫폼} 등)
-      let processedValue = fixedValue;
-      if (typeof fixedValue === 'string') {
-        processedValue = fixedValue
-          .replace(/\{주문번호\}/g, standardizedData.주문번호)
-          .replace(/\{플랫폼\}/g, standardizedData.플랫폼)
-          .replace(/\{처리일시\}/g, new Date().toLocaleString('ko-KR'));
+    // 매핑 수식은 표준화된 주문 값({주문번호}, {수취인 연락처} 등)으로 계산 (계산 실패는 누락 필드로 보고)
+    if (isMappingExpression(orderField)) {
+      try {
+        mappingRules[supplierField] = compileMappingExpression(orderField).evaluate(dataMapping, { lookupTables: activeTemplate.lookupTables });
+      } catch (error) {
+        console.warn(`⚠️ 매핑 수식 계산 실패 (${supplierField}):`, error.message);
+        mappingRules[supplierField] = '';
+        missingFields.push(supplierField);
       }
-      mappingRules[fieldName] = processedValue;
-    });
-    
-    console.log('✅ 매핑 규칙 생성 완료:', {
-      templateFields: Object.keys(supplierMapping).length,
-      fixedFields: Object.keys(fixedFields).length,
-      totalFields: Object.keys(mappingRules).length
-    });
+      return;
+    }
     
-    return mappingRules;
+    // 발주서 필드 → 주문서 필드 → 주문서 컬럼명 순으로 찾기
+    const orderColumnName = orderMapping[orderField] || orderField;
+    const sourceValue = dataMapping[orderColumnName] !== undefined ? dataMapping[orderColumnName] : dataMapping[orderField];
     
-  } catch (error) {
-    console.error('❌ 매핑 규칙 생성 실패:', error);
-    // 오류 시 기본 매핑 사용
-    return createMappingFromTemplate(null, standardizedData);
-  }
+    if (sourceValue === undefined || sourceValue === null || String(sourceValue).trim() === '') {
+      mappingRules[supplierField] = '';
+      missingFields.push(supplierField);
+    } else {
+      mappingRules[supplierField] = sourceValue;
+    }
+  });
+  
+  console.log('✅ 매핑 규칙 생성 완료:', {
+    templateFields: activeTemplate.supplierHeaders.length,
+    fixedFields: Object.keys(fixedFields).length,
+    missingFields: missingFields
+  });
+  
+  return { mappingRules, missingFields };
 }
 
-// 📊 Excel 구조 생성
+// 📊 Excel 구조 생성 (템플릿 컬럼 순서대로)
 function createExcelStructure(template, mappingRules) {
-  try {
-    const columns = [];
-    const rowData = {};
-    
-    // 매핑 규칙을 기반으로 컬럼 생성
-    Object.keys(mappingRules).forEach((fieldName, index) => {
-      const key = `field_${index}`;
-      columns.push({
-        header: fieldName,
-        key: key,
-        width: getColumnWidth(fieldName)
-      });
-      rowData[key] = mappingRules[fieldName];
+  const columns = [];
+  const rowData = {};
+  
+  (template || DEFAULT_RUNMOA_TEMPLATE).supplierHeaders.forEach((fieldName, index) => {
+    const key = `field_${index}`;
+    columns.push({
+      header: fieldName,
+      key: key,
+      width: getColumnWidth(fieldName)
     });
-    
-    return { columns, rowData };
-    
-  } catch (error) {
-    console.error('❌ Excel 구조 생성 실패:', error);
-    // 오류 시 기본 구조 반환
-    return {
-      columns: [
-        { header: '품목명', key: 'product_name', width: 30 },
-        { header: '수량', key: 'quantity', width: 12 },
-        { header: '고객명', key: 'customer', width: 15 },
-        { header: '주문번호', key: 'order_id', width: 20 }
-      ],
-      rowData: {
-        product_name: mappingRules['품목명'] || '',
-        quantity: mappingRules['수량'] || '',
-        customer: mappingRules['고객명'] || '',
-        order_id: mappingRules['주문번호'] || ''
-      }
-    };
-  }
+    rowData[key] = mappingRules[fieldName] !== undefined ? mappingRules[fieldName] : '';
+  });
+  
+  return { columns, rowData };
 }
 
 // 📏 필드명에 따른 컬럼 너비 설정
@@ -937,4 +1459,7 @@ function getColumnWidth(fieldName) {
   return widthMap[fieldName] || 20; // 기본 너비
 }
 
-module.exports = router; 
\ No newline at end of file
+module.exports = {
+  router,
+  resumeWebhookJobs
+}; 
\ No newline at end of file
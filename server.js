@@ -6,6 +6,8 @@ const fs = require('fs');
 const session = require('express-session');
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { getStorageDriverName } = require('./utils/storage');
+const { getDatabaseDriverName } = require('./utils/repositories');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -106,12 +108,6 @@ function decodeFileName(fileName) {
   }
 }
 
-// Supabase 클라이언트 초기화
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
 // uploads 폴더 완전 제거: Supabase Storage가 메인, 임시 파일은 /tmp 사용
 
 // 세션 설정
@@ -127,7 +123,12 @@ app.use(session({
 
 // 미들웨어 설정
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Webhook 서명 검증용 요청 원문 보관
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.static('public'));
 
 // 파일 업로드 설정 - Supabase Storage 사용 (로컬에서도 테스트)
@@ -183,15 +184,21 @@ const upload = multer({
 
 // API 라우트
 const orderRoutes = require('./routes/orders');
-const emailRoutes = require('./routes/email');
+const { router: emailRoutes, restoreScheduledEmails } = require('./routes/email');
 const templateRoutes = require('./routes/templates');
-const webhookRoutes = require('./routes/webhook');
+const supplierRoutes = require('./routes/suppliers');
+const confirmationRoutes = require('./routes/confirmations');
+const lookupTableRoutes = require('./routes/lookupTables');
+const { router: webhookRoutes, resumeWebhookJobs } = require('./routes/webhook');
 const { router: authRoutes, requireAuth } = require('./routes/auth');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/email', emailRoutes);
 app.use('/api/templates', templateRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/confirmations', confirmationRoutes);
+app.use('/api/lookup-tables', lookupTableRoutes);
 app.use('/api/webhook', webhookRoutes);
 
 // 홈페이지 라우트 - OpenAI API 키 없이도 사용 가능
@@ -239,13 +246,22 @@ app.use((error, req, res, next) => {
 app.listen(PORT, async () => {
   console.log(`🚀 서버가 포트 ${PORT}에서 실행 중입니다.`);
   console.log(`📁 파일 업로드: http://localhost:${PORT}`);
-  console.log(`☁️ 스토리지: Supabase Storage (모든 환경)`);
+  const storageDriverName = getStorageDriverName();
+  console.log(`☁️ 스토리지: ${storageDriverName === 'supabase' ? 'Supabase Storage' : storageDriverName} (STORAGE_DRIVER)`);
+  console.log(`🗄️ 데이터 저장소: ${getDatabaseDriverName()} (DB_DRIVER)`);
   console.log(`🔗 Supabase URL: ${process.env.SUPABASE_URL ? '✅ 연결됨' : '❌ 설정안됨'}`);
   
-  // Production 환경에서 Supabase 연결 상태 확인
-  if (process.env.NODE_ENV === 'production') {
+  // 재시작 전에 끝나지 않은 Webhook 주문 처리 작업 이어서 처리
+  resumeWebhookJobs();
+  // 저장된 예약 이메일 다시 등록 (지난 예약은 EMAIL_SCHEDULE_OVERDUE_POLICY에 따라 처리)
+  restoreScheduledEmails();
+  
+  // Production 환경에서 Supabase 연결 상태 확인 (Supabase 스토리지 사용 시)
+  if (process.env.NODE_ENV === 'production' && storageDriverName === 'supabase') {
     try {
       console.log('🔍 Supabase 연결 상태 확인 중...');
+      // Supabase 클라이언트는 Supabase 스토리지를 사용할 때만 생성 (sqlite/local 환경은 SUPABASE_URL 없이 실행)
+      const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
       const { data, error } = await supabase.storage.listBuckets();
       
       if (error) {
@@ -0,0 +1,45 @@
+-- =====================================================
+-- 📭 이메일 전송 실패(dead-letter) 테이블 생성
+-- =====================================================
+-- 목적: 재시도해도 전송되지 않은 이메일(또는 재시도할 수 없는 오류로 실패한 이메일)을
+--       보관하여 내용을 확인/수정한 뒤 다시 전송
+-- =====================================================
+
+-- 1. 전송 실패 이메일 테이블
+-- status 흐름: dead → resent (다시 전송 성공) | discarded (폐기)
+-- message: 전송할 이메일 { to, cc, bcc, subject, body, attachmentPath, attachmentDisplayName, variables, bodyFormat, includeOrderSummary }
+-- context: 전송 경로 정보 { templateName, scheduleId, recurringId }
+CREATE TABLE IF NOT EXISTS email_dead_letters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source TEXT NOT NULL CHECK (source IN ('send', 'scheduled', 'recurring')),
+    message JSONB NOT NULL,
+    context JSONB,
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    error_code TEXT,
+    status TEXT NOT NULL DEFAULT 'dead' CHECK (status IN ('dead', 'resent', 'discarded')),
+    job_id UUID,
+    message_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 전송 실패 이메일 인덱스
+CREATE INDEX IF NOT EXISTS idx_email_dead_letters_status ON email_dead_letters(status, created_at DESC);
+
+-- 2. RLS (Row Level Security) 정책 설정
+ALTER TABLE email_dead_letters ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on email_dead_letters" ON email_dead_letters;
+
+CREATE POLICY "Allow all operations on email_dead_letters" ON email_dead_letters
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE email_dead_letters IS '재시도 후에도 전송되지 않은 이메일 (확인/수정 후 다시 전송)';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,45 @@
+-- =====================================================
+-- ⏳ 백그라운드 작업 큐 테이블 생성
+-- =====================================================
+-- 목적: Webhook 주문 처리 등 오래 걸리는 작업을 요청과 분리하여 처리
+--       (진행 상황/결과 조회, 실패 시 재시도, 서버 재시작 후 이어서 처리)
+-- =====================================================
+
+-- 1. 작업 테이블
+-- status 흐름: queued → processing → completed
+--                                  ↘ retrying → processing ... → failed (최대 시도 횟수 초과)
+CREATE TABLE IF NOT EXISTS background_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'retrying', 'completed', 'failed')),
+    payload JSONB NOT NULL,
+    progress JSONB,
+    result JSONB,
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    last_error TEXT,
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 작업 인덱스
+CREATE INDEX IF NOT EXISTS idx_background_jobs_status ON background_jobs(job_type, status);
+CREATE INDEX IF NOT EXISTS idx_background_jobs_created_at ON background_jobs(created_at DESC);
+
+-- 2. RLS (Row Level Security) 정책 설정
+ALTER TABLE background_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on background_jobs" ON background_jobs;
+
+CREATE POLICY "Allow all operations on background_jobs" ON background_jobs
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE background_jobs IS '백그라운드 작업 큐 (Webhook 주문 처리 등)';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
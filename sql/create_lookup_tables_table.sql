@@ -0,0 +1,40 @@
+-- =====================================================
+-- 🔎 조회 테이블 생성
+-- =====================================================
+-- 목적: 매핑 수식의 lookup 함수로 주문서 값(마켓 SKU, 상품명 등)을
+--       공급처 상품코드/품명/단위/단가 등으로 바꾸기 위한 변환표 저장
+-- =====================================================
+
+-- 1. 조회 테이블
+-- column_names 예: ["SKU", "공급처코드", "단위", "단가"]
+-- entries 예: [{"SKU": "A-001", "공급처코드": "S1001", "단위": "BOX", "단가": "12000"}]
+CREATE TABLE IF NOT EXISTS lookup_tables (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    key_column TEXT NOT NULL,
+    column_names JSONB NOT NULL DEFAULT '[]'::jsonb,
+    entries JSONB NOT NULL DEFAULT '[]'::jsonb,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 조회 테이블 이름 유니크 인덱스 (활성화된 테이블만)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lookup_tables_name_active ON lookup_tables(name) WHERE is_active = true;
+
+-- 2. RLS (Row Level Security) 정책 설정
+ALTER TABLE lookup_tables ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on lookup_tables" ON lookup_tables;
+
+CREATE POLICY "Allow all operations on lookup_tables" ON lookup_tables
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE lookup_tables IS '조회 테이블 (매핑 수식 lookup 함수용 변환표)';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
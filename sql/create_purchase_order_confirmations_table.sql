@@ -0,0 +1,48 @@
+-- =====================================================
+-- ✅ 발주서 수신 확인 테이블 생성
+-- =====================================================
+-- 목적: 공급처에 전송한 발주서마다 확인/거절 링크(토큰)를 발급하고
+--       공급처의 회신 상태와 확인 기한을 추적
+-- =====================================================
+
+-- 1. 발주서 수신 확인 테이블
+-- status 흐름: pending → confirmed (확인) | rejected (거절, response_note에 사유)
+CREATE TABLE IF NOT EXISTS purchase_order_confirmations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    token TEXT NOT NULL UNIQUE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'rejected')),
+    source TEXT,
+    supplier_name TEXT,
+    to_email TEXT NOT NULL,
+    subject TEXT,
+    attachment_name TEXT,
+    attachment_path TEXT,
+    message_id TEXT,
+    template_name TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deadline_at TIMESTAMP WITH TIME ZONE,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    response_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 발주서 수신 확인 인덱스 (기한이 지난 미확인 발주서 조회)
+CREATE INDEX IF NOT EXISTS idx_purchase_order_confirmations_status ON purchase_order_confirmations(status, deadline_at);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_confirmations_sent_at ON purchase_order_confirmations(sent_at DESC);
+
+-- 2. RLS (Row Level Security) 정책 설정
+ALTER TABLE purchase_order_confirmations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on purchase_order_confirmations" ON purchase_order_confirmations;
+
+CREATE POLICY "Allow all operations on purchase_order_confirmations" ON purchase_order_confirmations
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE purchase_order_confirmations IS '전송한 발주서의 공급처 확인/거절 회신';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,48 @@
+-- =====================================================
+-- 🔁 정기 발주 이메일 예약 테이블 생성
+-- =====================================================
+-- 목적: 정기 주문(매일/매주/매월/cron)마다 저장된 템플릿과 주문서 파일로
+--       발주서를 다시 생성하여 이메일로 전송 (시각은 Asia/Seoul 기준)
+-- =====================================================
+
+-- 1. 반복 예약 테이블
+-- rule 예: {"type": "monthly", "dayOfMonth": 1, "time": "09:00"}
+CREATE TABLE IF NOT EXISTS recurring_email_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    rule JSONB NOT NULL,
+    template_id BIGINT NOT NULL,
+    source_file TEXT NOT NULL,
+    to_email TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT,
+    email_template_name TEXT,
+    is_active BOOLEAN DEFAULT true,
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status TEXT,
+    last_error TEXT,
+    last_generated_file TEXT,
+    run_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 반복 예약 인덱스
+CREATE INDEX IF NOT EXISTS idx_recurring_email_schedules_active ON recurring_email_schedules(is_active, next_run_at);
+
+-- 2. RLS (Row Level Security) 정책 설정
+ALTER TABLE recurring_email_schedules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on recurring_email_schedules" ON recurring_email_schedules;
+
+CREATE POLICY "Allow all operations on recurring_email_schedules" ON recurring_email_schedules
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE recurring_email_schedules IS '정기 발주 이메일 반복 예약';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
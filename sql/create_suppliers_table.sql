@@ -0,0 +1,42 @@
+-- =====================================================
+-- 📇 공급처 주소록 테이블 생성
+-- =====================================================
+-- 목적: 공급처별 수신자(받는 사람/참조/숨은 참조)와 기본 이메일 템플릿,
+--       기본 발주서 템플릿을 저장하여 공급처 선택만으로 발주서 전송 정보를 채움
+-- =====================================================
+
+-- 1. 공급처 테이블
+-- emails/cc_emails/bcc_emails 예: ["order@a.example.com", "manager@a.example.com"]
+CREATE TABLE IF NOT EXISTS suppliers (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    emails JSONB NOT NULL DEFAULT '[]'::jsonb,
+    cc_emails JSONB DEFAULT '[]'::jsonb,
+    bcc_emails JSONB DEFAULT '[]'::jsonb,
+    default_email_template TEXT,
+    default_order_template_id BIGINT,
+    contact_name TEXT,
+    memo TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 공급처명 유니크 인덱스 (활성화된 공급처만)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppliers_name_active ON suppliers(name) WHERE is_active = true;
+
+-- 2. RLS (Row Level Security) 정책 설정
+ALTER TABLE suppliers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on suppliers" ON suppliers;
+
+CREATE POLICY "Allow all operations on suppliers" ON suppliers
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE suppliers IS '공급처 주소록 (수신자, 기본 이메일/발주서 템플릿)';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,41 @@
+-- =====================================================
+-- ⏸️ Webhook 보류 주문 테이블 생성
+-- =====================================================
+-- 목적: 누락 필드 정책이 hold인 템플릿에서 매핑 값이 비어 있는 주문을
+--       발주서에 넣지 않고 수동 검토 대기 상태로 보관
+-- =====================================================
+
+-- 1. 보류 주문 테이블
+-- status 흐름: held → released (값 보완 후 발주서 생성) | discarded (폐기)
+CREATE TABLE IF NOT EXISTS webhook_held_orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_number TEXT,
+    template_id BIGINT,
+    order_data JSONB NOT NULL,
+    missing_fields JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'released', 'discarded')),
+    job_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 보류 주문 인덱스
+CREATE INDEX IF NOT EXISTS idx_webhook_held_orders_status ON webhook_held_orders(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_held_orders_order_number ON webhook_held_orders(order_number);
+
+-- 2. RLS (Row Level Security) 정책 설정
+ALTER TABLE webhook_held_orders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on webhook_held_orders" ON webhook_held_orders;
+
+CREATE POLICY "Allow all operations on webhook_held_orders" ON webhook_held_orders
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE webhook_held_orders IS '누락 필드로 수동 검토 대기 중인 Webhook 주문';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,40 @@
+-- =====================================================
+-- 🛒 Webhook 주문 수신 테이블 생성
+-- =====================================================
+-- 목적: 런모아 재전송(retry) 시 발주서/이메일 중복 생성 방지
+-- =====================================================
+
+-- 1. 멱등성 키 테이블
+-- idempotency_key 형식:
+--   header:<Idempotency-Key 헤더 값>  (요청 단위)
+--   order:<주문_번호>                 (주문 단위)
+CREATE TABLE IF NOT EXISTS webhook_idempotency_keys (
+    id BIGSERIAL PRIMARY KEY,
+    idempotency_key TEXT NOT NULL UNIQUE,
+    key_type TEXT NOT NULL CHECK (key_type IN ('header', 'order')),
+    order_number TEXT,
+    generated_file TEXT,
+    response JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 멱등성 키 인덱스
+CREATE INDEX IF NOT EXISTS idx_webhook_idempotency_order ON webhook_idempotency_keys(order_number);
+CREATE INDEX IF NOT EXISTS idx_webhook_idempotency_created_at ON webhook_idempotency_keys(created_at DESC);
+
+-- 2. RLS (Row Level Security) 정책 설정
+ALTER TABLE webhook_idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on webhook_idempotency_keys" ON webhook_idempotency_keys;
+
+CREATE POLICY "Allow all operations on webhook_idempotency_keys" ON webhook_idempotency_keys
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE webhook_idempotency_keys IS 'Webhook 주문 중복 수신 방지용 처리 결과 저장소';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
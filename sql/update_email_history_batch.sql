@@ -0,0 +1,16 @@
+-- =====================================================
+-- 📦 이메일 전송 이력 일괄 전송 묶음 컬럼 추가
+-- =====================================================
+-- 목적: 일괄 전송(/api/email/send-batch)으로 보낸 이메일 이력을 묶어서 조회
+--   batch_id - 일괄 전송 작업 ID (background_jobs.id, 개별 전송은 NULL)
+-- =====================================================
+
+ALTER TABLE email_history ADD COLUMN IF NOT EXISTS batch_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_email_history_batch_id ON email_history(batch_id);
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,18 @@
+-- =====================================================
+-- 📇 정기 발주 반복 예약 수신자 컬럼 추가
+-- =====================================================
+-- 목적: 반복 예약에도 참조/숨은 참조와 공급처 주소록 연결 저장
+--   supplier_id - 공급처 주소록 ID (suppliers.id)
+--   cc_email    - 참조 (쉼표로 구분)
+--   bcc_email   - 숨은 참조 (쉼표로 구분)
+-- =====================================================
+
+ALTER TABLE recurring_email_schedules ADD COLUMN IF NOT EXISTS supplier_id BIGINT;
+ALTER TABLE recurring_email_schedules ADD COLUMN IF NOT EXISTS cc_email TEXT;
+ALTER TABLE recurring_email_schedules ADD COLUMN IF NOT EXISTS bcc_email TEXT;
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,17 @@
+-- =====================================================
+-- ⚠️ 정기 발주 반복 예약 행 오류 컬럼 추가
+-- =====================================================
+-- 목적: 발주서 생성 중 변환에 실패한 행(매핑 수식 계산 실패, 조회 테이블에 없는 값 등)을
+--       반복 예약에 기록하고, 행 오류가 있으면 전송을 보류할 수 있도록 설정
+--   hold_on_row_errors - true이면 행 오류가 있을 때 전송하지 않고 보류 (last_status = 'held')
+--   last_row_errors    - 마지막 실행의 행 오류 목록 [{ row, field, error, lookup }]
+-- =====================================================
+
+ALTER TABLE recurring_email_schedules ADD COLUMN IF NOT EXISTS hold_on_row_errors BOOLEAN DEFAULT false;
+ALTER TABLE recurring_email_schedules ADD COLUMN IF NOT EXISTS last_row_errors JSONB;
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,18 @@
+-- =====================================================
+-- 🔒 공급처 주소록 첨부파일 암호화 정책 컬럼 추가
+-- =====================================================
+-- 목적: 공급처별로 발주서 첨부파일 암호화 방식과 비밀번호 전달 방식 저장
+--   attachment_protection - 암호화 방식 (none | zip | xlsx, NULL이면 서버 기본값 ATTACHMENT_PROTECTION)
+--   password_delivery     - 비밀번호 전달 방식 (email | webhook, NULL이면 서버 기본값 ATTACHMENT_PASSWORD_DELIVERY)
+--   password_recipient    - 비밀번호를 받을 곳 (email: 이메일 주소, NULL이면 발주서 받는 사람 / webhook: 휴대폰 번호 등)
+-- =====================================================
+
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS attachment_protection TEXT CHECK (attachment_protection IN ('none', 'zip', 'xlsx'));
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS password_delivery TEXT CHECK (password_delivery IN ('email', 'webhook'));
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS password_recipient TEXT;
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,27 @@
+-- =====================================================
+-- 🧩 발주서 템플릿 채우기 컬럼 추가
+-- =====================================================
+-- 목적: 저장된 템플릿으로 발주서를 만들 때도 공급처 발주서 파일의 서식(로고, 병합, 수식, 합계 행)을 유지
+--   fill_template       - true이면 새 시트 대신 template_file 사본의 헤더 행 아래에 채움
+--   template_file       - 공급처 발주서 파일 ID (uploads 버킷, .xlsx)
+--   template_header_row - 헤더 행 번호 (NULL이면 자동 판별)
+-- =====================================================
+
+ALTER TABLE public.order_templates 
+ADD COLUMN IF NOT EXISTS fill_template BOOLEAN DEFAULT false;
+
+ALTER TABLE public.order_templates 
+ADD COLUMN IF NOT EXISTS template_file TEXT;
+
+ALTER TABLE public.order_templates 
+ADD COLUMN IF NOT EXISTS template_header_row INTEGER;
+
+COMMENT ON COLUMN public.order_templates.fill_template IS '공급처 발주서 파일(template_file) 사본에 채워서 발주서 생성';
+COMMENT ON COLUMN public.order_templates.template_file IS '템플릿 채우기에 사용할 공급처 발주서 파일 ID (uploads 버킷)';
+COMMENT ON COLUMN public.order_templates.template_header_row IS '템플릿 채우기 헤더 행 번호 (NULL이면 자동 판별)';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,19 @@
+-- =====================================================
+-- 🧾 발주서 템플릿 누락 필드 정책 컬럼 추가
+-- =====================================================
+-- 목적: Webhook 주문에 템플릿 매핑 값이 비어 있을 때의 처리 방식 지정
+--   blank  - 빈 칸으로 발주서 생성 (기본값)
+--   reject - 해당 주문 거부 (런모아에 누락 필드 반환)
+--   hold   - 발주서에서 제외하고 수동 검토 대기 (webhook_held_orders)
+-- =====================================================
+
+ALTER TABLE public.order_templates 
+ADD COLUMN IF NOT EXISTS missing_field_policy TEXT DEFAULT 'blank' CHECK (missing_field_policy IN ('blank', 'reject', 'hold'));
+
+COMMENT ON COLUMN public.order_templates.missing_field_policy IS 'Webhook 주문의 매핑 값 누락 시 처리 방식 (blank | reject | hold)';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,21 @@
+-- =====================================================
+-- 📄 발주서 템플릿 출력 형식 컬럼 추가
+-- =====================================================
+-- 목적: 공급처가 받는 발주서 파일 형식을 템플릿마다 지정
+--   xlsx      - Excel (기본값)
+--   xls       - Excel 97-2003
+--   csv-cp949 - CSV (CP949/EUC-KR 인코딩)
+--   csv-utf8  - CSV (UTF-8 BOM 인코딩)
+--   pdf       - 인쇄용 PDF
+-- =====================================================
+
+ALTER TABLE public.order_templates 
+ADD COLUMN IF NOT EXISTS output_format TEXT DEFAULT 'xlsx' CHECK (output_format IN ('xlsx', 'xls', 'csv-cp949', 'csv-utf8', 'pdf'));
+
+COMMENT ON COLUMN public.order_templates.output_format IS '발주서 파일 형식 (xlsx | xls | csv-cp949 | csv-utf8 | pdf)';
+
+-- =====================================================
+-- 📝 사용법:
+-- 1. Supabase Dashboard에서 이 SQL을 실행
+-- 2. DB_DRIVER=sqlite 환경에서는 서버 시작 시 자동 적용
+-- =====================================================
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+/**
+ * AES-256 암호화 ZIP 생성 (WinZip AE-2 형식)
+ * 반디집, 알집, 7-Zip 등에서 비밀번호를 입력해 열 수 있다. (Windows 탐색기 기본 압축 풀기는 AES를 지원하지 않음)
+ *
+ *   항목 데이터: salt(16) + 비밀번호 검증값(2) + AES-CTR 암호문 + HMAC-SHA1 인증값(10)
+ *   키: PBKDF2-HMAC-SHA1(비밀번호, salt, 1000회) → 암호화 키(32) + 인증 키(32) + 검증값(2)
+ */
+
+const AES_KEY_LENGTH = 32; // AES-256
+const SALT_LENGTH = 16;
+const PBKDF2_ITERATIONS = 1000;
+const AUTH_CODE_LENGTH = 10;
+
+const AES_COMPRESSION_METHOD = 99;
+const DEFLATE_METHOD = 8;
+const VERSION_NEEDED = 51; // AES 암호화
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+// AES 추가 필드 (header 0x9901, AE-2, 'AE', AES-256, 실제 압축 방식)
+function buildAesExtraField() {
+  const extra = Buffer.alloc(11);
+  extra.writeUInt16LE(0x9901, 0);
+  extra.writeUInt16LE(7, 2);
+  extra.writeUInt16LE(2, 4); // AE-2: CRC 대신 HMAC으로만 검증
+  extra.write('AE', 6, 'ascii');
+  extra.writeUInt8(3, 8); // AES-256
+  extra.writeUInt16LE(DEFLATE_METHOD, 9);
+  return extra;
+}
+
+// WinZip AES는 1부터 시작하는 리틀 엔디언 카운터의 CTR 모드 (Node의 aes-256-ctr은 빅 엔디언이라 직접 구현)
+function aesCtrLittleEndian(key, data) {
+  const blockCount = Math.ceil(data.length / 16);
+  const counters = Buffer.alloc(blockCount * 16);
+  for (let i = 0; i < blockCount; i += 1) {
+    counters.writeBigUInt64LE(BigInt(i + 1), i * 16);
+  }
+
+  const cipher = crypto.createCipheriv('aes-256-ecb', key, null);
+  cipher.setAutoPadding(false);
+  const keystream = Buffer.concat([cipher.update(counters), cipher.final()]);
+
+  const output = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i += 1) {
+    output[i] = data[i] ^ keystream[i];
+  }
+  return output;
+}
+
+function encryptEntry(content, password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const derived = crypto.pbkdf2Sync(Buffer.from(password, 'utf8'), salt, PBKDF2_ITERATIONS, AES_KEY_LENGTH * 2 + 2, 'sha1');
+  const encryptionKey = derived.subarray(0, AES_KEY_LENGTH);
+  const authKey = derived.subarray(AES_KEY_LENGTH, AES_KEY_LENGTH * 2);
+  const passwordVerifier = derived.subarray(AES_KEY_LENGTH * 2);
+
+  const encrypted = aesCtrLittleEndian(encryptionKey, zlib.deflateRawSync(content));
+  const authCode = crypto.createHmac('sha1', authKey).update(encrypted).digest().subarray(0, AUTH_CODE_LENGTH);
+
+  return Buffer.concat([salt, passwordVerifier, encrypted, authCode]);
+}
+
+// DOS 형식 수정 시각/날짜
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * 비밀번호로 암호화한 ZIP 파일 생성
+ * @param {Array<{name: string, content: Buffer}>} entries - 압축할 파일
+ * @param {string} password - 비밀번호
+ * @returns {Buffer} ZIP 파일 내용
+ */
+function createAesZip(entries, password) {
+  if (!password) {
+    throw new Error('ZIP 암호화 비밀번호가 없습니다.');
+  }
+
+  const { time, date } = toDosDateTime(new Date());
+  const extra = buildAesExtraField();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content }) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const data = encryptEntry(content, password);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(VERSION_NEEDED, 4);
+    local.writeUInt16LE(FLAG_ENCRYPTED | FLAG_UTF8, 6);
+    local.writeUInt16LE(AES_COMPRESSION_METHOD, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(0, 14); // AE-2는 CRC를 기록하지 않음
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(extra.length, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(VERSION_NEEDED, 4);
+    central.writeUInt16LE(VERSION_NEEDED, 6);
+    central.writeUInt16LE(FLAG_ENCRYPTED | FLAG_UTF8, 8);
+    central.writeUInt16LE(AES_COMPRESSION_METHOD, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(0, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt16LE(extra.length, 30);
+    central.writeUInt16LE(0, 32); // 주석 길이
+    central.writeUInt16LE(0, 34); // 디스크 번호
+    central.writeUInt16LE(0, 36); // 내부 속성
+    central.writeUInt32LE(0, 38); // 외부 속성
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, extra, data);
+    centralParts.push(central, fileName, extra);
+    offset += local.length + fileName.length + extra.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = {
+  createAesZip
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { createAesZip } = require('./aesZip');
+const { encryptXlsx } = require('./xlsxEncryption');
+const { parseEmailList, findInvalidEmails } = require('../emailRecipients');
+
+/**
+ * 발주서 첨부파일 암호화
+ * 발주서에는 고객 이름, 연락처, 주소, 개인통관고유부호가 들어 있으므로 첨부파일을 비밀번호로 보호하고,
+ * 비밀번호는 발주서 이메일과 별도로 전달한다. (이메일 한 통이 잘못 전달되어도 첨부파일을 열 수 없도록)
+ *
+ *   mode: none(암호화 안 함) | zip(AES-256 ZIP) | xlsx(Excel 열기 암호)
+ *   passwordDelivery: email(비밀번호 안내 이메일을 따로 전송) | webhook(PASSWORD_DELIVERY_WEBHOOK_URL로 전달 - 문자/알림톡 연동용)
+ *   passwordRecipient: 비밀번호를 받을 곳 (email: 이메일 주소, 없으면 발주서 받는 사람 / webhook: 휴대폰 번호 등 연동 서비스에 넘길 값)
+ *
+ * 정책 결정 순서: 요청 값 → 공급처 주소록(attachment_protection, password_delivery, password_recipient) → 서버 기본값
+ * 비밀번호는 전송할 때마다 새로 만들고 저장하지 않는다.
+ *
+ * 설정
+ *   ATTACHMENT_PROTECTION: 기본 암호화 방식 (기본값 none)
+ *   ATTACHMENT_PASSWORD_DELIVERY: 기본 비밀번호 전달 방식 (기본값 email)
+ *   ATTACHMENT_PASSWORD_LENGTH: 비밀번호 길이 (기본값 12)
+ *   PASSWORD_DELIVERY_WEBHOOK_URL / PASSWORD_DELIVERY_WEBHOOK_TOKEN: webhook 전달 주소와 Bearer 토큰
+ */
+
+const PROTECTION_MODES = ['none', 'zip', 'xlsx'];
+const PASSWORD_DELIVERY_CHANNELS = ['email', 'webhook'];
+
+const DEFAULT_PASSWORD_LENGTH = 12;
+// 전화/문자로 불러주기 쉽도록 헷갈리는 문자(0/O, 1/l/I 등) 제외
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+
+/**
+ * 첨부파일 암호화 정책 결정
+ * @param {Object} request - 요청 값 { attachmentProtection, passwordDelivery, passwordRecipient }
+ * @param {Object} [supplier] - 공급처 주소록 행
+ * @returns {{protection: Object|null}|{error: string}} protection: { mode, passwordDelivery, passwordRecipient } (암호화하지 않으면 null)
+ */
+function resolveAttachmentProtection(request = {}, supplier = null) {
+  const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+
+  const mode = pick(request.attachmentProtection, supplier?.attachment_protection, process.env.ATTACHMENT_PROTECTION, 'none');
+  if (!PROTECTION_MODES.includes(mode)) {
+    return { error: `attachmentProtection은 ${PROTECTION_MODES.join(', ')} 중 하나여야 합니다.` };
+  }
+  if (mode === 'none') return { protection: null };
+
+  const passwordDelivery = pick(request.passwordDelivery, supplier?.password_delivery, process.env.ATTACHMENT_PASSWORD_DELIVERY, 'email');
+  const passwordRecipient = pick(request.passwordRecipient, supplier?.password_recipient) || null;
+  const error = validatePasswordDelivery(passwordDelivery, passwordRecipient);
+  if (error) return { error };
+
+  return { protection: { mode, passwordDelivery, passwordRecipient } };
+}
+
+/**
+ * 비밀번호 전달 방식 검증 (공급처 주소록 저장 시에도 사용)
+ * @param {string} channel - email | webhook
+ * @param {string} [recipient] - 비밀번호를 받을 곳
+ * @returns {string|null} 오류 메시지
+ */
+function validatePasswordDelivery(channel, recipient) {
+  if (!PASSWORD_DELIVERY_CHANNELS.includes(channel)) {
+    return `passwordDelivery는 ${PASSWORD_DELIVERY_CHANNELS.join(', ')} 중 하나여야 합니다.`;
+  }
+  if (channel === 'webhook' && !process.env.PASSWORD_DELIVERY_WEBHOOK_URL) {
+    return '비밀번호를 webhook으로 전달하려면 PASSWORD_DELIVERY_WEBHOOK_URL을 설정해야 합니다.';
+  }
+  if (channel === 'email' && recipient) {
+    const invalidEmails = findInvalidEmails(parseEmailList(recipient));
+    if (invalidEmails.length > 0) {
+      return `비밀번호를 받을 이메일 주소 형식이 올바르지 않습니다: ${invalidEmails.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 첨부파일 비밀번호 생성
+ * @returns {string}
+ */
+function generateAttachmentPassword() {
+  const length = Math.max(8, parseInt(process.env.ATTACHMENT_PASSWORD_LENGTH, 10) || DEFAULT_PASSWORD_LENGTH);
+  return Array.from({ length }, () => PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)]).join('');
+}
+
+/**
+ * 첨부파일 암호화
+ * Excel 암호화(xlsx)는 .xlsx 파일만 지원하므로, 템플릿 출력 형식이 xls/CSV/PDF인 발주서는 ZIP으로 암호화한다.
+ * @param {Object} attachment - { filename, content, contentType }
+ * @param {Object|null} protection - resolveAttachmentProtection 결과
+ * @returns {{attachment: Object, password: string|null, mode: string|null}} 암호화하지 않으면 원본 그대로, password/mode는 null
+ *   mode는 실제로 적용한 암호화 방식 (비밀번호 안내에 사용)
+ */
+function protectAttachment(attachment, protection) {
+  if (!protection) return { attachment, password: null, mode: null };
+
+  const password = generateAttachmentPassword();
+
+  if (protection.mode === 'xlsx') {
+    if (path.extname(attachment.filename).toLowerCase() === '.xlsx') {
+      return {
+        attachment: { ...attachment, content: encryptXlsx(attachment.content, password) },
+        password,
+        mode: 'xlsx'
+      };
+    }
+    console.warn(`⚠️ Excel 암호화는 .xlsx 파일만 지원하므로 ZIP으로 암호화합니다: ${attachment.filename}`);
+  }
+
+  const baseName = path.basename(attachment.filename, path.extname(attachment.filename));
+  return {
+    attachment: {
+      filename: `${baseName}.zip`,
+      content: createAesZip([{ name: attachment.filename, content: attachment.content }], password),
+      contentType: 'application/zip'
+    },
+    password,
+    mode: 'zip'
+  };
+}
+
+/**
+ * 비밀번호 안내 이메일 내용
+ * @param {Object} params
+ * @param {string} params.subject - 발주서 이메일 제목
+ * @param {string} params.attachmentName - 암호화된 첨부파일 이름
+ * @param {string} params.password - 비밀번호
+ * @param {string} params.mode - zip | xlsx
+ * @returns {{subject: string, text: string}}
+ */
+function buildPasswordEmail({ subject, attachmentName, password, mode }) {
+  const howToOpen = mode === 'zip'
+    ? 'AES 암호화 ZIP 파일입니다. 반디집, 알집, 7-Zip 등에서 압축을 풀 때 비밀번호를 입력하세요.'
+    : 'Excel 파일을 열 때 비밀번호를 입력하세요.';
+
+  return {
+    subject: `[비밀번호 안내] ${subject}`,
+    text: `앞서 전송된 발주서 첨부파일의 비밀번호를 안내드립니다.\n\n` +
+      `발주서 메일: ${subject}\n첨부파일: ${attachmentName}\n비밀번호: ${password}\n\n${howToOpen}\n` +
+      '개인정보 보호를 위해 비밀번호는 발주서 메일과 따로 전송됩니다.'
+  };
+}
+
+/**
+ * 비밀번호를 webhook으로 전달 (문자/알림톡 발송 서비스 연동)
+ * body: { recipient, supplier, to, subject, attachmentName, password, messageId }
+ * @param {Object} payload
+ * @returns {Promise<void>}
+ */
+async function sendPasswordWebhook(payload) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.PASSWORD_DELIVERY_WEBHOOK_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.PASSWORD_DELIVERY_WEBHOOK_TOKEN}`;
+  }
+  await axios.post(process.env.PASSWORD_DELIVERY_WEBHOOK_URL, payload, { headers, timeout: 10000 });
+}
+
+module.exports = {
+  PROTECTION_MODES,
+  PASSWORD_DELIVERY_CHANNELS,
+  resolveAttachmentProtection,
+  validatePasswordDelivery,
+  generateAttachmentPassword,
+  protectAttachment,
+  buildPasswordEmail,
+  sendPasswordWebhook
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const CFB = require('cfb');
+
+/**
+ * 비밀번호로 암호화한 Excel 파일 생성 (ECMA-376 Agile Encryption, AES-256/SHA-512)
+ * Excel에서 "암호 설정"으로 저장한 파일과 같은 형식이라 Excel/한셀/LibreOffice에서 비밀번호를 입력해 바로 연다.
+ *
+ *   EncryptedPackage: 원본 크기(8) + 4096바이트 단위로 AES-CBC 암호화한 .xlsx
+ *   EncryptionInfo: 암호화 정보(XML) - 패키지 키를 비밀번호에서 만든 키로 암호화해 저장
+ * 두 스트림을 OLE 복합 문서(CFB)에 담는다.
+ */
+
+const HASH_ALGORITHM = 'SHA512';
+const HASH_SIZE = 64;
+const KEY_BITS = 256;
+const BLOCK_SIZE = 16;
+const SALT_SIZE = 16;
+const SPIN_COUNT = 100000;
+const SEGMENT_LENGTH = 4096;
+
+// MS-OFFCRYPTO 2.3.4.11~2.3.4.14 블록 키
+const BLOCK_KEYS = {
+  verifierHashInput: Buffer.from([0xfe, 0xa7, 0xd2, 0x76, 0x3b, 0x4b, 0x9e, 0x79]),
+  verifierHashValue: Buffer.from([0xd7, 0xaa, 0x0f, 0x6d, 0x30, 0x61, 0x34, 0x4e]),
+  keyValue: Buffer.from([0x14, 0x6e, 0x0b, 0xe7, 0xab, 0xac, 0xd0, 0xd6]),
+  hmacKey: Buffer.from([0x5f, 0xb2, 0xad, 0x01, 0x0c, 0xb9, 0xe1, 0xf6]),
+  hmacValue: Buffer.from([0xa0, 0x67, 0x7f, 0x02, 0xb2, 0x2c, 0x84, 0x33])
+};
+
+const hash = (...buffers) => crypto.createHash('sha512').update(Buffer.concat(buffers)).digest();
+
+const uint32LE = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value, 0);
+  return buffer;
+};
+
+// 길이 맞추기 (짧으면 0x36으로 채움)
+function fitLength(buffer, length) {
+  if (buffer.length >= length) return buffer.subarray(0, length);
+  return Buffer.concat([buffer, Buffer.alloc(length - buffer.length, 0x36)]);
+}
+
+// AES-CBC (패딩 없음, 블록 크기 배수로 0 채움)
+function encryptCbc(key, iv, data) {
+  const remainder = data.length % BLOCK_SIZE;
+  const input = remainder ? Buffer.concat([data, Buffer.alloc(BLOCK_SIZE - remainder)]) : data;
+  const cipher = crypto.createCipheriv(`aes-${key.length * 8}-cbc`, key, iv);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(input), cipher.final()]);
+}
+
+// 비밀번호 → 블록별 암호화 키 (SHA-512를 spinCount번 반복)
+function createPasswordKeyDeriver(password, salt) {
+  let iterated = hash(salt, Buffer.from(password, 'utf16le'));
+  for (let i = 0; i < SPIN_COUNT; i += 1) {
+    iterated = hash(uint32LE(i), iterated);
+  }
+  return (blockKey) => fitLength(hash(iterated, blockKey), KEY_BITS / 8);
+}
+
+// 패키지 4096바이트 구간마다 IV = SHA-512(salt + 구간 번호)
+function encryptPackage(packageKey, salt, data) {
+  const size = Buffer.alloc(8);
+  size.writeBigUInt64LE(BigInt(data.length), 0);
+
+  const segments = [size];
+  for (let offset = 0, index = 0; offset < data.length; offset += SEGMENT_LENGTH, index += 1) {
+    const iv = fitLength(hash(salt, uint32LE(index)), BLOCK_SIZE);
+    segments.push(encryptCbc(packageKey, iv, data.subarray(offset, offset + SEGMENT_LENGTH)));
+  }
+  return Buffer.concat(segments);
+}
+
+function buildEncryptionInfo({ keyDataSalt, encryptedHmacKey, encryptedHmacValue, passwordSalt, encryptedVerifierHashInput, encryptedVerifierHashValue, encryptedKeyValue }) {
+  const cipherAttributes = `blockSize="${BLOCK_SIZE}" keyBits="${KEY_BITS}" hashSize="${HASH_SIZE}" cipherAlgorithm="AES" cipherChaining="ChainingModeCBC" hashAlgorithm="${HASH_ALGORITHM}"`;
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n' +
+    '<encryption xmlns="http://schemas.microsoft.com/office/2006/encryption" ' +
+    'xmlns:p="http://schemas.microsoft.com/office/2006/keyEncryptor/password" ' +
+    'xmlns:c="http://schemas.microsoft.com/office/2006/keyEncryptor/certificate">' +
+    `<keyData saltSize="${SALT_SIZE}" ${cipherAttributes} saltValue="${keyDataSalt.toString('base64')}"/>` +
+    `<dataIntegrity encryptedHmacKey="${encryptedHmacKey.toString('base64')}" encryptedHmacValue="${encryptedHmacValue.toString('base64')}"/>` +
+    '<keyEncryptors><keyEncryptor uri="http://schemas.microsoft.com/office/2006/keyEncryptor/password">' +
+    `<p:encryptedKey spinCount="${SPIN_COUNT}" saltSize="${SALT_SIZE}" ${cipherAttributes} saltValue="${passwordSalt.toString('base64')}" ` +
+    `encryptedVerifierHashInput="${encryptedVerifierHashInput.toString('base64')}" ` +
+    `encryptedVerifierHashValue="${encryptedVerifierHashValue.toString('base64')}" ` +
+    `encryptedKeyValue="${encryptedKeyValue.toString('base64')}"/>` +
+    '</keyEncryptor></keyEncryptors></encryption>';
+
+  // 버전 4.4 (Agile), 예약 플래그 0x40
+  const header = Buffer.alloc(8);
+  header.writeUInt16LE(4, 0);
+  header.writeUInt16LE(4, 2);
+  header.writeUInt32LE(0x40, 4);
+  return Buffer.concat([header, Buffer.from(xml, 'utf8')]);
+}
+
+/**
+ * .xlsx 파일을 비밀번호로 암호화
+ * @param {Buffer} workbook - .xlsx 파일 내용
+ * @param {string} password - 열기 비밀번호
+ * @returns {Buffer} 암호화된 Excel 파일 내용 (확장자는 그대로 .xlsx)
+ */
+function encryptXlsx(workbook, password) {
+  if (!password) {
+    throw new Error('Excel 암호화 비밀번호가 없습니다.');
+  }
+
+  const packageKey = crypto.randomBytes(KEY_BITS / 8);
+  const keyDataSalt = crypto.randomBytes(SALT_SIZE);
+  const encryptedPackage = encryptPackage(packageKey, keyDataSalt, workbook);
+
+  // 데이터 무결성 (HMAC-SHA512, 키와 값은 패키지 키로 암호화)
+  const hmacKey = crypto.randomBytes(HASH_SIZE);
+  const hmacValue = crypto.createHmac('sha512', hmacKey).update(encryptedPackage).digest();
+  const encryptedHmacKey = encryptCbc(packageKey, fitLength(hash(keyDataSalt, BLOCK_KEYS.hmacKey), BLOCK_SIZE), hmacKey);
+  const encryptedHmacValue = encryptCbc(packageKey, fitLength(hash(keyDataSalt, BLOCK_KEYS.hmacValue), BLOCK_SIZE), hmacValue);
+
+  // 비밀번호 검증값과 패키지 키 (비밀번호에서 만든 키로 암호화)
+  const passwordSalt = crypto.randomBytes(SALT_SIZE);
+  const deriveKey = createPasswordKeyDeriver(password, passwordSalt);
+  const verifierHashInput = crypto.randomBytes(SALT_SIZE);
+
+  const encryptionInfo = buildEncryptionInfo({
+    keyDataSalt,
+    encryptedHmacKey,
+    encryptedHmacValue,
+    passwordSalt,
+    encryptedVerifierHashInput: encryptCbc(deriveKey(BLOCK_KEYS.verifierHashInput), passwordSalt, verifierHashInput),
+    encryptedVerifierHashValue: encryptCbc(deriveKey(BLOCK_KEYS.verifierHashValue), passwordSalt, hash(verifierHashInput)),
+    encryptedKeyValue: encryptCbc(deriveKey(BLOCK_KEYS.keyValue), passwordSalt, packageKey)
+  });
+
+  const container = CFB.utils.cfb_new();
+  CFB.utils.cfb_add(container, 'EncryptionInfo', encryptionInfo);
+  CFB.utils.cfb_add(container, 'EncryptedPackage', encryptedPackage);
+  return Buffer.from(CFB.write(container, { type: 'buffer' }));
+}
+
+module.exports = {
+  encryptXlsx
+};
@@ -3,6 +3,12 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const XLSX = require('xlsx');
+const { routeOrderRows } = require('./supplierRouting');
+const { isMappingExpression, compileMappingExpression } = require('./mappingExpression');
+const { loadLookupTables } = require('./lookupTables');
+const { readCsvFile } = require('./csvReader');
+const { DEFAULT_OUTPUT_FORMAT, getOutputExtension, includesTotalRow, writePurchaseOrderBuffer } = require('./outputFormats');
+const { loadTemplateWorkbook, appendTemplateFields, prepareTemplateDataRows } = require('./templateWorkbook');
 
 // 임시 파일 저장 디렉토리 (크로스 플랫폼)
 const getOutputDir = () => {
@@ -64,7 +70,8 @@ function preserveDateTimeFormat(value, fieldName) {
 }
 
 // 주문서를 표준 발주서로 변환
-async function convertToStandardFormat(sourceFilePath, templateFilePath, mappingRules, manualFields = {}) {
+// options: generatePurchaseOrder 옵션 (저장된 템플릿으로 생성할 때 templateFields, fileNamePrefix / 템플릿 채우기 fillTemplate, templateHeaderRow)
+async function convertToStandardFormat(sourceFilePath, templateFilePath, mappingRules, manualFields = {}, options = {}) {
   try {
     const outputDir = getOutputDir();
     
@@ -73,7 +80,7 @@ async function convertToStandardFormat(sourceFilePath, templateFilePath, mapping
     }
     
     const sourceData = await readSourceFile(sourceFilePath);
-    const result = await generatePurchaseOrder(templateFilePath, sourceData, mappingRules, manualFields);
+    const result = await generatePurchaseOrder(templateFilePath, sourceData, mappingRules, manualFields, options);
     
     return result;
     
@@ -83,6 +90,24 @@ async function convertToStandardFormat(sourceFilePath, templateFilePath, mapping
   }
 }
 
+// 주문서를 공급처별 발주서로 변환
+async function convertToSupplierPurchaseOrders(sourceFilePath, routing, supplierTemplates) {
+  try {
+    const outputDir = getOutputDir();
+    
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    
+    const sourceData = await readSourceFile(sourceFilePath);
+    return await generateSupplierPurchaseOrders(sourceData, routing, supplierTemplates);
+    
+  } catch (error) {
+    console.error('공급처별 변환 처리 오류:', error);
+    throw new Error(`공급처별 발주서 변환 중 오류가 발생했습니다: ${error.message}`);
+  }
+}
+
 // 📖 원본 파일 읽기 (Excel 또는 CSV)
 async function readSourceFile(filePath) {
   const extension = path.extname(filePath).toLowerCase();
@@ -527,40 +552,24 @@ async function readExcelFileWithExcelJS(filePath) {
   return { headers, data };
 }
 
-// CSV 파일 읽기
+// CSV 파일 읽기 (따옴표/줄바꿈이 들어간 필드, CP949 파일 지원)
 async function readCSVFile(filePath) {
-  const csvData = fs.readFileSync(filePath, 'utf8');
-  const lines = csvData.split('\n').filter(line => line.trim());
-  
-  if (lines.length === 0) {
-    throw new Error('CSV 파일이 비어있습니다.');
-  }
-  
-  const headers = lines[0].split(',').map(h => h.trim());
-  const data = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',').map(v => v.trim());
-    const rowData = {};
-    
-    headers.forEach((header, index) => {
-      rowData[header] = values[index] || '';
-    });
-    
-    if (Object.values(rowData).some(value => value !== '')) {
-      data.push(rowData);
-    }
-  }
-  
+  const { headers, data, csv } = await readCsvFile(filePath);
+  console.log('📄 CSV 파일 읽기:', { 형식: csv.description, 행수: data.length });
   return { headers, data };
 }
 
 
 
 // 발주서 생성
-async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules = {}, manualFields = {}) {
+// options.templateFields: 템플릿 파일 대신 사용할 발주서 컬럼 순서 (저장된 템플릿)
+// options.fileNamePrefix: 생성 파일명 앞부분 (기본값: purchase_order)
+// options.outputFormat: 출력 형식 (xlsx | xls | csv-cp949 | csv-utf8 | pdf, 기본값: xlsx)
+// options.fillTemplate: 새 시트 대신 템플릿 파일 사본의 헤더 행 아래에 데이터 채우기 (템플릿 서식 유지, utils/templateWorkbook.js)
+// options.templateHeaderRow: 템플릿 채우기의 헤더 행 번호 (기본값: 자동 판별)
+async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules = {}, manualFields = {}, options = {}) {
   const outputDir = getOutputDir();
-  const workbook = new ExcelJS.Workbook();
+  let workbook = new ExcelJS.Workbook();
   
   // 메타데이터 설정
   workbook.creator = 'AutoOrder System';
@@ -569,25 +578,38 @@ async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules
   workbook.modified = new Date();
   
   let templateFields = [];
+  let template = null; // 템플릿 채우기 모드의 템플릿 워크북
   
   // ✅ 발주서 템플릿 파일에서 원본 헤더 구조 읽기 (올바른 방식)
   try {
-    if (fs.existsSync(templateFilePath)) {
+    if (options.fillTemplate) {
+      if (!templateFilePath || !fs.existsSync(templateFilePath)) {
+        throw new Error('템플릿 채우기에는 발주서 템플릿 파일이 필요합니다: ' + templateFilePath);
+      }
+      template = await loadTemplateWorkbook(templateFilePath, { headerRow: options.templateHeaderRow });
+      workbook = template.workbook;
+      templateFields = template.fields.map(field => field.name);
+      console.log(`✅ 발주서 템플릿 ${template.headerRow}행을 헤더로 사용 (템플릿 채우기):`, templateFields);
+    } else if (Array.isArray(options.templateFields) && options.templateFields.length > 0) {
+      templateFields = [...options.templateFields];
+      console.log('✅ 저장된 템플릿의 헤더 구조 사용:', templateFields);
+    } else if (templateFilePath && fs.existsSync(templateFilePath)) {
       templateFields = await extractHeadersWithXLSX(templateFilePath);
       console.log('✅ 발주서 템플릿에서 원본 헤더 구조 읽기:', templateFields);
-      
-      // 수동 필드들을 기존 템플릿 필드에 추가 (중복 방지)
-      if (manualFields && Object.keys(manualFields).length > 0) {
-        const manualFieldNames = Object.keys(manualFields);
-        const newManualFields = manualFieldNames.filter(field => !templateFields.includes(field));
-        if (newManualFields.length > 0) {
-          templateFields = [...templateFields, ...newManualFields];
-          console.log('📝 새로운 수동 필드들 추가:', newManualFields);
-        }
-      }
     } else {
       throw new Error('발주서 템플릿 파일을 찾을 수 없습니다: ' + templateFilePath);
     }
+    
+    // 수동 필드들을 기존 템플릿 필드에 추가 (중복 방지)
+    if (manualFields && Object.keys(manualFields).length > 0) {
+      const manualFieldNames = Object.keys(manualFields);
+      const newManualFields = manualFieldNames.filter(field => !templateFields.includes(field));
+      if (newManualFields.length > 0) {
+        if (template) appendTemplateFields(template, newManualFields);
+        templateFields = [...templateFields, ...newManualFields];
+        console.log('📝 새로운 수동 필드들 추가:', newManualFields);
+      }
+    }
   } catch (templateError) {
     console.error('❌ 템플릿 파일 읽기 오류:', templateError.message);
     throw new Error('발주서 템플릿 파일을 읽을 수 없습니다: ' + templateError.message);
@@ -611,37 +633,58 @@ async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules
     rules내용: rules
   });
   
-  // 새 워크북 생성
-  if (workbook.worksheets.length > 0) {
-    workbook.removeWorksheet(workbook.getWorksheet(1));
-  }
-  const newWorksheet = workbook.addWorksheet('발주서');
-  
-  // 헤더 행 생성
-  const headerRow = newWorksheet.getRow(1);
-  templateFields.forEach((field, index) => {
-    headerRow.getCell(index + 1).value = field;
-    headerRow.getCell(index + 1).font = { bold: true };
-    headerRow.getCell(index + 1).fill = { 
-      type: 'pattern', 
-      pattern: 'solid', 
-      fgColor: { argb: 'FFE0E0E0' } 
-    };
-    headerRow.getCell(index + 1).border = {
-      top: { style: 'thin' },
-      left: { style: 'thin' },
-      bottom: { style: 'thin' },
-      right: { style: 'thin' }
-    };
+  // 🧮 매핑 수식([수식: ...]) 미리 해석 (문법 오류는 발주서를 만들기 전에 중단)
+  const expressions = {};
+  Object.entries(rules).forEach(([supplierField, orderField]) => {
+    if (!isMappingExpression(orderField)) return;
+    try {
+      expressions[supplierField] = compileMappingExpression(orderField);
+    } catch (expressionError) {
+      throw new Error(`매핑 수식 오류 (${supplierField}): ${expressionError.message}`);
+    }
   });
+  // 수식의 lookup 함수가 쓰는 조회 테이블 (없는 테이블은 발주서를 만들기 전에 중단)
+  const lookupTables = await loadLookupTables(Object.values(expressions).flatMap(expression => expression.lookupTables));
   
-  const worksheet = workbook.getWorksheet(1);
   const { headers: orderHeaders, data: orderData } = sourceData;
+  let worksheet;
+  let dataStartRow = 2;
+  let columnNumbers = templateFields.map((field, index) => index + 1); // templateFields 순서의 열 번호
+  
+  if (template) {
+    // 템플릿 사본의 헤더 행 아래에 채움 (서식/수식은 템플릿 데이터 행 기준)
+    worksheet = template.worksheet;
+    columnNumbers = template.fields.map(field => field.column);
+    dataStartRow = prepareTemplateDataRows(template, orderData.length);
+  } else {
+    // 새 워크북 생성
+    if (workbook.worksheets.length > 0) {
+      workbook.removeWorksheet(workbook.getWorksheet(1));
+    }
+    worksheet = workbook.addWorksheet('발주서');
+  
+    // 헤더 행 생성
+    const headerRow = worksheet.getRow(1);
+    templateFields.forEach((field, index) => {
+      headerRow.getCell(index + 1).value = field;
+      headerRow.getCell(index + 1).font = { bold: true };
+      headerRow.getCell(index + 1).fill = { 
+        type: 'pattern', 
+        pattern: 'solid', 
+        fgColor: { argb: 'FFE0E0E0' } 
+      };
+      headerRow.getCell(index + 1).border = {
+        top: { style: 'thin' },
+        left: { style: 'thin' },
+        bottom: { style: 'thin' },
+        right: { style: 'thin' }
+      };
+    });
+  }
   
   // 매핑 규칙 정리 (이미 560행에서 처리됨)
   
   // 데이터 처리
-  const dataStartRow = 2;
   const errors = [];
   const processedRows = [];
   
@@ -671,7 +714,21 @@ async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules
         if (manualFields && manualFields[supplierField]) {
           value = manualFields[supplierField];
         }
-        // 2. 매핑 규칙 적용
+        // 2. 매핑 수식 (계산 실패 시 빈 칸으로 두고 행 오류로 보고)
+        else if (expressions[supplierField]) {
+          try {
+            value = expressions[supplierField].evaluate(orderRowObject, { lookupTables });
+          } catch (expressionError) {
+            errors.push({
+              row: index + 1,
+              field: supplierField,
+              error: `${supplierField}: ${expressionError.message}`,
+              lookup: expressionError.lookup, // 조회 테이블에 없는 값 { table, key }
+              data: rowData
+            });
+          }
+        }
+        // 3. 매핑 규칙 적용
         else if (rules[supplierField]) {
           const orderField = rules[supplierField];
           
@@ -688,7 +745,7 @@ async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules
             value = orderRowObject[orderField];
           }
         }
-        // 3. 직접 매칭 (사용자가 명시적으로 매핑하지 않은 경우 빈 값 유지)
+        // 4. 직접 매칭 (사용자가 명시적으로 매핑하지 않은 경우 빈 값 유지)
         // else if (orderRowObject[supplierField] !== undefined) {
         //   value = orderRowObject[supplierField];
         // }
@@ -718,10 +775,18 @@ async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules
           value = preserveDateTimeFormat(value, supplierField);
         }
         
-        const cell = dataRow.getCell(colIndex + 1);
-        cell.value = value;
+        const cell = dataRow.getCell(columnNumbers[colIndex]);
         processedRow[supplierField] = value;
         
+        // 템플릿 채우기: 서식은 템플릿 것을 쓰고, 빈 값이면 템플릿 행의 수식/번호를 그대로 둠
+        if (template) {
+          if (value !== '' && value !== null && value !== undefined) {
+            cell.value = value;
+          }
+          return;
+        }
+        cell.value = value;
+        
         // 테두리 추가
         cell.border = {
           top: { style: 'thin' },
@@ -742,8 +807,10 @@ async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules
     }
   });
   
-  // 합계 행 추가
-  if (processedRows.length > 0) {
+  const outputFormat = options.outputFormat || DEFAULT_OUTPUT_FORMAT;
+  
+  // 합계 행 추가 (템플릿 채우기는 템플릿의 합계/하단 영역 사용, 업로드용 xls/csv 형식은 데이터 행만)
+  if (!template && processedRows.length > 0 && includesTotalRow(outputFormat)) {
     const totalRow = worksheet.getRow(dataStartRow + orderData.length);
     
     templateFields.forEach((supplierField, colIndex) => {
@@ -772,20 +839,26 @@ async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules
     });
   }
   
-  // 컬럼 너비 자동 조정
-  templateFields.forEach((field, index) => {
-    const column = worksheet.getColumn(index + 1);
-    column.width = Math.max(field.length * 1.5, 10);
-  });
+  // 컬럼 너비 자동 조정 (템플릿 채우기는 템플릿 너비 유지)
+  if (!template) {
+    templateFields.forEach((field, index) => {
+      const column = worksheet.getColumn(index + 1);
+      column.width = Math.max(field.length * 1.5, 10);
+    });
+  }
   
   // 파일 저장
   const now = new Date();
   const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
-  const fileName = `purchase_order_${timestamp}.xlsx`;
+  const fileName = `${options.fileNamePrefix || 'purchase_order'}_${timestamp}.${getOutputExtension(outputFormat)}`;
   const outputPath = path.join(outputDir, fileName);
   
   try {
-    await workbook.xlsx.writeFile(outputPath);
+    if (outputFormat === DEFAULT_OUTPUT_FORMAT) {
+      await workbook.xlsx.writeFile(outputPath);
+    } else {
+      fs.writeFileSync(outputPath, await writePurchaseOrderBuffer(workbook, outputFormat));
+    }
     if (process.env.NODE_ENV !== 'production') {
       console.log('✅ 발주서 생성 완료:', fileName);
     }
@@ -800,12 +873,68 @@ async function generatePurchaseOrder(templateFilePath, sourceData, mappingRules
     processedRows: processedRows.length,
     totalRows: orderData.length,
     errors,
-    templateFields: templateFields
+    templateFields: templateFields,
+    outputFormat,
+    templateHeaderRow: template ? template.headerRow : undefined
   };
 }
 
 
 
+// 공급처별 발주서 생성 (분리 규칙으로 나눈 주문 행마다 공급처의 템플릿으로 발주서 한 개)
+// supplierTemplates: { 공급처: { templateFilePath | templateFields, mappingRules, manualFields, outputFormat, fillTemplate, templateHeaderRow } }
+async function generateSupplierPurchaseOrders(sourceData, routing, supplierTemplates = {}) {
+  const { groups, unrouted } = routeOrderRows(sourceData, routing);
+  const purchaseOrders = [];
+  const skipped = [];
+  
+  console.log('📦 공급처별 주문 분리:', {
+    suppliers: groups.map(group => `${group.supplier}(${group.rows.length})`),
+    unrouted: unrouted.length
+  });
+  
+  for (const [index, group] of groups.entries()) {
+    const template = supplierTemplates[group.supplier];
+    if (!template) {
+      skipped.push({
+        supplier: group.supplier,
+        rowNumbers: group.rowNumbers,
+        error: '공급처 템플릿이 지정되지 않았습니다.'
+      });
+      continue;
+    }
+    
+    const result = await generatePurchaseOrder(
+      template.templateFilePath,
+      { headers: sourceData.headers, data: group.rows },
+      template.mappingRules || {},
+      template.manualFields || {},
+      {
+        templateFields: template.templateFields,
+        outputFormat: template.outputFormat,
+        fillTemplate: template.fillTemplate,
+        templateHeaderRow: template.templateHeaderRow,
+        fileNamePrefix: `purchase_order_${index + 1}`
+      }
+    );
+    
+    purchaseOrders.push({
+      supplier: group.supplier,
+      rowNumbers: group.rowNumbers,
+      ...result,
+      // 오류 행 번호를 원본 주문서 기준으로 변환
+      errors: result.errors.map(error => ({ ...error, row: group.rowNumbers[error.row - 1] }))
+    });
+  }
+  
+  return {
+    purchaseOrders,
+    unrouted,
+    skipped,
+    totalRows: sourceData.data.length
+  };
+}
+
 // 직접 입력 데이터를 표준 발주서로 변환
 async function convertDirectInputToStandardFormat(templateFilePath, inputData, mappingRules, manualFields = {}) {
   try {
@@ -995,8 +1124,10 @@ async function extractHeadersWithXLSX(templateFilePath, isHancomExcel = false) {
 
 module.exports = {
   convertToStandardFormat,
+  convertToSupplierPurchaseOrders,
   convertDirectInputToStandardFormat,
   readExcelFile,
   generatePurchaseOrder,
+  generateSupplierPurchaseOrders,
   extractHeadersWithXLSX
 }; 
\ No newline at end of file
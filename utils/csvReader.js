@@ -0,0 +1,304 @@
+const fs = require('fs');
+const iconv = require('iconv-lite');
+
+/**
+ * CSV 읽기 (RFC 4180)
+ * 따옴표로 감싼 필드 안의 구분자, 줄바꿈, "" 이스케이프를 처리하고 파일을 조각 단위로 읽어 파싱한다.
+ * 인코딩과 구분자는 파일 앞부분(최대 64KB)으로 판별한다.
+ *
+ *   인코딩: UTF-8 | UTF-8 BOM | UTF-16 BOM (Excel "유니코드 텍스트") | CP949 (EUC-KR 포함, 국내 마켓 내보내기 파일)
+ *   구분자: 쉼표 | 탭 | 세미콜론 (따옴표 밖에서 행마다 같은 개수로 나오는 것)
+ *
+ * 결과: { headers, data: [{ 헤더: 값 }], csv: 판별 결과 }
+ * 처음 나오는 비어 있지 않은 행이 헤더이며, 헤더가 빈 열과 값이 모두 빈 행은 제외한다.
+ */
+
+const SAMPLE_BYTES = 64 * 1024;
+const SNIFF_RECORDS = 20;
+
+const DELIMITER_LABELS = {
+  ',': '쉼표',
+  '\t': '탭',
+  ';': '세미콜론'
+};
+
+const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16',
+  'utf-16be': 'UTF-16',
+  cp949: 'CP949(EUC-KR)'
+};
+
+/**
+ * 인코딩 판별 (BOM → UTF-8 검사 → CP949)
+ * @param {Buffer} sample - 파일 앞부분
+ * @param {boolean} isWholeFile - sample이 파일 전체인지 (아니면 끝에서 잘린 글자는 오류로 보지 않음)
+ * @returns {{encoding: string, bom: boolean, bomLength: number}}
+ */
+function detectCsvEncoding(sample, isWholeFile = true) {
+  if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) {
+    return { encoding: 'utf-8', bom: true, bomLength: 3 };
+  }
+  if (sample[0] === 0xFF && sample[1] === 0xFE) {
+    return { encoding: 'utf-16le', bom: true, bomLength: 2 };
+  }
+  if (sample[0] === 0xFE && sample[1] === 0xFF) {
+    return { encoding: 'utf-16be', bom: true, bomLength: 2 };
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: !isWholeFile });
+    return { encoding: 'utf-8', bom: false, bomLength: 0 };
+  } catch (error) {
+    return { encoding: 'cp949', bom: false, bomLength: 0 };
+  }
+}
+
+/**
+ * 구분자 판별
+ * 앞쪽 행들에서 따옴표 밖의 구분자 개수를 세어, 헤더 행과 같은 개수로 나오는 행이 가장 많은 구분자를 고른다.
+ * @param {string} sample - 디코딩한 파일 앞부분
+ * @param {boolean} isWholeFile - sample이 파일 전체인지 (아니면 잘린 마지막 행은 제외)
+ * @returns {string} 구분자 (판별할 수 없으면 쉼표)
+ */
+function sniffCsvDelimiter(sample, isWholeFile = true) {
+  const delimiters = Object.keys(DELIMITER_LABELS);
+  const counts = [];
+  let current = null;
+  let inQuotes = false;
+
+  for (let i = 0; i < sample.length && counts.length < SNIFF_RECORDS; i++) {
+    const char = sample[i];
+    if (!current) current = Object.fromEntries(delimiters.map(delimiter => [delimiter, 0]));
+
+    if (char === '"') {
+      inQuotes = !inQuotes; // "" 이스케이프는 두 번 뒤집혀 그대로
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      if (Object.values(current).some(Boolean)) counts.push(current);
+      current = null;
+    } else if (!inQuotes && current[char] !== undefined) {
+      current[char]++;
+    }
+  }
+  if (current && isWholeFile && Object.values(current).some(Boolean)) counts.push(current);
+
+  let best = { delimiter: ',', matches: 0, fields: 0 };
+  delimiters.forEach(delimiter => {
+    const expected = counts[0]?.[delimiter];
+    if (!expected) return;
+
+    const matches = counts.filter(count => count[delimiter] === expected).length;
+    if (matches > best.matches || (matches === best.matches && expected > best.fields)) {
+      best = { delimiter, matches, fields: expected };
+    }
+  });
+
+  return best.delimiter;
+}
+
+/**
+ * 스트리밍 CSV 파서 (조각 경계에서 잘린 따옴표/줄바꿈도 이어서 처리)
+ * @param {Object} options - { delimiter, onRecord(fields, line) } - onRecord가 false를 반환하면 중단
+ * @returns {{write: Function, end: Function, isStopped: Function}}
+ */
+function createCsvParser({ delimiter, onRecord }) {
+  let fields = [];
+  let field = '';
+  let state = 'fieldStart'; // fieldStart | unquoted | quoted | quoteInQuoted
+  let skipLineFeed = false;
+  let line = 1;
+  let recordLine = 1;
+  let stopped = false;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    state = 'fieldStart';
+  };
+
+  const endRecord = () => {
+    endField();
+    // 빈 줄은 행으로 보지 않음
+    if (!(fields.length === 1 && fields[0] === '')) {
+      if (onRecord(fields, recordLine) === false) stopped = true;
+    }
+    fields = [];
+  };
+
+  function write(text) {
+    for (let i = 0; i < text.length && !stopped; i++) {
+      const char = text[i];
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (state === 'quoted') {
+        if (char === '"') {
+          state = 'quoteInQuoted';
+        } else {
+          if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (state === 'quoteInQuoted') {
+        if (char === '"') {
+          field += '"';
+          state = 'quoted';
+          continue;
+        }
+        // 닫는 따옴표 뒤에 이어지는 글자는 그대로 붙임 ("a"b → ab)
+        state = 'unquoted';
+      }
+
+      if (char === delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        endRecord();
+        skipLineFeed = char === '\r';
+        line++;
+        recordLine = line;
+      } else if (char === '"' && state === 'fieldStart') {
+        state = 'quoted';
+      } else {
+        field += char;
+        state = 'unquoted';
+      }
+    }
+  }
+
+  function end() {
+    if (stopped) return;
+    if (state === 'quoted') {
+      throw new Error(`CSV ${recordLine}행의 따옴표가 닫히지 않았습니다.`);
+    }
+    if (fields.length > 0 || field !== '' || state !== 'fieldStart') {
+      endRecord();
+    }
+  }
+
+  return { write, end, isStopped: () => stopped };
+}
+
+/**
+ * 바이트 조각을 받아 인코딩/구분자를 판별한 뒤 헤더와 행 객체로 모으는 리더
+ * @param {Object} options - { maxRows: 읽을 최대 데이터 행 수 }
+ */
+function createCsvReader({ maxRows = Infinity } = {}) {
+  const pending = [];
+  let pendingLength = 0;
+  let decoder = null;
+  let parser = null;
+  let info = null;
+  let headers = null;
+  let columnIndexes = [];
+  const data = [];
+
+  const onRecord = fields => {
+    const values = fields.map(value => value.trim());
+
+    if (!headers) {
+      if (values.every(value => value === '')) return true;
+      // 헤더가 빈 열은 제외
+      columnIndexes = values.map((name, index) => (name ? index : -1)).filter(index => index !== -1);
+      headers = columnIndexes.map(index => values[index]);
+      return true;
+    }
+
+    if (columnIndexes.every(index => !values[index])) return true;
+    const row = {};
+    columnIndexes.forEach((index, column) => {
+      row[headers[column]] = values[index] || '';
+    });
+    data.push(row);
+    return data.length < maxRows;
+  };
+
+  // 앞부분을 모아 판별한 뒤부터 파싱
+  const start = isWholeFile => {
+    const sample = Buffer.concat(pending);
+    const { encoding, bom, bomLength } = detectCsvEncoding(sample, isWholeFile);
+    decoder = iconv.getDecoder(encoding, { stripBOM: false });
+    const text = decoder.write(sample.subarray(bomLength));
+    const delimiter = sniffCsvDelimiter(text, isWholeFile);
+
+    info = {
+      encoding,
+      bom,
+      delimiter,
+      description: `${ENCODING_LABELS[encoding]}${bom ? ' BOM' : ''}, ${DELIMITER_LABELS[delimiter]} 구분`
+    };
+    parser = createCsvParser({ delimiter, onRecord });
+    parser.write(text);
+  };
+
+  return {
+    push(chunk) {
+      if (parser) {
+        parser.write(decoder.write(chunk));
+        return;
+      }
+      pending.push(chunk);
+      pendingLength += chunk.length;
+      if (pendingLength >= SAMPLE_BYTES) start(false);
+    },
+    isDone: () => Boolean(parser && parser.isStopped()),
+    finish() {
+      if (!parser) start(true);
+      if (!parser.isStopped()) {
+        parser.write(decoder.end() || '');
+        parser.end();
+      }
+      if (!headers) {
+        throw new Error('CSV 파일이 비어있습니다.');
+      }
+      return { headers, data, csv: info };
+    }
+  };
+}
+
+/**
+ * CSV 버퍼 읽기 (업로드/스토리지에서 받은 파일)
+ * @param {Buffer} buffer - 파일 내용
+ * @param {Object} [options] - { maxRows }
+ * @returns {{headers: string[], data: Object[], csv: {encoding: string, bom: boolean, delimiter: string, description: string}}}
+ * @throws 빈 파일 또는 닫히지 않은 따옴표
+ */
+function parseCsvBuffer(buffer, options = {}) {
+  const reader = createCsvReader(options);
+  for (let offset = 0; offset < buffer.length && !reader.isDone(); offset += SAMPLE_BYTES) {
+    reader.push(buffer.subarray(offset, offset + SAMPLE_BYTES));
+  }
+  return reader.finish();
+}
+
+/**
+ * CSV 파일 읽기 (파일 전체를 메모리에 올리지 않고 스트림으로 파싱)
+ * @param {string} filePath - 파일 경로
+ * @param {Object} [options] - { maxRows }
+ * @returns {Promise<{headers: string[], data: Object[], csv: Object}>}
+ */
+async function readCsvFile(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`파일을 찾을 수 없습니다: ${filePath}`);
+  }
+
+  const reader = createCsvReader(options);
+  const stream = fs.createReadStream(filePath, { highWaterMark: SAMPLE_BYTES });
+  for await (const chunk of stream) {
+    reader.push(chunk);
+    if (reader.isDone()) break; // break 시 스트림도 닫힘
+  }
+  return reader.finish();
+}
+
+module.exports = {
+  detectCsvEncoding,
+  sniffCsvDelimiter,
+  createCsvParser,
+  parseCsvBuffer,
+  readCsvFile
+};
@@ -0,0 +1,200 @@
+const { getRepositories } = require('./repositories');
+const { createJobQueue, getRetryDelay } = require('./jobQueue');
+
+/**
+ * 이메일 전송 재시도와 전송 실패 보관(dead-letter)
+ * 일시적인 SMTP 오류(4xx 응답, 연결 끊김/시간 초과)는 background_jobs 작업(email_delivery)으로 지수 백오프 재시도하고,
+ * 재시도해도 실패하거나 재시도할 수 없는 오류(5xx 응답, 인증 실패, 첨부파일 없음 등)는 email_dead_letters에 보관한다.
+ * 보관된 이메일은 /api/email/dead-letters에서 확인/수정 후 다시 전송한다.
+ *
+ * 전송 단위 (payload): { source, message, context }
+ *   source: 'send' | 'scheduled' | 'recurring' | 'webhook'
+ *   message: { to, cc, bcc, subject, body, attachmentPath, attachmentDisplayName, variables, bodyFormat, includeOrderSummary, requestConfirmation, attachmentProtection }
+ *   context: { templateName, scheduleId, recurringId, batchId } (전송 결과 기록용)
+ *
+ * 전송 함수: async (message, { source, context }) => { status: 'success' | 'simulation', messageId, subject } (실패 시 throw)
+ * 결과 기록 함수: async (payload, { status, messageId, subject, error, deadLetterId }) - 재시도 작업이 끝났을 때 호출
+ *
+ * 설정
+ *   EMAIL_RETRY_MAX_ATTEMPTS: 첫 전송을 포함한 최대 시도 횟수 (기본값 4, 1이면 재시도하지 않음)
+ *   EMAIL_RETRY_DELAY_MS: 첫 재시도 대기 시간 (기본값 30초, 이후 2배씩 증가, 최대 30분)
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+
+// 다시 시도하면 성공할 수 있는 연결 오류 (nodemailer/네트워크 오류 코드)
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+/**
+ * 재시도할 수 있는 일시적인 전송 오류인지 확인
+ * SMTP 4xx 응답(421 서비스 불가, 450/451/452 일시 거부 등)과 연결 오류는 일시적, 5xx 응답과 그 외 오류는 영구적인 오류로 본다.
+ * @param {Error} error - 전송 오류
+ * @returns {boolean}
+ */
+function isTransientEmailError(error) {
+  if (!error) return false;
+
+  const responseCode = Number(error.responseCode);
+  if (responseCode >= 400 && responseCode < 500) return true;
+  if (responseCode >= 500) return false;
+
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// 보관용 오류 코드 (SMTP 응답 코드 우선)
+function getErrorCode(error) {
+  if (error.responseCode) return String(error.responseCode);
+  return error.code ? String(error.code) : null;
+}
+
+/**
+ * 이메일 전송기 생성
+ * @param {Object} options
+ * @param {Function} options.send - 이메일 1건 전송 함수
+ * @param {Function} [options.onSettled] - 재시도 작업의 최종 결과 기록 함수
+ * @returns {Object} 전송기 (deliver, handleFailure, resend, resume)
+ */
+function createEmailDelivery({ send, onSettled = async () => {} }) {
+  const maxAttempts = Math.max(1, parseInt(process.env.EMAIL_RETRY_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS);
+  const baseDelayMs = parseInt(process.env.EMAIL_RETRY_DELAY_MS, 10) || DEFAULT_RETRY_DELAY_MS;
+
+  const deadLetters = () => getRepositories().emailDeadLetters;
+
+  const addDeadLetter = async ({ source, message, context }, error, attempts, jobId = null) => {
+    const deadLetter = await deadLetters().create({
+      source,
+      message,
+      context: context || {},
+      attempts,
+      last_error: error.message,
+      error_code: getErrorCode(error),
+      status: 'dead',
+      job_id: jobId
+    });
+    console.error(`📭 전송 실패 이메일 보관: ${message.to} (${deadLetter.id})`, error.message);
+    return deadLetter;
+  };
+
+  const settle = async (payload, outcome) => {
+    try {
+      await onSettled(payload, outcome);
+    } catch (error) {
+      console.error('❌ 이메일 전송 결과 기록 오류:', error.message);
+    }
+  };
+
+  const retryQueue = createJobQueue({
+    jobType: 'email_delivery',
+    maxAttempts,
+    baseDelayMs,
+    maxDelayMs: MAX_RETRY_DELAY_MS,
+    shouldRetry: error => isTransientEmailError(error),
+    handler: async (job, { updateProgress }) => {
+      // 전송 도중 재시작된 작업은 실제 전송 여부를 알 수 없으므로 다시 보내지 않고 보관
+      if (job.progress && job.progress.stage === 'sending') {
+        throw new Error('전송 중 서버가 재시작되어 전송 여부를 확인할 수 없습니다. 수신 여부를 확인한 후 다시 전송하세요.');
+      }
+
+      await updateProgress({ stage: 'sending' });
+      let result;
+      try {
+        result = await send(job.payload.message, job.payload);
+      } catch (error) {
+        await updateProgress({ stage: 'waiting', error: error.message });
+        throw error;
+      }
+      await updateProgress({ stage: 'sent' });
+
+      await settle(job.payload, result);
+      return result;
+    },
+    onFailed: async (job, error) => {
+      const deadLetter = await addDeadLetter(job.payload, error, job.attempts, job.id);
+      await settle(job.payload, { status: 'failed', error: error.message, deadLetterId: deadLetter.id });
+    }
+  });
+
+  /**
+   * 전송 실패 처리 (일시적인 오류면 재시도 등록, 아니면 보관)
+   * @param {Object} payload - 전송 단위 { source, message, context }
+   * @param {Error} error - 전송 오류
+   * @param {Object} [options]
+   * @param {number} [options.attempts=1] - 지금까지 시도한 횟수
+   * @returns {Promise<Object>} { status: 'retrying', jobId, nextAttemptAt, error } | { status: 'dead', deadLetterId, error }
+   */
+  const handleFailure = async (payload, error, { attempts = 1 } = {}) => {
+    if (isTransientEmailError(error) && attempts < maxAttempts) {
+      const delayMs = getRetryDelay(attempts, baseDelayMs, MAX_RETRY_DELAY_MS);
+      const job = await retryQueue.enqueue(payload, { attempts, delayMs });
+      console.warn(`🔄 이메일 전송 실패, ${Math.round(delayMs / 1000)}초 후 재시도: ${payload.message.to}`, error.message);
+      return { status: 'retrying', jobId: job.id, nextAttemptAt: job.next_run_at, error: error.message };
+    }
+
+    const deadLetter = await addDeadLetter(payload, error, attempts);
+    return { status: 'dead', deadLetterId: deadLetter.id, error: error.message };
+  };
+
+  return {
+    handleFailure,
+
+    /**
+     * 이메일 전송 (실패 시 재시도 등록 또는 보관)
+     * @param {Object} payload - 전송 단위 { source, message, context }
+     * @returns {Promise<Object>} 전송 결과 또는 { status: 'retrying', jobId, nextAttemptAt, error }
+     * @throws 재시도하지 않는 오류 (error.deadLetterId에 보관 ID)
+     */
+    async deliver(payload) {
+      try {
+        return await send(payload.message, payload);
+      } catch (error) {
+        const outcome = await handleFailure(payload, error);
+        if (outcome.status === 'retrying') return outcome;
+
+        error.deadLetterId = outcome.deadLetterId;
+        throw error;
+      }
+    },
+
+    /**
+     * 보관된 이메일 다시 전송 (1회 시도, 실패하면 보관 상태 유지)
+     * @param {Object} deadLetter - email_dead_letters 행
+     * @returns {Promise<{deadLetter: Object, result: Object}>}
+     * @throws 전송 오류 (error.deadLetter에 시도 횟수/오류가 갱신된 행)
+     */
+    async resend(deadLetter) {
+      try {
+        const result = await send(deadLetter.message, { source: 'dead_letter', context: deadLetter.context || {} });
+        const updated = await deadLetters().update(deadLetter.id, {
+          status: 'resent',
+          attempts: (deadLetter.attempts || 0) + 1,
+          message_id: result.messageId || null,
+          resolved_at: new Date().toISOString()
+        });
+        console.log('📬 보관된 이메일 다시 전송 완료:', deadLetter.id);
+        return { deadLetter: updated, result };
+      } catch (error) {
+        error.deadLetter = await deadLetters().update(deadLetter.id, {
+          attempts: (deadLetter.attempts || 0) + 1,
+          last_error: error.message,
+          error_code: getErrorCode(error)
+        });
+        throw error;
+      }
+    },
+
+    /**
+     * 서버 재시작 등으로 중단된 재시도 작업 다시 등록
+     * @returns {Promise<number>} 다시 등록된 작업 수
+     */
+    resume() {
+      return retryQueue.resume();
+    }
+  };
+}
+
+module.exports = {
+  isTransientEmailError,
+  createEmailDelivery
+};
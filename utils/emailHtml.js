@@ -0,0 +1,241 @@
+/**
+ * 이메일 HTML 본문 처리
+ * - 사용자가 작성한 HTML 템플릿은 허용 목록(태그/속성)만 남기고 정리한다 (script, 이벤트 속성, javascript: 링크 제거)
+ * - 템플릿에 채워 넣는 값(주문 데이터, 변수)은 항상 이스케이프한다
+ * - HTML 본문에서 일반 텍스트(text/plain) 본문을 만든다
+ */
+
+// 허용 태그 → 허용 속성
+const ALLOWED_TAGS = {
+  a: ['href', 'title', 'target'],
+  b: [], strong: [], i: [], em: [], u: [], s: [], small: [], sup: [], sub: [],
+  p: [], br: [], hr: [], div: [], span: [], blockquote: [], pre: [], code: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: [], li: [],
+  table: ['border', 'cellpadding', 'cellspacing', 'width'],
+  thead: [], tbody: [], tfoot: [], tr: [], caption: [],
+  th: ['colspan', 'rowspan', 'align', 'width'],
+  td: ['colspan', 'rowspan', 'align', 'width']
+};
+// 모든 허용 태그에 공통으로 허용하는 속성
+const GLOBAL_ATTRIBUTES = ['style', 'align'];
+const VOID_TAGS = ['br', 'hr'];
+
+// 내용까지 통째로 제거하는 태그
+const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select', 'head', 'title', 'svg', 'math'];
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:|tel:|#|\/)/i;
+// 링크 주소로 쓸 수 있는 템플릿 변수 (서버가 만든 URL로만 치환되는 변수)
+const URL_PLACEHOLDER_PATTERN = /^\{\{\s*(confirmUrl|rejectUrl)\s*\}\}$/;
+const UNSAFE_STYLE_PATTERN = /expression\s*\(|url\s*\(|javascript:|@import|behavior\s*:|[<>]/i;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * HTML 이스케이프
+ * @param {*} value - 값
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// HTML 엔티티 해석 (텍스트 변환용)
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+// 텍스트 조각 정리 (엔티티는 유지하고 남은 특수문자만 이스케이프)
+function escapeText(text) {
+  return text
+    .replace(/&(?!(#x[0-9a-f]+|#\d+|[a-z]+);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// 허용된 속성만 남긴 속성 문자열
+function sanitizeAttributes(tagName, attributeText) {
+  const allowed = [...(ALLOWED_TAGS[tagName] || []), ...GLOBAL_ATTRIBUTES];
+  const attributes = [];
+  const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(attributeText)) !== null) {
+    const name = match[1].toLowerCase();
+    if (!allowed.includes(name)) continue;
+
+    const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '').trim();
+    if (name === 'href' && !SAFE_URL_PATTERN.test(value.replace(/[\s\u0000-\u001f]/g, '')) && !URL_PLACEHOLDER_PATTERN.test(value)) continue;
+    if (name === 'style' && UNSAFE_STYLE_PATTERN.test(value)) continue;
+    if (name === 'target' && value !== '_blank') continue;
+
+    attributes.push(`${name}="${escapeHtml(value)}"`);
+  }
+
+  if (tagName === 'a' && attributes.some(attribute => attribute.startsWith('target='))) {
+    attributes.push('rel="noopener noreferrer"');
+  }
+  return attributes.length > 0 ? ` ${attributes.join(' ')}` : '';
+}
+
+/**
+ * HTML 템플릿 정리 (허용 목록에 없는 태그/속성 제거, 태그 안의 텍스트는 유지)
+ * @param {string} html - 사용자가 작성한 HTML
+ * @returns {string} 안전한 HTML
+ */
+function sanitizeHtml(html) {
+  let source = String(html ?? '').replace(/<!--[\s\S]*?(-->|$)/g, '');
+  DROP_CONTENT_TAGS.forEach(tag => {
+    source = source.replace(new RegExp(`<${tag}\\b[\\s\\S]*?(<\\/${tag}\\s*>|$)`, 'gi'), '');
+  });
+
+  const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let result = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    result += escapeText(source.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const [, closing, rawName, attributeText] = match;
+    const tagName = rawName.toLowerCase();
+    if (!ALLOWED_TAGS[tagName]) continue;
+
+    if (closing) {
+      if (!VOID_TAGS.includes(tagName)) result += `</${tagName}>`;
+    } else {
+      result += `<${tagName}${sanitizeAttributes(tagName, attributeText.replace(/\/\s*$/, ''))}>`;
+    }
+  }
+
+  return result + escapeText(source.slice(lastIndex));
+}
+
+/**
+ * HTML로 작성된 본문인지 확인 (태그가 하나라도 있으면 HTML)
+ * @param {string} text - 본문
+ * @returns {boolean}
+ */
+function looksLikeHtml(text) {
+  return /<\/?(p|br|div|span|b|strong|i|em|u|h[1-6]|ul|ol|li|table|tr|td|th|a|hr|blockquote)\b[^>]*>/i.test(String(text ?? ''));
+}
+
+/**
+ * 일반 텍스트 → HTML (이스케이프 후 줄바꿈을 <br>로)
+ * @param {string} text - 일반 텍스트
+ * @returns {string}
+ */
+function textToHtml(text) {
+  return escapeHtml(text).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * HTML → 일반 텍스트 (text/plain 본문용)
+ * @param {string} html - HTML
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const text = String(html ?? '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<\/(td|th)>\s*(?=<(td|th)\b)/gi, ' | ')
+    .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (all, href, label) => (label.includes(href) ? label : `${label} (${href})`))
+    .replace(/<hr\b[^>]*>/gi, '\n----------------------------------------\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table|caption|blockquote|pre|ul|ol)>/gi, '\n')
+    .replace(/<(p|div|h[1-6]|table|blockquote|pre|ul|ol)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * 주문 요약 표 (이메일 본문에 넣는 발주서 주문 행 목록)
+ * @param {{headers: string[], rows: Array<Array>}} purchaseOrder - 발주서 헤더와 주문 행
+ * @param {Object} [options]
+ * @param {number} [options.maxRows=50] - 표에 넣을 최대 행 수 (나머지는 "외 N건")
+ * @returns {{html: string, text: string}}
+ */
+function buildOrderSummaryTable({ headers = [], rows = [] }, { maxRows = 50 } = {}) {
+  const shownRows = rows.slice(0, maxRows);
+  const remaining = rows.length - shownRows.length;
+  const cellStyle = 'border:1px solid #d0d7de;padding:4px 8px;';
+
+  const headerHtml = headers.map(header => `<th style="${cellStyle}background:#f6f8fa;">${escapeHtml(header)}</th>`).join('');
+  const rowHtml = shownRows.map(row =>
+    `<tr>${headers.map((header, index) => `<td style="${cellStyle}">${escapeHtml(row[index])}</td>`).join('')}</tr>`
+  ).join('');
+  const moreHtml = remaining > 0 ? `<p style="color:#57606a;">외 ${remaining}건은 첨부된 발주서를 확인해주세요.</p>` : '';
+
+  const html = `<table style="border-collapse:collapse;font-size:13px;"><caption style="text-align:left;font-weight:bold;padding:4px 0;">주문 요약 (${rows.length}건)</caption>` +
+    `<thead><tr>${headerHtml}</tr></thead><tbody>${rowHtml}</tbody></table>${moreHtml}`;
+
+  const text = [
+    `[주문 요약 (${rows.length}건)]`,
+    headers.join(' | '),
+    ...shownRows.map(row => headers.map((header, index) => String(row[index] ?? '')).join(' | ')),
+    ...(remaining > 0 ? [`외 ${remaining}건은 첨부된 발주서를 확인해주세요.`] : [])
+  ].join('\n');
+
+  return { html, text };
+}
+
+/**
+ * 발주서 확인/거절 링크 안내 (이메일 본문 끝에 추가)
+ * @param {Object} links
+ * @param {string} links.confirmUrl - 확인 링크
+ * @param {string} links.rejectUrl - 거절 링크
+ * @param {string} [links.deadline] - 확인 기한 (표시용)
+ * @returns {{html: string, text: string}}
+ */
+function buildConfirmationLinks({ confirmUrl, rejectUrl, deadline }) {
+  const buttonStyle = 'display:inline-block;padding:8px 16px;margin-right:8px;border-radius:4px;text-decoration:none;color:#ffffff;';
+  const deadlineText = deadline ? `${deadline}까지 ` : '';
+
+  const html = `<hr><p><strong>발주서 수신 확인</strong><br>${escapeHtml(deadlineText)}아래 버튼으로 발주 내용 확인 여부를 회신해주세요.</p>` +
+    `<p><a href="${escapeHtml(confirmUrl)}" style="${buttonStyle}background:#1f883d;">발주 확인</a>` +
+    `<a href="${escapeHtml(rejectUrl)}" style="${buttonStyle}background:#cf222e;">발주 거절</a></p>`;
+
+  const text = [
+    '----------------------------------------',
+    `[발주서 수신 확인] ${deadlineText}아래 링크로 회신해주세요.`,
+    `발주 확인: ${confirmUrl}`,
+    `발주 거절: ${rejectUrl}`
+  ].join('\n');
+
+  return { html, text };
+}
+
+/**
+ * 이메일 HTML 문서 (메일 클라이언트 기본 글꼴 지정)
+ * @param {string} content - 본문 HTML (정리된 HTML)
+ * @returns {string}
+ */
+function wrapEmailHtml(content) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"></head>` +
+    `<body style="font-family:'Malgun Gothic','Apple SD Gothic Neo',sans-serif;font-size:14px;line-height:1.6;color:#24292f;">${content}</body></html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  sanitizeHtml,
+  looksLikeHtml,
+  textToHtml,
+  htmlToText,
+  buildOrderSummaryTable,
+  buildConfirmationLinks,
+  wrapEmailHtml
+};
@@ -0,0 +1,84 @@
+/**
+ * 이메일 수신자 처리
+ * 받는 사람(to)/참조(cc)/숨은 참조(bcc)는 문자열("a@x.com, b@x.com") 또는 배열로 받는다.
+ *
+ * 수신자 결정 순서
+ *   to:  요청 값 → 공급처 주소록(emails) → 이메일 템플릿(recipients)
+ *   cc/bcc: 요청 값(빈 배열 포함) → 공급처 주소록(cc_emails/bcc_emails)
+ * 같은 주소는 to > cc > bcc 중 앞쪽에만 남긴다.
+ */
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+
+/**
+ * 수신자 목록 정리 (쉼표/세미콜론/줄바꿈 구분, 공백 제거, 대소문자 무시 중복 제거)
+ * @param {string|string[]} value - 수신자
+ * @returns {string[]}
+ */
+function parseEmailList(value) {
+  const seen = new Set();
+  return [].concat(value ?? [])
+    .flatMap(item => String(item ?? '').split(/[,;\n]/))
+    .map(email => email.trim())
+    .filter(email => {
+      const key = email.toLowerCase();
+      if (!email || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * 형식이 올바르지 않은 이메일 주소
+ * @param {string[]} emails - 이메일 목록
+ * @returns {string[]}
+ */
+function findInvalidEmails(emails) {
+  return emails.filter(email => !EMAIL_PATTERN.test(email));
+}
+
+/**
+ * 요청/공급처 주소록/이메일 템플릿으로 수신자 결정
+ * @param {Object} params
+ * @param {string|string[]} [params.to] - 요청의 받는 사람
+ * @param {string|string[]} [params.cc] - 요청의 참조
+ * @param {string|string[]} [params.bcc] - 요청의 숨은 참조
+ * @param {Object} [params.supplier] - suppliers 행
+ * @param {Object} [params.emailTemplate] - email_templates 행
+ * @returns {{to: string[], cc: string[], bcc: string[], invalid: string[]}}
+ */
+function resolveRecipients({ to, cc, bcc, supplier, emailTemplate } = {}) {
+  let toList = parseEmailList(to);
+  if (toList.length === 0 && supplier) toList = parseEmailList(supplier.emails);
+  if (toList.length === 0 && emailTemplate) toList = parseEmailList(emailTemplate.recipients);
+
+  const ccList = cc !== undefined ? parseEmailList(cc) : parseEmailList(supplier?.cc_emails);
+  const bccList = bcc !== undefined ? parseEmailList(bcc) : parseEmailList(supplier?.bcc_emails);
+
+  const used = new Set(toList.map(email => email.toLowerCase()));
+  const exclude = list => list.filter(email => {
+    const key = email.toLowerCase();
+    if (used.has(key)) return false;
+    used.add(key);
+    return true;
+  });
+
+  const recipients = { to: toList, cc: exclude(ccList), bcc: exclude(bccList) };
+  return { ...recipients, invalid: findInvalidEmails([...recipients.to, ...recipients.cc, ...recipients.bcc]) };
+}
+
+/**
+ * 수신자 목록 → 저장/전송용 문자열 (nodemailer는 쉼표 구분 문자열 지원)
+ * @param {string[]} emails - 이메일 목록
+ * @returns {string}
+ */
+function formatEmailList(emails) {
+  return (emails || []).join(', ');
+}
+
+module.exports = {
+  parseEmailList,
+  findInvalidEmails,
+  resolveRecipients,
+  formatEmailList
+};
@@ -0,0 +1,389 @@
+const { getRepositories } = require('./repositories');
+const { parseScheduleInfo } = require('./repositories/scheduledEmails');
+const { loadScheduledEmails, updateScheduledEmailStatus } = require('./supabase');
+const { getNextRunTime, formatSeoulTime } = require('./recurrence');
+
+/**
+ * 예약 이메일 스케줄러
+ * 예약은 email_history 테이블(scheduledEmails 저장소)에 저장되고, 서버 프로세스는 타이머만 가진다.
+ * 서버 시작 시 restore()로 대기 중인 예약을 다시 등록하며, 예약 시간이 지난 예약은 지연 정책에 따라 처리한다.
+ * 전송 결과는 updateScheduledEmailStatus로 전송 이력에 기록한다.
+ *
+ * 전송 함수: async (schedule) => { status: 'success' | 'simulation' | 'retrying', messageId, subject }
+ *   schedule: { scheduleId, to, cc, bcc, subject, body, attachmentPath, attachmentDisplayName, templateId, scheduleTime, variables, bodyFormat, includeOrderSummary, requestConfirmation, attachmentProtection }
+ *   subject: 템플릿 변수를 치환한 실제 제목 (전송 이력에 기록)
+ *   retrying: 전송에 실패해 재시도 대기 중 (예약 행은 retrying 상태로 남고, 재시도 작업이 끝나면 전송 이력으로 이동)
+ *
+ * 지연 정책 (EMAIL_SCHEDULE_OVERDUE_POLICY)
+ *   send: 지난 예약을 즉시 전송 (기본값)
+ *   skip: 허용 시간(EMAIL_SCHEDULE_OVERDUE_GRACE_MINUTES, 기본 10분)보다 늦은 예약은 전송하지 않고 실패로 기록
+ *
+ * 반복 예약(recurring_email_schedules)은 createRecurringScheduler가 같은 지연 정책으로 처리한다.
+ */
+
+const OVERDUE_POLICIES = ['send', 'skip'];
+const DEFAULT_OVERDUE_GRACE_MINUTES = 10;
+
+// setTimeout 최대 대기 시간 (약 24.8일) - 더 먼 예약은 나눠서 대기
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+function getOverduePolicy() {
+  const policy = (process.env.EMAIL_SCHEDULE_OVERDUE_POLICY || 'send').toLowerCase();
+  return OVERDUE_POLICIES.includes(policy) ? policy : 'send';
+}
+
+function getOverdueGraceMs() {
+  const minutes = parseFloat(process.env.EMAIL_SCHEDULE_OVERDUE_GRACE_MINUTES);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_OVERDUE_GRACE_MINUTES) * 60 * 1000;
+}
+
+// 타이머 등록 (setTimeout 최대 대기 시간보다 먼 시각은 나눠서 대기)
+function armTimer(timers, id, runAt, onFire) {
+  if (timers.has(id)) clearTimeout(timers.get(id));
+
+  const delayMs = Math.min(Math.max(0, runAt - Date.now()), MAX_TIMER_DELAY_MS);
+  const timer = setTimeout(() => {
+    if (Date.now() < runAt) {
+      armTimer(timers, id, runAt, onFire);
+      return;
+    }
+    timers.delete(id);
+    onFire(id);
+  }, delayMs);
+  // 대기 중인 예약이 프로세스 종료를 막지 않도록 (재시작 시 restore로 다시 등록)
+  if (timer.unref) timer.unref();
+
+  timers.set(id, timer);
+}
+
+// email_history 예약 행 → 전송 함수에 넘기는 예약 정보
+function toSchedule(row) {
+  const info = parseScheduleInfo(row);
+  return {
+    scheduleId: row.message_id,
+    to: row.to_email,
+    cc: info.cc || '',
+    bcc: info.bcc || '',
+    subject: row.subject,
+    body: info.body || '',
+    attachmentPath: info.attachmentPath || row.attachment_name,
+    attachmentDisplayName: row.attachment_name,
+    templateId: row.template_name,
+    scheduleTime: row.sent_at,
+    variables: info.variables || {},
+    bodyFormat: info.bodyFormat || 'auto',
+    includeOrderSummary: info.includeOrderSummary === true,
+    requestConfirmation: info.requestConfirmation !== false,
+    attachmentProtection: info.attachmentProtection || null,
+    status: info.status || 'scheduled'
+  };
+}
+
+/**
+ * 예약 이메일 스케줄러 생성
+ * @param {Object} options
+ * @param {Function} options.send - 예약 이메일 전송 함수
+ * @returns {Object} 스케줄러 (schedule, cancel, restore)
+ */
+function createEmailScheduler({ send }) {
+  const timers = new Map(); // 예약 ID → 타이머
+
+  const clear = (scheduleId) => {
+    if (!timers.has(scheduleId)) return false;
+    clearTimeout(timers.get(scheduleId));
+    timers.delete(scheduleId);
+    return true;
+  };
+
+  const fire = async (scheduleId) => {
+    const { scheduledEmails } = getRepositories();
+
+    try {
+      // 취소(삭제)되었거나 이미 처리된 예약은 건너뜀
+      const row = await scheduledEmails.findById(scheduleId);
+      if (!row || toSchedule(row).status !== 'scheduled') {
+        console.log('⏭️ 대기 중이 아닌 예약 이메일 건너뜀:', scheduleId);
+        return;
+      }
+
+      // 전송 중 표시 (전송 도중 재시작되면 중복 전송하지 않도록)
+      await scheduledEmails.updateInfo(scheduleId, {
+        ...parseScheduleInfo(row),
+        status: 'sending',
+        sendingAt: new Date().toISOString()
+      });
+
+      const schedule = toSchedule(row);
+      console.log(`📧 예약된 이메일 전송 시작: ${schedule.to} (${scheduleId})`);
+      const result = await send(schedule);
+      if (result.subject && result.subject !== row.subject) {
+        await scheduledEmails.updateInfo(scheduleId, { ...parseScheduleInfo(row), status: 'sending' }, { subject: result.subject });
+      }
+      await updateScheduledEmailStatus(scheduleId, result.status, result.messageId);
+    } catch (error) {
+      console.error('❌ 예약된 이메일 전송 실패:', error);
+      await updateScheduledEmailStatus(scheduleId, 'failed', null, error.message);
+    }
+  };
+
+  const arm = (scheduleId, runAt) => armTimer(timers, scheduleId, runAt, fire);
+
+  return {
+    /**
+     * 저장된 예약의 타이머 등록
+     * @param {string} scheduleId - 예약 ID
+     * @param {string|Date} scheduleTime - 예약 시간
+     */
+    schedule(scheduleId, scheduleTime) {
+      arm(scheduleId, new Date(scheduleTime).getTime());
+    },
+
+    /**
+     * 예약 타이머 취소 (저장된 예약 삭제는 cancelScheduledEmail)
+     * @param {string} scheduleId - 예약 ID
+     * @returns {boolean} 등록된 타이머가 있었는지
+     */
+    cancel(scheduleId) {
+      return clear(scheduleId);
+    },
+
+    /**
+     * 서버 재시작 등으로 사라진 예약 타이머 다시 등록
+     * @returns {Promise<Object>} { scheduled, overdue, skipped, interrupted }
+     */
+    async restore() {
+      const summary = { scheduled: 0, overdue: 0, skipped: 0, interrupted: 0 };
+      const result = await loadScheduledEmails();
+      if (!result.success) {
+        console.error('❌ 예약 이메일 복원 실패:', result.error);
+        return summary;
+      }
+
+      const now = Date.now();
+      const policy = getOverduePolicy();
+      const graceMs = getOverdueGraceMs();
+
+      for (const row of result.data || []) {
+        const schedule = toSchedule(row);
+        if (timers.has(schedule.scheduleId)) continue;
+
+        // 전송 도중 중단된 예약은 실제 전송 여부를 알 수 없으므로 다시 보내지 않음
+        if (schedule.status === 'sending') {
+          await updateScheduledEmailStatus(schedule.scheduleId, 'failed', null,
+            '전송 중 서버가 재시작되어 전송 여부를 확인할 수 없습니다. 수신 여부를 확인한 후 다시 전송하세요.');
+          summary.interrupted++;
+          continue;
+        }
+        if (schedule.status !== 'scheduled') continue;
+
+        const runAt = new Date(schedule.scheduleTime).getTime();
+        if (!Number.isFinite(runAt)) {
+          await updateScheduledEmailStatus(schedule.scheduleId, 'failed', null, '예약 시간이 올바르지 않습니다.');
+          summary.skipped++;
+          continue;
+        }
+
+        const overdueMs = now - runAt;
+        if (overdueMs <= 0) {
+          arm(schedule.scheduleId, runAt);
+          summary.scheduled++;
+          continue;
+        }
+
+        if (policy === 'skip' && overdueMs > graceMs) {
+          await updateScheduledEmailStatus(schedule.scheduleId, 'failed', null,
+            `예약 시간(${new Date(runAt).toLocaleString('ko-KR')})이 지나 전송하지 않았습니다. (지연 정책: skip)`);
+          summary.skipped++;
+          continue;
+        }
+
+        console.log(`⏰ 예약 시간이 지난 이메일 즉시 전송: ${schedule.scheduleId} (${Math.round(overdueMs / 60000)}분 지연)`);
+        arm(schedule.scheduleId, now);
+        summary.overdue++;
+      }
+
+      if (Object.values(summary).some(count => count > 0)) {
+        console.log('🔁 예약 이메일 복원 완료:', { policy, ...summary });
+      }
+      return summary;
+    }
+  };
+}
+
+/**
+ * 반복 예약 이메일 스케줄러 생성
+ * 반복 예약은 recurring_email_schedules 테이블에 저장되며, 실행할 때마다 다음 실행 시각(next_run_at)을 계산해 다시 등록한다.
+ * 다음 실행 시각은 실행 전에 먼저 저장하므로 실행 도중 재시작되어도 같은 회차를 다시 실행하지 않는다.
+ *
+ * 실행 함수: async (schedule) => { status: 'success' | 'simulation' | 'retrying' | 'held', messageId, generatedFile, rowErrors, warning }
+ *   schedule: recurring_email_schedules 행
+ *   rowErrors/warning: 발주서 변환에 실패한 행 목록과 요약 (last_row_errors/last_error에 기록, 실패 시 error.rowErrors)
+ *
+ * @param {Object} options
+ * @param {Function} options.run - 반복 예약 1회 실행 함수 (실패 시 throw)
+ * @returns {Object} 스케줄러 (schedule, cancel, runNow, restore)
+ */
+function createRecurringScheduler({ run }) {
+  const timers = new Map(); // 반복 예약 ID → 타이머
+
+  const clear = (id) => {
+    if (!timers.has(id)) return false;
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    return true;
+  };
+
+  // 1회 실행 후 결과 기록
+  const execute = async (schedule) => {
+    const { recurringEmailSchedules } = getRepositories();
+    const startedAt = new Date().toISOString();
+    let result;
+
+    try {
+      console.log(`🔁 반복 예약 실행: ${schedule.name} (${schedule.id})`);
+      const output = await run(schedule);
+      result = {
+        last_status: output.status,
+        last_error: output.warning || null, // 행 오류 요약 (전송은 됨 또는 보류)
+        last_row_errors: output.rowErrors?.length > 0 ? output.rowErrors : null,
+        last_generated_file: output.generatedFile || null
+      };
+    } catch (error) {
+      console.error('❌ 반복 예약 실행 실패:', schedule.id, error.message);
+      result = {
+        last_status: 'failed',
+        last_error: error.message,
+        last_row_errors: error.rowErrors?.length > 0 ? error.rowErrors : null
+      };
+    }
+
+    const current = await recurringEmailSchedules.findById(schedule.id);
+    if (!current) return { ...result, last_run_at: startedAt };
+
+    return recurringEmailSchedules.update(schedule.id, {
+      ...result,
+      last_run_at: startedAt,
+      run_count: (current.run_count || 0) + 1
+    });
+  };
+
+  const fire = async (id) => {
+    const { recurringEmailSchedules } = getRepositories();
+
+    try {
+      // 삭제/비활성화된 예약은 건너뜀
+      const schedule = await recurringEmailSchedules.findById(id);
+      if (!schedule || !schedule.is_active) {
+        console.log('⏭️ 비활성 반복 예약 건너뜀:', id);
+        return;
+      }
+
+      // 다음 회차를 먼저 저장하고 등록
+      const nextRun = getNextRunTime(schedule.rule, new Date(Math.max(Date.now(), new Date(schedule.next_run_at).getTime() || 0)));
+      await recurringEmailSchedules.update(id, { next_run_at: nextRun ? nextRun.toISOString() : null });
+      if (nextRun) arm(id, nextRun.getTime());
+
+      await execute(schedule);
+    } catch (error) {
+      console.error('❌ 반복 예약 처리 오류:', id, error.message);
+    }
+  };
+
+  const arm = (id, runAt) => armTimer(timers, id, runAt, fire);
+
+  return {
+    /**
+     * 저장된 반복 예약의 타이머 등록 (비활성이거나 다음 실행 시각이 없으면 해제)
+     * @param {Object} schedule - recurring_email_schedules 행
+     */
+    schedule(schedule) {
+      const runAt = new Date(schedule.next_run_at).getTime();
+      if (!schedule.is_active || !Number.isFinite(runAt)) {
+        clear(schedule.id);
+        return;
+      }
+      arm(schedule.id, runAt);
+    },
+
+    /**
+     * 반복 예약 타이머 취소
+     * @param {string} id - 반복 예약 ID
+     * @returns {boolean} 등록된 타이머가 있었는지
+     */
+    cancel(id) {
+      return clear(id);
+    },
+
+    /**
+     * 반복 예약 즉시 실행 (다음 실행 시각은 그대로)
+     * @param {Object} schedule - recurring_email_schedules 행
+     * @returns {Promise<Object>} 실행 결과가 기록된 행
+     */
+    runNow(schedule) {
+      return execute(schedule);
+    },
+
+    /**
+     * 서버 재시작 등으로 사라진 반복 예약 타이머 다시 등록
+     * 실행 시각이 지난 회차는 지연 정책에 따라 한 번만 실행하거나(send) 건너뛴다(skip).
+     * @returns {Promise<Object>} { scheduled, overdue, skipped }
+     */
+    async restore() {
+      const summary = { scheduled: 0, overdue: 0, skipped: 0 };
+      const { recurringEmailSchedules } = getRepositories();
+      const schedules = await recurringEmailSchedules.list({ activeOnly: true });
+
+      const now = Date.now();
+      const policy = getOverduePolicy();
+      const graceMs = getOverdueGraceMs();
+
+      for (const schedule of schedules) {
+        if (timers.has(schedule.id)) continue;
+
+        let runAt = new Date(schedule.next_run_at).getTime();
+        if (!Number.isFinite(runAt)) {
+          const nextRun = getNextRunTime(schedule.rule, new Date(now));
+          if (!nextRun) continue;
+          await recurringEmailSchedules.update(schedule.id, { next_run_at: nextRun.toISOString() });
+          runAt = nextRun.getTime();
+        }
+
+        const overdueMs = now - runAt;
+        if (overdueMs <= 0) {
+          arm(schedule.id, runAt);
+          summary.scheduled++;
+          continue;
+        }
+
+        if (policy === 'skip' && overdueMs > graceMs) {
+          const nextRun = getNextRunTime(schedule.rule, new Date(now));
+          await recurringEmailSchedules.update(schedule.id, {
+            next_run_at: nextRun ? nextRun.toISOString() : null,
+            last_status: 'skipped',
+            last_error: `실행 시각(${formatSeoulTime(runAt)})이 지나 실행하지 않았습니다. (지연 정책: skip)`
+          });
+          if (nextRun) arm(schedule.id, nextRun.getTime());
+          summary.skipped++;
+          continue;
+        }
+
+        // 밀린 회차가 여러 번이어도 한 번만 실행
+        console.log(`⏰ 실행 시각이 지난 반복 예약 즉시 실행: ${schedule.id} (${Math.round(overdueMs / 60000)}분 지연)`);
+        arm(schedule.id, now);
+        summary.overdue++;
+      }
+
+      if (Object.values(summary).some(count => count > 0)) {
+        console.log('🔁 반복 예약 복원 완료:', { policy, ...summary });
+      }
+      return summary;
+    }
+  };
+}
+
+module.exports = {
+  OVERDUE_POLICIES,
+  MAX_TIMER_DELAY_MS,
+  createEmailScheduler,
+  createRecurringScheduler
+};
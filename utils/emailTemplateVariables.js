@@ -0,0 +1,269 @@
+const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+const { parseCsvBuffer } = require('./csvReader');
+const { escapeHtml, sanitizeHtml, looksLikeHtml, textToHtml, htmlToText, buildOrderSummaryTable, buildConfirmationLinks, wrapEmailHtml } = require('./emailHtml');
+
+/**
+ * 이메일 템플릿 변수 치환
+ * 이메일 템플릿의 제목/본문에 {{변수}}를 쓰면 전송 시점에 첨부된 발주서 정보로 채운다.
+ *
+ *   [발주서] {{supplier}} {{date}} ({{orderCount}}건)
+ *
+ * 요청에서 variables로 넘긴 값이 발주서에서 읽은 값보다 우선하며, 값이 없는 변수는 {{변수}} 그대로 남긴다.
+ * HTML 본문 정리/이스케이프는 emailHtml.js
+ */
+
+const TEMPLATE_VARIABLES = {
+  supplier: '공급처 (요청 값 또는 발주서의 공급처/거래처 컬럼 첫 값)',
+  orderCount: '발주서 주문 건수 (데이터 행 수)',
+  totalQuantity: '수량 컬럼 합계',
+  date: '전송일 (서울 기준 YYYY-MM-DD)',
+  attachmentName: '첨부파일 이름',
+  orderTable: '주문 요약 표 (발주서 주문 행)',
+  confirmUrl: '발주 확인 링크 (공급처 수신 확인)',
+  rejectUrl: '발주 거절 링크',
+  confirmDeadline: '수신 확인 기한 (서울 기준 YYYY-MM-DD HH:mm)'
+};
+
+// 본문 형식 (auto: 태그가 있으면 HTML)
+const BODY_FORMATS = ['auto', 'text', 'html'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const SUPPLIER_HEADERS = ['공급처', '공급업체', '거래처', '공급사', 'supplier'];
+const QUANTITY_HEADER_PATTERN = /수량|qty|quantity/i;
+
+// 셀 값 → 문자열/숫자 (수식/서식 있는 텍스트 포함)
+function getCellValue(cell) {
+  const value = cell.value;
+  if (value && typeof value === 'object') {
+    if (value.result !== undefined) return value.result;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+  }
+  return value;
+}
+
+// 서울 기준 날짜 (YYYY-MM-DD)
+function formatSeoulDate(date = new Date()) {
+  return date.toLocaleDateString('sv-SE', { timeZone: 'Asia/Seoul' });
+}
+
+// 서울 기준 일시 (YYYY-MM-DD HH:mm)
+function formatSeoulDateTime(date) {
+  return date.toLocaleString('sv-SE', { timeZone: 'Asia/Seoul' }).slice(0, 16);
+}
+
+// 발주서 파일 형식 (첨부파일 이름은 바꿀 수 있으므로 파일 시그니처로 판별, 나머지는 CSV)
+function getPurchaseOrderFormat(buffer) {
+  if (buffer.subarray(0, 4).toString('latin1') === '%PDF') return 'pdf';
+  if (buffer[0] === 0x50 && buffer[1] === 0x4B) return 'xlsx';
+  if (buffer[0] === 0xD0 && buffer[1] === 0xCF && buffer[2] === 0x11 && buffer[3] === 0xE0) return 'xls';
+  return 'csv';
+}
+
+// xlsx 첫 시트 (1행 헤더)
+async function readXlsxPurchaseOrder(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return null;
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber - 1] = String(getCellValue(cell) ?? '').trim();
+  });
+
+  const rows = [];
+  for (let rowNumber = 2; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    if (!row.hasValues) continue;
+    rows.push(headers.map((header, index) => getCellValue(row.getCell(index + 1)) ?? ''));
+  }
+
+  return { headers: Array.from(headers, header => header || ''), rows };
+}
+
+// xls(Excel 97-2003) 첫 시트 (1행 헤더, 빈 행 제외)
+function readXlsPurchaseOrder(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return null;
+
+  const [headerRow = [], ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+  const headers = Array.from(headerRow, header => String(header ?? '').trim());
+  return {
+    headers,
+    rows: rows
+      .filter(row => row.some(value => value !== ''))
+      .map(row => headers.map((header, index) => row[index] ?? ''))
+  };
+}
+
+// CSV (CP949/UTF-8, 구분자 자동 감지)
+function readCsvPurchaseOrder(buffer) {
+  const { headers, data } = parseCsvBuffer(buffer);
+  return { headers, rows: data.map(row => headers.map(header => row[header] ?? '')) };
+}
+
+/**
+ * 생성된 발주서의 헤더와 주문 행 읽기 (xlsx | xls | CSV, PDF는 읽지 않음)
+ * @param {Buffer} buffer - 발주서 파일 내용
+ * @returns {Promise<{headers: string[], rows: Array<Array>}|null>} 읽지 못하면 null
+ */
+async function readPurchaseOrder(buffer) {
+  const format = getPurchaseOrderFormat(buffer);
+  try {
+    if (format === 'pdf') return null;
+    if (format === 'xls') return readXlsPurchaseOrder(buffer);
+    if (format === 'csv') return readCsvPurchaseOrder(buffer);
+    return await readXlsxPurchaseOrder(buffer);
+  } catch (error) {
+    console.warn(`⚠️ 발주서 정보 읽기 실패 (${format}, 템플릿 변수 일부 미치환):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * 발주서 내용으로 템플릿 변수 값 계산
+ * @param {{headers: string[], rows: Array<Array>}|null} purchaseOrder - readPurchaseOrder 결과
+ * @param {Object} [options]
+ * @param {string} [options.attachmentName] - 첨부파일 이름
+ * @returns {Object} { supplier, orderCount, totalQuantity, date, attachmentName } (알 수 없는 값은 제외)
+ */
+function getPurchaseOrderVariables(purchaseOrder, { attachmentName } = {}) {
+  const variables = { date: formatSeoulDate() };
+  if (attachmentName) variables.attachmentName = attachmentName;
+  if (!purchaseOrder) return variables;
+
+  const { headers, rows } = purchaseOrder;
+  const supplierColumn = headers.findIndex(header => header && SUPPLIER_HEADERS.includes(header.toLowerCase()));
+  const quantityColumn = headers.findIndex(header => header && QUANTITY_HEADER_PATTERN.test(header));
+
+  variables.orderCount = rows.length;
+
+  if (supplierColumn >= 0) {
+    const supplier = rows.map(row => String(row[supplierColumn] ?? '').trim()).find(Boolean);
+    if (supplier) variables.supplier = supplier;
+  }
+  if (quantityColumn >= 0) {
+    variables.totalQuantity = rows.reduce((sum, row) => {
+      const quantity = parseFloat(String(row[quantityColumn] ?? '').replace(/,/g, ''));
+      return Number.isFinite(quantity) ? sum + quantity : sum;
+    }, 0);
+  }
+
+  return variables;
+}
+
+/**
+ * {{변수}} 치환
+ * @param {string} text - 제목 또는 본문
+ * @param {Object} variables - 변수 값
+ * @param {Object} [options]
+ * @param {Function} [options.escape] - 값 변환 함수 (HTML 본문은 escapeHtml)
+ * @param {Object} [options.raw] - 변환 없이 그대로 넣을 값 (예: 주문 요약 표 HTML)
+ * @returns {{text: string, unresolved: string[]}} 치환 결과와 값이 없어 남은 변수 목록
+ */
+function renderTemplateText(text, variables = {}, { escape = value => value, raw = {} } = {}) {
+  const unresolved = new Set();
+  const rendered = String(text ?? '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (raw[name] !== undefined) return raw[name];
+
+    const value = variables[name];
+    if (value === undefined || value === null || value === '') {
+      unresolved.add(name);
+      return placeholder;
+    }
+    return escape(typeof value === 'number' ? value.toLocaleString('ko-KR') : String(value));
+  });
+
+  return { text: rendered, unresolved: [...unresolved] };
+}
+
+/**
+ * 발주서 첨부 이메일의 제목/본문 렌더링
+ * 본문은 HTML 부분(html)과 일반 텍스트 부분(text)을 함께 만든다.
+ *   - HTML 본문: 허용되지 않은 태그/속성을 제거하고, 변수 값은 이스케이프해서 넣는다
+ *   - 텍스트 본문: HTML 부분은 이스케이프 + 줄바꿈을 <br>로 변환
+ * {{orderTable}} 자리(또는 includeOrderSummary면 본문 끝)에 발주서 주문 요약 표를 넣는다.
+ * confirmation이 있으면 {{confirmUrl}}/{{rejectUrl}}을 채우고, 본문에 두 변수가 없으면 본문 끝에 확인/거절 링크를 추가한다.
+ *
+ * @param {Object} params
+ * @param {string} params.subject - 제목 템플릿
+ * @param {string} params.body - 본문 템플릿 (일반 텍스트 또는 HTML)
+ * @param {Buffer} [params.attachment] - 발주서 파일 내용 (xlsx/xls/CSV에서 변수 값과 주문 요약 표를 읽음, PDF는 읽지 않음)
+ * @param {string} [params.attachmentName] - 첨부파일 이름
+ * @param {Object} [params.variables] - 직접 지정한 변수 값 (발주서에서 읽은 값보다 우선)
+ * @param {string} [params.bodyFormat='auto'] - text | html | auto (태그가 있으면 HTML)
+ * @param {boolean} [params.includeOrderSummary=false] - 본문 끝에 주문 요약 표 추가
+ * @param {boolean} [params.hideOrderSummary=false] - 주문 요약 표를 넣지 않음 ({{orderTable}}은 빈 값, 첨부파일을 암호화할 때 본문에 개인정보가 드러나지 않도록)
+ * @param {Object} [params.confirmation] - 발주서 수신 확인 링크 { confirmUrl, rejectUrl, deadlineAt } (orderConfirmations.js)
+ * @returns {Promise<{subject: string, body: string, html: string, text: string, bodyFormat: string, variables: Object, unresolved: string[]}>}
+ */
+async function renderEmailTemplate({ subject, body, attachment, attachmentName, variables = {}, bodyFormat = 'auto', includeOrderSummary = false, hideOrderSummary = false, confirmation = null }) {
+  const purchaseOrder = attachment ? await readPurchaseOrder(attachment) : null;
+  const resolved = {
+    ...getPurchaseOrderVariables(purchaseOrder, { attachmentName }),
+    ...Object.fromEntries(Object.entries(variables || {}).filter(([, value]) => value !== undefined && value !== null && value !== ''))
+  };
+  // 확인 링크는 서버가 만든 값만 사용 (요청 variables로 바꿀 수 없음)
+  delete resolved.confirmUrl;
+  delete resolved.rejectUrl;
+  delete resolved.confirmDeadline;
+  if (confirmation) {
+    resolved.confirmUrl = confirmation.confirmUrl;
+    resolved.rejectUrl = confirmation.rejectUrl;
+    resolved.confirmDeadline = formatSeoulDateTime(new Date(confirmation.deadlineAt));
+  }
+
+  const template = String(body ?? '');
+  const format = BODY_FORMATS.includes(bodyFormat) && bodyFormat !== 'auto'
+    ? bodyFormat
+    : (looksLikeHtml(template) ? 'html' : 'text');
+
+  const summary = purchaseOrder && !hideOrderSummary ? buildOrderSummaryTable(purchaseOrder) : null;
+  const emptyTable = hideOrderSummary ? { orderTable: '' } : {};
+  const hasTablePlaceholder = /\{\{\s*orderTable\s*\}\}/.test(template);
+  const appendSummary = Boolean(summary) && includeOrderSummary && !hasTablePlaceholder;
+  const links = confirmation && !/\{\{\s*(confirmUrl|rejectUrl)\s*\}\}/.test(template)
+    ? buildConfirmationLinks({ confirmUrl: confirmation.confirmUrl, rejectUrl: confirmation.rejectUrl, deadline: resolved.confirmDeadline })
+    : null;
+
+  const renderedSubject = renderTemplateText(subject, resolved);
+  const htmlTemplate = format === 'html' ? sanitizeHtml(template) : textToHtml(template);
+  const renderedHtml = renderTemplateText(htmlTemplate, resolved, {
+    escape: escapeHtml,
+    raw: summary ? { orderTable: summary.html } : emptyTable
+  });
+
+  let html = renderedHtml.text + (appendSummary ? `<br><br>${summary.html}` : '') + (links ? links.html : '');
+  let text;
+  if (format === 'html') {
+    text = htmlToText(html);
+  } else {
+    text = renderTemplateText(template, resolved, { raw: summary ? { orderTable: summary.text } : emptyTable }).text +
+      (appendSummary ? `\n\n${summary.text}` : '') +
+      (links ? `\n\n${links.text}` : '');
+  }
+  html = wrapEmailHtml(html);
+
+  return {
+    subject: renderedSubject.text,
+    body: text,
+    html,
+    text,
+    bodyFormat: format,
+    variables: resolved,
+    unresolved: [...new Set([...renderedSubject.unresolved, ...renderedHtml.unresolved])]
+  };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  BODY_FORMATS,
+  readPurchaseOrder,
+  getPurchaseOrderVariables,
+  renderTemplateText,
+  renderEmailTemplate
+};
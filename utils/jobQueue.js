@@ -0,0 +1,254 @@
+const { getRepositories } = require('./repositories');
+
+/**
+ * 백그라운드 작업 큐
+ * 작업은 background_jobs 테이블에 저장되고, 서버 프로세스 안에서 한 번에 하나씩 처리된다.
+ * 처리 함수가 예외를 던지면 지수 백오프로 재시도하며, 최대 시도 횟수를 넘거나 shouldRetry가 false를 반환하면 failed로 종료한다.
+ *
+ * 처리 함수: async (job, { updateProgress }) => result
+ *   - job.attempts: 현재 시도 횟수 (1부터), job.max_attempts: 최대 시도 횟수
+ *   - updateProgress(values): job.progress에 값을 합쳐 저장 (재시도 시 이어서 처리하는 데 사용)
+ */
+
+const UNFINISHED_STATUSES = ['queued', 'processing', 'retrying'];
+
+/**
+ * 재시도 대기 시간 (지수 백오프)
+ * @param {number} attempts - 실패한 시도 횟수
+ * @param {number} baseDelayMs - 첫 재시도 대기 시간
+ * @param {number} maxDelayMs - 최대 대기 시간
+ * @returns {number} 밀리초
+ */
+function getRetryDelay(attempts, baseDelayMs, maxDelayMs) {
+  return Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/**
+ * 작업 큐 생성
+ * @param {Object} options
+ * @param {string} options.jobType - 작업 종류 (background_jobs.job_type)
+ * @param {Function} options.handler - 작업 처리 함수
+ * @param {Function} [options.onFailed] - 최종 실패 시 호출 (job, error)
+ * @param {Function} [options.shouldRetry] - 재시도할 오류인지 확인 (error, job) => boolean (기본값: 항상 재시도)
+ * @param {number} [options.maxAttempts=3] - 최대 시도 횟수
+ * @param {number} [options.baseDelayMs=2000] - 첫 재시도 대기 시간
+ * @param {number} [options.maxDelayMs=60000] - 최대 재시도 대기 시간
+ * @returns {Object} 큐 (enqueue, getJob, waitFor, resume)
+ */
+function createJobQueue(options) {
+  const {
+    jobType,
+    handler,
+    onFailed,
+    shouldRetry = () => true,
+    maxAttempts = 3,
+    baseDelayMs = 2000,
+    maxDelayMs = 60000
+  } = options;
+
+  const pending = []; // 처리 대기 중인 작업 ID
+  const scheduled = new Set(); // 재시도 대기 중(타이머 등록)인 작업 ID
+  const waiters = new Map(); // 작업 ID → 완료 대기 콜백 목록 ({ resolve, reject })
+  let running = false;
+
+  const jobs = () => getRepositories().backgroundJobs;
+
+  const notifyWaiters = (job) => {
+    (waiters.get(job.id) || []).forEach(waiter => waiter.resolve(job));
+    waiters.delete(job.id);
+  };
+
+  // 저장소 오류 등으로 작업 결과를 기록하지 못해 완료를 알릴 수 없는 경우
+  const rejectWaiters = (jobId, error) => {
+    (waiters.get(jobId) || []).forEach(waiter => waiter.reject(error));
+    waiters.delete(jobId);
+  };
+
+  const schedule = (jobId, delayMs) => {
+    if (scheduled.has(jobId) || pending.includes(jobId)) return;
+
+    if (delayMs > 0) {
+      scheduled.add(jobId);
+      const timer = setTimeout(() => {
+        scheduled.delete(jobId);
+        schedule(jobId, 0);
+      }, delayMs);
+      // 대기 중인 재시도가 프로세스 종료를 막지 않도록 (재시작 시 resume으로 이어서 처리)
+      if (timer.unref) timer.unref();
+      return;
+    }
+
+    pending.push(jobId);
+    setImmediate(drain);
+  };
+
+  const runJob = async (jobId) => {
+    let job = await jobs().findById(jobId);
+    if (!job) {
+      throw new Error(`작업을 찾을 수 없습니다: ${jobId}`);
+    }
+    if (!UNFINISHED_STATUSES.includes(job.status)) {
+      notifyWaiters(job);
+      return;
+    }
+
+    job = await jobs().update(jobId, {
+      status: 'processing',
+      attempts: (job.attempts || 0) + 1,
+      next_run_at: null
+    });
+    console.log(`⏳ 작업 처리 시작 [${jobType}]:`, jobId, `(${job.attempts}/${job.max_attempts}회차)`);
+
+    const updateProgress = async (values) => {
+      job = await jobs().update(jobId, { progress: { ...(job.progress || {}), ...values } });
+      return job.progress;
+    };
+
+    try {
+      const result = await handler(job, { updateProgress });
+      job = await jobs().update(jobId, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        last_error: null,
+        completed_at: new Date().toISOString()
+      });
+      console.log(`✅ 작업 완료 [${jobType}]:`, jobId);
+      notifyWaiters(job);
+    } catch (error) {
+      if (job.attempts < job.max_attempts && shouldRetry(error, job)) {
+        const delayMs = getRetryDelay(job.attempts, baseDelayMs, maxDelayMs);
+        job = await jobs().update(jobId, {
+          status: 'retrying',
+          last_error: error.message,
+          next_run_at: new Date(Date.now() + delayMs).toISOString()
+        });
+        console.warn(`🔄 작업 실패, ${Math.round(delayMs / 1000)}초 후 재시도 [${jobType}]:`, jobId, error.message);
+        schedule(jobId, delayMs);
+        return;
+      }
+
+      job = await jobs().update(jobId, {
+        status: 'failed',
+        last_error: error.message,
+        completed_at: new Date().toISOString()
+      });
+      console.error(`❌ 작업 최종 실패 [${jobType}]:`, jobId, error.message);
+
+      if (onFailed) {
+        try {
+          await onFailed(job, error);
+        } catch (callbackError) {
+          console.error('❌ 작업 실패 처리 중 오류:', callbackError.message);
+        }
+      }
+      notifyWaiters(job);
+    }
+  };
+
+  async function drain() {
+    if (running) return;
+    running = true;
+
+    try {
+      while (pending.length > 0) {
+        const jobId = pending.shift();
+        try {
+          await runJob(jobId);
+        } catch (error) {
+          // 저장소 오류 등 작업 상태를 기록할 수 없는 경우 (대기 중인 요청은 오류로 종료)
+          console.error(`❌ 작업 처리 오류 [${jobType}]:`, jobId, error.message);
+          rejectWaiters(jobId, error);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    /**
+     * 작업 등록
+     * @param {Object} payload - 작업 데이터
+     * @param {Object} [jobOptions]
+     * @param {number} [jobOptions.maxAttempts] - 최대 시도 횟수
+     * @param {number} [jobOptions.attempts=0] - 큐에 넣기 전에 이미 시도한 횟수 (재시도 대기 시간 계산에 포함)
+     * @param {number} [jobOptions.delayMs=0] - 첫 처리까지 대기 시간 (retrying 상태로 대기)
+     * @param {string} [jobOptions.id] - 미리 정한 작업 ID (UUID, 등록 전에 작업 ID를 기록해야 할 때)
+     * @returns {Promise<Object>} 등록된 작업
+     */
+    async enqueue(payload, jobOptions = {}) {
+      const delayMs = jobOptions.delayMs || 0;
+      const job = await jobs().create({
+        ...(jobOptions.id ? { id: jobOptions.id } : {}),
+        job_type: jobType,
+        status: delayMs > 0 ? 'retrying' : 'queued',
+        payload,
+        progress: { stage: 'queued' },
+        attempts: jobOptions.attempts || 0,
+        max_attempts: jobOptions.maxAttempts || maxAttempts,
+        next_run_at: delayMs > 0 ? new Date(Date.now() + delayMs).toISOString() : null
+      });
+      console.log(`📥 작업 등록 [${jobType}]:`, job.id);
+      schedule(job.id, delayMs);
+      return job;
+    },
+
+    async getJob(jobId) {
+      const job = await jobs().findById(jobId);
+      return job && job.job_type === jobType ? job : null;
+    },
+
+    /**
+     * 작업이 완료(completed/failed)될 때까지 대기
+     * @param {string} jobId - 작업 ID
+     * @returns {Promise<Object>} 완료된 작업
+     * @throws 작업 처리 중 저장소 오류 등으로 작업 결과를 기록하지 못한 경우
+     */
+    async waitFor(jobId) {
+      let waiter;
+      const done = new Promise((resolve, reject) => {
+        waiter = { resolve, reject };
+        waiters.set(jobId, [...(waiters.get(jobId) || []), waiter]);
+      });
+
+      // 등록 전에 이미 끝난 작업
+      let job;
+      try {
+        job = await jobs().findById(jobId);
+      } catch (error) {
+        const remaining = (waiters.get(jobId) || []).filter(item => item !== waiter);
+        if (remaining.length > 0) waiters.set(jobId, remaining);
+        else waiters.delete(jobId);
+        throw error;
+      }
+      if (job && !UNFINISHED_STATUSES.includes(job.status)) {
+        notifyWaiters(job);
+      }
+      return done;
+    },
+
+    /**
+     * 서버 재시작 등으로 중단된 작업 다시 등록
+     * @returns {Promise<number>} 다시 등록된 작업 수
+     */
+    async resume() {
+      const unfinished = await jobs().listByStatus(UNFINISHED_STATUSES, { jobType });
+      unfinished.forEach(job => {
+        const delayMs = job.status === 'retrying' && job.next_run_at
+          ? Math.max(0, new Date(job.next_run_at).getTime() - Date.now())
+          : 0;
+        schedule(job.id, delayMs);
+      });
+
+      if (unfinished.length > 0) {
+        console.log(`🔁 중단된 작업 ${unfinished.length}개 다시 등록 [${jobType}]`);
+      }
+      return unfinished.length;
+    }
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  getRetryDelay
+};
@@ -0,0 +1,220 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const { getRepositories } = require('./repositories');
+const { parseCsvBuffer } = require('./csvReader');
+const { isMappingExpression, compileMappingExpression } = require('./mappingExpression');
+
+/**
+ * 조회 테이블 (lookup_tables)
+ * 마켓 SKU/상품명 → 공급처 상품코드/품명/단위/단가처럼 주문서 값을 공급처 값으로 바꾸는 변환표.
+ * 매핑 수식에서 [수식: lookup("테이블 이름", {SKU}, "공급처코드")]로 사용하며,
+ * 키 컬럼(key_column) 값과 정확히 일치(앞뒤 공백 무시)하는 행을 찾는다.
+ *
+ *   column_names: 컬럼 순서 (가져오기/내보내기 파일의 헤더)
+ *   entries: 행 목록 [{ 컬럼명: 값 }] (값은 모두 문자열)
+ *
+ * 가져오기/내보내기 형식: xlsx (첫 시트, 첫 행이 헤더) | csv (UTF-8 또는 CP949, 내보내기는 UTF-8 BOM)
+ */
+
+const LOOKUP_FILE_FORMATS = ['xlsx', 'csv'];
+const MAX_LOOKUP_ENTRIES = 20000;
+
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8'
+};
+
+const toCellText = value => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * 조회 테이블 값 검증/정리 (등록, 수정, 가져오기 공통)
+ * @param {Object} input - { columns, keyColumn, entries }
+ * @returns {{columns: string[], keyColumn: string, entries: Object[]}|{error: string, details: Array}}
+ */
+function normalizeLookupEntries({ columns, keyColumn, entries }) {
+  if (!Array.isArray(entries)) {
+    return { error: 'entries는 배열이어야 합니다.' };
+  }
+  if (entries.length > MAX_LOOKUP_ENTRIES) {
+    return { error: `조회 테이블은 최대 ${MAX_LOOKUP_ENTRIES}행까지 저장할 수 있습니다. (현재 ${entries.length}행)` };
+  }
+
+  // 컬럼을 지정하지 않으면 행에 나오는 순서대로
+  const columnNames = Array.isArray(columns) && columns.length > 0
+    ? columns.map(toCellText)
+    : [...new Set(entries.flatMap(entry => Object.keys(entry || {}).map(toCellText)))];
+
+  if (columnNames.length === 0 || columnNames.some(name => !name)) {
+    return { error: '컬럼 이름이 비어 있습니다.' };
+  }
+  const duplicateColumns = columnNames.filter((name, index) => columnNames.indexOf(name) !== index);
+  if (duplicateColumns.length > 0) {
+    return { error: '컬럼 이름이 중복되었습니다.', details: [...new Set(duplicateColumns)] };
+  }
+
+  const key = toCellText(keyColumn) || columnNames[0];
+  if (!columnNames.includes(key)) {
+    return { error: `키 컬럼이 테이블에 없습니다: ${key}`, details: columnNames };
+  }
+
+  const normalized = [];
+  const problems = [];
+  const seen = new Map();
+  entries.forEach((entry, index) => {
+    const values = {};
+    columnNames.forEach(name => {
+      values[name] = toCellText(entry?.[name]);
+    });
+    if (Object.values(values).every(value => value === '')) return;
+
+    const keyValue = values[key];
+    if (!keyValue) {
+      problems.push({ row: index + 1, error: `키 컬럼(${key}) 값이 비어 있습니다.` });
+    } else if (seen.has(keyValue)) {
+      problems.push({ row: index + 1, key: keyValue, error: `키 값이 ${seen.get(keyValue)}행과 중복되었습니다.` });
+    } else {
+      seen.set(keyValue, index + 1);
+      normalized.push(values);
+    }
+  });
+
+  if (problems.length > 0) {
+    return { error: '조회 테이블 행에 오류가 있습니다.', details: problems };
+  }
+
+  return { columns: columnNames, keyColumn: key, entries: normalized };
+}
+
+/**
+ * 가져오기 파일 읽기 (첫 시트, 처음 나오는 비어 있지 않은 행이 헤더)
+ * @param {Buffer} buffer - 파일 내용
+ * @param {string} fileName - 확장자 판별용 파일명
+ * @returns {{columns: string[], entries: Object[]}}
+ * @throws 지원하지 않는 형식 또는 빈 파일
+ */
+function readLookupFile(buffer, fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (extension === '.csv' || extension === '.txt') {
+    // 인코딩/구분자 자동 감지, 상품코드의 앞자리 0 등 원래 글자 그대로 유지
+    const { headers, data } = parseCsvBuffer(buffer);
+    return { columns: headers, entries: data };
+  }
+  if (extension !== '.xlsx' && extension !== '.xls') {
+    throw new Error('조회 테이블은 Excel(.xlsx, .xls) 또는 CSV 파일만 가져올 수 있습니다.');
+  }
+
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' }) : [];
+  const headerIndex = rows.findIndex(row => row.some(cell => toCellText(cell) !== ''));
+  if (headerIndex === -1) {
+    throw new Error('파일에 데이터가 없습니다.');
+  }
+
+  // 헤더가 빈 열은 제외
+  const header = rows[headerIndex].map(toCellText);
+  const columnIndexes = header.map((name, index) => (name ? index : -1)).filter(index => index !== -1);
+  const entries = rows.slice(headerIndex + 1).map(row => {
+    const entry = {};
+    columnIndexes.forEach(index => {
+      entry[header[index]] = toCellText(row[index]);
+    });
+    return entry;
+  });
+
+  return { columns: columnIndexes.map(index => header[index]), entries };
+}
+
+/**
+ * 조회 테이블 내보내기 파일 생성
+ * @param {Object} table - lookup_tables 행
+ * @param {string} [format='xlsx'] - xlsx | csv
+ * @returns {{buffer: Buffer, contentType: string, fileName: string}}
+ */
+function writeLookupFile(table, format = 'xlsx') {
+  const columns = table.column_names || [];
+  const sheet = XLSX.utils.aoa_to_sheet([
+    columns,
+    ...(table.entries || []).map(entry => columns.map(name => entry[name] ?? ''))
+  ]);
+  const fileName = `${table.name}.${format}`;
+
+  if (format === 'csv') {
+    // Excel에서 한글이 깨지지 않도록 UTF-8 BOM 추가
+    const csv = XLSX.utils.sheet_to_csv(sheet, { RS: '\r\n' });
+    return { buffer: Buffer.from('\uFEFF' + csv, 'utf8'), contentType: CONTENT_TYPES.csv, fileName };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, '조회테이블');
+  return {
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    contentType: CONTENT_TYPES.xlsx,
+    fileName
+  };
+}
+
+/**
+ * 조회용 색인 생성 (매핑 수식 lookup 함수 입력)
+ * @param {Object} table - lookup_tables 행
+ * @returns {{name: string, keyColumn: string, columns: string[], entries: Map<string, Object>}}
+ */
+function createLookupIndex(table) {
+  const entries = new Map();
+  (table.entries || []).forEach(entry => {
+    const key = toCellText(entry[table.key_column]);
+    if (key && !entries.has(key)) entries.set(key, entry);
+  });
+
+  return {
+    name: table.name,
+    keyColumn: table.key_column,
+    columns: table.column_names || [],
+    entries
+  };
+}
+
+/**
+ * 이름으로 조회 테이블 불러오기
+ * @param {string[]} names - 조회 테이블 이름
+ * @returns {Promise<Map<string, Object>>} 이름 → 조회용 색인
+ * @throws 없는 조회 테이블
+ */
+async function loadLookupTables(names) {
+  const lookupTables = new Map();
+
+  for (const name of new Set(names)) {
+    const table = await getRepositories().lookupTables.findActiveByName(name);
+    if (!table) {
+      throw new Error(`조회 테이블을 찾을 수 없습니다: ${name}`);
+    }
+    lookupTables.set(name, createLookupIndex(table));
+  }
+
+  return lookupTables;
+}
+
+/**
+ * 매핑 규칙의 수식이 쓰는 조회 테이블 불러오기
+ * @param {Object} rules - { 발주서필드: 매핑 값 }
+ * @returns {Promise<Map<string, Object>>} 이름 → 조회용 색인
+ * @throws 수식 문법 오류 또는 없는 조회 테이블
+ */
+async function loadMappingLookupTables(rules) {
+  const names = Object.values(rules || {})
+    .filter(isMappingExpression)
+    .flatMap(value => compileMappingExpression(value).lookupTables);
+
+  return loadLookupTables(names);
+}
+
+module.exports = {
+  LOOKUP_FILE_FORMATS,
+  normalizeLookupEntries,
+  readLookupFile,
+  writeLookupFile,
+  createLookupIndex,
+  loadLookupTables,
+  loadMappingLookupTables
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const nodemailer = require('nodemailer');
+
+/**
+ * 파일 메일 전송 방식 (메일 서버 없이 이메일을 .eml 파일로 저장)
+ * 스테이징/테스트 환경에서 실제 발송 없이 본문과 첨부파일을 메일 프로그램으로 열어 확인하는 용도.
+ *
+ *   eml: rootDir/<시각>-<메시지 ID>.eml
+ *   maildir: rootDir/tmp에 쓴 후 rootDir/new로 이동 (Maildir 형식, 메일 프로그램에서 메일함으로 열 수 있음)
+ *
+ * @param {Object} options
+ * @param {string} [options.rootDir] - 저장 디렉토리 (기본값: OS 임시 디렉토리/autorder-mail)
+ * @param {string} [options.format='eml'] - 'eml' | 'maildir'
+ * @returns {Object} 메일 전송 방식
+ */
+function createFileTransport(options = {}) {
+  const rootDir = path.resolve(options.rootDir || path.join(os.tmpdir(), 'autorder-mail'));
+  const format = options.format === 'maildir' ? 'maildir' : 'eml';
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  let sequence = 0;
+
+  const writeEml = async (message, messageId) => {
+    await fs.promises.mkdir(rootDir, { recursive: true });
+    const safeId = String(messageId || '').replace(/[<>]/g, '').replace(/[^A-Za-z0-9._-]/g, '_');
+    const filePath = path.join(rootDir, `${Date.now()}-${safeId || ++sequence}.eml`);
+    await fs.promises.writeFile(filePath, message);
+    return filePath;
+  };
+
+  // Maildir: 다른 프로그램이 쓰는 도중의 파일을 읽지 않도록 tmp에 쓴 후 new로 이동
+  const writeMaildir = async (message) => {
+    await Promise.all(['tmp', 'new', 'cur'].map(dir => fs.promises.mkdir(path.join(rootDir, dir), { recursive: true })));
+    const fileName = `${Date.now()}.${process.pid}_${++sequence}.${os.hostname().replace(/[/:]/g, '_')}`;
+    const tmpPath = path.join(rootDir, 'tmp', fileName);
+    const filePath = path.join(rootDir, 'new', fileName);
+    await fs.promises.writeFile(tmpPath, message);
+    await fs.promises.rename(tmpPath, filePath);
+    return filePath;
+  };
+
+  return {
+    name: 'file',
+    captured: true,
+    rootDir,
+    format,
+
+    async sendMail(mailOptions) {
+      const info = await transporter.sendMail(mailOptions);
+      const filePath = format === 'maildir'
+        ? await writeMaildir(info.message)
+        : await writeEml(info.message, info.messageId);
+
+      console.log('📁 이메일 파일 저장:', filePath);
+      return {
+        messageId: info.messageId,
+        envelope: info.envelope,
+        accepted: [...info.envelope.to],
+        rejected: [],
+        path: filePath
+      };
+    }
+  };
+}
+
+module.exports = {
+  createFileTransport
+};
@@ -0,0 +1,70 @@
+const { createSmtpTransport } = require('./smtpTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createMemoryTransport } = require('./memoryTransport');
+
+/**
+ * 메일 전송 방식 선택
+ * MAIL_TRANSPORT 환경변수로 지정: smtp(기본값) | file | memory
+ *
+ * smtp는 EMAIL_USER/EMAIL_PASS가 없으면 getMailTransport()가 null을 반환하고, 이메일은 기존처럼 시뮬레이션으로 기록된다.
+ * file/memory는 메일 서버 없이 이메일을 그대로 보관하므로(captured: true) 전송 이력에는 simulation으로 기록된다.
+ * 모든 전송 방식은 공통 인터페이스를 구현:
+ *   sendMail(mailOptions) → { messageId, envelope, accepted, ... } (nodemailer sendMail과 같은 형식)
+ */
+
+const SUPPORTED_TRANSPORTS = ['smtp', 'file', 'memory'];
+
+let cachedTransport;
+
+function getMailTransportName() {
+  const name = (process.env.MAIL_TRANSPORT || 'smtp').trim().toLowerCase();
+
+  if (!SUPPORTED_TRANSPORTS.includes(name)) {
+    console.warn(`⚠️ 알 수 없는 MAIL_TRANSPORT "${name}" - smtp 전송 방식을 사용합니다.`);
+    return 'smtp';
+  }
+
+  return name;
+}
+
+function getMailTransport() {
+  if (cachedTransport !== undefined) return cachedTransport;
+
+  const name = getMailTransportName();
+
+  if (name === 'file') {
+    cachedTransport = createFileTransport({
+      rootDir: process.env.MAIL_FILE_DIR,
+      format: process.env.MAIL_FILE_FORMAT
+    });
+    console.log(`📁 이메일 파일 저장 모드 (${cachedTransport.format}):`, cachedTransport.rootDir);
+  } else if (name === 'memory') {
+    cachedTransport = createMemoryTransport({ limit: parseInt(process.env.MAIL_OUTBOX_LIMIT, 10) || undefined });
+    console.log(`📥 보낸 편지함(메모리) 모드 - 최대 ${cachedTransport.limit}개 보관`);
+  } else if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    cachedTransport = createSmtpTransport({
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+      secure: process.env.SMTP_SECURE === 'true',
+      rejectUnauthorized: process.env.SMTP_REJECT_UNAUTHORIZED !== 'false'
+    });
+  } else {
+    console.log('⚠️  이메일 설정이 없어 시뮬레이션 모드로 실행됩니다.');
+    cachedTransport = null;
+  }
+
+  return cachedTransport;
+}
+
+// 환경변수 변경 후 전송 방식을 다시 만들 때 사용 (테스트 등)
+function resetMailTransport() {
+  cachedTransport = undefined;
+}
+
+module.exports = {
+  getMailTransport,
+  getMailTransportName,
+  resetMailTransport
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * 메모리 메일 전송 방식 (보낸 편지함)
+ * 이메일을 실제로 보내지 않고 프로세스 메모리에 보관하며, /api/email/outbox에서 조회한다.
+ * 서버를 재시작하면 비워지고, 최대 개수를 넘으면 오래된 이메일부터 지운다.
+ *
+ * @param {Object} options
+ * @param {number} [options.limit=100] - 보관할 최대 이메일 수
+ * @returns {Object} 메일 전송 방식 (sendMail 외에 list, get, getRaw, getAttachment, clear)
+ */
+function createMemoryTransport(options = {}) {
+  const limit = Math.max(1, options.limit || 100);
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  const outbox = []; // 최신 이메일이 앞
+
+  const toAttachment = (attachment) => {
+    const content = Buffer.isBuffer(attachment.content)
+      ? attachment.content
+      : Buffer.from(String(attachment.content || ''));
+    return {
+      filename: attachment.filename,
+      contentType: attachment.contentType || 'application/octet-stream',
+      size: content.length,
+      content
+    };
+  };
+
+  // 목록/상세 응답 (원문과 첨부파일 내용 제외)
+  const toSummary = (email) => ({
+    id: email.id,
+    messageId: email.messageId,
+    from: email.from,
+    to: email.to,
+    cc: email.cc,
+    bcc: email.bcc,
+    subject: email.subject,
+    attachments: email.attachments.map(({ filename, contentType, size }) => ({ filename, contentType, size })),
+    size: email.raw.length,
+    capturedAt: email.capturedAt
+  });
+
+  return {
+    name: 'memory',
+    captured: true,
+    limit,
+
+    async sendMail(mailOptions) {
+      const info = await transporter.sendMail(mailOptions);
+      const email = {
+        id: crypto.randomUUID(),
+        messageId: info.messageId,
+        from: info.envelope.from,
+        to: mailOptions.to,
+        cc: mailOptions.cc || null,
+        bcc: mailOptions.bcc || null,
+        subject: mailOptions.subject,
+        text: mailOptions.text || null,
+        html: mailOptions.html || null,
+        attachments: (mailOptions.attachments || []).map(toAttachment),
+        raw: info.message,
+        capturedAt: new Date().toISOString()
+      };
+
+      outbox.unshift(email);
+      outbox.splice(limit);
+      console.log(`📥 보낸 편지함에 보관: ${email.to} (${email.id})`);
+
+      return {
+        messageId: info.messageId,
+        envelope: info.envelope,
+        accepted: [...info.envelope.to],
+        rejected: [],
+        outboxId: email.id
+      };
+    },
+
+    /**
+     * 보관된 이메일 목록 (최신순)
+     * @param {Object} [query]
+     * @param {string} [query.to] - 받는 사람/참조/숨은 참조에 포함된 주소
+     * @param {number} [query.limit]
+     * @returns {Array<Object>}
+     */
+    list({ to, limit: max } = {}) {
+      const needle = to ? String(to).toLowerCase() : null;
+      return outbox
+        .filter(email => !needle || [email.to, email.cc, email.bcc].some(value => String(value || '').toLowerCase().includes(needle)))
+        .slice(0, max || outbox.length)
+        .map(toSummary);
+    },
+
+    /**
+     * 보관된 이메일 상세 (본문 포함)
+     * @param {string} id - 보낸 편지함 ID
+     * @returns {Object|null}
+     */
+    get(id) {
+      const email = outbox.find(item => item.id === id);
+      return email ? { ...toSummary(email), text: email.text, html: email.html } : null;
+    },
+
+    // 이메일 원문 (.eml)
+    getRaw(id) {
+      const email = outbox.find(item => item.id === id);
+      return email ? email.raw : null;
+    },
+
+    /**
+     * 첨부파일
+     * @param {string} id - 보낸 편지함 ID
+     * @param {number} index - 첨부파일 순서 (0부터)
+     * @returns {{filename: string, contentType: string, size: number, content: Buffer}|null}
+     */
+    getAttachment(id, index) {
+      const email = outbox.find(item => item.id === id);
+      return (email && email.attachments[index]) || null;
+    },
+
+    /**
+     * 보낸 편지함 비우기
+     * @returns {number} 지운 이메일 수
+     */
+    clear() {
+      return outbox.splice(0).length;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryTransport
+};
@@ -0,0 +1,50 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP 메일 전송 방식 (Gmail 및 회사 SMTP 지원)
+ * SMTP_HOST가 있으면 회사 SMTP 서버, 없으면 Gmail을 사용한다.
+ *
+ * @param {Object} options
+ * @param {string} options.user - SMTP 계정 (EMAIL_USER)
+ * @param {string} options.pass - SMTP 비밀번호 (EMAIL_PASS)
+ * @param {string} [options.host] - SMTP 서버 (SMTP_HOST)
+ * @param {number} [options.port=587] - SMTP 포트 (SMTP_PORT)
+ * @param {boolean} [options.secure=false] - true면 465 포트 SSL (SMTP_SECURE)
+ * @param {boolean} [options.rejectUnauthorized=true] - 인증서 검증 여부 (SMTP_REJECT_UNAUTHORIZED)
+ * @returns {Object} 메일 전송 방식
+ */
+function createSmtpTransport(options) {
+  const { user, pass, host, port, secure = false, rejectUnauthorized = true } = options;
+
+  let transporter;
+  if (host) {
+    console.log('🏢 회사 SMTP 서버 사용:', host);
+    transporter = nodemailer.createTransport({
+      host,
+      port: port || 587,
+      secure, // true for 465, false for 587
+      auth: { user, pass },
+      // 회사 방화벽 등으로 인한 연결 문제 해결을 위한 옵션
+      tls: { rejectUnauthorized }
+    });
+  } else {
+    console.log('📧 Gmail SMTP 서버 사용');
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: { user, pass }
+    });
+  }
+
+  return {
+    name: 'smtp',
+    captured: false,
+
+    sendMail(mailOptions) {
+      return transporter.sendMail(mailOptions);
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport
+};
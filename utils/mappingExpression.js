@@ -0,0 +1,530 @@
+/**
+ * 매핑 수식
+ * 매핑 규칙 값에 [수식: ...]을 쓰면 주문서 컬럼을 조합/가공한 값을 발주서 필드에 넣는다.
+ * 수식은 직접 만든 파서로 해석하며 (eval 사용 안 함), 아래 연산자와 함수만 사용할 수 있다.
+ *
+ *   [수식: join(" ", {기본주소}, {상세주소})]        주소 합치기
+ *   [수식: phone({수취인 연락처})]                    전화번호 010-1234-5678 형식
+ *   [수식: upper(trim({SKU}))]                         대문자 SKU
+ *   [수식: {수량} * {단가}]                            금액 계산
+ *   [수식: if({수량} >= 10, "대량", "일반")]           조건
+ *   [수식: switch({배송방법}, "택배", "01", "퀵", "02", "99")]   값 바꾸기 (마지막 값은 기본값)
+ *   [수식: lookup("A상사 상품", {SKU}, "공급처코드")]  조회 테이블(/api/lookup-tables)에서 값 찾기 (4번째 인자는 없을 때 기본값)
+ *
+ * 문법
+ *   {컬럼명}: 주문서 컬럼 값 / "문자열", '문자열' / 숫자 / true, false
+ *   연산자: + - * / % (숫자 계산), & (문자열 잇기), == != < <= > >=, && || !, 괄호
+ *   문자열 비교는 양쪽이 모두 숫자이면 숫자로 비교
+ *
+ * 오류
+ *   문법 오류와 없는 함수는 수식을 해석할 때 (매핑 저장/발주서 생성 전) 오류를 던진다.
+ *   없는 컬럼, 숫자가 아닌 값 계산, 0으로 나누기, switch/lookup 불일치 등은 주문 행마다 오류를 던지며
+ *   발주서 생성기는 해당 칸을 비우고 행 번호와 함께 오류로 보고한다.
+ */
+
+const EXPRESSION_PATTERN = /^\s*\[수식:\s*([\s\S]*)\]\s*$/;
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '&', '!', '(', ')', ','];
+const COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+
+// 값 → 문자열 (엑셀 서식 있는 텍스트 포함)
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (value && typeof value === 'object' && Array.isArray(value.richText)) {
+    return value.richText.map(item => item.text || '').join('');
+  }
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+// 값 → 숫자 (천 단위 쉼표, 원 표시 허용)
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+
+  const text = toText(value).trim();
+  if (text === '') {
+    throw new Error('빈 값은 숫자로 계산할 수 없습니다. (ifempty로 기본값을 지정하세요)');
+  }
+  const number = Number(text.replace(/,/g, '').replace(/원$/, ''));
+  if (!Number.isFinite(number)) {
+    throw new Error(`숫자로 계산할 수 없는 값입니다: "${text}"`);
+  }
+  return number;
+}
+
+// 숫자로 읽을 수 있는 값인지 (비교 연산용)
+function isNumeric(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  const text = toText(value).trim().replace(/,/g, '');
+  return text !== '' && Number.isFinite(Number(text));
+}
+
+function isTruthy(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  return toText(value).trim() !== '';
+}
+
+function isEmpty(value) {
+  return toText(value).trim() === '';
+}
+
+// 부동소수점 오차 정리 (0.1 + 0.2 → 0.3)
+function cleanNumber(number) {
+  if (!Number.isFinite(number)) {
+    throw new Error('계산 결과가 숫자가 아닙니다.');
+  }
+  return Number(number.toFixed(10));
+}
+
+// 한국 전화번호 형식 (서울 02, 지역번호/휴대폰 0XX, 050X 안심번호, 15XX 대표번호), 형식을 알 수 없으면 원래 값
+function formatPhone(value) {
+  const text = toText(value).trim();
+  let digits = text.replace(/\D/g, '');
+  if (digits.startsWith('82') && digits.length >= 11) digits = '0' + digits.slice(2);
+
+  if (/^(15|16|18)\d{6}$/.test(digits)) return `${digits.slice(0, 4)}-${digits.slice(4)}`;
+  if (/^02\d{7,8}$/.test(digits)) return `02-${digits.slice(2, digits.length - 4)}-${digits.slice(-4)}`;
+  if (/^050\d{9}$/.test(digits)) return `${digits.slice(0, 4)}-${digits.slice(4, 8)}-${digits.slice(8)}`;
+  if (/^0\d{9,10}$/.test(digits)) return `${digits.slice(0, 3)}-${digits.slice(3, digits.length - 4)}-${digits.slice(-4)}`;
+  return text;
+}
+
+/**
+ * 사용할 수 있는 함수 (이름은 대소문자 구분 없음)
+ * minArgs/maxArgs: 인자 개수, lazy: 인자를 필요할 때만 계산 (if, ifempty - 쓰지 않는 쪽의 오류 무시)
+ */
+const FUNCTIONS = {
+  concat: { minArgs: 1, call: args => args.map(toText).join('') },
+  join: { minArgs: 2, call: ([separator, ...values]) => values.map(value => toText(value).trim()).filter(Boolean).join(toText(separator)) },
+  format: {
+    minArgs: 1,
+    call: ([template, ...values]) => toText(template).replace(/\{(\d+)\}/g, (match, index) => (
+      values[index] !== undefined ? toText(values[index]) : match
+    ))
+  },
+  upper: { minArgs: 1, maxArgs: 1, call: ([value]) => toText(value).toUpperCase() },
+  lower: { minArgs: 1, maxArgs: 1, call: ([value]) => toText(value).toLowerCase() },
+  trim: { minArgs: 1, maxArgs: 1, call: ([value]) => toText(value).trim() },
+  len: { minArgs: 1, maxArgs: 1, call: ([value]) => toText(value).length },
+  left: { minArgs: 2, maxArgs: 2, call: ([value, count]) => toText(value).slice(0, Math.max(0, toNumber(count))) },
+  right: {
+    minArgs: 2,
+    maxArgs: 2,
+    call: ([value, count]) => {
+      const length = Math.max(0, toNumber(count));
+      return length === 0 ? '' : toText(value).slice(-length);
+    }
+  },
+  mid: {
+    minArgs: 2,
+    maxArgs: 3,
+    call: ([value, start, count]) => {
+      const from = Math.max(1, toNumber(start)) - 1;
+      return count === undefined ? toText(value).slice(from) : toText(value).substr(from, Math.max(0, toNumber(count)));
+    }
+  },
+  replace: { minArgs: 3, maxArgs: 3, call: ([value, search, replacement]) => toText(value).split(toText(search)).join(toText(replacement)) },
+  contains: { minArgs: 2, maxArgs: 2, call: ([value, search]) => toText(value).includes(toText(search)) },
+  digits: { minArgs: 1, maxArgs: 1, call: ([value]) => toText(value).replace(/\D/g, '') },
+  phone: { minArgs: 1, maxArgs: 1, call: ([value]) => formatPhone(value) },
+  number: { minArgs: 1, maxArgs: 1, call: ([value]) => toNumber(value) },
+  round: {
+    minArgs: 1,
+    maxArgs: 2,
+    call: ([value, places = 0]) => {
+      const factor = 10 ** toNumber(places);
+      return cleanNumber(Math.round(toNumber(value) * factor) / factor);
+    }
+  },
+  floor: { minArgs: 1, maxArgs: 1, call: ([value]) => Math.floor(toNumber(value)) },
+  ceil: { minArgs: 1, maxArgs: 1, call: ([value]) => Math.ceil(toNumber(value)) },
+  abs: { minArgs: 1, maxArgs: 1, call: ([value]) => Math.abs(toNumber(value)) },
+  min: { minArgs: 1, call: args => Math.min(...args.map(toNumber)) },
+  max: { minArgs: 1, call: args => Math.max(...args.map(toNumber)) },
+  sum: { minArgs: 1, call: args => cleanNumber(args.reduce((total, value) => total + toNumber(value), 0)) },
+  if: {
+    minArgs: 2,
+    maxArgs: 3,
+    lazy: true,
+    call: ([condition, whenTrue, whenFalse]) => (isTruthy(condition()) ? whenTrue() : (whenFalse ? whenFalse() : ''))
+  },
+  ifempty: {
+    minArgs: 2,
+    lazy: true,
+    call: (args) => {
+      for (const arg of args) {
+        const value = arg();
+        if (!isEmpty(value)) return value;
+      }
+      return '';
+    }
+  },
+  lookup: {
+    minArgs: 3,
+    maxArgs: 4,
+    call: ([tableName, key, column, defaultValue], context) => {
+      const table = context.lookupTables && context.lookupTables.get(tableName);
+      if (!table) throw new Error(`조회 테이블을 불러오지 않았습니다: ${tableName}`);
+
+      const columnName = toText(column).trim();
+      if (!table.columns.includes(columnName)) {
+        throw new Error(`조회 테이블 "${tableName}"에 없는 컬럼입니다: ${columnName}`);
+      }
+
+      const text = toText(key).trim();
+      const entry = table.entries.get(text);
+      if (entry) return entry[columnName] ?? '';
+      if (defaultValue !== undefined) return defaultValue;
+
+      const error = new Error(`조회 테이블 "${tableName}"에 없는 값입니다: "${text}"`);
+      error.lookup = { table: tableName, key: text };
+      throw error;
+    }
+  },
+  switch: {
+    minArgs: 3,
+    call: ([value, ...cases]) => {
+      const text = toText(value).trim();
+      for (let index = 0; index + 1 < cases.length; index += 2) {
+        if (toText(cases[index]).trim() === text) return cases[index + 1];
+      }
+      if (cases.length % 2 === 1) return cases[cases.length - 1];
+      throw new Error(`switch: 일치하는 값이 없습니다: "${text}"`);
+    }
+  }
+};
+
+// 함수 정의 조회 (constructor, __proto__ 등 Object 기본 속성은 함수로 보지 않음)
+function findFunction(name) {
+  return Object.prototype.hasOwnProperty.call(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+}
+
+// 문법 오류 (위치는 1부터)
+function syntaxError(message, position) {
+  const error = new Error(`${position + 1}번째 글자: ${message}`);
+  error.position = position;
+  return error;
+}
+
+// 수식 → 토큰 목록
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    // {컬럼명}
+    if (char === '{') {
+      const end = source.indexOf('}', index + 1);
+      if (end === -1) throw syntaxError('컬럼 이름이 }로 닫히지 않았습니다.', index);
+      const name = source.slice(index + 1, end).trim();
+      if (!name) throw syntaxError('컬럼 이름이 비어 있습니다.', index);
+      tokens.push({ type: 'column', value: name, position: index });
+      index = end + 1;
+      continue;
+    }
+
+    // "문자열" / '문자열' (\" \\ \n 이스케이프)
+    if (char === '"' || char === "'") {
+      let value = '';
+      let cursor = index + 1;
+      while (cursor < source.length && source[cursor] !== char) {
+        if (source[cursor] === '\\' && cursor + 1 < source.length) {
+          const next = source[cursor + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          cursor += 2;
+        } else {
+          value += source[cursor++];
+        }
+      }
+      if (cursor >= source.length) throw syntaxError('문자열이 닫히지 않았습니다.', index);
+      tokens.push({ type: 'string', value, position: index });
+      index = cursor + 1;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(source.slice(index));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: index });
+      index += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index));
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: index });
+      index += identifier[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(item => source.startsWith(item, index));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: index });
+      index += operator.length;
+      continue;
+    }
+
+    throw syntaxError(`알 수 없는 문자입니다: ${char}`, index);
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// 토큰 목록 → 구문 트리 (우선순위: || < && < ! < 비교 < & < + - < * / % < 단항 -)
+function parse(source) {
+  const tokens = tokenize(source);
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+  const expectOperator = (value) => {
+    if (!isOperator(value)) {
+      throw syntaxError(`${value}가 필요합니다.`, peek().position);
+    }
+    return tokens[current++];
+  };
+
+  const binary = (next, operators) => () => {
+    let left = next();
+    while (isOperator(...operators)) {
+      const { value: operator, position } = tokens[current++];
+      left = { type: 'binary', operator, left, right: next(), position };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[current++];
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'column':
+        return { type: 'column', name: token.value, position: token.position };
+      case 'identifier': {
+        const name = token.value.toLowerCase();
+        if ((name === 'true' || name === 'false') && !isOperator('(')) {
+          return { type: 'literal', value: name === 'true' };
+        }
+        const definition = findFunction(name);
+        if (!definition) {
+          throw syntaxError(`지원하지 않는 함수입니다: ${token.value} (사용 가능: ${Object.keys(FUNCTIONS).join(', ')})`, token.position);
+        }
+        expectOperator('(');
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseExpression());
+          while (isOperator(',')) {
+            current++;
+            args.push(parseExpression());
+          }
+        }
+        expectOperator(')');
+        if (args.length < definition.minArgs || (definition.maxArgs !== undefined && args.length > definition.maxArgs)) {
+          const expected = definition.maxArgs === undefined
+            ? `${definition.minArgs}개 이상`
+            : definition.minArgs === definition.maxArgs ? `${definition.minArgs}개` : `${definition.minArgs}~${definition.maxArgs}개`;
+          throw syntaxError(`${name} 함수의 인자는 ${expected}여야 합니다.`, token.position);
+        }
+        if (name === 'lookup' && !(args[0].type === 'literal' && typeof args[0].value === 'string')) {
+          throw syntaxError('lookup 함수의 첫 번째 인자는 조회 테이블 이름(문자열)이어야 합니다.', token.position);
+        }
+        return { type: 'call', name, args, position: token.position };
+      }
+      case 'operator':
+        if (token.value === '(') {
+          const expression = parseExpression();
+          expectOperator(')');
+          return expression;
+        }
+        break;
+      default:
+        break;
+    }
+    throw syntaxError(token.type === 'end' ? '수식이 끝나지 않았습니다.' : `예상하지 못한 기호입니다: ${token.value}`, token.position);
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-')) {
+      const { position } = tokens[current++];
+      return { type: 'unary', operator: '-', operand: parseUnary(), position };
+    }
+    return parsePrimary();
+  };
+
+  const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+  const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+  const parseConcat = binary(parseAdditive, ['&']);
+
+  const parseComparison = () => {
+    const left = parseConcat();
+    if (!isOperator(...COMPARISON_OPERATORS)) return left;
+    const { value: operator, position } = tokens[current++];
+    return { type: 'binary', operator, left, right: parseConcat(), position };
+  };
+
+  const parseNot = () => {
+    if (isOperator('!')) {
+      current++;
+      return { type: 'unary', operator: '!', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = binary(parseNot, ['&&']);
+  const parseExpression = binary(parseAnd, ['||']);
+
+  if (peek().type === 'end') {
+    throw syntaxError('수식이 비어 있습니다.', 0);
+  }
+  const tree = parseExpression();
+  if (peek().type !== 'end') {
+    throw syntaxError(`예상하지 못한 기호입니다: ${peek().value}`, peek().position);
+  }
+  return tree;
+}
+
+function compare(operator, left, right) {
+  const numeric = isNumeric(left) && isNumeric(right);
+  const a = numeric ? toNumber(left) : toText(left).trim();
+  const b = numeric ? toNumber(right) : toText(right).trim();
+
+  switch (operator) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+}
+
+// 구문 트리 계산
+function evaluate(node, row, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column': {
+      if (!Object.prototype.hasOwnProperty.call(row, node.name)) {
+        throw new Error(`주문서에 없는 컬럼입니다: {${node.name}}`);
+      }
+      const value = row[node.name];
+      return value && typeof value === 'object' && !(value instanceof Date) ? toText(value) : (value ?? '');
+    }
+    case 'unary':
+      return node.operator === '-' ? -toNumber(evaluate(node.operand, row, context)) : !isTruthy(evaluate(node.operand, row, context));
+    case 'call': {
+      const definition = findFunction(node.name);
+      if (!definition) {
+        throw new Error(`지원하지 않는 함수입니다: ${node.name}`);
+      }
+      const args = definition.lazy
+        ? node.args.map(arg => () => evaluate(arg, row, context))
+        : node.args.map(arg => evaluate(arg, row, context));
+      return definition.call(args, context);
+    }
+    default:
+      break;
+  }
+
+  // 논리 연산은 필요한 쪽만 계산
+  if (node.operator === '&&') return isTruthy(evaluate(node.left, row, context)) && isTruthy(evaluate(node.right, row, context));
+  if (node.operator === '||') return isTruthy(evaluate(node.left, row, context)) || isTruthy(evaluate(node.right, row, context));
+
+  const left = evaluate(node.left, row, context);
+  const right = evaluate(node.right, row, context);
+  switch (node.operator) {
+    case '&':
+      return toText(left) + toText(right);
+    case '+':
+      return cleanNumber(toNumber(left) + toNumber(right));
+    case '-':
+      return cleanNumber(toNumber(left) - toNumber(right));
+    case '*':
+      return cleanNumber(toNumber(left) * toNumber(right));
+    case '/':
+    case '%': {
+      const divisor = toNumber(right);
+      if (divisor === 0) throw new Error('0으로 나눌 수 없습니다.');
+      return cleanNumber(node.operator === '/' ? toNumber(left) / divisor : toNumber(left) % divisor);
+    }
+    default:
+      return compare(node.operator, left, right);
+  }
+}
+
+// 구문 트리에서 참조하는 컬럼과 조회 테이블 목록
+function collectReferences(node, references = { columns: new Set(), lookupTables: new Set() }) {
+  if (node.type === 'column') references.columns.add(node.name);
+  if (node.type === 'call' && node.name === 'lookup') references.lookupTables.add(node.args[0].value);
+  [node.operand, node.left, node.right, ...(node.args || [])]
+    .filter(Boolean)
+    .forEach(child => collectReferences(child, references));
+  return references;
+}
+
+/**
+ * 매핑 값이 수식([수식: ...])인지 확인
+ * @param {*} value - 매핑 규칙 값
+ * @returns {boolean}
+ */
+function isMappingExpression(value) {
+  return typeof value === 'string' && EXPRESSION_PATTERN.test(value);
+}
+
+/**
+ * 수식 해석
+ * @param {string} value - [수식: ...] 또는 괄호 안의 수식
+ * @returns {{source: string, columns: string[], lookupTables: string[], evaluate: Function}}
+ *   evaluate(row, context) - 주문 행({ 컬럼명: 값 })으로 계산 (실패 시 throw)
+ *   context.lookupTables: lookup 함수가 쓰는 조회 테이블 (Map: 이름 → utils/lookupTables.createLookupIndex 결과)
+ * @throws 문법 오류 (error.position에 오류 위치)
+ */
+function compileMappingExpression(value) {
+  const match = EXPRESSION_PATTERN.exec(value);
+  const source = match ? match[1].trim() : String(value || '').trim();
+  const tree = parse(source);
+  const references = collectReferences(tree);
+
+  return {
+    source,
+    columns: [...references.columns],
+    lookupTables: [...references.lookupTables],
+    evaluate: (row, context = {}) => evaluate(tree, row || {}, context)
+  };
+}
+
+/**
+ * 매핑 규칙의 수식 문법 검증 (매핑/템플릿 저장 시)
+ * @param {Object} rules - { 발주서필드: 매핑 값 }
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateMappingExpressions(rules) {
+  const errors = [];
+
+  Object.entries(rules || {}).forEach(([field, value]) => {
+    if (!isMappingExpression(value)) return;
+    try {
+      compileMappingExpression(value);
+    } catch (error) {
+      errors.push(`${field}: ${error.message}`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
+
+module.exports = {
+  isMappingExpression,
+  compileMappingExpression,
+  validateMappingExpressions
+};
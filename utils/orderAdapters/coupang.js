@@ -0,0 +1,118 @@
+/**
+ * 쿠팡 주문 어댑터
+ * 쿠팡 Wing 발주서(ordersheet) 형식을 지원한다. 발주서 하나 또는 목록({ data: [...] })을 받으며,
+ * 발주서의 주문 상품(orderItems)마다 표준 주문 한 행으로 변환한다.
+ */
+
+// 쿠팡 발주서 상태 → 표준 주문상태
+const ORDER_STATUS_LABELS = {
+  ACCEPT: '결제완료',
+  INSTRUCT: '상품준비중',
+  DEPARTURE: '배송지시',
+  DELIVERING: '배송중',
+  FINAL_DELIVERY: '배송완료',
+  NONE_TRACKING: '업체직송'
+};
+
+// 발주서 목록 (형식이 맞지 않으면 null)
+function getOrderSheets(data) {
+  if (Array.isArray(data.data)) return data.data;
+  if (data.orderId !== undefined || data.orderItems) return [data];
+  return null;
+}
+
+// 주문 상품 단위 목록 (상품이 없는 발주서도 검증 오류를 보고하도록 한 행으로 유지)
+function getOrderItems(orderSheets) {
+  return orderSheets.flatMap(sheet => {
+    const items = Array.isArray(sheet?.orderItems) && sheet.orderItems.length > 0 ? sheet.orderItems : [null];
+    return items.map(item => ({ sheet: sheet || {}, item }));
+  });
+}
+
+// 📋 주문 데이터 검증 (주문 상품 단위, index는 전체 주문 상품 순번)
+function validate(data) {
+  const errors = [];
+  const rejectedOrders = [];
+  const orderSheets = getOrderSheets(data);
+  const orderItems = orderSheets ? getOrderItems(orderSheets) : [];
+  
+  if (!orderSheets) {
+    errors.push('발주서(orderId, orderItems) 또는 data 배열이 필요합니다.');
+  } else if (orderSheets.length === 0) {
+    errors.push('주문 목록이 비어있습니다.');
+  } else {
+    orderItems.forEach(({ sheet, item }, index) => {
+      const orderErrors = [];
+      
+      if (sheet.orderId === undefined || sheet.orderId === null || sheet.orderId === '') {
+        orderErrors.push('orderId가 필요합니다.');
+      }
+      if (!sheet.orderer?.name) {
+        orderErrors.push('orderer.name이 필요합니다.');
+      }
+      if (!item) {
+        orderErrors.push('orderItems가 비어있습니다.');
+      } else {
+        if (!item.vendorItemName && !item.sellerProductName) {
+          orderErrors.push('vendorItemName이 필요합니다.');
+        }
+        if (!item.shippingCount || item.shippingCount <= 0) {
+          orderErrors.push('유효한 shippingCount가 필요합니다.');
+        }
+      }
+      
+      if (orderErrors.length > 0) {
+        rejectedOrders.push({ index, orderId: sheet.orderId ?? null, errors: orderErrors });
+        orderErrors.forEach(message => errors.push(`주문 ${index + 1}: ${message}`));
+      }
+    });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors,
+    rejectedOrders: rejectedOrders,
+    orderCount: orderSheets ? orderItems.length : 1
+  };
+}
+
+// 🔄 쿠팡 데이터를 표준 형식으로 변환 (주문 상품마다 한 행)
+function standardize(data) {
+  const orderSheets = getOrderSheets(data) || [];
+  
+  return getOrderItems(orderSheets).map(({ sheet, item }, index) => {
+    const orderItem = item || {};
+    const orderer = sheet.orderer || {};
+    const receiver = sheet.receiver || {};
+    
+    return {
+      주문순번: index,
+      주문번호: sheet.orderId === undefined || sheet.orderId === null ? sheet.orderId : String(sheet.orderId),
+      상품명: orderItem.vendorItemName || orderItem.sellerProductName || '',
+      주문금액: orderItem.orderPrice || 0,
+      주문일자: sheet.orderedAt ? new Date(sheet.orderedAt).toLocaleDateString('ko-KR') : new Date().toLocaleDateString('ko-KR'),
+      SKU: orderItem.externalVendorSkuCode || '',
+      옵션: orderItem.sellerProductItemName || '',
+      수량: orderItem.shippingCount || 1,
+      주문자이름: orderer.name,
+      주문자연락처: orderer.safeNumber || '',
+      주문자이메일: orderer.email || '',
+      배송정보: [receiver.addr1, receiver.addr2].filter(Boolean).join(' '),
+      발송일자: '',
+      주문상태: ORDER_STATUS_LABELS[sheet.status] || sheet.status || '결제완료',
+      수취인이름: receiver.name || orderer.name,
+      수취인연락처: receiver.safeNumber || orderer.safeNumber || '',
+      개인통관번호: sheet.overseaShippingInfoDto?.personalCustomsClearanceCode || '',
+      
+      플랫폼: '쿠팡',
+      처리일시: new Date().toISOString()
+    };
+  });
+}
+
+module.exports = {
+  platform: 'coupang',
+  name: '쿠팡',
+  validate,
+  standardize
+};
@@ -0,0 +1,72 @@
+const runmoa = require('./runmoa');
+const smartstore = require('./smartstore');
+const coupang = require('./coupang');
+
+/**
+ * 판매 플랫폼별 주문 수집 어댑터 레지스트리
+ * Webhook(/api/webhook/orders/:platform)으로 받은 플랫폼 고유 형식의 주문을
+ * 같은 표준 주문 형식으로 변환하여 발주서 생성/이메일 전송을 공유한다.
+ *
+ * 어댑터 형식:
+ *   platform    - URL에 사용하는 플랫폼 코드 (예: 'smartstore')
+ *   name        - 표준 주문의 플랫폼 필드에 기록되는 이름 (예: '스마트스토어')
+ *   validate(payload)    → { isValid, errors, rejectedOrders: [{ index, orderId, errors }], orderCount }
+ *   standardize(payload) → 표준 주문 배열 (주문순번은 validate의 index와 같은 기준)
+ *
+ * 표준 주문 필드: 주문순번, 주문번호, 상품명, 주문금액, 주문일자, SKU, 옵션, 수량,
+ *   주문자이름, 주문자연락처, 주문자이메일, 배송정보, 발송일자, 주문상태,
+ *   수취인이름, 수취인연락처, 개인통관번호, 플랫폼, 플랫폼코드, 처리일시
+ */
+
+const DEFAULT_PLATFORM = runmoa.platform;
+
+const adapters = new Map();
+
+// 📦 어댑터 등록
+function registerOrderAdapter(adapter) {
+  if (!adapter || !adapter.platform || typeof adapter.validate !== 'function' || typeof adapter.standardize !== 'function') {
+    throw new Error('주문 어댑터에는 platform, validate, standardize가 필요합니다.');
+  }
+  adapters.set(adapter.platform, adapter);
+}
+
+[runmoa, smartstore, coupang].forEach(registerOrderAdapter);
+
+/**
+ * 플랫폼 코드로 어댑터 조회
+ * @param {string} platform - 플랫폼 코드 (대소문자 무시)
+ * @returns {Object|null} 어댑터 (지원하지 않는 플랫폼이면 null)
+ */
+function getOrderAdapter(platform) {
+  return adapters.get(String(platform || '').toLowerCase()) || null;
+}
+
+/**
+ * 지원 플랫폼 목록
+ * @returns {Array<{platform: string, name: string}>}
+ */
+function listOrderAdapters() {
+  return [...adapters.values()].map(adapter => ({ platform: adapter.platform, name: adapter.name }));
+}
+
+/**
+ * 어댑터로 표준 주문 변환 (플랫폼 이름/코드 기록)
+ * @param {Object} adapter - 주문 어댑터
+ * @param {Object} payload - 플랫폼에서 받은 주문 데이터
+ * @returns {Array<Object>} 표준 주문 배열
+ */
+function standardizeOrders(adapter, payload) {
+  return adapter.standardize(payload).map(order => ({
+    ...order,
+    플랫폼: adapter.name,
+    플랫폼코드: adapter.platform
+  }));
+}
+
+module.exports = {
+  DEFAULT_PLATFORM,
+  registerOrderAdapter,
+  getOrderAdapter,
+  listOrderAdapters,
+  standardizeOrders
+};
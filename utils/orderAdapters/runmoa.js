@@ -0,0 +1,228 @@
+/**
+ * 런모아 주문 어댑터
+ * 실제 런모아 엑셀 형식의 다중 주문({ orders: [...] })과
+ * 기존 단일 주문 형식(영어/한글 필드명)을 지원한다.
+ */
+
+// 📋 주문 데이터 검증 함수 (실제 런모아 형식에 맞춤)
+function validate(data) {
+  const errors = [];
+  const rejectedOrders = []; // 다중 주문 중 검증에 실패한 주문 ({ index, orderId, errors })
+  
+  // 런모아 실제 형식 검증
+  if (data.orders && Array.isArray(data.orders)) {
+    // 다중 주문 형식 (실제 런모아 엑셀 형식)
+    if (data.orders.length === 0) {
+      errors.push('주문 목록이 비어있습니다.');
+    } else {
+      data.orders.forEach((order, index) => {
+        const orderErrors = [];
+        
+        if (!order || typeof order !== 'object') {
+          orderErrors.push('주문 데이터가 객체가 아닙니다.');
+        } else {
+          // 필드명이 없을 때만 오류 처리 (빈 값은 허용)
+          if (order.주문_번호 === undefined || order.주문_번호 === null) {
+            orderErrors.push('주문_번호가 필요합니다.');
+          }
+          if (order.상품명 === undefined || order.상품명 === null) {
+            orderErrors.push('상품명이 필요합니다.');
+          }
+          if (order.주문자_이름 === undefined || order.주문자_이름 === null) {
+            orderErrors.push('주문자_이름이 필요합니다.');
+          }
+          if (order.수량 === undefined || order.수량 === null || order.수량 <= 0) {
+            orderErrors.push('유효한 수량이 필요합니다.');
+          }
+        }
+        
+        if (orderErrors.length > 0) {
+          rejectedOrders.push({ index, orderId: order?.주문_번호 ?? null, errors: orderErrors });
+          orderErrors.forEach(message => errors.push(`주문 ${index + 1}: ${message}`));
+        }
+      });
+    }
+  } else {
+    // 단일 주문 형식 (기존 호환성 - 영어/한글 모두 지원)
+    
+    // 영어 필드명 형식 검증
+    if (data.order_id || data.customer_name || data.products) {
+      const requiredFields = [
+        'order_id',
+        'customer_name', 
+        'products'
+      ];
+      
+      requiredFields.forEach(field => {
+        if (!data[field]) {
+          errors.push(`${field}는 필수 필드입니다.`);
+        }
+      });
+      
+      // 상품 배열 검증
+      if (data.products && Array.isArray(data.products)) {
+        if (data.products.length === 0) {
+          errors.push('상품 목록이 비어있습니다.');
+        } else {
+          data.products.forEach((product, index) => {
+            if (!product.product_name) {
+              errors.push(`상품 ${index + 1}: product_name이 필요합니다.`);
+            }
+            if (!product.quantity || product.quantity <= 0) {
+              errors.push(`상품 ${index + 1}: 유효한 quantity가 필요합니다.`);
+            }
+          });
+        }
+      }
+    } else {
+      // 한글 필드명 형식 검증 (여러 형식 지원)
+      const hasUnderscoreFormat = data['주문_번호'] || data['상품명'] || data['주문자_이름'];
+      const hasNormalFormat = data['주문번호'] || data['상품명'] || data['주문자이름'];
+      
+      if (hasUnderscoreFormat) {
+        // 언더스코어 형식 (예: 주문_번호)
+        const requiredFields = [
+          '주문_번호',
+          '상품명', 
+          '주문자_이름'
+        ];
+        
+        requiredFields.forEach(field => {
+          if (!data[field]) {
+            errors.push(`${field}는 필수 필드입니다.`);
+          }
+        });
+      } else if (hasNormalFormat) {
+        // 일반 형식 (예: 주문번호)
+        const requiredFields = [
+          '주문번호',
+          '상품명', 
+          '주문자이름'
+        ];
+        
+        requiredFields.forEach(field => {
+          if (!data[field]) {
+            errors.push(`${field}는 필수 필드입니다.`);
+          }
+        });
+      } else {
+        // 필수 필드 중 하나라도 있는지 확인
+        const hasAnyRequiredField = data['주문_번호'] || data['주문번호'] || 
+                                   data['상품명'] || 
+                                   data['주문자_이름'] || data['주문자이름'];
+        
+        if (!hasAnyRequiredField) {
+          errors.push('주문_번호(또는 주문번호), 상품명, 주문자_이름(또는 주문자이름) 중 하나 이상이 필요합니다.');
+        }
+      }
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors,
+    rejectedOrders: rejectedOrders,
+    orderCount: Array.isArray(data.orders) ? data.orders.length : 1
+  };
+}
+
+// 🔄 런모아 데이터를 표준 형식으로 변환 (실제 엑셀 형식 기준)
+function standardize(orderData) {
+  let orders = [];
+  
+  // 다중 주문 형식인지 단일 주문 형식인지 확인
+  if (orderData.orders && Array.isArray(orderData.orders)) {
+    // 실제 런모아 엑셀 형식 (다중 주문)
+    orders = orderData.orders.map((order, index) => ({
+      주문순번: index,
+      
+      // 실제 런모아 엑셀 컬럼 매핑
+      주문번호: order.주문_번호,
+      상품명: order.상품명,
+      주문금액: order.주문금액 || 0,
+      주문일자: order.주문일자 || new Date().toLocaleDateString('ko-KR'),
+      SKU: order.SKU || '',
+      옵션: order.옵션 || '',
+      수량: order.수량 || 1,
+      주문자이름: order.주문자_이름,
+      주문자연락처: order.주문자_연락처 || '',
+      주문자이메일: order.주문자_이메일 || '',
+      배송정보: order.배송정보 || '',
+      발송일자: order.발송일자 || '',
+      주문상태: order.주문_상태 || '결제완료',
+      수취인이름: order.수취인_이름 || order.주문자_이름,
+      수취인연락처: order.수취인_연락처 || order.주문자_연락처,
+      개인통관번호: order.개인통관번호 || '',
+      
+      // 메타데이터
+      플랫폼: '런모아',
+      처리일시: new Date().toISOString()
+    }));
+  } else {
+    // 단일 주문 형식 (기존 호환성 - 영어/한글 모두 지원)
+    
+    if (orderData.order_id || orderData.customer_name || orderData.products) {
+      // 영어 필드명 형식 (기존 호환성) - 상품마다 한 행
+      const products = Array.isArray(orderData.products) && orderData.products.length > 0
+        ? orderData.products
+        : [{}];
+      orders = products.map((product, index) => ({
+        주문순번: index,
+        주문번호: orderData.order_id,
+        상품명: product.product_name || '',
+        주문금액: product.total_price || (products.length === 1 ? orderData.total_amount : 0) || 0,
+        주문일자: orderData.order_date ? new Date(orderData.order_date).toLocaleDateString('ko-KR') : new Date().toLocaleDateString('ko-KR'),
+        SKU: product.sku || '',
+        옵션: product.option || '',
+        수량: product.quantity || 1,
+        주문자이름: orderData.customer_name,
+        주문자연락처: orderData.customer_phone || '',
+        주문자이메일: orderData.customer_email || '',
+        배송정보: orderData.shipping_address || '',
+        발송일자: '',
+        주문상태: '결제완료',
+        수취인이름: orderData.customer_name,
+        수취인연락처: orderData.customer_phone || '',
+        개인통관번호: '',
+        
+        플랫폼: '런모아',
+        처리일시: new Date().toISOString()
+      }));
+    } else {
+      // 한글 필드명 형식
+      orders = [{
+        주문순번: 0,
+        주문번호: orderData.주문_번호,
+        상품명: orderData.상품명,
+        주문금액: orderData.주문금액 || 0,
+        주문일자: orderData.주문일자 || new Date().toLocaleDateString('ko-KR'),
+        SKU: orderData.SKU || '',
+        옵션: orderData.옵션 || '',
+        수량: orderData.수량 || 1,
+        주문자이름: orderData.주문자_이름,
+        주문자연락처: orderData.주문자_연락처 || '',
+        주문자이메일: orderData.주문자_이메일 || '',
+        배송정보: orderData.배송정보 || '',
+        발송일자: orderData.발송일자 || '',
+        주문상태: orderData.주문_상태 || '결제완료',
+        수취인이름: orderData.수취인_이름 || orderData.주문자_이름,
+        수취인연락처: orderData.수취인_연락처 || orderData.주문자_연락처,
+        개인통관번호: orderData.개인통관번호 || '',
+        
+        플랫폼: '런모아',
+        처리일시: new Date().toISOString()
+      }];
+    }
+  }
+  
+  console.log('🏷️ 런모아 → 표준 형식 변환 완료:', orders.length + '개 주문');
+  
+  return orders;
+}
+
+module.exports = {
+  platform: 'runmoa',
+  name: '런모아',
+  validate,
+  standardize
+};
@@ -0,0 +1,111 @@
+/**
+ * 네이버 스마트스토어 주문 어댑터
+ * 커머스 API 상품 주문 상세 조회 응답 형식({ data: [{ order, productOrder }] })과
+ * 상품 주문 하나({ order, productOrder })를 지원한다. 상품 주문번호(productOrderId)를 주문번호로 사용한다.
+ */
+
+// 스마트스토어 상품 주문 상태 → 표준 주문상태
+const ORDER_STATUS_LABELS = {
+  PAYMENT_WAITING: '입금대기',
+  PAYED: '결제완료',
+  DELIVERING: '배송중',
+  DELIVERED: '배송완료',
+  PURCHASE_DECIDED: '구매확정',
+  EXCHANGED: '교환',
+  CANCELED: '취소',
+  RETURNED: '반품'
+};
+
+// 상품 주문 목록 (형식이 맞지 않으면 null)
+function getProductOrders(data) {
+  if (Array.isArray(data.data)) return data.data;
+  if (data.productOrder) return [data];
+  return null;
+}
+
+// 📋 주문 데이터 검증
+function validate(data) {
+  const errors = [];
+  const rejectedOrders = [];
+  const productOrders = getProductOrders(data);
+  
+  if (!productOrders) {
+    errors.push('data 배열 또는 productOrder 객체가 필요합니다.');
+  } else if (productOrders.length === 0) {
+    errors.push('주문 목록이 비어있습니다.');
+  } else {
+    productOrders.forEach((item, index) => {
+      const orderErrors = [];
+      const productOrder = item?.productOrder;
+      
+      if (!productOrder || typeof productOrder !== 'object') {
+        orderErrors.push('productOrder가 필요합니다.');
+      } else {
+        if (!productOrder.productOrderId) {
+          orderErrors.push('productOrder.productOrderId가 필요합니다.');
+        }
+        if (!productOrder.productName) {
+          orderErrors.push('productOrder.productName이 필요합니다.');
+        }
+        if (!productOrder.quantity || productOrder.quantity <= 0) {
+          orderErrors.push('유효한 productOrder.quantity가 필요합니다.');
+        }
+      }
+      if (!item?.order?.ordererName) {
+        orderErrors.push('order.ordererName이 필요합니다.');
+      }
+      
+      if (orderErrors.length > 0) {
+        rejectedOrders.push({ index, orderId: productOrder?.productOrderId ?? null, errors: orderErrors });
+        orderErrors.forEach(message => errors.push(`주문 ${index + 1}: ${message}`));
+      }
+    });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors,
+    rejectedOrders: rejectedOrders,
+    orderCount: productOrders ? productOrders.length : 1
+  };
+}
+
+// 🔄 스마트스토어 데이터를 표준 형식으로 변환
+function standardize(data) {
+  return (getProductOrders(data) || []).map((item, index) => {
+    const order = item.order || {};
+    const productOrder = item.productOrder || {};
+    const shippingAddress = productOrder.shippingAddress || {};
+    const orderDate = order.paymentDate || order.orderDate;
+    
+    return {
+      주문순번: index,
+      주문번호: productOrder.productOrderId,
+      상품명: productOrder.productName,
+      주문금액: productOrder.totalPaymentAmount || 0,
+      주문일자: orderDate ? new Date(orderDate).toLocaleDateString('ko-KR') : new Date().toLocaleDateString('ko-KR'),
+      SKU: productOrder.sellerProductCode || '',
+      옵션: productOrder.productOption || '',
+      수량: productOrder.quantity || 1,
+      주문자이름: order.ordererName,
+      주문자연락처: order.ordererTel || '',
+      주문자이메일: '',
+      배송정보: [shippingAddress.baseAddress, shippingAddress.detailedAddress].filter(Boolean).join(' '),
+      발송일자: '',
+      주문상태: ORDER_STATUS_LABELS[productOrder.productOrderStatus] || productOrder.productOrderStatus || '결제완료',
+      수취인이름: shippingAddress.name || order.ordererName,
+      수취인연락처: shippingAddress.tel1 || order.ordererTel || '',
+      개인통관번호: productOrder.individualCustomUniqueCode || '',
+      
+      플랫폼: '스마트스토어',
+      처리일시: new Date().toISOString()
+    };
+  });
+}
+
+module.exports = {
+  platform: 'smartstore',
+  name: '스마트스토어',
+  validate,
+  standardize
+};
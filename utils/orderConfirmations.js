@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { getRepositories } = require('./repositories');
+
+/**
+ * 발주서 수신 확인
+ * 공급처에 전송하는 발주서 이메일마다 추측할 수 없는 토큰으로 확인/거절 링크를 만들고,
+ * 전송에 성공하면 purchase_order_confirmations에 pending 상태로 기록한다.
+ * 공급처가 링크(/api/confirmations/:token/confirm|reject)에서 회신하면 confirmed/rejected로 바뀌며,
+ * 확인 기한(deadline_at)이 지나도록 pending인 발주서는 미확인 발주서로 조회한다.
+ *
+ * 설정
+ *   ORDER_CONFIRMATION_ENABLED: false면 확인 링크를 넣지 않음 (기본값 true)
+ *   ORDER_CONFIRMATION_DEADLINE_HOURS: 전송 후 확인 기한 (시간, 기본값 24)
+ *   PUBLIC_BASE_URL: 링크에 쓰는 서버 주소 (기본값 http://localhost:PORT)
+ */
+
+const DEFAULT_DEADLINE_HOURS = 24;
+const CONFIRMATION_ROUTE = '/api/confirmations';
+
+function isOrderConfirmationEnabled() {
+  return process.env.ORDER_CONFIRMATION_ENABLED !== 'false';
+}
+
+function getConfirmationDeadlineHours() {
+  const hours = parseFloat(process.env.ORDER_CONFIRMATION_DEADLINE_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_DEADLINE_HOURS;
+}
+
+function getPublicBaseUrl() {
+  return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+}
+
+/**
+ * 확인/거절 링크
+ * @param {string} token - 확인 토큰
+ * @returns {{confirmUrl: string, rejectUrl: string}}
+ */
+function getConfirmationLinks(token) {
+  const base = `${getPublicBaseUrl()}${CONFIRMATION_ROUTE}/${encodeURIComponent(token)}`;
+  return { confirmUrl: `${base}/confirm`, rejectUrl: `${base}/reject` };
+}
+
+/**
+ * 발주서 이메일에 넣을 확인 요청 준비 (저장은 전송 성공 후 recordOrderConfirmation)
+ * 전송을 재시도할 때마다 새 토큰을 만들고, 실제로 전송된 이메일의 토큰만 저장한다.
+ * @param {Object} [options]
+ * @param {boolean} [options.requestConfirmation=true] - false면 확인 링크를 넣지 않음
+ * @returns {{token: string, confirmUrl: string, rejectUrl: string, deadlineAt: string}|null} 사용하지 않으면 null
+ */
+function prepareOrderConfirmation({ requestConfirmation = true } = {}) {
+  if (requestConfirmation === false || !isOrderConfirmationEnabled()) return null;
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const deadlineAt = new Date(Date.now() + getConfirmationDeadlineHours() * 60 * 60 * 1000).toISOString();
+  return { token, ...getConfirmationLinks(token), deadlineAt };
+}
+
+/**
+ * 전송된 발주서의 확인 요청 저장
+ * 이메일은 이미 전송되었으므로 저장에 실패해도 예외를 던지지 않는다 (전송 재시도로 중복 발송되지 않도록).
+ * @param {Object} confirmation - prepareOrderConfirmation 결과
+ * @param {Object} details
+ * @param {string} details.source - 'send' | 'scheduled' | 'recurring' | 'dead_letter'
+ * @param {Object} details.message - 전송한 이메일 { to, attachmentPath, attachmentDisplayName }
+ * @param {Object} details.rendered - 렌더링 결과 { subject, variables }
+ * @param {string} [details.messageId] - 전송 메시지 ID
+ * @param {string} [details.templateName] - 이메일 템플릿명
+ * @returns {Promise<Object|null>} 저장된 행
+ */
+async function recordOrderConfirmation(confirmation, { source, message, rendered, messageId, templateName }) {
+  if (!confirmation) return null;
+
+  try {
+    const row = await getRepositories().orderConfirmations.create({
+      token: confirmation.token,
+      status: 'pending',
+      source,
+      supplier_name: rendered.variables?.supplier || null,
+      to_email: message.to,
+      subject: rendered.subject,
+      attachment_name: message.attachmentDisplayName || null,
+      attachment_path: message.attachmentPath || null,
+      message_id: messageId || null,
+      template_name: templateName || null,
+      sent_at: new Date().toISOString(),
+      deadline_at: confirmation.deadlineAt
+    });
+    console.log(`✅ 발주서 수신 확인 요청 기록: ${message.to} (기한 ${confirmation.deadlineAt})`);
+    return row;
+  } catch (error) {
+    console.error('❌ 발주서 수신 확인 요청 저장 실패 (이메일은 전송됨):', error.message);
+    return null;
+  }
+}
+
+/**
+ * 기한이 지났는데 확인되지 않은 발주서인지 확인
+ * @param {Object} row - purchase_order_confirmations 행
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isConfirmationOverdue(row, now = new Date()) {
+  return row.status === 'pending' && Boolean(row.deadline_at) && new Date(row.deadline_at) < now;
+}
+
+module.exports = {
+  CONFIRMATION_ROUTE,
+  getConfirmationLinks,
+  prepareOrderConfirmation,
+  recordOrderConfirmation,
+  isConfirmationOverdue
+};
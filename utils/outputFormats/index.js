@@ -0,0 +1,149 @@
+const XLSX = require('xlsx');
+const iconv = require('iconv-lite');
+const { detectCsvEncoding } = require('../csvReader');
+const { getContentType } = require('../storage/contentTypes');
+const { createTablePdf } = require('./tablePdf');
+
+/**
+ * 발주서 출력 형식 (order_templates.output_format)
+ * 발주서는 ExcelJS 워크북으로 만든 뒤 템플릿에 지정한 형식으로 저장한다.
+ *
+ *   xlsx      - Excel (기본값, 서식 유지)
+ *   xls       - Excel 97-2003 (구형 프로그램용, 값만 유지)
+ *   csv-cp949 - CSV, CP949(EUC-KR) 인코딩 (국내 쇼핑몰/ERP 업로드용)
+ *   csv-utf8  - CSV, UTF-8 BOM 인코딩 (Excel에서 열어도 한글이 깨지지 않음)
+ *   pdf       - 인쇄용 PDF (A4 가로)
+ *
+ * xls/csv는 쇼핑몰/ERP에 그대로 업로드하는 형식이므로 발주서 생성기의 합계 행을 넣지 않는다 (totalRow: false).
+ */
+
+const FORMATS = {
+  xlsx: { extension: 'xlsx', totalRow: true },
+  xls: { extension: 'xls', totalRow: false },
+  'csv-cp949': { extension: 'csv', encoding: 'cp949', totalRow: false },
+  'csv-utf8': { extension: 'csv', encoding: 'utf-8', totalRow: false },
+  pdf: { extension: 'pdf', totalRow: true }
+};
+
+const OUTPUT_FORMATS = Object.keys(FORMATS);
+const DEFAULT_OUTPUT_FORMAT = 'xlsx';
+
+/**
+ * 출력 형식의 파일 확장자 (없는 형식은 xlsx)
+ * @param {string} [format]
+ * @returns {string}
+ */
+function getOutputExtension(format) {
+  return (FORMATS[format] || FORMATS[DEFAULT_OUTPUT_FORMAT]).extension;
+}
+
+/**
+ * 발주서 마지막에 합계 행을 넣는 형식인지 확인 (없는 형식은 xlsx)
+ * @param {string} [format]
+ * @returns {boolean}
+ */
+function includesTotalRow(format) {
+  return (FORMATS[format] || FORMATS[DEFAULT_OUTPUT_FORMAT]).totalRow;
+}
+
+// ExcelJS 셀 값 → 일반 값 (수식은 결과, 서식 있는 글자는 글자만)
+function toPlainValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if ('formula' in value || 'sharedFormula' in value) return toPlainValue(value.result); // 계산 결과가 없으면 빈 칸
+  if ('text' in value) return toPlainValue(value.text);
+  if ('error' in value) return value.error;
+  return String(value);
+}
+
+// 첫 시트의 값 (값이 모두 빈 행은 제외, 병합된 셀은 첫 칸에만)
+function getSheetRows(worksheet) {
+  const columnCount = worksheet.columnCount;
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, row => {
+    const values = [];
+    for (let column = 1; column <= columnCount; column++) {
+      const cell = row.getCell(column);
+      values.push(cell.master === cell ? toPlainValue(cell.value) : '');
+    }
+    if (values.some(value => value !== '')) rows.push(values);
+  });
+  return rows;
+}
+
+// RFC 4180 CSV (구분자/따옴표/줄바꿈/앞뒤 공백이 있는 값만 따옴표로 감쌈)
+function toCsv(rows) {
+  const escape = value => {
+    const text = String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * 발주서 워크북을 출력 형식의 파일 내용으로 변환
+ * @param {ExcelJS.Workbook} workbook - 발주서 워크북 (첫 시트가 발주서)
+ * @param {string} [format='xlsx'] - OUTPUT_FORMATS 중 하나
+ * @param {Object} [options]
+ * @param {string} [options.title] - PDF 제목 (기본값: 시트 이름)
+ * @param {Object} [options.xlsxOptions] - ExcelJS xlsx.writeBuffer 옵션
+ * @returns {Promise<Buffer>}
+ */
+async function writePurchaseOrderBuffer(workbook, format = DEFAULT_OUTPUT_FORMAT, { title, xlsxOptions } = {}) {
+  if (!FORMATS[format]) {
+    throw new Error(`지원하지 않는 출력 형식입니다: ${format}`);
+  }
+  if (format === 'xlsx') {
+    return Buffer.from(await workbook.xlsx.writeBuffer(xlsxOptions));
+  }
+
+  const worksheet = workbook.worksheets[0];
+  const rows = getSheetRows(worksheet);
+
+  if (format === 'xls') {
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    sheet['!cols'] = worksheet.columns.map(column => ({ wch: column.width || 10 }));
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, sheet, worksheet.name);
+    return XLSX.write(book, { type: 'buffer', bookType: 'biff8' });
+  }
+
+  if (format === 'pdf') {
+    const [headers = [], ...body] = rows.map(row => row.map(value => String(value)));
+    return createTablePdf({
+      title: title || worksheet.name,
+      subtitle: `생성: ${new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Seoul' }).slice(0, 16)}`,
+      headers,
+      rows: body
+    });
+  }
+
+  // CSV (CP949로 표현할 수 없는 글자는 ?로 바뀜)
+  const csv = toCsv(rows);
+  return FORMATS[format].encoding === 'cp949'
+    ? iconv.encode(csv, 'cp949')
+    : Buffer.from('\uFEFF' + csv, 'utf8');
+}
+
+/**
+ * 저장된 발주서 파일의 Content-Type (CSV는 내용으로 UTF-8/EUC-KR charset 판별)
+ * @param {string} fileName - 파일명 (확장자로 판별, storage/contentTypes)
+ * @param {Buffer} [content] - 파일 내용
+ * @returns {string}
+ */
+function getFileContentType(fileName, content) {
+  const contentType = getContentType(fileName);
+  if (contentType !== 'text/csv' || !content) return contentType;
+  return `${contentType}; charset=${detectCsvEncoding(content).encoding === 'cp949' ? 'EUC-KR' : 'UTF-8'}`;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_FORMAT,
+  getOutputExtension,
+  includesTotalRow,
+  writePurchaseOrderBuffer,
+  getFileContentType
+};
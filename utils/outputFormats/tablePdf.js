@@ -0,0 +1,253 @@
+const zlib = require('zlib');
+
+/**
+ * 표 형식 PDF 생성 (인쇄용 발주서)
+ * 한글은 PDF 뷰어가 제공하는 한국어 표준 글꼴(HYGoThic-Medium, Adobe-Korea1)을 UniKS-UCS2-H 인코딩으로 사용해
+ * 글꼴 파일을 넣지 않는다. (Acrobat, 브라우저 PDF 뷰어 등은 설치된 한글 글꼴로 대신 표시)
+ *
+ *   용지: A4 가로, 페이지마다 제목과 머리글 행 반복, 아래쪽에 쪽 번호
+ *   글자 폭: 영문/숫자 0.5em, 그 외 1em (글꼴의 /W에도 같은 폭을 지정해 뷰어와 줄바꿈 위치가 맞음)
+ */
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 28;
+const CELL_PADDING = 3;
+const LINE_HEIGHT = 1.25;
+const TITLE_SIZE = 13;
+const FOOTER_SIZE = 7;
+const FONT_NAME = 'HYGoThic-Medium';
+
+// BMP 밖의 글자(이모지 등)는 UCS-2로 표현할 수 없어 ?로, 탭 등 제어 문자는 공백으로
+function normalizeText(value) {
+  return String(value ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, ' ')
+    .replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDFFF]/g, '?');
+}
+
+const charWidth = char => (char.charCodeAt(0) < 0x80 ? 0.5 : 1);
+
+function textWidth(text, fontSize) {
+  let width = 0;
+  for (const char of text) width += charWidth(char);
+  return width * fontSize;
+}
+
+// UniKS-UCS2-H 문자열 (UTF-16BE 16진수)
+function encodeText(text) {
+  let hex = '';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+  }
+  return `<${hex.toUpperCase()}>`;
+}
+
+// 칸 너비에 맞춰 줄 나누기 (가능하면 공백에서)
+function wrapText(text, width, fontSize) {
+  const lines = [];
+  normalizeText(text).split('\n').forEach(paragraph => {
+    let line = '';
+    let lineWidth = 0;
+    for (const char of paragraph) {
+      const size = charWidth(char) * fontSize;
+      if (line && lineWidth + size > width) {
+        const breakAt = line.lastIndexOf(' ');
+        if (breakAt > 0 && char !== ' ') {
+          lines.push(line.slice(0, breakAt));
+          line = line.slice(breakAt + 1);
+        } else {
+          lines.push(line);
+          line = '';
+        }
+        lineWidth = textWidth(line, fontSize);
+        if (char === ' ' && !line) continue;
+      }
+      line += char;
+      lineWidth += size;
+    }
+    lines.push(line);
+  });
+  return lines;
+}
+
+// 열 너비: 내용 길이 비율로 나누되 한 열이 표의 40%를 넘지 않게
+function layoutColumns(headers, rows, fontSize, available) {
+  const minWidth = fontSize * 2 + CELL_PADDING * 2;
+  const natural = headers.map((header, index) => {
+    const cells = [header, ...rows.slice(0, 200).map(row => row[index])];
+    const longest = Math.max(...cells.map(cell => Math.max(...normalizeText(cell).split('\n').map(line => textWidth(line, fontSize)))));
+    return Math.max(minWidth, Math.min(longest + CELL_PADDING * 2, available * 0.4));
+  });
+
+  const total = natural.reduce((sum, width) => sum + width, 0);
+  return natural.map(width => (width * available) / total);
+}
+
+const isNumeric = value => /^-?[\d,]+(\.\d+)?$/.test(String(value ?? '').trim());
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+}
+
+/**
+ * 한 행 그리기 명령 (top: 행 위쪽 y 좌표)
+ */
+function drawRow(cells, widths, top, height, fontSize, { header = false } = {}) {
+  const ops = [];
+  let x = MARGIN;
+
+  if (header) {
+    ops.push(`0.9 g ${formatNumber(MARGIN)} ${formatNumber(top - height)} ${formatNumber(widths.reduce((sum, width) => sum + width, 0))} ${formatNumber(height)} re f 0 g`);
+  }
+
+  cells.forEach((lines, index) => {
+    const width = widths[index];
+    ops.push(`${formatNumber(x)} ${formatNumber(top - height)} ${formatNumber(width)} ${formatNumber(height)} re S`);
+
+    const alignRight = !header && lines.length === 1 && isNumeric(lines[0]);
+    lines.forEach((line, lineIndex) => {
+      if (!line) return;
+      const textX = alignRight ? x + width - CELL_PADDING - textWidth(line, fontSize) : x + CELL_PADDING;
+      const baseline = top - CELL_PADDING - fontSize * 0.88 - lineIndex * fontSize * LINE_HEIGHT;
+      ops.push(`BT /F1 ${formatNumber(fontSize)} Tf ${header ? '2' : '0'} Tr ${formatNumber(textX)} ${formatNumber(baseline)} Td ${encodeText(line)} Tj ET`);
+    });
+    x += width;
+  });
+
+  return ops;
+}
+
+function drawText(text, x, y, fontSize, { align = 'left', bold = false } = {}) {
+  const line = normalizeText(text).replace(/\n/g, ' ');
+  const textX = align === 'right' ? x - textWidth(line, fontSize) : align === 'center' ? x - textWidth(line, fontSize) / 2 : x;
+  return `BT /F1 ${formatNumber(fontSize)} Tf ${bold ? '2' : '0'} Tr ${formatNumber(textX)} ${formatNumber(y)} Td ${encodeText(line)} Tj ET`;
+}
+
+// PDF 문서 문자열 (UTF-16BE, BOM 포함)
+function encodeInfoText(text) {
+  return `<FEFF${encodeText(normalizeText(text)).slice(1, -1)}>`;
+}
+
+/**
+ * PDF 파일 조립 (페이지마다 그리기 명령 스트림 하나)
+ */
+function buildPdf(pageContents, { title }) {
+  const objects = [];
+  const add = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const descriptorId = add(`<< /Type /FontDescriptor /FontName /${FONT_NAME} /Flags 4 /FontBBox [-6 -145 1003 880] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>`);
+  const cidFontId = add(`<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${FONT_NAME} /CIDSystemInfo << /Registry (Adobe) /Ordering (Korea1) /Supplement 1 >> /FontDescriptor ${descriptorId} 0 R /DW 1000 /W [1 95 500] >>`);
+  const fontId = add(`<< /Type /Font /Subtype /Type0 /BaseFont /${FONT_NAME}-UniKS-UCS2-H /Encoding /UniKS-UCS2-H /DescendantFonts [${cidFontId} 0 R] >>`);
+
+  const pageIds = pageContents.map(content => {
+    const data = zlib.deflateSync(Buffer.from(content, 'latin1'));
+    const contentId = add(Buffer.concat([
+      Buffer.from(`<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1')
+    ]));
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = add(`<< /Title ${encodeInfoText(title)} /Producer (AutoOrder) >>`);
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    chunks.push(chunk);
+    const objectOffset = offset;
+    offset += chunk.length;
+    return objectOffset;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(objectOffset => `${String(objectOffset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF'
+  ].join('\n');
+  chunks.push(Buffer.from(xref + '\n', 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 표를 PDF로 출력
+ * @param {Object} params
+ * @param {string} params.title - 페이지 위쪽 제목
+ * @param {string} [params.subtitle] - 제목 오른쪽 작은 글씨 (생성 일시 등)
+ * @param {string[]} params.headers - 머리글 행
+ * @param {Array<Array<string|number>>} params.rows - 데이터 행
+ * @returns {Buffer} PDF 파일 내용
+ */
+function createTablePdf({ title, subtitle = '', headers, rows }) {
+  const fontSize = headers.length > 14 ? 6.5 : 8;
+  const available = PAGE_WIDTH - MARGIN * 2;
+  const widths = layoutColumns(headers, rows, fontSize, available);
+  const wrapCells = row => widths.map((width, index) => wrapText(row[index], width - CELL_PADDING * 2, fontSize));
+  const rowHeight = lines => Math.max(...lines.map(cell => cell.length)) * fontSize * LINE_HEIGHT + CELL_PADDING * 2;
+
+  const tableTop = PAGE_HEIGHT - MARGIN - TITLE_SIZE - 10;
+  const tableBottom = MARGIN + FOOTER_SIZE + 8;
+  const headerCells = wrapCells(headers);
+  const headerHeight = rowHeight(headerCells);
+  const maxLines = Math.max(1, Math.floor((tableTop - headerHeight - tableBottom - CELL_PADDING * 2) / (fontSize * LINE_HEIGHT)));
+
+  // 페이지 나누기 (한 페이지보다 긴 칸은 잘라서 표시)
+  const pages = [];
+  let current = [];
+  let y = tableTop - headerHeight;
+  rows.forEach(row => {
+    const cells = wrapCells(row).map(lines => (lines.length > maxLines ? [...lines.slice(0, maxLines - 1), `${lines[maxLines - 1]}…`] : lines));
+    const height = rowHeight(cells);
+    if (current.length > 0 && y - height < tableBottom) {
+      pages.push(current);
+      current = [];
+      y = tableTop - headerHeight;
+    }
+    current.push({ cells, height });
+    y -= height;
+  });
+  pages.push(current);
+
+  const contents = pages.map((pageRows, pageIndex) => {
+    const ops = ['0.3 w']; // 칸 테두리와 굵은 글씨(2 Tr) 외곽선 두께
+    ops.push(drawText(title, MARGIN, PAGE_HEIGHT - MARGIN - TITLE_SIZE, TITLE_SIZE, { bold: true }));
+    if (subtitle) ops.push(drawText(subtitle, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - MARGIN - TITLE_SIZE, FOOTER_SIZE, { align: 'right' }));
+
+    let top = tableTop;
+    ops.push(...drawRow(headerCells, widths, top, headerHeight, fontSize, { header: true }));
+    top -= headerHeight;
+    pageRows.forEach(({ cells, height }) => {
+      ops.push(...drawRow(cells, widths, top, height, fontSize));
+      top -= height;
+    });
+
+    ops.push(drawText(`${pageIndex + 1} / ${pages.length}`, PAGE_WIDTH / 2, MARGIN, FOOTER_SIZE, { align: 'center' }));
+    return ops.join('\n');
+  });
+
+  return buildPdf(contents, { title });
+}
+
+module.exports = {
+  createTablePdf
+};
@@ -0,0 +1,221 @@
+/**
+ * 반복 예약 규칙 (모든 시각은 Asia/Seoul 기준, UTC+9 고정 - 서머타임 없음)
+ *
+ *   { type: 'daily', time: '09:00' }
+ *   { type: 'weekly', weekdays: [1, 4], time: '09:00' }     // 0=일요일 ... 6=토요일
+ *   { type: 'monthly', dayOfMonth: 31, time: '09:00' }      // 그 달에 없는 날이면 말일
+ *   { type: 'cron', expression: '0 9 1-7 * 1' }             // 분 시 일 월 요일 (*, 목록, 범위, /간격)
+ */
+
+const RECURRENCE_TYPES = ['daily', 'weekly', 'monthly', 'cron'];
+const TIMEZONE = 'Asia/Seoul';
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 다음 실행 시각 검색 범위 (cron의 2월 30일처럼 오지 않는 날짜 방지)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const CRON_FIELDS = [
+  { name: '분', min: 0, max: 59 },
+  { name: '시', min: 0, max: 23 },
+  { name: '일', min: 1, max: 31 },
+  { name: '월', min: 1, max: 12 },
+  { name: '요일', min: 0, max: 7 } // 0과 7 모두 일요일
+];
+
+// 'HH:mm' → { hour, minute }
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || ''));
+  if (!match) return null;
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  return hour <= 23 && minute <= 59 ? { hour, minute } : null;
+}
+
+// cron 필드 하나 → 허용 값 목록 (잘못된 형식이면 Error)
+function parseCronField(field, { name, min, max }) {
+  const values = new Set();
+
+  String(field).split(',').forEach(part => {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`${name} 필드 형식이 올바르지 않습니다: ${part}`);
+
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) end = match[2] ? max : start;
+    const step = match[2] ? parseInt(match[2], 10) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`${name} 필드 범위가 올바르지 않습니다: ${part} (${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * cron 표현식 파싱
+ * @param {string} expression - '분 시 일 월 요일'
+ * @returns {{minutes: number[], hours: number[], days: number[], months: number[], weekdays: number[], dayRestricted: boolean, weekdayRestricted: boolean}}
+ */
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('cron 표현식은 "분 시 일 월 요일" 5개 필드여야 합니다.');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays: [...new Set(weekdays.map(day => day % 7))],
+    dayRestricted: !fields[2].startsWith('*'),
+    weekdayRestricted: !fields[4].startsWith('*')
+  };
+}
+
+/**
+ * 반복 규칙 검증
+ * @param {Object} rule - 반복 규칙
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateRecurrenceRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return { isValid: false, errors: ['반복 규칙(rule)이 필요합니다.'] };
+  }
+  if (!RECURRENCE_TYPES.includes(rule.type)) {
+    return { isValid: false, errors: [`type은 ${RECURRENCE_TYPES.join(', ')} 중 하나여야 합니다.`] };
+  }
+
+  if (rule.type === 'cron') {
+    try {
+      parseCronExpression(rule.expression);
+    } catch (error) {
+      errors.push(error.message);
+    }
+    return { isValid: errors.length === 0, errors };
+  }
+
+  if (!parseTime(rule.time)) {
+    errors.push('time은 HH:mm 형식이어야 합니다. (예: 09:00)');
+  }
+  if (rule.type === 'weekly') {
+    const weekdays = rule.weekdays;
+    if (!Array.isArray(weekdays) || weekdays.length === 0 ||
+        weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('weekdays는 0(일요일)~6(토요일) 요일 번호 배열이어야 합니다.');
+    }
+  }
+  if (rule.type === 'monthly') {
+    if (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31) {
+      errors.push('dayOfMonth는 1~31 사이의 날짜여야 합니다.');
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+// 규칙 → 날짜 조건과 실행 시각 목록
+function compileRule(rule) {
+  if (rule.type === 'cron') {
+    const cron = parseCronExpression(rule.expression);
+    return {
+      minutes: cron.minutes,
+      hours: cron.hours,
+      matchesDay: ({ day, month, weekday }) => {
+        if (!cron.months.includes(month)) return false;
+        const dayMatch = cron.days.includes(day);
+        const weekdayMatch = cron.weekdays.includes(weekday);
+        // cron 관례: 일/요일이 모두 지정되면 둘 중 하나만 맞아도 실행
+        if (cron.dayRestricted && cron.weekdayRestricted) return dayMatch || weekdayMatch;
+        if (cron.dayRestricted) return dayMatch;
+        if (cron.weekdayRestricted) return weekdayMatch;
+        return true;
+      }
+    };
+  }
+
+  const { hour, minute } = parseTime(rule.time);
+  const matchesDay = {
+    daily: () => true,
+    weekly: ({ weekday }) => rule.weekdays.includes(weekday),
+    monthly: ({ day, lastDay }) => day === Math.min(rule.dayOfMonth, lastDay)
+  }[rule.type];
+
+  return { minutes: [minute], hours: [hour], matchesDay };
+}
+
+/**
+ * 다음 실행 시각
+ * @param {Object} rule - 반복 규칙 (validateRecurrenceRule을 통과한 규칙)
+ * @param {Date} [after] - 이 시각 이후 (같은 시각 제외)
+ * @returns {Date|null} 다음 실행 시각 (검색 범위 안에 없으면 null)
+ */
+function getNextRunTime(rule, after = new Date()) {
+  const { minutes, hours, matchesDay } = compileRule(rule);
+  const afterMs = after.getTime();
+  // 서울 시각 기준 날짜 계산 (UTC getter로 읽음)
+  const startKst = new Date(afterMs + KST_OFFSET_MS);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(startKst.getUTCFullYear(), startKst.getUTCMonth(), startKst.getUTCDate()) + offset * DAY_MS);
+    const year = date.getUTCFullYear();
+    const monthIndex = date.getUTCMonth();
+    const dayInfo = {
+      day: date.getUTCDate(),
+      month: monthIndex + 1,
+      weekday: date.getUTCDay(),
+      lastDay: new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate()
+    };
+    if (!matchesDay(dayInfo)) continue;
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const runAt = Date.UTC(year, monthIndex, dayInfo.day, hour, minute) - KST_OFFSET_MS;
+        if (runAt > afterMs) return new Date(runAt);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 이후 실행 시각 목록 (미리보기용)
+ * @param {Object} rule - 반복 규칙
+ * @param {number} [count=5] - 개수
+ * @param {Date} [after] - 기준 시각
+ * @returns {Date[]}
+ */
+function getUpcomingRunTimes(rule, count = 5, after = new Date()) {
+  const runTimes = [];
+  let cursor = after;
+
+  while (runTimes.length < count) {
+    const next = getNextRunTime(rule, cursor);
+    if (!next) break;
+    runTimes.push(next);
+    cursor = next;
+  }
+  return runTimes;
+}
+
+// 서울 시각 표시 (이력/응답용)
+function formatSeoulTime(date) {
+  return new Date(date).toLocaleString('ko-KR', { timeZone: TIMEZONE });
+}
+
+module.exports = {
+  RECURRENCE_TYPES,
+  TIMEZONE,
+  validateRecurrenceRule,
+  parseCronExpression,
+  getNextRunTime,
+  getUpcomingRunTimes,
+  formatSeoulTime
+};
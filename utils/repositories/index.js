@@ -0,0 +1,71 @@
+const os = require('os');
+const path = require('path');
+const { createScheduledEmailRepository } = require('./scheduledEmails');
+
+/**
+ * 데이터 저장소 선택
+ * DB_DRIVER 환경변수로 지정: supabase(기본값) | sqlite
+ *
+ * 모든 구현은 같은 인터페이스의 테이블별 저장소를 제공:
+ *   orderTemplates  - order_templates (발주서 템플릿)
+ *   emailTemplates  - email_templates (이메일 템플릿)
+ *   emailHistory    - email_history (전송 이력)
+ *   scheduledEmails - 예약 이메일 (email_history 기반)
+ *   webhookIdempotency - webhook_idempotency_keys (Webhook 중복 수신 방지)
+ *   backgroundJobs  - background_jobs (백그라운드 작업 큐)
+ *   webhookHeldOrders - webhook_held_orders (누락 필드로 보류된 Webhook 주문)
+ *   recurringEmailSchedules - recurring_email_schedules (정기 발주 이메일 반복 예약)
+ *   suppliers - suppliers (공급처 주소록)
+ *   emailDeadLetters - email_dead_letters (재시도 후에도 전송되지 않은 이메일)
+ *   orderConfirmations - purchase_order_confirmations (발주서 수신 확인/거절 회신)
+ *   lookupTables - lookup_tables (매핑 수식 lookup 함수용 조회 테이블)
+ */
+
+const SUPPORTED_DRIVERS = ['supabase', 'sqlite'];
+
+let cachedRepositories;
+
+function getDatabaseDriverName() {
+  const name = (process.env.DB_DRIVER || 'supabase').trim().toLowerCase();
+
+  if (!SUPPORTED_DRIVERS.includes(name)) {
+    console.warn(`⚠️ 알 수 없는 DB_DRIVER "${name}" - supabase 저장소를 사용합니다.`);
+    return 'supabase';
+  }
+
+  return name;
+}
+
+function getRepositories() {
+  if (cachedRepositories) return cachedRepositories;
+
+  let repositories;
+  if (getDatabaseDriverName() === 'sqlite') {
+    const { createSqliteRepositories } = require('./sqliteRepository');
+    const filename = process.env.SQLITE_PATH || path.join(os.tmpdir(), 'autorder.sqlite');
+    repositories = createSqliteRepositories({ filename });
+    console.log('🗄️ SQLite 저장소 사용:', filename);
+  } else {
+    // utils/supabase.js가 이 모듈을 사용하므로 순환 참조를 피하기 위해 호출 시점에 로드
+    const { createSupabaseRepositories } = require('./supabaseRepository');
+    repositories = createSupabaseRepositories(require('../supabase').supabase);
+  }
+
+  repositories.scheduledEmails = createScheduledEmailRepository(repositories.emailHistory);
+  cachedRepositories = repositories;
+  return cachedRepositories;
+}
+
+// 환경변수 변경 후 저장소를 다시 만들 때 사용 (테스트 등)
+function resetRepositories() {
+  if (cachedRepositories && cachedRepositories.db) {
+    cachedRepositories.db.close();
+  }
+  cachedRepositories = undefined;
+}
+
+module.exports = {
+  getRepositories,
+  getDatabaseDriverName,
+  resetRepositories
+};
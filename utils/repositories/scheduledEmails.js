@@ -0,0 +1,101 @@
+/**
+ * 예약 이메일 저장소
+ * 별도 테이블 없이 email_history 테이블에 저장한다 (기존 컬럼만 사용):
+ *   - message_id: 예약 ID (SCH_YYYYMMDD_HHMMSS_XXX)
+ *   - sent_at: 예약 시간
+ *   - status: 'simulation' (허용된 값 중 하나, 실제 상태는 error_message에 저장)
+ *   - error_message: { body, cc, bcc, attachmentPath, createdAt, status, ... } JSON
+ */
+
+const SCHEDULE_ID_PREFIX = 'SCH_';
+
+/**
+ * 예약 행의 error_message에 저장된 추가 정보 파싱
+ * @param {Object} row - email_history 행
+ * @returns {Object} 추가 정보 (파싱 실패 시 빈 객체)
+ */
+function parseScheduleInfo(row) {
+  try {
+    if (row && row.error_message && row.error_message.startsWith('{')) {
+      return JSON.parse(row.error_message);
+    }
+  } catch (e) {
+    console.warn('기존 정보 파싱 실패:', e.message);
+  }
+  return {};
+}
+
+/**
+ * 전송 완료(success/failed)되지 않은 예약 행인지 확인
+ * @param {Object} row - email_history 행
+ * @returns {boolean}
+ */
+function isPendingSchedule(row) {
+  return Boolean(row) && row.status !== 'success' && row.status !== 'failed';
+}
+
+/**
+ * 예약 이메일 저장소 생성
+ * @param {Object} emailHistory - email_history 저장소
+ * @returns {Object} 예약 이메일 저장소
+ */
+function createScheduledEmailRepository(emailHistory) {
+  return {
+    async create(scheduleData) {
+      // 추가 예약 정보를 error_message 필드에 JSON으로 저장
+      const additionalInfo = JSON.stringify({
+        body: scheduleData.body,
+        cc: scheduleData.cc || '',
+        bcc: scheduleData.bcc || '',
+        attachmentPath: scheduleData.attachmentPath,
+        createdAt: scheduleData.createdAt,
+        variables: scheduleData.variables || {}, // 이메일 템플릿 변수 직접 지정 값
+        bodyFormat: scheduleData.bodyFormat,
+        includeOrderSummary: scheduleData.includeOrderSummary,
+        requestConfirmation: scheduleData.requestConfirmation !== false, // 발주서 수신 확인 링크 포함 여부
+        attachmentProtection: scheduleData.attachmentProtection || null, // 첨부파일 암호화 정책 (비밀번호는 전송 시점에 생성)
+        status: 'scheduled' // 실제 상태를 여기에 저장
+      });
+
+      return emailHistory.insert({
+        to_email: scheduleData.to,
+        subject: scheduleData.subject,
+        attachment_name: scheduleData.attachmentDisplayName || scheduleData.attachmentPath,
+        sent_at: scheduleData.scheduleTime, // 예약 시간을 sent_at에 저장
+        message_id: scheduleData.schedule_id, // schedule_id를 message_id로 저장
+        status: 'simulation',
+        error_message: additionalInfo,
+        template_name: scheduleData.templateId || 'manual'
+      });
+    },
+
+    // 대기 중인 예약 목록 (예약 시간 순)
+    async listPending() {
+      const rows = await emailHistory.listByMessageIdPrefix(SCHEDULE_ID_PREFIX);
+      return rows.filter(isPendingSchedule);
+    },
+
+    async findById(scheduleId) {
+      const rows = await emailHistory.findByMessageId(scheduleId);
+      return rows.length > 0 ? rows[0] : null;
+    },
+
+    async updateInfo(scheduleId, additionalInfo, values = {}) {
+      return emailHistory.updateByMessageId(scheduleId, {
+        ...values,
+        error_message: JSON.stringify(additionalInfo)
+      });
+    },
+
+    async remove(scheduleId) {
+      return emailHistory.deleteByMessageId(scheduleId);
+    }
+  };
+}
+
+module.exports = {
+  SCHEDULE_ID_PREFIX,
+  parseScheduleInfo,
+  isPendingSchedule,
+  createScheduledEmailRepository
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * sql/ 폴더의 Supabase(PostgreSQL) 스키마로부터 SQLite 마이그레이션 생성
+ *
+ * sql/*.sql 파일 하나가 마이그레이션 하나가 되며, 파일명 순서대로 한 번씩만 적용된다.
+ * 테이블/인덱스/컬럼 추가 구문만 변환하고 RLS 정책, 트리거, 함수, 샘플 데이터 등
+ * PostgreSQL 전용 구문은 건너뛴다.
+ */
+
+const SQL_DIR = path.join(__dirname, '..', '..', 'sql');
+
+const SQLITE_NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+/**
+ * SQL 스크립트를 구문 단위로 분리 (주석, 문자열, $$ 블록 고려)
+ * @param {string} sqlText - SQL 스크립트
+ * @returns {string[]} 구문 목록
+ */
+function splitStatements(sqlText) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sqlText.length) {
+    const ch = sqlText[i];
+    const next = sqlText[i + 1];
+
+    // 한 줄 주석
+    if (ch === '-' && next === '-') {
+      const end = sqlText.indexOf('\n', i);
+      i = end === -1 ? sqlText.length : end;
+      continue;
+    }
+
+    // 문자열 리터럴 ('' 이스케이프 포함)
+    if (ch === "'") {
+      const start = i;
+      i++;
+      while (i < sqlText.length) {
+        if (sqlText[i] === "'" && sqlText[i + 1] === "'") {
+          i += 2;
+        } else if (sqlText[i] === "'") {
+          i++;
+          break;
+        } else {
+          i++;
+        }
+      }
+      current += sqlText.slice(start, i);
+      continue;
+    }
+
+    // $$ ... $$ 블록 (함수 본문, DO 블록)
+    if (ch === '$' && next === '$') {
+      const end = sqlText.indexOf('$$', i + 2);
+      const stop = end === -1 ? sqlText.length : end + 2;
+      current += sqlText.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    if (ch === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      i++;
+      continue;
+    }
+
+    current += ch;
+    i++;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+/**
+ * PostgreSQL 컬럼 타입/기본값을 SQLite 문법으로 변환
+ * @param {string} statement - PostgreSQL 구문
+ * @returns {string} SQLite 구문
+ */
+function translateTypes(statement) {
+  return statement
+    .replace(/\bpublic\./gi, '')
+    .replace(/\bBIGSERIAL\s+PRIMARY\s+KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bgen_random_uuid\(\)/gi, '(lower(hex(randomblob(16))))')
+    .replace(/\bUUID\b/g, 'TEXT')
+    .replace(/'([^']*)'::jsonb?/gi, "'$1'")
+    .replace(/\bJSONB?\b/gi, 'TEXT')
+    .replace(/\bTIMESTAMP\s+WITH\s+TIME\s+ZONE\b/gi, 'TEXT')
+    .replace(/\bVARCHAR\(\d+\)/gi, 'TEXT')
+    .replace(/\bBOOLEAN\b/gi, 'INTEGER')
+    .replace(/\bNOW\(\)/gi, SQLITE_NOW)
+    .replace(/(\bDEFAULT|=)\s+true\b/gi, '$1 1')
+    .replace(/(\bDEFAULT|=)\s+false\b/gi, '$1 0');
+}
+
+/**
+ * PostgreSQL 스키마 스크립트를 SQLite 마이그레이션 단계로 변환
+ * @param {string} sqlText - PostgreSQL 스키마 스크립트
+ * @returns {Array<{sql: string, addColumn?: {table: string, column: string}}>} 마이그레이션 단계
+ */
+function translateSchema(sqlText) {
+  const steps = [];
+
+  for (const statement of splitStatements(sqlText)) {
+    const normalized = statement.replace(/\s+/g, ' ');
+
+    if (/^CREATE TABLE/i.test(normalized) || /^CREATE (UNIQUE )?INDEX/i.test(normalized)) {
+      steps.push({ sql: translateTypes(statement) });
+      continue;
+    }
+
+    // SQLite는 ADD COLUMN IF NOT EXISTS를 지원하지 않으므로 적용 시점에 컬럼 존재 여부 확인
+    const addColumn = normalized.match(/^ALTER TABLE (?:public\.)?(\w+) ADD COLUMN (?:IF NOT EXISTS )?(\w+) (.+)$/i);
+    if (addColumn) {
+      const [, table, column, definition] = addColumn;
+      steps.push({
+        sql: translateTypes(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`),
+        addColumn: { table, column }
+      });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * sql/ 폴더의 마이그레이션 목록
+ * @returns {Array<{id: string, steps: Array}>}
+ */
+function loadMigrations() {
+  return fs.readdirSync(SQL_DIR)
+    .filter(fileName => fileName.endsWith('.sql'))
+    .sort()
+    .map(fileName => ({
+      id: fileName,
+      steps: translateSchema(fs.readFileSync(path.join(SQL_DIR, fileName), 'utf8'))
+    }));
+}
+
+/**
+ * 아직 적용되지 않은 마이그레이션을 SQLite DB에 적용
+ * @param {import('better-sqlite3').Database} db - SQLite 연결
+ * @returns {string[]} 이번에 적용된 마이그레이션 ID 목록
+ */
+function runMigrations(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    id TEXT PRIMARY KEY,
+    applied_at TEXT DEFAULT ${SQLITE_NOW}
+  )`);
+
+  const applied = new Set(db.prepare('SELECT id FROM schema_migrations').all().map(row => row.id));
+  const appliedNow = [];
+
+  for (const migration of loadMigrations()) {
+    if (applied.has(migration.id)) continue;
+
+    db.transaction(() => {
+      for (const step of migration.steps) {
+        if (step.addColumn) {
+          const columns = db.prepare(`PRAGMA table_info(${step.addColumn.table})`).all();
+          if (columns.some(column => column.name === step.addColumn.column)) continue;
+        }
+        db.exec(step.sql);
+      }
+      db.prepare('INSERT INTO schema_migrations (id) VALUES (?)').run(migration.id);
+    })();
+
+    appliedNow.push(migration.id);
+  }
+
+  return appliedNow;
+}
+
+module.exports = {
+  splitStatements,
+  translateSchema,
+  loadMigrations,
+  runMigrations
+};
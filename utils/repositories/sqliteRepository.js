@@ -0,0 +1,480 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { runMigrations } = require('./sqliteMigrations');
+
+/**
+ * SQLite 저장소 구현 (오프라인 실행 및 테스트용)
+ * 테이블 구조는 sql/ 폴더의 스키마에서 생성된 마이그레이션으로 만들어지며,
+ * 반환 행은 Supabase 구현과 같은 형태(snake_case 컬럼, JSON 컬럼은 객체)로 맞춘다.
+ */
+
+// JSON으로 저장되는 컬럼 (저장 시 문자열화, 조회 시 파싱)
+const JSON_COLUMNS = {
+  order_templates: ['order_field_mapping', 'supplier_field_mapping', 'fixed_fields', 'supplier_field_mapping_array'],
+  email_templates: ['recipients'],
+  email_history: [],
+  webhook_idempotency_keys: ['response'],
+  background_jobs: ['payload', 'progress', 'result'],
+  webhook_held_orders: ['order_data', 'missing_fields'],
+  recurring_email_schedules: ['rule', 'last_row_errors'],
+  suppliers: ['emails', 'cc_emails', 'bcc_emails'],
+  email_dead_letters: ['message', 'context'],
+  purchase_order_confirmations: [],
+  lookup_tables: ['column_names', 'entries']
+};
+
+// PostgreSQL BOOLEAN 컬럼 (SQLite에서는 0/1로 저장)
+const BOOLEAN_COLUMNS = {
+  order_templates: ['is_active', 'fill_template'],
+  email_templates: [],
+  email_history: [],
+  webhook_idempotency_keys: [],
+  background_jobs: [],
+  webhook_held_orders: [],
+  recurring_email_schedules: ['is_active', 'hold_on_row_errors'],
+  suppliers: ['is_active'],
+  email_dead_letters: [],
+  purchase_order_confirmations: [],
+  lookup_tables: ['is_active']
+};
+
+const now = () => new Date().toISOString();
+
+/**
+ * SQLite 저장소 생성
+ * @param {Object} options
+ * @param {string} [options.filename] - DB 파일 경로 (':memory:' 가능)
+ * @returns {Object} 저장소 (orderTemplates, emailTemplates, emailHistory, webhookIdempotency, backgroundJobs, webhookHeldOrders, recurringEmailSchedules, suppliers, emailDeadLetters, orderConfirmations, lookupTables)
+ */
+function createSqliteRepositories(options = {}) {
+  // better-sqlite3는 SQLite 드라이버를 선택한 경우에만 로드
+  const Database = require('better-sqlite3');
+
+  const filename = options.filename || ':memory:';
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+
+  const appliedMigrations = runMigrations(db);
+  if (appliedMigrations.length > 0) {
+    console.log('🗄️ SQLite 마이그레이션 적용:', appliedMigrations.join(', '));
+  }
+
+  const toRow = (table, record) => {
+    if (!record) return null;
+    const row = { ...record };
+    JSON_COLUMNS[table].forEach(column => {
+      if (typeof row[column] === 'string') {
+        try {
+          row[column] = JSON.parse(row[column]);
+        } catch (e) {
+          // JSON이 아닌 값은 그대로 반환
+        }
+      }
+    });
+    BOOLEAN_COLUMNS[table].forEach(column => {
+      if (row[column] !== undefined && row[column] !== null) {
+        row[column] = Boolean(row[column]);
+      }
+    });
+    return row;
+  };
+
+  const toRecord = (table, values) => {
+    const record = {};
+    Object.entries(values).forEach(([column, value]) => {
+      if (value === undefined) return;
+      if (JSON_COLUMNS[table].includes(column) && value !== null) {
+        record[column] = JSON.stringify(value);
+      } else if (BOOLEAN_COLUMNS[table].includes(column) && value !== null) {
+        record[column] = value ? 1 : 0;
+      } else {
+        record[column] = value;
+      }
+    });
+    return record;
+  };
+
+  const insert = (table, values) => {
+    const record = toRecord(table, values);
+    const columns = Object.keys(record);
+    const info = db.prepare(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`
+    ).run(record);
+    return toRow(table, db.prepare(`SELECT * FROM ${table} WHERE rowid = ?`).get(info.lastInsertRowid));
+  };
+
+  const update = (table, values, where, params) => {
+    const record = toRecord(table, values);
+    const assignments = Object.keys(record).map(c => `${c} = @${c}`).join(', ');
+    const ids = db.prepare(`SELECT rowid AS rid FROM ${table} WHERE ${where}`).all(params).map(r => r.rid);
+    if (ids.length === 0) return [];
+
+    const statement = db.prepare(`UPDATE ${table} SET ${assignments} WHERE rowid = @__rid`);
+    ids.forEach(rid => statement.run({ ...record, __rid: rid }));
+
+    const select = db.prepare(`SELECT * FROM ${table} WHERE rowid = ?`);
+    return ids.map(rid => toRow(table, select.get(rid)));
+  };
+
+  const remove = (table, where, params) => {
+    const rows = db.prepare(`SELECT * FROM ${table} WHERE ${where}`).all(params).map(r => toRow(table, r));
+    db.prepare(`DELETE FROM ${table} WHERE ${where}`).run(params);
+    return rows;
+  };
+
+  const orderTemplates = {
+    async listActive() {
+      return db.prepare(`SELECT * FROM order_templates WHERE is_active = 1
+        ORDER BY last_used_at IS NULL, last_used_at DESC, created_at DESC`).all()
+        .map(row => toRow('order_templates', row));
+    },
+
+    async findActiveById(id) {
+      return toRow('order_templates', db.prepare('SELECT * FROM order_templates WHERE id = ? AND is_active = 1').get(id));
+    },
+
+    async findActiveByName(templateName, { excludeId } = {}) {
+      const row = excludeId !== undefined
+        ? db.prepare('SELECT * FROM order_templates WHERE template_name = ? AND is_active = 1 AND id != ?').get(templateName, excludeId)
+        : db.prepare('SELECT * FROM order_templates WHERE template_name = ? AND is_active = 1').get(templateName);
+      return toRow('order_templates', row);
+    },
+
+    async searchActive(keyword, { fields = ['template_name'], sort = 'created', limit = 1 } = {}) {
+      const conditions = fields.map(field => `${field} LIKE @pattern`).join(' OR ');
+      const orderBy = sort === 'recent'
+        ? 'last_used_at IS NULL, last_used_at DESC, created_at DESC'
+        : 'created_at DESC';
+      return db.prepare(`SELECT * FROM order_templates WHERE is_active = 1 AND (${conditions})
+        ORDER BY ${orderBy} LIMIT @limit`).all({ pattern: `%${keyword}%`, limit })
+        .map(row => toRow('order_templates', row));
+    },
+
+    async create(values) {
+      return insert('order_templates', values);
+    },
+
+    async update(id, values) {
+      const [row] = update('order_templates', { ...values, updated_at: now() }, 'id = @id AND is_active = 1', { id });
+      return row || null;
+    },
+
+    async deactivate(id) {
+      const [row] = update('order_templates', { is_active: false, updated_at: now() }, 'id = @id AND is_active = 1', { id });
+      return row || null;
+    },
+
+    async recordUsage(id) {
+      db.prepare(`UPDATE order_templates SET usage_count = COALESCE(usage_count, 0) + 1, last_used_at = ?
+        WHERE id = ? AND is_active = 1`).run(now(), id);
+      return this.findActiveById(id);
+    }
+  };
+
+  const emailTemplates = {
+    async upsert(values) {
+      const existing = db.prepare('SELECT id FROM email_templates WHERE template_name = ?').get(values.template_name);
+      if (existing) {
+        const [row] = update('email_templates', { ...values, updated_at: now() }, 'id = @id', { id: existing.id });
+        return row;
+      }
+      return insert('email_templates', { id: crypto.randomUUID(), ...values });
+    },
+
+    async findByName(templateName) {
+      return toRow('email_templates', db.prepare('SELECT * FROM email_templates WHERE template_name = ?').get(templateName));
+    },
+
+    async list() {
+      return db.prepare('SELECT * FROM email_templates ORDER BY created_at DESC').all()
+        .map(row => toRow('email_templates', row));
+    },
+
+    async deleteByName(templateName) {
+      return remove('email_templates', 'template_name = @templateName', { templateName });
+    }
+  };
+
+  const emailHistory = {
+    async insert(values) {
+      return insert('email_history', { id: crypto.randomUUID(), ...values });
+    },
+
+    async list({ limit = 100 } = {}) {
+      return db.prepare('SELECT * FROM email_history ORDER BY sent_at DESC LIMIT ?').all(limit)
+        .map(row => toRow('email_history', row));
+    },
+
+    async findByMessageId(messageId) {
+      return db.prepare('SELECT * FROM email_history WHERE message_id = ?').all(messageId)
+        .map(row => toRow('email_history', row));
+    },
+
+    async listByBatchId(batchId) {
+      return db.prepare('SELECT * FROM email_history WHERE batch_id = ? ORDER BY sent_at ASC').all(batchId)
+        .map(row => toRow('email_history', row));
+    },
+
+    async listByMessageIdPrefix(prefix) {
+      return db.prepare("SELECT * FROM email_history WHERE message_id LIKE ? ESCAPE '\\' ORDER BY sent_at ASC")
+        .all(`${prefix.replace(/[\\%_]/g, c => `\\${c}`)}%`)
+        .map(row => toRow('email_history', row));
+    },
+
+    async updateByMessageId(messageId, values) {
+      return update('email_history', values, 'message_id = @messageId', { messageId });
+    },
+
+    async deleteById(id) {
+      return remove('email_history', 'id = @id', { id });
+    },
+
+    async deleteByMessageId(messageId) {
+      return remove('email_history', 'message_id = @messageId', { messageId });
+    },
+
+    async clear() {
+      return remove('email_history', '1 = 1', {});
+    }
+  };
+
+  const webhookIdempotency = {
+    async findByKeys(keys) {
+      if (keys.length === 0) return [];
+      return db.prepare(`SELECT * FROM webhook_idempotency_keys WHERE idempotency_key IN (${keys.map(() => '?').join(', ')})`)
+        .all(...keys)
+        .map(row => toRow('webhook_idempotency_keys', row));
+    },
+
+    async save(values) {
+      const existing = db.prepare('SELECT id FROM webhook_idempotency_keys WHERE idempotency_key = ?').get(values.idempotency_key);
+      if (existing) {
+        const [row] = update('webhook_idempotency_keys', { ...values, updated_at: now() }, 'id = @id', { id: existing.id });
+        return row;
+      }
+      return insert('webhook_idempotency_keys', values);
+    },
+
+    async deleteByKey(key) {
+      return remove('webhook_idempotency_keys', 'idempotency_key = @key', { key });
+    }
+  };
+
+  const backgroundJobs = {
+    async create(values) {
+      return insert('background_jobs', { id: crypto.randomUUID(), ...values });
+    },
+
+    async findById(id) {
+      return toRow('background_jobs', db.prepare('SELECT * FROM background_jobs WHERE id = ?').get(id));
+    },
+
+    async update(id, values) {
+      const [row] = update('background_jobs', { ...values, updated_at: now() }, 'id = @id', { id });
+      return row || null;
+    },
+
+    async listByStatus(statuses, { jobType } = {}) {
+      const params = { jobType };
+      statuses.forEach((status, index) => { params[`s${index}`] = status; });
+      const conditions = [`status IN (${statuses.map((_, index) => `@s${index}`).join(', ')})`];
+      if (jobType) conditions.push('job_type = @jobType');
+      return db.prepare(`SELECT * FROM background_jobs WHERE ${conditions.join(' AND ')} ORDER BY created_at ASC`)
+        .all(params)
+        .map(row => toRow('background_jobs', row));
+    }
+  };
+
+  const webhookHeldOrders = {
+    async create(values) {
+      return insert('webhook_held_orders', { id: crypto.randomUUID(), ...values });
+    },
+
+    async findById(id) {
+      return toRow('webhook_held_orders', db.prepare('SELECT * FROM webhook_held_orders WHERE id = ?').get(id));
+    },
+
+    async list({ status, limit = 100 } = {}) {
+      const rows = status
+        ? db.prepare('SELECT * FROM webhook_held_orders WHERE status = ? ORDER BY created_at DESC LIMIT ?').all(status, limit)
+        : db.prepare('SELECT * FROM webhook_held_orders ORDER BY created_at DESC LIMIT ?').all(limit);
+      return rows.map(row => toRow('webhook_held_orders', row));
+    },
+
+    async update(id, values) {
+      const [row] = update('webhook_held_orders', { ...values, updated_at: now() }, 'id = @id', { id });
+      return row || null;
+    }
+  };
+
+  const recurringEmailSchedules = {
+    async create(values) {
+      return insert('recurring_email_schedules', { id: crypto.randomUUID(), ...values });
+    },
+
+    async findById(id) {
+      return toRow('recurring_email_schedules', db.prepare('SELECT * FROM recurring_email_schedules WHERE id = ?').get(id));
+    },
+
+    async list({ activeOnly = false } = {}) {
+      const rows = activeOnly
+        ? db.prepare('SELECT * FROM recurring_email_schedules WHERE is_active = 1 ORDER BY created_at DESC').all()
+        : db.prepare('SELECT * FROM recurring_email_schedules ORDER BY created_at DESC').all();
+      return rows.map(row => toRow('recurring_email_schedules', row));
+    },
+
+    async update(id, values) {
+      const [row] = update('recurring_email_schedules', { ...values, updated_at: now() }, 'id = @id', { id });
+      return row || null;
+    },
+
+    async remove(id) {
+      const [row] = remove('recurring_email_schedules', 'id = @id', { id });
+      return row || null;
+    }
+  };
+
+  const suppliers = {
+    async listActive() {
+      return db.prepare('SELECT * FROM suppliers WHERE is_active = 1 ORDER BY name').all()
+        .map(row => toRow('suppliers', row));
+    },
+
+    async findActiveById(id) {
+      return toRow('suppliers', db.prepare('SELECT * FROM suppliers WHERE id = ? AND is_active = 1').get(id));
+    },
+
+    async findActiveByName(name, { excludeId } = {}) {
+      const row = excludeId !== undefined
+        ? db.prepare('SELECT * FROM suppliers WHERE name = ? AND is_active = 1 AND id != ?').get(name, excludeId)
+        : db.prepare('SELECT * FROM suppliers WHERE name = ? AND is_active = 1').get(name);
+      return toRow('suppliers', row);
+    },
+
+    async create(values) {
+      return insert('suppliers', values);
+    },
+
+    async update(id, values) {
+      const [row] = update('suppliers', { ...values, updated_at: now() }, 'id = @id AND is_active = 1', { id });
+      return row || null;
+    },
+
+    async deactivate(id) {
+      const [row] = update('suppliers', { is_active: false, updated_at: now() }, 'id = @id AND is_active = 1', { id });
+      return row || null;
+    }
+  };
+
+  const emailDeadLetters = {
+    async create(values) {
+      return insert('email_dead_letters', { id: crypto.randomUUID(), ...values });
+    },
+
+    async findById(id) {
+      return toRow('email_dead_letters', db.prepare('SELECT * FROM email_dead_letters WHERE id = ?').get(id));
+    },
+
+    async list({ status, limit = 100 } = {}) {
+      const rows = status
+        ? db.prepare('SELECT * FROM email_dead_letters WHERE status = ? ORDER BY created_at DESC LIMIT ?').all(status, limit)
+        : db.prepare('SELECT * FROM email_dead_letters ORDER BY created_at DESC LIMIT ?').all(limit);
+      return rows.map(row => toRow('email_dead_letters', row));
+    },
+
+    async update(id, values) {
+      const [row] = update('email_dead_letters', { ...values, updated_at: now() }, 'id = @id', { id });
+      return row || null;
+    }
+  };
+
+  const orderConfirmations = {
+    async create(values) {
+      return insert('purchase_order_confirmations', { id: crypto.randomUUID(), ...values });
+    },
+
+    async findByToken(token) {
+      return toRow('purchase_order_confirmations', db.prepare('SELECT * FROM purchase_order_confirmations WHERE token = ?').get(token));
+    },
+
+    async list({ status, deadlineBefore, limit = 100 } = {}) {
+      const conditions = [];
+      const params = { limit };
+      if (status) {
+        conditions.push('status = @status');
+        params.status = status;
+      }
+      if (deadlineBefore) {
+        conditions.push('deadline_at < @deadlineBefore');
+        params.deadlineBefore = deadlineBefore;
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      return db.prepare(`SELECT * FROM purchase_order_confirmations ${where} ORDER BY sent_at DESC LIMIT @limit`)
+        .all(params)
+        .map(row => toRow('purchase_order_confirmations', row));
+    },
+
+    // 대기 중(pending)인 확인 요청에만 회신 기록
+    async respond(id, values) {
+      const [row] = update('purchase_order_confirmations', { ...values, updated_at: now() }, "id = @id AND status = 'pending'", { id });
+      return row || null;
+    }
+  };
+
+  const lookupTables = {
+    async listActive() {
+      return db.prepare('SELECT * FROM lookup_tables WHERE is_active = 1 ORDER BY name').all()
+        .map(row => toRow('lookup_tables', row));
+    },
+
+    async findActiveById(id) {
+      return toRow('lookup_tables', db.prepare('SELECT * FROM lookup_tables WHERE id = ? AND is_active = 1').get(id));
+    },
+
+    async findActiveByName(name, { excludeId } = {}) {
+      const row = excludeId !== undefined
+        ? db.prepare('SELECT * FROM lookup_tables WHERE name = ? AND is_active = 1 AND id != ?').get(name, excludeId)
+        : db.prepare('SELECT * FROM lookup_tables WHERE name = ? AND is_active = 1').get(name);
+      return toRow('lookup_tables', row);
+    },
+
+    async create(values) {
+      return insert('lookup_tables', values);
+    },
+
+    async update(id, values) {
+      const [row] = update('lookup_tables', { ...values, updated_at: now() }, 'id = @id AND is_active = 1', { id });
+      return row || null;
+    },
+
+    async deactivate(id) {
+      const [row] = update('lookup_tables', { is_active: false, updated_at: now() }, 'id = @id AND is_active = 1', { id });
+      return row || null;
+    }
+  };
+
+  return {
+    name: 'sqlite',
+    db,
+    orderTemplates,
+    emailTemplates,
+    emailHistory,
+    webhookIdempotency,
+    backgroundJobs,
+    webhookHeldOrders,
+    recurringEmailSchedules,
+    suppliers,
+    emailDeadLetters,
+    orderConfirmations,
+    lookupTables
+  };
+}
+
+module.exports = {
+  createSqliteRepositories
+};
@@ -0,0 +1,806 @@
+/**
+ * Supabase(PostgreSQL) 저장소 구현
+ * 기존 라우트에서 직접 호출하던 supabase.from(...) 쿼리를 테이블별로 모아둔 것
+ * 오류는 예외로 던지며, 단건 조회 결과가 없으면 null을 반환한다.
+ */
+
+const raise = (error) => {
+  const wrapped = new Error(error.message || String(error));
+  wrapped.code = error.code;
+  wrapped.details = error.details;
+  throw wrapped;
+};
+
+// supplier_field_mapping_array 컬럼이 없는 구버전 스키마 여부
+const isMissingMappingArrayColumn = (error) =>
+  error && error.code === 'PGRST204' && String(error.message).includes('supplier_field_mapping_array');
+
+/**
+ * Supabase 저장소 생성
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase 클라이언트
+ * @returns {Object} 저장소 (orderTemplates, emailTemplates, emailHistory, webhookIdempotency, backgroundJobs, webhookHeldOrders, recurringEmailSchedules, suppliers, emailDeadLetters, orderConfirmations, lookupTables)
+ */
+function createSupabaseRepositories(supabase) {
+  if (!supabase) {
+    throw new Error('Supabase 클라이언트 연결 실패');
+  }
+
+  const orderTemplates = {
+    async listActive() {
+      const { data, error } = await supabase
+        .from('order_templates')
+        .select('*')
+        .eq('is_active', true)
+        .order('last_used_at', { ascending: false, nullsFirst: false })
+        .order('created_at', { ascending: false });
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async findActiveById(id) {
+      const { data, error } = await supabase
+        .from('order_templates')
+        .select('*')
+        .eq('id', id)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async findActiveByName(templateName, { excludeId } = {}) {
+      let query = supabase
+        .from('order_templates')
+        .select('*')
+        .eq('template_name', templateName)
+        .eq('is_active', true);
+
+      if (excludeId !== undefined) {
+        query = query.neq('id', excludeId);
+      }
+
+      const { data, error } = await query.limit(1);
+
+      if (error) raise(error);
+      return data && data.length > 0 ? data[0] : null;
+    },
+
+    async searchActive(keyword, { fields = ['template_name'], sort = 'created', limit = 1 } = {}) {
+      let query = supabase
+        .from('order_templates')
+        .select('*')
+        .or(fields.map(field => `${field}.ilike.%${keyword}%`).join(','))
+        .eq('is_active', true);
+
+      if (sort === 'recent') {
+        query = query.order('last_used_at', { ascending: false, nullsFirst: false });
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async create(values) {
+      let { data, error } = await supabase
+        .from('order_templates')
+        .insert(values)
+        .select()
+        .single();
+
+      // supplier_field_mapping_array 컬럼이 없는 경우 순서 배열 제외하고 재시도
+      if (isMissingMappingArrayColumn(error)) {
+        console.log('⚠️ supplier_field_mapping_array 컬럼이 없음, 순서 배열 제외하고 재시도');
+        const { supplier_field_mapping_array, ...backupValues } = values;
+        ({ data, error } = await supabase
+          .from('order_templates')
+          .insert(backupValues)
+          .select()
+          .single());
+
+        if (!error) {
+          console.log('💡 Supabase 스키마 캐시를 새로고침하거나 프로젝트를 재시작해주세요.');
+        }
+      }
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async update(id, values) {
+      const runUpdate = (updateValues) => supabase
+        .from('order_templates')
+        .update(updateValues)
+        .eq('id', id)
+        .eq('is_active', true)
+        .select()
+        .maybeSingle();
+
+      let { data, error } = await runUpdate(values);
+
+      // supplier_field_mapping_array 컬럼이 없는 경우 순서 배열 제외하고 재시도
+      if (isMissingMappingArrayColumn(error)) {
+        console.log('⚠️ 템플릿 수정 시 supplier_field_mapping_array 컬럼이 없음, 순서 배열 제외하고 재시도');
+        const { supplier_field_mapping_array, ...backupValues } = values;
+        ({ data, error } = await runUpdate(backupValues));
+      }
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async deactivate(id) {
+      const { data, error } = await supabase
+        .from('order_templates')
+        .update({ is_active: false })
+        .eq('id', id)
+        .eq('is_active', true)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async recordUsage(id) {
+      const current = await this.findActiveById(id);
+      if (!current) return null;
+
+      const { data, error } = await supabase
+        .from('order_templates')
+        .update({
+          usage_count: (current.usage_count || 0) + 1,
+          last_used_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .eq('is_active', true)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    }
+  };
+
+  const emailTemplates = {
+    async upsert(values) {
+      const { data, error } = await supabase
+        .from('email_templates')
+        .upsert(values, { onConflict: 'template_name' })
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async findByName(templateName) {
+      const { data, error } = await supabase
+        .from('email_templates')
+        .select('*')
+        .eq('template_name', templateName)
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async list() {
+      const { data, error } = await supabase
+        .from('email_templates')
+        .select('*')
+        .order('created_at', { ascending: false });
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async deleteByName(templateName) {
+      const { data, error } = await supabase
+        .from('email_templates')
+        .delete()
+        .eq('template_name', templateName)
+        .select();
+
+      if (error) raise(error);
+      return data || [];
+    }
+  };
+
+  const emailHistory = {
+    async insert(values) {
+      const { data, error } = await supabase
+        .from('email_history')
+        .insert(values)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async list({ limit = 100 } = {}) {
+      const { data, error } = await supabase
+        .from('email_history')
+        .select('*')
+        .order('sent_at', { ascending: false })
+        .limit(limit);
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async findByMessageId(messageId) {
+      const { data, error } = await supabase
+        .from('email_history')
+        .select('*')
+        .eq('message_id', messageId);
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async listByBatchId(batchId) {
+      const { data, error } = await supabase
+        .from('email_history')
+        .select('*')
+        .eq('batch_id', batchId)
+        .order('sent_at', { ascending: true });
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async listByMessageIdPrefix(prefix) {
+      const { data, error } = await supabase
+        .from('email_history')
+        .select('*')
+        .like('message_id', `${prefix.replace(/[\\%_]/g, c => `\\${c}`)}%`)
+        .order('sent_at', { ascending: true });
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async updateByMessageId(messageId, values) {
+      const { data, error } = await supabase
+        .from('email_history')
+        .update(values)
+        .eq('message_id', messageId)
+        .select();
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async deleteById(id) {
+      const { data, error } = await supabase
+        .from('email_history')
+        .delete()
+        .eq('id', id)
+        .select();
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async deleteByMessageId(messageId) {
+      const { data, error } = await supabase
+        .from('email_history')
+        .delete()
+        .eq('message_id', messageId)
+        .select(); // 삭제된 행을 반환하도록 select 추가
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async clear() {
+      const { data, error } = await supabase
+        .from('email_history')
+        .delete()
+        .neq('id', '00000000-0000-0000-0000-000000000000') // 모든 레코드 삭제
+        .select();
+
+      if (error) raise(error);
+      return data || [];
+    }
+  };
+
+  const webhookIdempotency = {
+    async findByKeys(keys) {
+      if (keys.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('webhook_idempotency_keys')
+        .select('*')
+        .in('idempotency_key', keys);
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async save(values) {
+      const { data, error } = await supabase
+        .from('webhook_idempotency_keys')
+        .upsert({ ...values, updated_at: new Date().toISOString() }, { onConflict: 'idempotency_key' })
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async deleteByKey(key) {
+      const { data, error } = await supabase
+        .from('webhook_idempotency_keys')
+        .delete()
+        .eq('idempotency_key', key)
+        .select();
+
+      if (error) raise(error);
+      return data || [];
+    }
+  };
+
+  const backgroundJobs = {
+    async create(values) {
+      const { data, error } = await supabase
+        .from('background_jobs')
+        .insert(values)
+        .select()
+        .single();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async findById(id) {
+      const { data, error } = await supabase
+        .from('background_jobs')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async update(id, values) {
+      const { data, error } = await supabase
+        .from('background_jobs')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async listByStatus(statuses, { jobType } = {}) {
+      let query = supabase
+        .from('background_jobs')
+        .select('*')
+        .in('status', statuses);
+
+      if (jobType) {
+        query = query.eq('job_type', jobType);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: true });
+
+      if (error) raise(error);
+      return data || [];
+    }
+  };
+
+  const webhookHeldOrders = {
+    async create(values) {
+      const { data, error } = await supabase
+        .from('webhook_held_orders')
+        .insert(values)
+        .select()
+        .single();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async findById(id) {
+      const { data, error } = await supabase
+        .from('webhook_held_orders')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async list({ status, limit = 100 } = {}) {
+      let query = supabase
+        .from('webhook_held_orders')
+        .select('*');
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async update(id, values) {
+      const { data, error } = await supabase
+        .from('webhook_held_orders')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    }
+  };
+
+  const recurringEmailSchedules = {
+    async create(values) {
+      const { data, error } = await supabase
+        .from('recurring_email_schedules')
+        .insert(values)
+        .select()
+        .single();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async findById(id) {
+      const { data, error } = await supabase
+        .from('recurring_email_schedules')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async list({ activeOnly = false } = {}) {
+      let query = supabase
+        .from('recurring_email_schedules')
+        .select('*');
+
+      if (activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async update(id, values) {
+      const { data, error } = await supabase
+        .from('recurring_email_schedules')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async remove(id) {
+      const { data, error } = await supabase
+        .from('recurring_email_schedules')
+        .delete()
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    }
+  };
+
+  const suppliers = {
+    async listActive() {
+      const { data, error } = await supabase
+        .from('suppliers')
+        .select('*')
+        .eq('is_active', true)
+        .order('name', { ascending: true });
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async findActiveById(id) {
+      const { data, error } = await supabase
+        .from('suppliers')
+        .select('*')
+        .eq('id', id)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async findActiveByName(name, { excludeId } = {}) {
+      let query = supabase
+        .from('suppliers')
+        .select('*')
+        .eq('name', name)
+        .eq('is_active', true);
+
+      if (excludeId !== undefined) {
+        query = query.neq('id', excludeId);
+      }
+
+      const { data, error } = await query.limit(1);
+
+      if (error) raise(error);
+      return data && data.length > 0 ? data[0] : null;
+    },
+
+    async create(values) {
+      const { data, error } = await supabase
+        .from('suppliers')
+        .insert(values)
+        .select()
+        .single();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async update(id, values) {
+      const { data, error } = await supabase
+        .from('suppliers')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('is_active', true)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async deactivate(id) {
+      const { data, error } = await supabase
+        .from('suppliers')
+        .update({ is_active: false, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('is_active', true)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    }
+  };
+
+  const emailDeadLetters = {
+    async create(values) {
+      const { data, error } = await supabase
+        .from('email_dead_letters')
+        .insert(values)
+        .select()
+        .single();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async findById(id) {
+      const { data, error } = await supabase
+        .from('email_dead_letters')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async list({ status, limit = 100 } = {}) {
+      let query = supabase
+        .from('email_dead_letters')
+        .select('*');
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async update(id, values) {
+      const { data, error } = await supabase
+        .from('email_dead_letters')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    }
+  };
+
+  const orderConfirmations = {
+    async create(values) {
+      const { data, error } = await supabase
+        .from('purchase_order_confirmations')
+        .insert(values)
+        .select()
+        .single();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async findByToken(token) {
+      const { data, error } = await supabase
+        .from('purchase_order_confirmations')
+        .select('*')
+        .eq('token', token)
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async list({ status, deadlineBefore, limit = 100 } = {}) {
+      let query = supabase
+        .from('purchase_order_confirmations')
+        .select('*');
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+      if (deadlineBefore) {
+        query = query.lt('deadline_at', deadlineBefore);
+      }
+
+      const { data, error } = await query
+        .order('sent_at', { ascending: false })
+        .limit(limit);
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    // 대기 중(pending)인 확인 요청에만 회신 기록
+    async respond(id, values) {
+      const { data, error } = await supabase
+        .from('purchase_order_confirmations')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    }
+  };
+
+  const lookupTables = {
+    async listActive() {
+      const { data, error } = await supabase
+        .from('lookup_tables')
+        .select('*')
+        .eq('is_active', true)
+        .order('name', { ascending: true });
+
+      if (error) raise(error);
+      return data || [];
+    },
+
+    async findActiveById(id) {
+      const { data, error } = await supabase
+        .from('lookup_tables')
+        .select('*')
+        .eq('id', id)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async findActiveByName(name, { excludeId } = {}) {
+      let query = supabase
+        .from('lookup_tables')
+        .select('*')
+        .eq('name', name)
+        .eq('is_active', true);
+
+      if (excludeId !== undefined) {
+        query = query.neq('id', excludeId);
+      }
+
+      const { data, error } = await query.limit(1);
+
+      if (error) raise(error);
+      return data && data.length > 0 ? data[0] : null;
+    },
+
+    async create(values) {
+      const { data, error } = await supabase
+        .from('lookup_tables')
+        .insert(values)
+        .select()
+        .single();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async update(id, values) {
+      const { data, error } = await supabase
+        .from('lookup_tables')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('is_active', true)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    },
+
+    async deactivate(id) {
+      const { data, error } = await supabase
+        .from('lookup_tables')
+        .update({ is_active: false, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('is_active', true)
+        .select()
+        .maybeSingle();
+
+      if (error) raise(error);
+      return data;
+    }
+  };
+
+  return {
+    name: 'supabase',
+    orderTemplates,
+    emailTemplates,
+    emailHistory,
+    webhookIdempotency,
+    backgroundJobs,
+    webhookHeldOrders,
+    recurringEmailSchedules,
+    suppliers,
+    emailDeadLetters,
+    orderConfirmations,
+    lookupTables
+  };
+}
+
+module.exports = {
+  createSupabaseRepositories
+};
@@ -0,0 +1,27 @@
+/**
+ * 파일 확장자 → MIME 타입 변환
+ * 모든 스토리지 드라이버와 다운로드 응답에서 공통으로 사용
+ */
+
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xls: 'application/vnd.ms-excel',
+  csv: 'text/csv',
+  pdf: 'application/pdf',
+  json: 'application/json'
+};
+
+/**
+ * 파일명으로 Content-Type 추정
+ * @param {string} fileName - 파일명
+ * @returns {string} MIME 타입 (알 수 없으면 application/octet-stream)
+ */
+function getContentType(fileName) {
+  const ext = String(fileName || '').toLowerCase().split('.').pop();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+module.exports = {
+  getContentType,
+  CONTENT_TYPES
+};
@@ -0,0 +1,67 @@
+const { createLocalDriver } = require('./localDriver');
+const { createS3Driver } = require('./s3Driver');
+
+/**
+ * 스토리지 드라이버 선택
+ * STORAGE_DRIVER 환경변수로 지정: supabase(기본값) | local | s3
+ *
+ * supabase 드라이버는 utils/supabase.js의 기존 구현을 그대로 사용하므로
+ * getStorageDriver()는 null을 반환하고, 나머지 드라이버는 공통 인터페이스를 구현:
+ *   put(bucket, path, buffer, { contentType, upsert })
+ *   get(bucket, path) → Buffer
+ *   remove(bucket, paths[])
+ *   list(bucket, folder, { limit, offset, sortBy })
+ *   getPublicUrl(bucket, path)
+ */
+
+const SUPPORTED_DRIVERS = ['supabase', 'local', 's3'];
+
+let cachedDriver;
+
+function getStorageDriverName() {
+  const name = (process.env.STORAGE_DRIVER || 'supabase').trim().toLowerCase();
+
+  if (!SUPPORTED_DRIVERS.includes(name)) {
+    console.warn(`⚠️ 알 수 없는 STORAGE_DRIVER "${name}" - supabase 드라이버를 사용합니다.`);
+    return 'supabase';
+  }
+
+  return name;
+}
+
+function getStorageDriver() {
+  if (cachedDriver !== undefined) return cachedDriver;
+
+  const name = getStorageDriverName();
+
+  if (name === 'local') {
+    cachedDriver = createLocalDriver({ rootDir: process.env.LOCAL_STORAGE_DIR });
+    console.log('📁 로컬 파일시스템 스토리지 사용:', cachedDriver.rootDir);
+  } else if (name === 's3') {
+    cachedDriver = createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+      publicUrl: process.env.S3_PUBLIC_URL
+    });
+    console.log('🪣 S3 호환 스토리지 사용:', process.env.S3_BUCKET);
+  } else {
+    cachedDriver = null;
+  }
+
+  return cachedDriver;
+}
+
+// 환경변수 변경 후 드라이버를 다시 만들 때 사용 (테스트 등)
+function resetStorageDriver() {
+  cachedDriver = undefined;
+}
+
+module.exports = {
+  getStorageDriver,
+  getStorageDriverName,
+  resetStorageDriver
+};
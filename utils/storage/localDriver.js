@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getContentType } = require('./contentTypes');
+
+/**
+ * 로컬 파일시스템 스토리지 드라이버
+ * 버킷은 rootDir 아래의 디렉토리로, 객체 경로는 그 하위 파일로 저장
+ * (온프레미스 설치 및 Supabase 없이 실행하는 테스트 환경용)
+ *
+ * @param {Object} options
+ * @param {string} [options.rootDir] - 저장 루트 디렉토리 (기본값: OS 임시 디렉토리/autorder-storage)
+ * @returns {Object} 스토리지 드라이버
+ */
+function createLocalDriver(options = {}) {
+  const rootDir = path.resolve(options.rootDir || path.join(os.tmpdir(), 'autorder-storage'));
+
+  // 버킷/객체 경로를 실제 파일 경로로 변환 (루트 밖으로 벗어나는 경로 차단)
+  const resolvePath = (bucket, objectPath = '') => {
+    const bucketDir = path.resolve(rootDir, bucket);
+    const fullPath = path.resolve(bucketDir, objectPath);
+
+    if (!bucketDir.startsWith(rootDir + path.sep) || (fullPath !== bucketDir && !fullPath.startsWith(bucketDir + path.sep))) {
+      throw new Error(`허용되지 않는 스토리지 경로입니다: ${bucket}/${objectPath}`);
+    }
+
+    return fullPath;
+  };
+
+  const notFoundError = (bucket, objectPath) => {
+    const error = new Error(`Object not found: ${bucket}/${objectPath}`);
+    error.status = 404;
+    error.code = 'NOT_FOUND';
+    return error;
+  };
+
+  return {
+    name: 'local',
+    rootDir,
+
+    async put(bucket, objectPath, buffer, { upsert = false } = {}) {
+      const filePath = resolvePath(bucket, objectPath);
+
+      if (!upsert && fs.existsSync(filePath)) {
+        const error = new Error(`The resource already exists: ${bucket}/${objectPath}`);
+        error.status = 409;
+        throw error;
+      }
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+
+      return { path: objectPath };
+    },
+
+    async get(bucket, objectPath) {
+      const filePath = resolvePath(bucket, objectPath);
+
+      try {
+        return await fs.promises.readFile(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+          throw notFoundError(bucket, objectPath);
+        }
+        throw error;
+      }
+    },
+
+    async remove(bucket, objectPaths) {
+      const removed = [];
+
+      for (const objectPath of objectPaths) {
+        const filePath = resolvePath(bucket, objectPath);
+        try {
+          await fs.promises.unlink(filePath);
+          removed.push({ name: objectPath });
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+
+      return removed;
+    },
+
+    // Supabase Storage의 list() 응답과 같은 형태로 반환
+    async list(bucket, folder = '', { limit = 100, offset = 0, sortBy } = {}) {
+      const dirPath = resolvePath(bucket, folder);
+
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const files = [];
+      for (const entry of entries) {
+        if (!entry.isFile()) continue;
+
+        const stats = await fs.promises.stat(path.join(dirPath, entry.name));
+        files.push({
+          name: entry.name,
+          created_at: stats.birthtime.toISOString(),
+          updated_at: stats.mtime.toISOString(),
+          metadata: {
+            size: stats.size,
+            contentType: getContentType(entry.name)
+          }
+        });
+      }
+
+      const column = sortBy?.column || 'name';
+      const direction = sortBy?.order === 'desc' ? -1 : 1;
+      files.sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * direction);
+
+      return files.slice(offset, offset + limit);
+    },
+
+    getPublicUrl(bucket, objectPath) {
+      return `file://${resolvePath(bucket, objectPath)}`;
+    }
+  };
+}
+
+module.exports = {
+  createLocalDriver
+};
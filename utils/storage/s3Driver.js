@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getContentType } = require('./contentTypes');
+
+/**
+ * S3 호환 스토리지 드라이버 (AWS S3, MinIO, Cloudflare R2 등)
+ * 하나의 S3 버킷을 사용하고, 논리 버킷(uploads, generated, mappings)은 키 접두사로 구분
+ * 별도 SDK 없이 AWS Signature V4로 직접 서명
+ *
+ * @param {Object} options
+ * @param {string} options.bucket - S3 버킷 이름
+ * @param {string} [options.region] - 리전 (기본값: us-east-1)
+ * @param {string} [options.endpoint] - 엔드포인트 URL (기본값: AWS S3)
+ * @param {string} options.accessKeyId - 액세스 키
+ * @param {string} options.secretAccessKey - 시크릿 키
+ * @param {boolean} [options.forcePathStyle] - path-style URL 사용 여부 (MinIO 등)
+ * @param {string} [options.publicUrl] - 공개 URL 베이스 (CDN 등)
+ * @returns {Object} 스토리지 드라이버
+ */
+function createS3Driver(options = {}) {
+  const { bucket, accessKeyId, secretAccessKey } = options;
+  const region = options.region || 'us-east-1';
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 스토리지 설정이 누락되었습니다. S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY 환경변수를 확인하세요.');
+  }
+
+  const endpoint = new URL(options.endpoint || `https://s3.${region}.amazonaws.com`);
+  const forcePathStyle = options.forcePathStyle ?? Boolean(options.endpoint);
+
+  const host = forcePathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+  const basePath = forcePathStyle ? `/${bucket}` : '';
+
+  const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+  // RFC 3986 인코딩 (S3 서명 규칙)
+  const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  const encodeKey = (key) => key.split('/').map(encode).join('/');
+
+  const toKey = (logicalBucket, objectPath) => `${logicalBucket}/${String(objectPath).replace(/^\/+/, '')}`;
+
+  /**
+   * 서명된 S3 요청 전송
+   */
+  async function request(method, key, { query = {}, body, headers = {}, responseType = 'arraybuffer' } = {}) {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const canonicalUri = `${basePath}/${key ? encodeKey(key) : ''}`;
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map(name => `${encode(name)}=${encode(String(query[name]))}`)
+      .join('&');
+
+    const payloadHash = sha256(body || '');
+    const signedHeaderValues = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]))
+    };
+
+    const signedHeaderNames = Object.keys(signedHeaderValues).sort();
+    const canonicalHeaders = signedHeaderNames.map(name => `${name}:${signedHeaderValues[name].trim()}\n`).join('');
+    const signedHeaders = signedHeaderNames.join(';');
+
+    const canonicalRequest = [method, canonicalUri, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host: _host, ...requestHeaders } = signedHeaderValues;
+    requestHeaders.Authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    const url = `${endpoint.protocol}//${host}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`;
+
+    const response = await axios({
+      method,
+      url,
+      data: body,
+      headers: requestHeaders,
+      responseType,
+      validateStatus: () => true,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+
+    if (response.status >= 300) {
+      const error = new Error(`S3 ${method} ${key || '/'} 실패 (HTTP ${response.status})`);
+      error.status = response.status;
+      if (response.status === 404) error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return response;
+  }
+
+  // ListObjectsV2 XML 응답에서 필요한 값만 추출
+  const parseListResponse = (xml) => {
+    const contents = [];
+    const pattern = /<Contents>([\s\S]*?)<\/Contents>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+      const pick = (tag) => (match[1].match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`)) || [])[1];
+      contents.push({
+        key: pick('Key'),
+        lastModified: pick('LastModified'),
+        size: parseInt(pick('Size') || '0', 10)
+      });
+    }
+    return contents;
+  };
+
+  return {
+    name: 's3',
+
+    async put(logicalBucket, objectPath, buffer, { contentType, upsert = false } = {}) {
+      const key = toKey(logicalBucket, objectPath);
+
+      if (!upsert) {
+        const exists = await request('HEAD', key).then(() => true, error => {
+          if (error.status === 404) return false;
+          throw error;
+        });
+        if (exists) {
+          const error = new Error(`The resource already exists: ${key}`);
+          error.status = 409;
+          throw error;
+        }
+      }
+
+      await request('PUT', key, {
+        body: buffer,
+        headers: { 'content-type': contentType || getContentType(objectPath) }
+      });
+
+      return { path: objectPath };
+    },
+
+    async get(logicalBucket, objectPath) {
+      const response = await request('GET', toKey(logicalBucket, objectPath));
+      return Buffer.from(response.data);
+    },
+
+    async remove(logicalBucket, objectPaths) {
+      const removed = [];
+      for (const objectPath of objectPaths) {
+        await request('DELETE', toKey(logicalBucket, objectPath));
+        removed.push({ name: objectPath });
+      }
+      return removed;
+    },
+
+    // Supabase Storage의 list() 응답과 같은 형태로 반환
+    async list(logicalBucket, folder = '', { limit = 100, offset = 0, sortBy } = {}) {
+      const prefix = `${toKey(logicalBucket, folder).replace(/\/+$/, '')}/`;
+      const response = await request('GET', '', {
+        query: { 'list-type': 2, prefix, delimiter: '/' },
+        responseType: 'text'
+      });
+
+      const files = parseListResponse(response.data).map(item => ({
+        name: item.key.slice(prefix.length),
+        created_at: item.lastModified,
+        updated_at: item.lastModified,
+        metadata: {
+          size: item.size,
+          contentType: getContentType(item.key)
+        }
+      }));
+
+      const column = sortBy?.column || 'name';
+      const direction = sortBy?.order === 'desc' ? -1 : 1;
+      files.sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * direction);
+
+      return files.slice(offset, offset + limit);
+    },
+
+    getPublicUrl(logicalBucket, objectPath) {
+      const key = encodeKey(toKey(logicalBucket, objectPath));
+      if (options.publicUrl) {
+        return `${options.publicUrl.replace(/\/+$/, '')}/${key}`;
+      }
+      return `${endpoint.protocol}//${host}${basePath}/${key}`;
+    }
+  };
+}
+
+module.exports = {
+  createS3Driver
+};
@@ -1,4 +1,8 @@
 const { createClient } = require('@supabase/supabase-js');
+const { getStorageDriver } = require('./storage');
+const { getContentType } = require('./storage/contentTypes');
+const { getRepositories } = require('./repositories');
+const { SCHEDULE_ID_PREFIX, parseScheduleInfo, isPendingSchedule } = require('./repositories/scheduledEmails');
 
 // 환경변수 체크 (최소화된 로깅)
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
@@ -42,22 +46,21 @@ try {
  * @returns {Promise<{success: boolean, data?: any, error?: string}>}
  */
 async function uploadFile(fileBuffer, fileName, bucket = 'uploads', maxRetries = 5) {
-  // 파일 확장자에 따른 MIME 타입 설정
-  const getContentType = (fileName) => {
-    const ext = fileName.toLowerCase().split('.').pop();
-    switch (ext) {
-      case 'xlsx':
-        return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-      case 'xls':
-        return 'application/vnd.ms-excel';
-      case 'csv':
-        return 'text/csv';
-      case 'json':
-        return 'application/json';
-      default:
-        return 'application/octet-stream';
+  // 별도 스토리지 드라이버(local, s3)가 설정된 경우 해당 드라이버 사용
+  const driver = getStorageDriver();
+  if (driver) {
+    try {
+      const data = await driver.put(bucket, `files/${fileName}`, fileBuffer, {
+        upsert: false,
+        contentType: getContentType(fileName)
+      });
+      console.log(`✅ ${driver.name} 스토리지 업로드 성공:`, { path: data.path, fileSize: fileBuffer.length });
+      return { success: true, data };
+    } catch (error) {
+      console.error(`❌ ${driver.name} 스토리지 업로드 실패:`, error.message);
+      return { success: false, error: error.message };
     }
-  };
+  }
 
   let lastError = null;
   let consecutiveFailures = 0;
@@ -255,6 +258,28 @@ async function downloadFile(fileName, bucket = 'uploads', maxRetries = 7) {
   } catch (e) {
     // 원본이 URL 인코딩되지 않은 경우는 정상
   }
+
+  // 별도 스토리지 드라이버(local, s3)가 설정된 경우 해당 드라이버에서 조회
+  const driver = getStorageDriver();
+  if (driver) {
+    for (const variant of [...new Set(allDecodingVariants)]) {
+      for (const pathPrefix of ['files/', '']) {
+        try {
+          const data = await driver.get(bucket, `${pathPrefix}${variant}`);
+          console.log(`✅ ${driver.name} 스토리지 다운로드 성공:`, `${pathPrefix}${variant}`);
+          return { success: true, data };
+        } catch (error) {
+          if (error.code !== 'NOT_FOUND') {
+            console.error(`❌ ${driver.name} 스토리지 다운로드 오류:`, error.message);
+            return { success: false, error: error.message };
+          }
+        }
+      }
+    }
+
+    console.error(`❌ ${driver.name} 스토리지에서 파일을 찾을 수 없음:`, fileName);
+    return { success: false, error: `파일을 찾을 수 없습니다: ${fileName}` };
+  }
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
@@ -542,6 +567,13 @@ async function downloadFile(fileName, bucket = 'uploads', maxRetries = 7) {
 async function deleteFile(fileName, bucket = 'uploads') {
   try {
     console.log('🗑️ Supabase Storage 파일 삭제:', fileName);
+
+    const driver = getStorageDriver();
+    if (driver) {
+      await driver.remove(bucket, [`files/${fileName}`]);
+      console.log(`✅ ${driver.name} 스토리지 파일 삭제 성공`);
+      return { success: true };
+    }
     
     const { error } = await supabase.storage
       .from(bucket)
@@ -567,6 +599,11 @@ async function deleteFile(fileName, bucket = 'uploads') {
  * @returns {string} 공개 URL
  */
 function getPublicUrl(fileName, bucket = 'uploads') {
+  const driver = getStorageDriver();
+  if (driver) {
+    return driver.getPublicUrl(bucket, `files/${fileName}`);
+  }
+
   const { data } = supabase.storage
     .from(bucket)
     .getPublicUrl(`files/${fileName}`);
@@ -574,6 +611,36 @@ function getPublicUrl(fileName, bucket = 'uploads') {
   return data.publicUrl;
 }
 
+/**
+ * 버킷 폴더의 파일 목록 조회 (Supabase Storage list() 응답 형태)
+ * @param {string} bucket - 버킷명 (기본값: 'uploads')
+ * @param {string} folder - 폴더 경로 (기본값: 'files')
+ * @param {Object} options - { limit, offset, sortBy: { column, order } }
+ * @returns {Promise<{success: boolean, data?: Array, error?: string}>}
+ */
+async function listFiles(bucket = 'uploads', folder = 'files', options = {}) {
+  try {
+    const driver = getStorageDriver();
+    if (driver) {
+      const data = await driver.list(bucket, folder, options);
+      return { success: true, data };
+    }
+
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .list(folder, options);
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('❌ 파일 목록 조회 오류:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * 매핑 데이터를 Supabase에 저장
  * @param {string} mappingName - 매핑명
@@ -668,6 +735,17 @@ async function saveFileMapping(originalId, actualFileName, originalFileName, buc
 
     console.log('🔧 안전한 키 생성:', { originalId, safeKey });
 
+    const driver = getStorageDriver();
+    if (driver) {
+      const data = await driver.put('mappings', `file-mappings/${safeKey}.json`,
+        Buffer.from(JSON.stringify(mappingData, null, 2)), {
+          contentType: 'application/json',
+          upsert: true
+        });
+      console.log('✅ 파일명 매핑 저장 성공:', originalId);
+      return { success: true, data };
+    }
+
     const { data, error } = await supabase.storage
       .from('mappings')
       .upload(`file-mappings/${safeKey}.json`, 
@@ -714,16 +792,28 @@ async function loadFileMapping(originalId) {
 
     console.log('🔧 안전한 키로 조회:', { originalId, safeKey });
 
-    const { data, error } = await supabase.storage
-      .from('mappings')
-      .download(`file-mappings/${safeKey}.json`);
+    let text;
+    const driver = getStorageDriver();
+    if (driver) {
+      try {
+        text = (await driver.get('mappings', `file-mappings/${safeKey}.json`)).toString('utf8');
+      } catch (error) {
+        console.log('❌ 파일명 매핑 조회 실패:', error.message);
+        return { success: false, error: error.message };
+      }
+    } else {
+      const { data, error } = await supabase.storage
+        .from('mappings')
+        .download(`file-mappings/${safeKey}.json`);
 
-    if (error) {
-      console.log('❌ 파일명 매핑 조회 실패:', error.message);
-      return { success: false, error: error.message };
+      if (error) {
+        console.log('❌ 파일명 매핑 조회 실패:', error.message);
+        return { success: false, error: error.message };
+      }
+
+      text = await data.text();
     }
 
-    const text = await data.text();
     const mappingData = JSON.parse(text);
 
     console.log('✅ 파일명 매핑 조회 성공:', {
@@ -767,15 +857,13 @@ async function resolveActualFileName(fileId, bucket = 'uploads', expectedFileTyp
 
     // 3단계: 대안 검색 - 최근 파일 목록에서 검색
     console.log('🔍 대안 검색: 최근 파일 목록 조회...');
-    const { data: fileList, error: listError } = await supabase.storage
-      .from(bucket)
-      .list('files', { 
-        limit: 50,
-        sortBy: { column: 'created_at', order: 'desc' }
-      });
+    const { data: fileList, error: listError } = await listFiles(bucket, 'files', {
+      limit: 50,
+      sortBy: { column: 'created_at', order: 'desc' }
+    });
 
     if (listError) {
-      console.log('❌ 파일 목록 조회 실패:', listError.message);
+      console.log('❌ 파일 목록 조회 실패:', listError);
       return { success: false, error: `파일을 찾을 수 없습니다: ${fileId}` };
     }
 
@@ -836,19 +924,12 @@ async function saveEmailTemplate(templateName, subject, body, recipients = []) {
   try {
     console.log('💾 이메일 템플릿 저장:', templateName);
     
-    const { data, error } = await supabase
-      .from('email_templates')
-      .upsert({
-        template_name: templateName,
-        subject: subject,
-        body: body,
-        recipients: recipients
-      });
-
-    if (error) {
-      console.error('❌ 이메일 템플릿 저장 오류:', error);
-      return { success: false, error: error.message };
-    }
+    const data = await getRepositories().emailTemplates.upsert({
+      template_name: templateName,
+      subject: subject,
+      body: body,
+      recipients: recipients
+    });
 
     console.log('✅ 이메일 템플릿 저장 성공');
     return { success: true, data };
@@ -867,19 +948,11 @@ async function loadEmailTemplate(templateName) {
   try {
     console.log('📖 이메일 템플릿 조회:', templateName);
     
-    const { data, error } = await supabase
-      .from('email_templates')
-      .select('*')
-      .eq('template_name', templateName)
-      .single();
+    const data = await getRepositories().emailTemplates.findByName(templateName);
 
-    if (error) {
-      if (error.code === 'PGRST116') {
-        console.log('⚠️ 템플릿을 찾을 수 없음:', templateName);
-        return { success: false, error: '템플릿을 찾을 수 없습니다.' };
-      }
-      console.error('❌ 이메일 템플릿 조회 오류:', error);
-      return { success: false, error: error.message };
+    if (!data) {
+      console.log('⚠️ 템플릿을 찾을 수 없음:', templateName);
+      return { success: false, error: '템플릿을 찾을 수 없습니다.' };
     }
 
     console.log('✅ 이메일 템플릿 조회 성공');
@@ -898,15 +971,7 @@ async function loadEmailTemplates() {
   try {
     console.log('📋 이메일 템플릿 목록 조회');
     
-    const { data, error } = await supabase
-      .from('email_templates')
-      .select('*')
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('❌ 이메일 템플릿 목록 조회 오류:', error);
-      return { success: false, error: error.message };
-    }
+    const data = await getRepositories().emailTemplates.list();
 
     console.log('✅ 이메일 템플릿 목록 조회 성공:', data.length + '개');
     return { success: true, data };
@@ -925,15 +990,7 @@ async function deleteEmailTemplate(templateName) {
   try {
     console.log('🗑️ 이메일 템플릿 삭제:', templateName);
     
-    const { error } = await supabase
-      .from('email_templates')
-      .delete()
-      .eq('template_name', templateName);
-
-    if (error) {
-      console.error('❌ 이메일 템플릿 삭제 오류:', error);
-      return { success: false, error: error.message };
-    }
+    await getRepositories().emailTemplates.deleteByName(templateName);
 
     console.log('✅ 이메일 템플릿 삭제 성공');
     return { success: true };
@@ -954,25 +1011,19 @@ async function deleteEmailTemplate(templateName) {
  */
 async function saveEmailHistory(historyData) {
   try {
-    console.log('📝 이메일 전송 이력 저장:', historyData.to_email);
+    console.log('📝 이메일 전송 이력 저장:', historyData.to);
     
-    const { data, error } = await supabase
-      .from('email_history')
-      .insert({
-        to_email: historyData.to,
-        subject: historyData.subject,
-        attachment_name: historyData.attachmentName,
-        sent_at: historyData.sentAt,
-        message_id: historyData.messageId,
-        status: historyData.status,
-        error_message: historyData.error,
-        template_name: historyData.templateName
-      });
-
-    if (error) {
-      console.error('❌ 이메일 이력 저장 오류:', error);
-      return { success: false, error: error.message };
-    }
+    const data = await getRepositories().emailHistory.insert({
+      to_email: historyData.to,
+      subject: historyData.subject,
+      attachment_name: historyData.attachmentName,
+      sent_at: historyData.sentAt,
+      message_id: historyData.messageId,
+      status: historyData.status,
+      error_message: historyData.error,
+      template_name: historyData.templateName,
+      batch_id: historyData.batchId
+    });
 
     console.log('✅ 이메일 이력 저장 성공');
     return { success: true, data };
@@ -989,46 +1040,19 @@ async function saveEmailHistory(historyData) {
  */
 async function loadEmailHistory(limit = 100) {
   try {
-    // 이메일 전송 이력 조회 시작
-    
-    // Supabase 연결 상태 확인
-    if (!supabase) {
-      console.error('❌ Supabase 클라이언트가 초기화되지 않음');
-      return { success: false, error: 'Supabase 클라이언트 연결 실패' };
-    }
-    
-    const { data, error } = await supabase
-      .from('email_history')
-      .select('*')
-      .order('sent_at', { ascending: false })
-      .limit(limit * 2); // 필터링을 고려해 더 많이 가져옴
-
-    if (error) {
+    let data;
+    try {
+      data = await getRepositories().emailHistory.list({ limit: limit * 2 }); // 필터링을 고려해 더 많이 가져옴
+    } catch (error) {
       console.error('❌ 이메일 이력 조회 오류:', error);
       return { success: false, error: `데이터베이스 오류: ${error.message}` };
     }
-    
-    // 데이터 유효성 검사
-    if (!Array.isArray(data)) {
-      console.error('❌ 잘못된 데이터 형식:', typeof data);
-      return { success: false, error: '잘못된 데이터베이스 응답 형식' };
-    }
 
-            // 간단한 필터링: 예약 대기중인 이메일만 제외 (Vercel 환경 최적화)
+    // 예약 대기중인 이메일만 제외 (SCH_ 예약 이메일은 전송 완료된 경우만 포함)
     const filteredData = data.filter(item => {
-      try {
-        if (!item || typeof item !== 'object') return false;
-        
-        // SCH_로 시작하지 않는 일반 이메일은 포함
-        if (!item.message_id || !item.message_id.startsWith('SCH_')) {
-          return true;
-        }
-        
-        // SCH_ 예약 이메일: status가 success/failed인 경우만 포함 (전송 완료)
-        return item.status === 'success' || item.status === 'failed';
-      } catch (error) {
-        return false;
-      }
+      if (!item || typeof item !== 'object') return false;
+      if (!item.message_id || !item.message_id.startsWith(SCHEDULE_ID_PREFIX)) return true;
+      return !isPendingSchedule(item);
     });
     
     // 제한 적용
@@ -1051,15 +1075,7 @@ async function deleteEmailHistory(historyId) {
   try {
     console.log('🗑️ 이메일 이력 삭제:', historyId);
     
-    const { error } = await supabase
-      .from('email_history')
-      .delete()
-      .eq('id', historyId);
-
-    if (error) {
-      console.error('❌ 이메일 이력 삭제 오류:', error);
-      return { success: false, error: error.message };
-    }
+    await getRepositories().emailHistory.deleteById(historyId);
 
     console.log('✅ 이메일 이력 삭제 성공');
     return { success: true };
@@ -1077,15 +1093,7 @@ async function clearEmailHistory() {
   try {
     console.log('🗑️ 전체 이메일 이력 삭제');
     
-    const { data, error } = await supabase
-      .from('email_history')
-      .delete()
-      .neq('id', '00000000-0000-0000-0000-000000000000'); // 모든 레코드 삭제
-
-    if (error) {
-      console.error('❌ 전체 이메일 이력 삭제 오류:', error);
-      return { success: false, error: error.message };
-    }
+    const data = await getRepositories().emailHistory.clear();
 
     console.log('✅ 전체 이메일 이력 삭제 성공');
     return { success: true, data };
@@ -1104,31 +1112,7 @@ async function saveScheduledEmail(scheduleData) {
   try {
     console.log('📅 예약된 이메일 저장:', scheduleData.schedule_id);
     
-    // 추가 예약 정보를 error_message 필드에 JSON으로 저장 (임시)
-    const additionalInfo = JSON.stringify({
-      body: scheduleData.body,
-      attachmentPath: scheduleData.attachmentPath,
-      createdAt: scheduleData.createdAt,
-      status: 'scheduled' // 실제 상태를 여기에 저장
-    });
-    
-    const { data, error } = await supabase
-      .from('email_history')
-      .insert({
-        to_email: scheduleData.to,
-        subject: scheduleData.subject,
-        attachment_name: scheduleData.attachmentDisplayName || scheduleData.attachmentPath,
-        sent_at: scheduleData.scheduleTime, // 예약 시간을 sent_at에 저장
-        message_id: scheduleData.schedule_id, // schedule_id를 message_id로 저장
-        status: 'simulation', // 기존 허용 값 사용 (실제 상태는 error_message에 저장)
-        error_message: additionalInfo, // 추가 정보와 실제 상태를 여기에 저장
-        template_name: scheduleData.templateId || 'manual'
-      });
-
-    if (error) {
-      console.error('❌ 예약된 이메일 저장 오류:', error);
-      return { success: false, error: error.message };
-    }
+    const data = await getRepositories().scheduledEmails.create(scheduleData);
 
     console.log('✅ 예약된 이메일 저장 성공');
     return { success: true, data };
@@ -1144,50 +1128,15 @@ async function saveScheduledEmail(scheduleData) {
  */
 async function loadScheduledEmails() {
   try {
-    // 예약된 이메일 목록 조회 시작
-    
-    // Supabase 연결 상태 확인
-    if (!supabase) {
-      console.error('❌ Supabase 클라이언트가 초기화되지 않음');
-      return { success: false, error: 'Supabase 클라이언트 연결 실패' };
-    }
-    
-    // SCH_로 시작하는 모든 예약 이메일 조회
-    const { data, error } = await supabase
-      .from('email_history')
-      .select('*')
-      .like('message_id', 'SCH_%')
-      .order('sent_at', { ascending: true }); // 예약 시간 순으로 정렬
-
-    if (error) {
+    let scheduledEmails;
+    try {
+      scheduledEmails = await getRepositories().scheduledEmails.listPending();
+    } catch (error) {
       console.error('❌ 예약된 이메일 목록 조회 오류:', error);
       return { success: false, error: `데이터베이스 오류: ${error.message}` };
     }
-    
-    // 데이터 유효성 검사
-    if (!Array.isArray(data)) {
-      console.error('❌ 잘못된 데이터 형식:', typeof data);
-      return { success: false, error: '잘못된 데이터베이스 응답 형식' };
-    }
-
-    // 간단한 필터링: 기본 status만 체크 (Vercel 환경 최적화)
-    const scheduledEmails = data.filter(item => {
-      try {
-        // 기본 안전성 검사
-        if (!item || typeof item !== 'object') return false;
-        
-        // status가 success/failed면 제외 (전송 완료)
-        if (item.status === 'success' || item.status === 'failed') return false;
-        
-        // 나머지는 예약된 이메일로 간주
-        return true;
-      } catch (error) {
-        return false; // 오류 발생시 제외
-      }
-    });
 
     // 조회 성공 (로그 최소화)
-    
     return { success: true, data: scheduledEmails };
   } catch (error) {
     console.error('❌ 예약된 이메일 목록 조회 예외:', error);
@@ -1204,45 +1153,17 @@ async function cancelScheduledEmail(scheduleId) {
   try {
     console.log('🗑️ 예약된 이메일 삭제:', scheduleId);
     
+    const { scheduledEmails } = getRepositories();
+
     // 먼저 해당 ID가 존재하는지 확인
-    const { data: existingData, error: checkError } = await supabase
-      .from('email_history')
-      .select('message_id, status, error_message')
-      .eq('message_id', scheduleId);
-    
-    if (checkError) {
-      console.error('❌ 예약 ID 확인 오류:', checkError);
-      return { success: false, error: checkError.message };
-    }
-    
-    console.log('🔍 예약 ID 확인 결과:', {
-      scheduleId,
-      found: existingData?.length || 0,
-      data: existingData
-    });
-    
-    if (!existingData || existingData.length === 0) {
+    const existing = await scheduledEmails.findById(scheduleId);
+    if (!existing) {
       console.warn('⚠️ 해당 예약 ID가 데이터베이스에 존재하지 않습니다:', scheduleId);
       return { success: false, error: '해당 예약 이메일을 찾을 수 없습니다.' };
     }
     
     // 실제로 행을 삭제
-    const { data, error } = await supabase
-      .from('email_history')
-      .delete()
-      .eq('message_id', scheduleId)
-      .select(); // 삭제된 행을 반환하도록 select 추가
-
-    if (error) {
-      console.error('❌ 예약된 이메일 삭제 오류:', error);
-      return { success: false, error: error.message };
-    }
-
-    console.log('🔄 삭제 결과:', {
-      scheduleId,
-      deletedRows: data?.length || 0,
-      data: data
-    });
+    const data = await scheduledEmails.remove(scheduleId);
 
     // 삭제된 행이 없는 경우 확인
     if (!data || data.length === 0) {
@@ -1270,26 +1191,13 @@ async function updateScheduledEmailStatus(scheduleId, status, messageId = null,
   try {
     console.log('🔄 예약된 이메일 상태 업데이트:', scheduleId, '→', status);
     
+    const { scheduledEmails, emailHistory } = getRepositories();
+
     // 기존 예약 정보 가져오기
-    const { data: existingData, error: fetchError } = await supabase
-      .from('email_history')
-      .select('*')
-      .eq('message_id', scheduleId)
-      .single();
-    
-    if (fetchError) {
-      console.error('❌ 기존 데이터 조회 실패:', fetchError);
-      return { success: false, error: fetchError.message };
-    }
-    
-    // 기존 추가 정보 파싱
-    let additionalInfo = {};
-    try {
-      if (existingData.error_message && existingData.error_message.startsWith('{')) {
-        additionalInfo = JSON.parse(existingData.error_message);
-      }
-    } catch (e) {
-      console.warn('기존 정보 파싱 실패:', e.message);
+    const existingData = await scheduledEmails.findById(scheduleId);
+    if (!existingData) {
+      console.error('❌ 기존 데이터 조회 실패:', scheduleId);
+      return { success: false, error: '해당 예약 이메일을 찾을 수 없습니다.' };
     }
     
     if (status === 'success' || status === 'failed' || status === 'simulation') {
@@ -1307,32 +1215,15 @@ async function updateScheduledEmailStatus(scheduleId, status, messageId = null,
         template_name: existingData.template_name
       };
       
-      // 새로운 전송 이력 레코드 생성
-      const { error: insertError } = await supabase
-        .from('email_history')
-        .insert(historyData);
-      
-      if (insertError) {
-        console.error('❌ 전송 이력 생성 실패:', insertError);
-        return { success: false, error: insertError.message };
-      }
-      
-      // 예약 레코드 삭제
-      const { error: deleteError } = await supabase
-        .from('email_history')
-        .delete()
-        .eq('message_id', scheduleId);
-      
-      if (deleteError) {
-        console.error('❌ 예약 레코드 삭제 실패:', deleteError);
-        return { success: false, error: deleteError.message };
-      }
+      await emailHistory.insert(historyData);
+      await scheduledEmails.remove(scheduleId);
       
       console.log('✅ 예약된 이메일 → 전송 이력 이동 완료');
       return { success: true, data: historyData };
       
     } else {
       // 그 외 상태 업데이트 (cancelled 등)
+      const additionalInfo = parseScheduleInfo(existingData);
       additionalInfo.status = status;
       additionalInfo.completedAt = new Date().toISOString();
       
@@ -1344,20 +1235,9 @@ async function updateScheduledEmailStatus(scheduleId, status, messageId = null,
         additionalInfo.errorMessage = errorMessage;
       }
       
-      const updateData = { 
-        error_message: JSON.stringify(additionalInfo),
+      const data = await scheduledEmails.updateInfo(scheduleId, additionalInfo, {
         sent_at: new Date().toISOString()
-      };
-
-      const { data, error } = await supabase
-        .from('email_history')
-        .update(updateData)
-        .eq('message_id', scheduleId);
-
-      if (error) {
-        console.error('❌ 예약된 이메일 상태 업데이트 오류:', error);
-        return { success: false, error: error.message };
-      }
+      });
 
       console.log('✅ 예약된 이메일 상태 업데이트 성공');
       return { success: true, data };
@@ -1373,6 +1253,7 @@ module.exports = {
   downloadFile,
   deleteFile,
   getPublicUrl,
+  listFiles,
   saveMappingData,
   loadMappingData,
   // 파일명 매핑 함수들 (새로 추가)
@@ -0,0 +1,144 @@
+/**
+ * 공급처별 발주서 분리 규칙
+ * 한 주문서에 여러 공급처 상품이 섞여 있을 때 주문 행마다 공급처를 정한다.
+ *
+ * routing = {
+ *   supplierColumn: '공급처',   // 주문서의 공급처 컬럼 값을 공급처 이름으로 사용 (선택)
+ *   rules: [                     // 위에서부터 처음 일치하는 규칙의 공급처 (공급처 컬럼 값이 없는 행)
+ *     { field: '상품명', match: 'contains', value: '사과', supplier: 'A상사' },
+ *     { field: 'SKU', match: 'startsWith', value: ['B-', 'C-'], supplier: 'B유통' }
+ *   ],
+ *   defaultSupplier: '기타'      // 어느 규칙에도 맞지 않는 행의 공급처 (없으면 미분류로 보고)
+ * }
+ */
+
+const MATCH_TYPES = ['equals', 'contains', 'startsWith', 'regex'];
+
+/**
+ * 분리 규칙 검증
+ * @param {Object} routing - 분리 규칙
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateRoutingRule(routing) {
+  const errors = [];
+
+  if (!routing || typeof routing !== 'object') {
+    return { isValid: false, errors: ['공급처 분리 규칙(routing)이 필요합니다.'] };
+  }
+
+  const rules = routing.rules || [];
+  if (!Array.isArray(rules)) {
+    errors.push('rules는 배열이어야 합니다.');
+  } else {
+    rules.forEach((rule, index) => {
+      if (!rule || !rule.field) {
+        errors.push(`규칙 ${index + 1}: field가 필요합니다.`);
+        return;
+      }
+      if (!rule.supplier) {
+        errors.push(`규칙 ${index + 1}: supplier가 필요합니다.`);
+      }
+      if (rule.match && !MATCH_TYPES.includes(rule.match)) {
+        errors.push(`규칙 ${index + 1}: match는 ${MATCH_TYPES.join(', ')} 중 하나여야 합니다.`);
+      }
+      if (rule.value === undefined || rule.value === null || rule.value === '') {
+        errors.push(`규칙 ${index + 1}: value가 필요합니다.`);
+      } else if (rule.match === 'regex') {
+        [].concat(rule.value).forEach(pattern => {
+          try {
+            new RegExp(pattern);
+          } catch (error) {
+            errors.push(`규칙 ${index + 1}: 잘못된 정규식입니다. (${pattern})`);
+          }
+        });
+      }
+    });
+  }
+
+  if (!routing.supplierColumn && (!Array.isArray(rules) || rules.length === 0) && !routing.defaultSupplier) {
+    errors.push('supplierColumn, rules, defaultSupplier 중 하나 이상이 필요합니다.');
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+// 주문 행에서 컬럼 값 읽기 (배열 행/객체 행 모두 지원)
+function getRowValue(rowData, headers, field) {
+  const value = Array.isArray(rowData) ? rowData[headers.indexOf(field)] : rowData?.[field];
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// 규칙 일치 여부 (value가 배열이면 하나라도 일치)
+function matchesRule(value, rule) {
+  if (value === '') return false;
+
+  return [].concat(rule.value).some(expected => {
+    const target = String(expected);
+    switch (rule.match || 'equals') {
+      case 'contains':
+        return value.includes(target);
+      case 'startsWith':
+        return value.startsWith(target);
+      case 'regex':
+        return new RegExp(target).test(value);
+      default:
+        return value === target;
+    }
+  });
+}
+
+/**
+ * 주문 행 공급처 결정
+ * @param {Array|Object} rowData - 주문 행
+ * @param {string[]} headers - 주문서 헤더
+ * @param {Object} routing - 분리 규칙
+ * @returns {string|null} 공급처 이름 (미분류면 null)
+ */
+function resolveSupplier(rowData, headers, routing) {
+  if (routing.supplierColumn) {
+    const supplier = getRowValue(rowData, headers, routing.supplierColumn);
+    if (supplier) return supplier;
+  }
+
+  const rule = (routing.rules || []).find(item => matchesRule(getRowValue(rowData, headers, item.field), item));
+  if (rule) return rule.supplier;
+
+  return routing.defaultSupplier || null;
+}
+
+/**
+ * 주문 행을 공급처별로 나누기
+ * @param {{headers: string[], data: Array}} sourceData - 주문서 데이터
+ * @param {Object} routing - 분리 규칙
+ * @returns {{groups: Array<{supplier: string, rows: Array, rowNumbers: number[]}>, unrouted: Array<{row: number, data: *}>}}
+ *   rowNumbers/row는 주문서 데이터 행 번호 (1부터)
+ */
+function routeOrderRows(sourceData, routing) {
+  const { headers = [], data = [] } = sourceData;
+  const groups = new Map();
+  const unrouted = [];
+
+  data.forEach((rowData, index) => {
+    const supplier = resolveSupplier(rowData, headers, routing);
+
+    if (!supplier) {
+      unrouted.push({ row: index + 1, data: rowData });
+      return;
+    }
+
+    if (!groups.has(supplier)) {
+      groups.set(supplier, { supplier, rows: [], rowNumbers: [] });
+    }
+    groups.get(supplier).rows.push(rowData);
+    groups.get(supplier).rowNumbers.push(index + 1);
+  });
+
+  return { groups: [...groups.values()], unrouted };
+}
+
+module.exports = {
+  MATCH_TYPES,
+  validateRoutingRule,
+  resolveSupplier,
+  routeOrderRows
+};
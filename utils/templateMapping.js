@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { isMappingExpression } = require('./mappingExpression');
+const { DEFAULT_OUTPUT_FORMAT } = require('./outputFormats');
+const { downloadFile, resolveActualFileName } = require('./supabase');
+
+/**
+ * 발주서 템플릿 매핑 공통 함수
+ * 파일 업로드 변환(/api/orders/generate-with-template)과 Webhook 자동 발주서가
+ * 같은 컬럼 구성/순서로 발주서를 만들도록 공유한다.
+ */
+
+// Webhook 주문의 매핑 값 누락 시 처리 방식 (order_templates.missing_field_policy)
+//   blank: 빈 칸으로 발주서 생성, reject: 주문 거부, hold: 수동 검토 대기
+const MISSING_FIELD_POLICIES = ['blank', 'reject', 'hold'];
+const DEFAULT_MISSING_FIELD_POLICY = 'blank';
+
+/**
+ * 템플릿의 발주서 컬럼(헤더) 순서
+ * supplier_field_mapping_array(발주서 파일의 헤더 순서)가 있으면 그 순서를 사용하고,
+ * 없으면 supplier_field_mapping의 키 순서를 사용한다 (순서가 보장되지 않을 수 있음).
+ * @param {Object} supplierFieldMapping - { 발주서필드: 주문서필드 }
+ * @param {Array<{supplierField: string, orderField: string, order: number}>} [supplierFieldMappingArray] - 순서 배열
+ * @returns {string[]} 발주서 헤더 목록
+ */
+function getSupplierHeaders(supplierFieldMapping, supplierFieldMappingArray) {
+  if (Array.isArray(supplierFieldMappingArray) && supplierFieldMappingArray.length > 0) {
+    return [...supplierFieldMappingArray]
+      .sort((a, b) => a.order - b.order)
+      .map(item => item.supplierField)
+      .filter(Boolean);
+  }
+
+  return Object.keys(supplierFieldMapping || {});
+}
+
+/**
+ * 저장된 템플릿을 발주서 생성기(converter.generatePurchaseOrder) 입력으로 변환
+ * 발주서필드 → 주문서필드(supplier_field_mapping) → 주문서 컬럼(order_field_mapping)
+ * supplier_field_mapping 값이 매핑 수식([수식: ...])이면 그대로 사용 ({컬럼명}은 주문서 컬럼)
+ * @param {Object} template - order_templates 행
+ * @returns {{templateFields: string[], mappingRules: Object, manualFields: Object, outputFormat: string,
+ *   fillTemplate: boolean, templateFile: string|null, templateHeaderRow: number|undefined}}
+ *   manualFields는 발주서 헤더에 있는 고정값 필드만 포함, outputFormat은 발주서 파일 형식(order_templates.output_format)
+ *   fillTemplate/templateFile/templateHeaderRow는 템플릿 채우기 설정 (order_templates.fill_template, template_file, template_header_row)
+ */
+function getTemplateGenerationOptions(template) {
+  const supplierMapping = template.supplier_field_mapping || {};
+  const orderMapping = template.order_field_mapping || {};
+  const fixedFields = template.fixed_fields || {};
+  const templateFields = getSupplierHeaders(supplierMapping, template.supplier_field_mapping_array);
+
+  const mappingRules = {};
+  const manualFields = {};
+  templateFields.forEach(supplierField => {
+    const orderField = supplierMapping[supplierField];
+    const orderColumn = isMappingExpression(orderField) ? orderField : orderMapping[orderField];
+    if (orderColumn) mappingRules[supplierField] = orderColumn;
+    if (fixedFields[supplierField]) manualFields[supplierField] = fixedFields[supplierField];
+  });
+
+  return {
+    templateFields,
+    mappingRules,
+    manualFields,
+    outputFormat: template.output_format || DEFAULT_OUTPUT_FORMAT,
+    fillTemplate: template.fill_template === true && Boolean(template.template_file),
+    templateFile: template.template_file || null,
+    templateHeaderRow: template.template_header_row || undefined
+  };
+}
+
+/**
+ * 템플릿 채우기에 사용할 공급처 발주서 파일을 임시 파일로 다운로드
+ * @param {{fillTemplate: boolean, templateFile: string|null}} generationOptions - getTemplateGenerationOptions 결과
+ * @returns {Promise<string|null>} 임시 파일 경로 (템플릿 채우기가 아니면 null, 사용 후 호출한 쪽에서 삭제)
+ * @throws 발주서 파일을 찾거나 다운로드할 수 없는 경우
+ */
+async function downloadTemplateFile(generationOptions) {
+  if (!generationOptions.fillTemplate) return null;
+
+  const resolveResult = await resolveActualFileName(generationOptions.templateFile, 'uploads', 'supplier');
+  if (!resolveResult.success) {
+    throw new Error(`템플릿 채우기용 발주서 파일을 찾을 수 없습니다: ${generationOptions.templateFile}`);
+  }
+
+  const downloadResult = await downloadFile(resolveResult.actualFileName, 'uploads');
+  if (!downloadResult.success) {
+    throw new Error(`템플릿 채우기용 발주서 파일 다운로드 실패: ${downloadResult.error}`);
+  }
+
+  const tempDir = fs.existsSync('/tmp') ? '/tmp' : os.tmpdir();
+  const templateFilePath = path.join(tempDir, `template_${crypto.randomUUID()}.xlsx`);
+  fs.writeFileSync(templateFilePath, downloadResult.data);
+  return templateFilePath;
+}
+
+module.exports = {
+  MISSING_FIELD_POLICIES,
+  DEFAULT_MISSING_FIELD_POLICY,
+  getSupplierHeaders,
+  getTemplateGenerationOptions,
+  downloadTemplateFile
+};
@@ -0,0 +1,315 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * 공급처 발주서 템플릿 채우기
+ * 업로드한 공급처 Excel 파일(첫 시트) 사본의 헤더 행 아래에 주문 데이터를 채운다.
+ * 로고, 제목 병합, 열 너비, 표시 형식, 수식, 인쇄 설정 등 나머지 내용은 그대로 둔다.
+ *
+ *   헤더 행   - 지정한 행(templateHeaderRow) 또는 위 10행 중 값이 3개 이상인 첫 행 (업로드 미리보기와 같은 기준)
+ *   데이터 행 - 헤더 바로 아래 행이 기준 행 (서식/병합/수식을 모든 데이터 행에 적용, 예시 글자는 지움)
+ *   하단 영역 - 기준 행 아래에서 글자가 있는 첫 행부터 (합계, 비고, 서명란 등)
+ *               주문이 그 위의 빈 행보다 많으면 행을 삽입하고 하단 영역의 병합, 수식 참조, 이미지를 함께 내린다.
+ */
+
+const HEADER_SCAN_ROWS = 10;
+const MIN_HEADER_CELLS = 3;
+
+/**
+ * 수식의 셀 참조(A1, $B$2, A1:C3) 행 번호 변환 (따옴표 안 글자, 다른 시트 참조, 함수명은 제외)
+ * @param {string} formula - 수식
+ * @param {Function} mapRow - (row, { absolute, rangeEnd }) => 새 행 번호
+ * @returns {string}
+ */
+function mapFormulaRows(formula, mapRow) {
+  const reference = /("[^"]*")|(?<![A-Za-z0-9_.!$])(\$?[A-Z]{1,3}\$?\d+)(?::(\$?[A-Z]{1,3}\$?\d+))?(?![A-Za-z0-9_(!])/g;
+  const mapCell = (cell, rangeEnd) => {
+    const [, column, absolute, row] = cell.match(/^(\$?[A-Z]{1,3})(\$?)(\d+)$/);
+    return `${column}${absolute}${mapRow(Number(row), { absolute: absolute === '$', rangeEnd })}`;
+  };
+
+  return formula.replace(reference, (match, text, start, end) => {
+    if (text !== undefined) return text;
+    return end ? `${mapCell(start, false)}:${mapCell(end, true)}` : mapCell(start, false);
+  });
+}
+
+// 공유 수식(shared formula)을 셀마다의 일반 수식으로 바꿈 (행을 옮겨도 기준 셀을 잃지 않도록)
+function unshareFormulas(worksheet) {
+  worksheet.eachRow({ includeEmpty: false }, row => {
+    row.eachCell({ includeEmpty: false }, cell => {
+      if (cell.type !== ExcelJS.ValueType.Formula) return;
+      if (cell.value.sharedFormula || cell.value.shareType === 'shared') {
+        cell.value = { formula: cell.formula };
+      }
+    });
+  });
+}
+
+// 병합 범위 목록 [{ top, left, bottom, right }]
+function getMergedRanges(worksheet) {
+  const ranges = {};
+  worksheet.eachRow({ includeEmpty: false }, row => {
+    row.eachCell({ includeEmpty: false }, cell => {
+      if (cell.type !== ExcelJS.ValueType.Merge) return;
+      const { master } = cell;
+      const range = ranges[master.address] || { top: master.row, left: master.col, bottom: master.row, right: master.col };
+      range.bottom = Math.max(range.bottom, cell.row);
+      range.right = Math.max(range.right, cell.col);
+      ranges[master.address] = range;
+    });
+  });
+  return Object.values(ranges);
+}
+
+// 헤더 행의 필드 [{ name, column }] (병합된 셀은 첫 칸만)
+function readHeaderFields(worksheet, rowNumber) {
+  const fields = [];
+  worksheet.getRow(rowNumber).eachCell({ includeEmpty: false }, (cell, column) => {
+    if (cell.type === ExcelJS.ValueType.Merge) return;
+    const name = String(cell.text || '').trim();
+    if (name) fields.push({ name, column });
+  });
+  return fields;
+}
+
+// 헤더 행 자동 판별 (값이 3개 이상인 첫 행, 없으면 값이 가장 많은 행)
+function detectHeaderRow(worksheet) {
+  let best = { rowNumber: 0, count: 0 };
+  for (let rowNumber = 1; rowNumber <= Math.min(HEADER_SCAN_ROWS, worksheet.rowCount); rowNumber++) {
+    const count = readHeaderFields(worksheet, rowNumber).length;
+    if (count >= MIN_HEADER_CELLS) return rowNumber;
+    if (count > best.count) best = { rowNumber, count };
+  }
+  return best.rowNumber;
+}
+
+/**
+ * 공급처 템플릿 파일을 읽어 헤더 행과 필드 위치 확인
+ * @param {string} templateFilePath - 공급처 Excel 파일 (.xlsx)
+ * @param {Object} [options]
+ * @param {number} [options.headerRow] - 헤더 행 번호 (1부터, 없으면 자동 판별)
+ * @returns {Promise<{workbook: ExcelJS.Workbook, worksheet: ExcelJS.Worksheet, headerRow: number, fields: Array<{name: string, column: number}>}>}
+ * @throws 읽을 수 없는 파일(.xls 등) 또는 헤더를 찾을 수 없는 경우
+ */
+async function loadTemplateWorkbook(templateFilePath, { headerRow } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.readFile(templateFilePath);
+  } catch (error) {
+    throw new Error(`템플릿 채우기는 Excel(.xlsx) 파일만 지원합니다: ${error.message}`);
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error('발주서 템플릿에 워크시트가 없습니다.');
+  }
+
+  if (headerRow !== undefined && headerRow !== null && headerRow !== '') {
+    headerRow = Number(headerRow);
+    if (!Number.isInteger(headerRow) || headerRow < 1) {
+      throw new Error('헤더 행 번호는 1 이상의 정수여야 합니다.');
+    }
+  } else {
+    headerRow = detectHeaderRow(worksheet);
+    if (!headerRow) {
+      throw new Error('발주서 템플릿에서 헤더 행을 찾을 수 없습니다.');
+    }
+  }
+
+  const fields = readHeaderFields(worksheet, headerRow);
+  if (fields.length === 0) {
+    throw new Error(`발주서 템플릿 ${headerRow}행에 헤더가 없습니다.`);
+  }
+
+  return { workbook, worksheet, headerRow, fields };
+}
+
+/**
+ * 템플릿에 없는 필드(수동 입력 필드 등)를 헤더 오른쪽 열에 추가 (마지막 헤더 셀 서식 사용)
+ * @param {Object} template - loadTemplateWorkbook 결과 (fields가 늘어남)
+ * @param {string[]} names - 추가할 필드명
+ */
+function appendTemplateFields(template, names) {
+  const { worksheet, headerRow, fields } = template;
+  const headerCells = worksheet.getRow(headerRow);
+  const lastHeaderCell = headerCells.getCell(fields[fields.length - 1].column);
+  let column = Math.max(worksheet.columnCount, ...fields.map(field => field.column));
+
+  names.forEach(name => {
+    column++;
+    const cell = headerCells.getCell(column);
+    cell.value = name;
+    cell.style = structuredClone(lastHeaderCell.style);
+    fields.push({ name, column });
+  });
+}
+
+// rowNumber 위치에 빈 행 count개 삽입 (아래 행의 값/서식/높이, 병합, 수식 참조, 이미지, 인쇄 영역을 함께 내림)
+// 삽입 위치 바로 위에서 끝나는 범위(A4:A9 등)는 늘어난 데이터 행까지 포함하도록 늘림
+function insertRows(worksheet, rowNumber, count) {
+  const lastRow = worksheet.rowCount;
+  const lastColumn = worksheet.columnCount;
+  const mapRow = (row, { rangeEnd }) => (row >= rowNumber || (rangeEnd && row === rowNumber - 1) ? row + count : row);
+  const shiftValue = value => (value && typeof value === 'object' && typeof value.formula === 'string'
+    ? { ...value, formula: mapFormulaRows(value.formula, mapRow), result: undefined }
+    : value);
+
+  // 1. 옮길 병합 범위 해제 (병합된 셀의 서식은 해제 시 초기화되므로 먼저 보관)
+  const mergedRanges = getMergedRanges(worksheet).filter(range => range.bottom >= rowNumber);
+  const mergedStyles = [];
+  mergedRanges.forEach(range => {
+    for (let row = range.top; row <= range.bottom; row++) {
+      for (let column = range.left; column <= range.right; column++) {
+        mergedStyles.push({ row: row >= rowNumber ? row + count : row, column, style: structuredClone(worksheet.getCell(row, column).style) });
+      }
+    }
+    worksheet.unMergeCells(range.top, range.left, range.bottom, range.right);
+  });
+
+  // 2. 아래쪽 행부터 count만큼 내림
+  for (let row = lastRow; row >= rowNumber; row--) {
+    const source = worksheet.getRow(row);
+    const target = worksheet.getRow(row + count);
+    target.height = source.height;
+    target.hidden = source.hidden;
+    for (let column = 1; column <= lastColumn; column++) {
+      const sourceCell = source.getCell(column);
+      const targetCell = target.getCell(column);
+      targetCell.value = shiftValue(sourceCell.value);
+      targetCell.style = structuredClone(sourceCell.style);
+      sourceCell.value = null;
+      sourceCell.style = {};
+    }
+    source.height = undefined;
+    source.hidden = false;
+  }
+
+  // 3. 위쪽 수식의 참조 행 변경 (옮긴 행은 2에서 변경)
+  for (let row = 1; row < rowNumber; row++) {
+    worksheet.getRow(row).eachCell({ includeEmpty: false }, cell => {
+      if (cell.type === ExcelJS.ValueType.Formula) cell.value = shiftValue(cell.value);
+    });
+  }
+
+  // 4. 병합/서식 복원
+  mergedRanges.forEach(range => {
+    worksheet.mergeCellsWithoutStyle(
+      range.top >= rowNumber ? range.top + count : range.top,
+      range.left,
+      range.bottom + count,
+      range.right
+    );
+  });
+  mergedStyles.forEach(({ row, column, style }) => {
+    worksheet.getCell(row, column).style = style;
+  });
+
+  // 5. 이미지 위치 (nativeRow는 0부터)
+  worksheet.getImages().forEach(image => {
+    [image.range.tl, image.range.br].forEach(anchor => {
+      if (anchor && anchor.nativeRow >= rowNumber - 1) anchor.nativeRow += count;
+    });
+  });
+
+  // 6. 인쇄 영역/이름 정의
+  if (worksheet.pageSetup.printArea) {
+    worksheet.pageSetup.printArea = mapFormulaRows(worksheet.pageSetup.printArea, mapRow);
+  }
+  worksheet.workbook.definedNames.spliceRows(worksheet.name, rowNumber, 0, count);
+}
+
+const isTextCell = cell => cell.type === ExcelJS.ValueType.String || cell.type === ExcelJS.ValueType.RichText;
+
+// 기준 행 아래에서 글자(문자열) 값이 있는 첫 행 (없으면 null)
+function findFooterRow(worksheet, modelRow) {
+  for (let rowNumber = modelRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+    let hasText = false;
+    worksheet.getRow(rowNumber).eachCell({ includeEmpty: false }, cell => {
+      if (isTextCell(cell)) hasText = true;
+    });
+    if (hasText) return rowNumber;
+  }
+  return null;
+}
+
+/**
+ * 데이터 행 준비
+ * 기준 행(헤더 바로 아래)의 서식/높이/병합/수식을 rowCount개 데이터 행에 적용하고,
+ * 하단 영역 위의 빈 행이 모자라면 행을 삽입한다. 이후 값은 호출한 쪽에서 채운다.
+ * @param {Object} template - loadTemplateWorkbook 결과
+ * @param {number} rowCount - 채울 데이터 행 수
+ * @returns {number} 첫 데이터 행 번호
+ */
+function prepareTemplateDataRows(template, rowCount) {
+  const { workbook, worksheet, headerRow, fields } = template;
+  const modelRow = headerRow + 1;
+  const lastColumn = Math.max(worksheet.columnCount, ...fields.map(field => field.column));
+
+  unshareFormulas(worksheet);
+
+  // 기준 행 (삽입 전에 보관)
+  const model = worksheet.getRow(modelRow);
+  const modelHeight = model.height;
+  const modelCells = [];
+  for (let column = 1; column <= lastColumn; column++) {
+    const cell = model.getCell(column);
+    modelCells[column] = {
+      style: structuredClone(cell.style),
+      formula: cell.type === ExcelJS.ValueType.Formula ? cell.formula : null
+    };
+  }
+  const modelMerges = getMergedRanges(worksheet).filter(range => range.top === modelRow && range.bottom === modelRow);
+
+  // 하단 영역 위의 빈 행이 모자라면 삽입
+  const footerRow = findFooterRow(worksheet, modelRow);
+  const lastRow = worksheet.rowCount;
+  const insertCount = footerRow ? rowCount - (footerRow - modelRow) : 0;
+  if (insertCount > 0) {
+    insertRows(worksheet, footerRow, insertCount);
+    console.log(`📏 발주서 템플릿 ${footerRow}행 위에 ${insertCount}행 삽입 (하단 영역 이동)`);
+  }
+  const isNewRow = rowNumber => (footerRow
+    ? insertCount > 0 && rowNumber >= footerRow && rowNumber < footerRow + insertCount
+    : rowNumber > lastRow);
+
+  for (let index = 0; index < rowCount; index++) {
+    const rowNumber = modelRow + index;
+    const newRow = isNewRow(rowNumber);
+    const row = worksheet.getRow(rowNumber);
+    row.height = modelHeight;
+
+    for (let column = 1; column <= lastColumn; column++) {
+      const cell = row.getCell(column);
+      const { style, formula } = modelCells[column];
+      if (cell.type === ExcelJS.ValueType.Merge) continue;
+
+      cell.style = structuredClone(style);
+      if (formula) {
+        // 상대 참조 행만 데이터 행 위치만큼 이동 (=D4*E4 → =D5*E5)
+        cell.value = { formula: mapFormulaRows(formula, (row, { absolute }) => (absolute ? row : row + index)) };
+      } else if (newRow || (rowNumber === modelRow && isTextCell(cell))) {
+        cell.value = null; // 새 행과 기준 행의 예시 글자는 비움 (기존 행의 번호 등 숫자는 유지)
+      }
+    }
+
+    if (index > 0) {
+      modelMerges.forEach(range => {
+        if (!row.getCell(range.left).isMerged) {
+          worksheet.mergeCellsWithoutStyle(rowNumber, range.left, rowNumber, range.right);
+        }
+      });
+    }
+  }
+
+  // 데이터를 바꿨으므로 Excel에서 열 때 수식 다시 계산
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  return modelRow;
+}
+
+module.exports = {
+  mapFormulaRows,
+  loadTemplateWorkbook,
+  appendTemplateFields,
+  prepareTemplateDataRows
+};
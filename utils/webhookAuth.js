@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook API 인증 (HMAC 서명 + 다중 키 로테이션)
+ *
+ * 키 설정:
+ *   WEBHOOK_API_KEYS - JSON 배열 [{ "id": "2026-10", "secret": "...", "label": "런모아 운영", "expiresAt": "2026-12-31T23:59:59Z" }]
+ *   WEBHOOK_API_KEY  - 단일 키 (기존 설정 호환, id: "default")
+ *
+ * 서명 요청 헤더:
+ *   X-Webhook-Timestamp: 유닉스 시간(초)
+ *   X-Webhook-Signature: sha256=<hex(HMAC-SHA256(secret, `${timestamp}.${rawBody}`))>
+ *   X-Webhook-Key-Id:    키 ID (선택, 없으면 모든 활성 키로 확인)
+ */
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * 환경변수에서 Webhook 키 목록 로드
+ * @returns {Array<{id: string, secret: string, label: string, expiresAt: Date|null}>}
+ */
+function loadWebhookKeys() {
+  const keys = [];
+
+  if (process.env.WEBHOOK_API_KEYS) {
+    try {
+      const parsed = JSON.parse(process.env.WEBHOOK_API_KEYS);
+      (Array.isArray(parsed) ? parsed : []).forEach((key, index) => {
+        if (!key || !key.secret) {
+          console.warn(`⚠️ WEBHOOK_API_KEYS ${index + 1}번째 키에 secret이 없어 무시합니다.`);
+          return;
+        }
+        keys.push({
+          id: String(key.id || `key-${index + 1}`),
+          secret: String(key.secret),
+          label: key.label || String(key.id || `key-${index + 1}`),
+          expiresAt: key.expiresAt ? new Date(key.expiresAt) : null
+        });
+      });
+    } catch (error) {
+      console.error('❌ WEBHOOK_API_KEYS 형식 오류 (JSON 배열이어야 합니다):', error.message);
+    }
+  }
+
+  if (process.env.WEBHOOK_API_KEY && !keys.some(key => key.secret === process.env.WEBHOOK_API_KEY)) {
+    keys.push({
+      id: 'default',
+      secret: process.env.WEBHOOK_API_KEY,
+      label: 'WEBHOOK_API_KEY',
+      expiresAt: null
+    });
+  }
+
+  return keys;
+}
+
+/**
+ * 만료되지 않은 키만 반환
+ * @param {Array} keys - 키 목록
+ * @param {Date} now - 기준 시각
+ * @returns {Array}
+ */
+function getActiveKeys(keys, now = new Date()) {
+  // 날짜 형식이 잘못된 expiresAt은 만료된 것으로 취급
+  return keys.filter(key => !key.expiresAt || key.expiresAt.getTime() > now.getTime());
+}
+
+/**
+ * 상수 시간 문자열 비교 (길이가 달라도 비교 시간 동일)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeCompare(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Webhook 본문 서명 생성
+ * @param {string} secret - 키 secret
+ * @param {string|number} timestamp - 유닉스 시간(초)
+ * @param {Buffer|string} rawBody - 요청 원문
+ * @returns {string} sha256=<hex>
+ */
+function signWebhookPayload(secret, timestamp, rawBody) {
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ''), 'utf8'))
+    .digest('hex');
+  return `sha256=${signature}`;
+}
+
+/**
+ * 서명된 요청 검증
+ * @param {Object} params
+ * @param {Buffer|string} params.rawBody - 요청 원문
+ * @param {string} params.timestamp - X-Webhook-Timestamp
+ * @param {string} params.signature - X-Webhook-Signature
+ * @param {string} [params.keyId] - X-Webhook-Key-Id
+ * @param {Array} [params.keys] - 키 목록 (기본값: 환경변수)
+ * @param {Date} [params.now] - 기준 시각
+ * @returns {{valid: boolean, key?: Object, code?: string, error?: string}}
+ */
+function verifyWebhookSignature({ rawBody, timestamp, signature, keyId, keys = loadWebhookKeys(), now = new Date() }) {
+  const toleranceSeconds = parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS, 10) || DEFAULT_TOLERANCE_SECONDS;
+
+  if (!/^\d+$/.test(String(timestamp || ''))) {
+    return { valid: false, code: 'INVALID_TIMESTAMP', error: 'X-Webhook-Timestamp 헤더는 유닉스 시간(초)이어야 합니다.' };
+  }
+
+  // 재전송 공격 방지: 허용 시간 범위를 벗어난 요청 거부
+  const skewSeconds = Math.abs(Math.floor(now.getTime() / 1000) - parseInt(timestamp, 10));
+  if (skewSeconds > toleranceSeconds) {
+    return { valid: false, code: 'SIGNATURE_EXPIRED', error: `요청 시각이 허용 범위(${toleranceSeconds}초)를 벗어났습니다.` };
+  }
+
+  const candidates = getActiveKeys(keys, now).filter(key => !keyId || key.id === keyId);
+  if (candidates.length === 0) {
+    return { valid: false, code: 'UNKNOWN_KEY_ID', error: '유효한 Webhook 키를 찾을 수 없습니다.' };
+  }
+
+  const provided = String(signature || '').trim();
+  // 일치 여부와 관계없이 모든 후보 키를 비교 (응답 시간으로 키 순서가 드러나지 않도록)
+  let matchedKey = null;
+  candidates.forEach(key => {
+    if (safeCompare(signWebhookPayload(key.secret, timestamp, rawBody), provided) && !matchedKey) {
+      matchedKey = key;
+    }
+  });
+
+  if (!matchedKey) {
+    return { valid: false, code: 'INVALID_SIGNATURE', error: '서명이 올바르지 않습니다.' };
+  }
+
+  return { valid: true, key: matchedKey };
+}
+
+/**
+ * Bearer 토큰 검증 (서명 없는 기존 방식)
+ * @param {string} token - Bearer 토큰
+ * @param {Array} [keys] - 키 목록 (기본값: 환경변수)
+ * @param {Date} [now] - 기준 시각
+ * @returns {{valid: boolean, key?: Object}}
+ */
+function verifyBearerToken(token, keys = loadWebhookKeys(), now = new Date()) {
+  let matchedKey = null;
+  getActiveKeys(keys, now).forEach(key => {
+    if (safeCompare(key.secret, token || '') && !matchedKey) {
+      matchedKey = key;
+    }
+  });
+  return matchedKey ? { valid: true, key: matchedKey } : { valid: false };
+}
+
+module.exports = {
+  loadWebhookKeys,
+  getActiveKeys,
+  safeCompare,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  verifyBearerToken
+};